@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * floor-mode-anime.js -- 床構面データの検証・概要表示 CLI
+ *
+ * ブラウザ版と同じ parseFloorData / validateFloorData（UFF は parseUffText）で
+ * 入力ファイルを検証し、エラー・警告とモデル概要を出力する。
+ *
+ * 終了コード: 0 = エラーなし / 1 = エラーあり（パース失敗を含む）/ 2 = 引数・ファイル読込の不備
+ *
+ * @module cli
+ */
+
+import { readFile } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { parseFloorData, normalizeFloorData } from '../src/parser.js';
+import { validateFloorData } from '../src/validator.js';
+import { isUffText, parseUffText } from '../src/uff.js';
+import { computeModalMass } from '../src/modalmass.js';
+
+const USAGE = `Usage: floor-mode-anime validate [options] <file...>
+
+Validate floor mode data files (JSON, or UFF/UNV with datasets 15/2411, 82, 55)
+and print errors, warnings and a model summary.
+
+Options:
+  --json        Print a machine-readable JSON report instead of text
+  -h, --help    Show this help
+  -v, --version Show the version
+
+Exit status: 0 = no errors, 1 = errors found, 2 = usage or file read error`;
+
+/**
+ * ファイル内容を床構面データに変換する（拡張子 .unv / .uff または内容で UFF を判定）
+ * @param {string} text
+ * @param {string} filePath
+ * @returns {object}
+ * @throws {Error} パースに失敗した場合。err.code に UFF は E_UFF_PARSE、JSON は構文エラーなら E_JSON_PARSE、
+ *   構文は正しいが床構面データにできない場合（トップレベルが配列など）は E_DATA_CONVERT を付与
+ */
+function parseInput(text, filePath) {
+  const isUff = /\.(unv|uff)$/i.test(filePath) || isUffText(text);
+  try {
+    if (isUff) {
+      const title = path.basename(filePath).replace(/\.[^.]+$/, '');
+      return normalizeFloorData(parseUffText(text, title));
+    }
+    return parseFloorData(text);
+  } catch (err) {
+    if (isUff) err.code = 'E_UFF_PARSE';
+    else err.code = err.cause instanceof SyntaxError ? 'E_JSON_PARSE' : 'E_DATA_CONVERT';
+    throw err;
+  }
+}
+
+/**
+ * モデル概要（件数・座標範囲・モード/振動数表）を集計する
+ * @param {object} data  parseFloorData の戻り値
+ * @returns {object}
+ */
+function summarize(data) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (const node of data.nodes.values()) {
+    for (const axis of ['x', 'y', 'z']) {
+      if (Number.isFinite(node[axis])) {
+        min[axis] = Math.min(min[axis], node[axis]);
+        max[axis] = Math.max(max[axis], node[axis]);
+      }
+    }
+  }
+
+  // 節点質量がある場合は鉛直有効質量比・累積も出す
+  const massResult = computeModalMass(data);
+  const massRows = new Map(massResult ? massResult.rows.map((r) => [r.mode, r]) : []);
+
+  const modes = [...data.modes.keys()].sort((a, b) => a - b).map((mode) => {
+    // 複素モードは |uz| = hypot(実部, 虚部)
+    const imagMap = data.modesImag ? data.modesImag.get(mode) : undefined;
+    let uzMax = 0;
+    for (const [nodeId, uz] of data.modes.get(mode)) {
+      const im = imagMap ? imagMap.get(nodeId) : undefined;
+      const absUz = im ? Math.hypot(uz, im.uz) : Math.abs(uz);
+      if (Number.isFinite(absUz)) uzMax = Math.max(uzMax, absUz);
+    }
+    const freqHz = data.freqHz.get(mode);
+    const zeta = data.damping ? data.damping.get(mode) : undefined;
+    const row = {
+      mode,
+      freqHz: Number.isFinite(freqHz) ? freqHz : null,
+      dampingRatio: Number.isFinite(zeta) ? zeta : null,
+      complex: !!(imagMap && imagMap.size > 0),
+      uzMax,
+      lateral: !!(data.lateral && data.lateral.get(mode) && data.lateral.get(mode).size > 0),
+    };
+    const mass = massRows.get(mode);
+    if (mass) {
+      row.participation = mass.participation;
+      row.effectiveMassRatio = mass.ratio;
+      row.cumulativeMassRatio = mass.cumulative;
+    }
+    return row;
+  });
+
+  return {
+    title: (data.meta && data.meta.title) || '',
+    nodes: data.nodes.size,
+    lines: Array.isArray(data.lines) ? data.lines.length : 0,
+    elements: data.elements ? data.elements.length : 0,
+    supports: data.supports ? data.supports.size : 0,
+    bbox: data.nodes.size > 0 ? { min, max } : null,
+    totalMass: massResult ? massResult.totalMass : null,
+    modes,
+  };
+}
+
+/**
+ * 1 ファイルを検証してレポートを作る
+ * @param {string} filePath
+ * @returns {Promise<{ file: string, ok: boolean, errors: Array, warnings: Array, summary: object|null }>}
+ * @throws {Error} ファイルを読み込めない場合
+ */
+async function checkFile(filePath) {
+  const text = await readFile(filePath, 'utf8');
+
+  let data;
+  try {
+    data = parseInput(text, filePath);
+  } catch (err) {
+    const error = { code: err.code, message: `${err.code}: ${err.message}` };
+    return { file: filePath, ok: false, errors: [error], warnings: [], summary: null };
+  }
+
+  const { errors, warnings } = validateFloorData(data);
+  return {
+    file: filePath,
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    // 構造エラーがあっても集計できる範囲で概要を出す
+    summary: data.nodes instanceof Map && data.modes instanceof Map ? summarize(data) : null,
+  };
+}
+
+/**
+ * 数値を表示用に整形する
+ * @param {number} v
+ * @returns {string}
+ */
+function fmt(v) {
+  return Number.isFinite(v) ? String(Number(v.toPrecision(6))) : '-';
+}
+
+/**
+ * レポートをテキストで出力する
+ * @param {object} report
+ */
+function printText(report) {
+  const { file, errors, warnings, summary } = report;
+  console.log(`== ${file}`);
+
+  if (summary) {
+    if (summary.title) console.log(`title    : ${summary.title}`);
+    console.log(`nodes    : ${summary.nodes}`);
+    console.log(`lines    : ${summary.lines}`);
+    if (summary.elements > 0) console.log(`elements : ${summary.elements}`);
+    if (summary.supports > 0) console.log(`supports : ${summary.supports}`);
+    if (summary.bbox) {
+      const { min, max } = summary.bbox;
+      for (const axis of ['x', 'y', 'z']) {
+        console.log(`${axis} range  : ${fmt(min[axis])} .. ${fmt(max[axis])}`);
+      }
+    }
+    if (summary.totalMass !== null) console.log(`mass     : ${fmt(summary.totalMass)}`);
+    console.log(`modes    : ${summary.modes.length}`);
+    if (summary.modes.length > 0) {
+      const hasMass = summary.totalMass !== null;
+      const hasDamping = summary.modes.some((m) => m.dampingRatio !== null);
+      console.log(`  mode   freq [Hz]${hasDamping ? '   zeta [%]' : ''}   max|uz|   ux/uy`
+        + `${hasMass ? '   Meff,z [%]   cum. [%]' : ''}`);
+      for (const m of summary.modes) {
+        const zeta = m.dampingRatio !== null ? (m.dampingRatio * 100).toFixed(2) : '-';
+        let line = `  ${String(m.mode).padStart(4)}  ${fmt(m.freqHz).padStart(10)}`
+          + `${hasDamping ? `  ${zeta.padStart(9)}` : ''}  ${fmt(m.uzMax).padStart(8)}`
+          + `   ${m.lateral ? 'yes' : '-'}`;
+        if (hasMass) {
+          line += `${m.lateral ? '  ' : '    '}   ${(m.effectiveMassRatio * 100).toFixed(1).padStart(10)}`
+            + `   ${(m.cumulativeMassRatio * 100).toFixed(1).padStart(8)}`;
+        }
+        console.log(m.complex ? `${line}${hasMass ? '' : m.lateral ? '  ' : '    '}   (complex)` : line);
+      }
+    }
+  }
+
+  for (const w of warnings) console.log(`warning  ${w.message}`);
+  for (const e of errors) console.log(`error    ${e.message}`);
+  console.log(`result   : ${errors.length} error(s), ${warnings.length} warning(s)`);
+}
+
+/**
+ * CLI エントリポイント
+ * @param {string[]} argv  process.argv.slice(2)
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+  const args = argv.filter((a) => !a.startsWith('-'));
+  const flags = new Set(argv.filter((a) => a.startsWith('-')));
+
+  if (flags.has('-h') || flags.has('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (flags.has('-v') || flags.has('--version')) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    console.log(pkg.version);
+    return 0;
+  }
+
+  const unknown = [...flags].filter((f) => f !== '--json');
+  const [command, ...files] = args;
+  if (command !== 'validate' || files.length === 0 || unknown.length > 0) {
+    if (unknown.length > 0) console.error(`Unknown option: ${unknown.join(' ')}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const reports = [];
+  for (const file of files) {
+    try {
+      reports.push(await checkFile(file));
+    } catch (err) {
+      console.error(`Cannot read ${file}: ${err.message}`);
+      return 2;
+    }
+  }
+
+  const ok = reports.every((r) => r.ok);
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({ ok, files: reports }, null, 2));
+  } else {
+    reports.forEach((report, i) => {
+      if (i > 0) console.log('');
+      printText(report);
+    });
+  }
+  return ok ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
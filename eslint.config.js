@@ -18,4 +18,13 @@ export default [
       eqeqeq: ['error', 'always'],
     },
   },
+  {
+    // CLI・テスト（Node.js で実行）
+    files: ['bin/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
 ];
@@ -6,44 +6,139 @@
  *   L_floor = max(maxX - minX, maxY - minY)
  *   u_i(t) = S * A_ref * (uz_i,m / Umax_m) * sin(2π f_m t)
  *   z_i'(t) = z_i + u_i(t)
+ *
+ * 全成分表示 ('full') では (ux, uy, uz) の各成分に同じ係数を掛け、
+ * Umax_m は全節点の変位ベクトル長 |(ux, uy, uz)| の最大値とする。
+ *
+ * モード重ね合わせ (setSuperposition) では選択モード m ごとの重み w_m・位相 φ_m で
+ *   u_i(t) = S * A_ref * Σ_m w_m * (uz_i,m / Umax_m) * sin(2π f_m t + φ_m)
+ *
+ * 複素モード形 φ_i = a_i + j b_i では節点ごとに位相がずれ（進行波）、
+ *   u_i(t) = S * A_ref * Im(φ_i e^{j 2π f t}) / Umax = S * A_ref * (a_i sin 2πft + b_i cos 2πft) / Umax
+ * とする（実モードでは従来式と一致）。Umax_m は |φ_i| の最大値。
+ *
+ * 減衰包絡線 (setDecay) を有効にすると各モードの寄与に exp(-ζ_m ω_m τ) を掛ける。
+ * τ は最も減衰の遅いモードの包絡線が 1 % になる時間 T_d で t を折り返した時刻とし、
+ * 振動項も τ で評価する（T_d ごとに自由振動を繰り返す）。
+ *
+ * モード形の正規化 (setNormalization) と符号反転 (setModeFlipped) では、上式の 1 / Umax_m を
+ *   s_m * c_m / K
+ * に置き換える。s_m = ±1（反転なら -1）、c_m は正規化係数で
+ *   'maxabs' : 1 / Umax_m（既定。上式と同じ）
+ *   'unit'   : 1 / √(Σ_i |φ_i,m|²)        （ux, uy, uz 全成分のユークリッドノルム = 1）
+ *   'mass'   : 1 / √M_m                    （一般化質量 M_m = 1。M_m は computeModalMass と同じく
+ *                                          Σ_i m_i φ_i,m²（複素モード形は実部）。節点質量がある場合のみ）
+ *   'asis'   : 1                          （データの値のまま）
+ * K = max_m (c_m * Umax_m) は全モード共通の表示基準で、正規化後の振幅が最も大きいモードを
+ * S * A_ref で表示する（モード間の振幅比は正規化どおりに保つ）。
+ *
+ * 実変位表示 (setAbsolute) では S * A_ref を使わず、変位を長さの単位 (meta.length_unit) の実変位とする。
+ *   'data' : u_i = s_m * φ_i,m * (mode_unit → length_unit の換算)   （モード値を mode_unit の変位とみなす）
+ *   'peak' : u_i = A_peak * s_m * c_m * φ_i,m / K                    （A_peak は指定した最大振幅 [mm] の換算値）
+ * 描画する変形は実変位を誇張倍率 E 倍したもの（getDisplacedPosition）で、getDisplacement は実変位を返す。
  */
 
+import { computeModalMass } from './modalmass.js';
+
 const TWO_PI = 2 * Math.PI;
 
+/** ループ周期算出時の振動数の丸め単位 [Hz] */
+const LOOP_FREQ_RESOLUTION = 0.01;
+
+/** 重ね合わせのループ周期が長くなりすぎる場合の上限（最低振動数の周期の倍数） */
+const MAX_LOOP_PERIODS = 20;
+
+/** 減衰包絡線を折り返す振幅比（包絡線がこの値まで減衰したら t を 0 に戻す） */
+const DECAY_RESTART_RATIO = 0.01;
+
+/** 再生速度倍率の範囲（setSpeed のクランプ。ui の対数スライダー・数値入力の範囲も同じ） */
+export const SPEED_MIN = 1e-3;
+export const SPEED_MAX = 10;
+
+/** モード形の正規化方法 */
+const NORMALIZATIONS = ['maxabs', 'unit', 'mass', 'asis'];
+
+/** 長さの単位 → [m]（meta.length_unit / meta.mode_unit の解釈用、小文字で照合） */
+const LENGTH_UNITS = {
+  km: 1e3, m: 1, cm: 1e-2, mm: 1e-3, um: 1e-6, 'µm': 1e-6, 'μm': 1e-6, in: 0.0254, ft: 0.3048,
+};
+
 export class AnimationController {
   /**
    * @param {Object} floorData - parseFloorData の戻り値
-   *   { meta, nodes: Map<id,{id,x,y,z}>, lines, freqHz: Map<modeNum,freq>, modes: Map<modeNum,Map<nodeId,uz>> }
+   *   { meta, nodes: Map<id,{id,x,y,z}>, lines, freqHz: Map<modeNum,freq>, modes: Map<modeNum,Map<nodeId,uz>>,
+   *     lateral?: Map<modeNum,Map<nodeId,{ux,uy}>>, modesImag?: Map<modeNum,Map<nodeId,{ux,uy,uz}>>,
+   *     damping?: Map<modeNum,ζ>, masses?: Map<nodeId,number> }
    */
   constructor(floorData) {
     this._nodes = floorData.nodes;       // Map<id, {id,x,y,z}>
     this._lines = floorData.lines;       // Array<{id, nodeI, nodeJ}>
     this._freqHz = floorData.freqHz;     // Map<modeNum, freq>
     this._modes = floorData.modes;       // Map<modeNum, Map<nodeId, uz>>
+    this._lateral = floorData.lateral || new Map(); // Map<modeNum, Map<nodeId, {ux,uy}>>
+    this._imag = floorData.modesImag || new Map();  // Map<modeNum, Map<nodeId, {ux,uy,uz}>>（虚部）
+    this._damping = floorData.damping || new Map(); // Map<modeNum, ζ>
+    this._masses = floorData.masses instanceof Map ? floorData.masses : new Map(); // Map<nodeId, 質量>
+
+    // 単位 [m]（解釈できなければ null）
+    const meta = floorData.meta || {};
+    this._lengthUnitM = unitToMeters(meta.lengthUnit);
+    this._modeUnitM = unitToMeters(meta.modeUnit);
 
     // L_floor と A_ref を算出
     this._computeFloorMetrics();
 
-    // Umax_m をモードごとに事前計算
-    this._umaxMap = new Map(); // Map<modeNum, number>
+    // Umax_m をモードごとに事前計算（鉛直成分のみ / 全成分、複素モードは絶対値）
+    // あわせて正規化用の Σ|φ_i|²（全成分）も求める。質量正規化の Σ m_i φ_i² はモード質量表と同じ
+    // 一般化質量 M（modalmass.computeModalMass、複素モード形は実部）を使う
+    this._umaxMap = new Map();     // Map<modeNum, number>
+    this._umaxFullMap = new Map(); // Map<modeNum, number>
+    this._normSqMap = new Map();   // Map<modeNum, number>
+    this._modalMassMap = new Map(
+      (computeModalMass(floorData)?.rows ?? []).map((row) => [row.mode, row.modalMass]),
+    ); // Map<modeNum, 一般化質量 M>
+    this._hasLateral = false;
     for (const [modeNum, modeShape] of this._modes) {
+      const uxyMap = this._lateral.get(modeNum);
+      const imagMap = this._imag.get(modeNum);
       let umax = 0;
-      for (const uz of modeShape.values()) {
-        const absUz = Math.abs(uz);
+      let umaxFull = 0;
+      let normSq = 0;
+      for (const [nodeId, uz] of modeShape) {
+        const im = imagMap ? imagMap.get(nodeId) : undefined;
+        const absUz = im ? Math.hypot(uz, im.uz) : Math.abs(uz);
         if (absUz > umax) {
           umax = absUz;
         }
+        const uxy = uxyMap ? uxyMap.get(nodeId) : undefined;
+        const len = Math.hypot(uxy ? uxy.ux : 0, uxy ? uxy.uy : 0, im ? im.ux : 0, im ? im.uy : 0, absUz);
+        if (len > umaxFull) {
+          umaxFull = len;
+        }
+        normSq += len * len;
+        if ((uxy && (uxy.ux !== 0 || uxy.uy !== 0)) || (im && (im.ux !== 0 || im.uy !== 0))) {
+          this._hasLateral = true;
+        }
       }
       // 全て0の場合は1として扱う
       this._umaxMap.set(modeNum, umax === 0 ? 1 : umax);
+      this._umaxFullMap.set(modeNum, umaxFull === 0 ? 1 : umaxFull);
+      this._normSqMap.set(modeNum, normSq);
     }
 
     // 状態初期化
     this._currentMode = null;
     this._scale = 1.0;     // S: 変形倍率
-    this._speed = 1.0;     // 再生速度倍率 (0.2〜2.0)
+    this._speed = 1.0;     // 再生速度倍率 (SPEED_MIN〜SPEED_MAX)
+    this._cyclePeriod = null; // 1 周期の再生秒数 [s]（null: 実時間 × 再生速度倍率）
     this._time = 0;        // t [s]
     this._playing = false;
+    this._components = 'vertical'; // 'vertical' | 'full'
+    this._superposition = null;    // null | Array<{mode, weight, phaseDeg}>
+    this._decay = false;           // 減衰包絡線 exp(-ζωt) を掛けるか
+    this._normalization = 'maxabs'; // モード形の正規化方法（NORMALIZATIONS）
+    this._flipped = new Set();      // 符号を反転するモード番号
+    this._absolute = null;          // null（相対表示）| { source: 'data'|'peak', peakMm, exaggeration }
 
     // 利用可能モード一覧（ソート済み）
     this._modeList = Array.from(this._modes.keys()).sort((a, b) => a - b);
@@ -52,6 +147,9 @@ export class AnimationController {
     if (this._modeList.length > 0) {
       this._currentMode = this._modeList[0];
     }
+
+    // 正規化係数 c_m と表示基準 K
+    this._updateNormalization();
   }
 
   /**
@@ -109,6 +207,14 @@ export class AnimationController {
     this._scale = Math.max(0.5, Math.min(3.0, s));
   }
 
+  /**
+   * 倍率 S
+   * @returns {number}
+   */
+  getScale() {
+    return this._scale;
+  }
+
   /**
    * 現在 t [s]
    * @returns {number}
@@ -117,6 +223,14 @@ export class AnimationController {
     return this._time;
   }
 
+  /**
+   * 時刻 t [s] を直接設定 (録画時のフレーム送り用)
+   * @param {number} t
+   */
+  setTime(t) {
+    this._time = t;
+  }
+
   /**
    * 再生中か
    * @returns {boolean}
@@ -125,62 +239,504 @@ export class AnimationController {
     return this._playing;
   }
 
+  /**
+   * 表示する変位成分を設定
+   * @param {'vertical'|'full'} mode - 'vertical': uz のみ / 'full': ux, uy, uz 全成分
+   */
+  setComponentMode(mode) {
+    const components = mode === 'full' ? 'full' : 'vertical';
+    if (components === this._components) return;
+    this._components = components;
+    this._updateNormalization();
+  }
+
+  /**
+   * 表示中の変位成分
+   * @returns {'vertical'|'full'}
+   */
+  getComponentMode() {
+    return this._components;
+  }
+
+  /**
+   * 水平成分 (ux, uy) を持つモードがあるか
+   * @returns {boolean}
+   */
+  hasLateral() {
+    return this._hasLateral;
+  }
+
+  /**
+   * 指定モード（省略時は現在モード）が複素モード形（虚部を持つ節点がある）か
+   * @param {number} [modeNum]
+   * @returns {boolean}
+   */
+  isComplexMode(modeNum = this._currentMode) {
+    const imagMap = this._imag.get(modeNum);
+    return !!imagMap && imagMap.size > 0;
+  }
+
+  /**
+   * 指定モード（省略時は現在モード）の減衰比 ζ（未指定なら null）
+   * @param {number} [modeNum]
+   * @returns {number|null}
+   */
+  getDampingRatio(modeNum = this._currentMode) {
+    const zeta = this._damping.get(modeNum);
+    return Number.isFinite(zeta) ? zeta : null;
+  }
+
+  /**
+   * 減衰比が正のモードがあるか
+   * @returns {boolean}
+   */
+  hasDamping() {
+    return this._modeList.some((m) => this.getDampingRatio(m) > 0);
+  }
+
+  /**
+   * 減衰包絡線 exp(-ζωt) の有効/無効を設定する
+   * @param {boolean} on
+   */
+  setDecay(on) {
+    this._decay = !!on;
+  }
+
+  /**
+   * 減衰包絡線が有効か
+   * @returns {boolean}
+   */
+  isDecay() {
+    return this._decay;
+  }
+
+  /**
+   * モード形の正規化方法を設定する（節点質量がない場合の 'mass' は 'maxabs' として扱う）
+   * @param {'maxabs'|'unit'|'mass'|'asis'} kind
+   */
+  setNormalization(kind) {
+    let normalization = NORMALIZATIONS.includes(kind) ? kind : 'maxabs';
+    if (normalization === 'mass' && !this.hasMasses()) normalization = 'maxabs';
+    if (normalization === this._normalization) return;
+    this._normalization = normalization;
+    this._updateNormalization();
+  }
+
+  /**
+   * モード形の正規化方法
+   * @returns {'maxabs'|'unit'|'mass'|'asis'}
+   */
+  getNormalization() {
+    return this._normalization;
+  }
+
+  /**
+   * 質量正規化ができるか（全モードの一般化質量が正）
+   * @returns {boolean}
+   */
+  hasMasses() {
+    return this._masses.size > 0 && this._modeList.every((m) => this._modalMassMap.get(m) > 0);
+  }
+
+  /**
+   * モードの符号反転を設定する
+   * @param {number} modeNum
+   * @param {boolean} flipped
+   */
+  setModeFlipped(modeNum, flipped) {
+    if (flipped) this._flipped.add(modeNum);
+    else this._flipped.delete(modeNum);
+  }
+
+  /**
+   * 指定モード（省略時は現在モード）の符号を反転しているか
+   * @param {number} [modeNum]
+   * @returns {boolean}
+   */
+  isModeFlipped(modeNum = this._currentMode) {
+    return this._flipped.has(modeNum);
+  }
+
+  /**
+   * 符号を反転しているモード番号（昇順）
+   * @returns {number[]}
+   */
+  getFlippedModes() {
+    return [...this._flipped].sort((a, b) => a - b);
+  }
+
+  /**
+   * データのモード値を正規化・符号反転後の値に換算する係数 s_m * c_m
+   * @param {number} [modeNum]  省略時は現在モード
+   * @returns {number}
+   */
+  getModeFactor(modeNum = this._currentMode) {
+    const c = this._normFactors.get(modeNum) ?? 1;
+    return this._flipped.has(modeNum) ? -c : c;
+  }
+
+  /**
+   * 正規化係数 c_m と表示基準 K を計算し直す（内部用）
+   */
+  _updateNormalization() {
+    const umaxMap = this._components === 'full' ? this._umaxFullMap : this._umaxMap;
+    this._normFactors = new Map(); // Map<modeNum, c_m>
+    this._displayRef = 0;          // K
+    for (const modeNum of this._modeList) {
+      const umax = umaxMap.get(modeNum);
+      let c = 1;
+      if (this._normalization === 'maxabs') c = 1 / umax;
+      else if (this._normalization === 'unit') c = 1 / Math.sqrt(this._normSqMap.get(modeNum));
+      else if (this._normalization === 'mass') c = 1 / Math.sqrt(this._modalMassMap.get(modeNum));
+      if (!Number.isFinite(c) || c <= 0) c = 1; // モード値が全て 0 の場合
+      this._normFactors.set(modeNum, c);
+      this._displayRef = Math.max(this._displayRef, c * umax);
+    }
+    if (!(this._displayRef > 0)) this._displayRef = 1;
+  }
+
+  /**
+   * 実変位表示を設定する（null で相対表示 S * A_ref に戻す）。
+   * 必要な単位が解釈できない場合（canShowAbsolute が false）は相対表示になる。
+   * @param {{source:'data'|'peak', peakMm?:number, exaggeration?:number}|null} options
+   *   source: 'data' = モード値を mode_unit の実変位とする / 'peak' = 最大振幅を peakMm [mm] とする。
+   *   exaggeration: 描画時の誇張倍率（正の値、上限なし）
+   */
+  setAbsolute(options) {
+    if (!options || !this.canShowAbsolute(options.source)) {
+      this._absolute = null;
+      return;
+    }
+    this._absolute = {
+      source: options.source,
+      peakMm: Number.isFinite(options.peakMm) && options.peakMm >= 0 ? options.peakMm : 1,
+      exaggeration: Number.isFinite(options.exaggeration) && options.exaggeration > 0 ? options.exaggeration : 1,
+    };
+  }
+
+  /**
+   * 実変位表示の設定（相対表示中は null）
+   * @returns {{source:'data'|'peak', peakMm:number, exaggeration:number}|null}
+   */
+  getAbsolute() {
+    return this._absolute ? { ...this._absolute } : null;
+  }
+
+  /**
+   * 実変位表示ができるか。'peak' は length_unit、'data' はさらに mode_unit が長さの単位である必要がある
+   * @param {'data'|'peak'} source
+   * @returns {boolean}
+   */
+  canShowAbsolute(source) {
+    if (this._lengthUnitM === null) return false;
+    return source === 'peak' || (source === 'data' && this._modeUnitM !== null);
+  }
+
+  /**
+   * 描画時の誇張倍率（相対表示では 1）
+   * @returns {number}
+   */
+  getExaggeration() {
+    return this._absolute ? this._absolute.exaggeration : 1;
+  }
+
+  /**
+   * 現在の実変位で最大振幅が相対表示の基準 A_ref 程度に見える誇張倍率（1, 2, 5 × 10^n に丸める）
+   * @returns {number}
+   */
+  suggestExaggeration() {
+    const peak = this.getPeakAmplitude();
+    if (!(peak > 0)) return 1;
+    const raw = this._aRef / peak;
+    const base = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 5, 10].find((k) => raw < k * base * 1.5) ?? 10;
+    return step * base;
+  }
+
+  /**
+   * モード m の生のモード値から表示変位への係数（内部用）
+   *   相対   : S * A_ref * s_m * c_m / K
+   *   'data' : s_m * (mode_unit → length_unit)
+   *   'peak' : A_peak * s_m * c_m / K
+   * @param {number} modeNum
+   * @returns {number}
+   */
+  _amplitudeScale(modeNum) {
+    if (!this._absolute) {
+      return this._scale * this._aRef * this.getModeFactor(modeNum) / this._displayRef;
+    }
+    if (this._absolute.source === 'data') {
+      const sign = this._flipped.has(modeNum) ? -1 : 1;
+      return sign * this._modeUnitM / this._lengthUnitM;
+    }
+    const peak = this._absolute.peakMm * LENGTH_UNITS.mm / this._lengthUnitM;
+    return peak * this.getModeFactor(modeNum) / this._displayRef;
+  }
+
+  /**
+   * 減衰包絡線の折り返し時間 T_d [s] を返す（包絡線無効・減衰モードなしの場合は 0）
+   * 表示中モードのうち最も減衰の遅い ζω で包絡線が 1 % になる時間。
+   * @returns {number}
+   */
+  getDecayPeriod() {
+    if (!this._decay) return 0;
+    let minRate = Infinity;
+    for (const term of this._activeTerms()) {
+      const rate = (this.getDampingRatio(term.mode) || 0) * TWO_PI * (this._freqHz.get(term.mode) || 0);
+      if (rate > 0 && rate < minRate) minRate = rate;
+    }
+    return Number.isFinite(minRate) ? -Math.log(DECAY_RESTART_RATIO) / minRate : 0;
+  }
+
   /**
    * z_i'(t) を返す
    * @param {number} nodeId
    * @returns {number}
    */
   getDisplacedZ(nodeId) {
+    return this.getDisplacedPosition(nodeId).z;
+  }
+
+  /**
+   * 変形後の節点座標 (x_i', y_i', z_i') を返す（実変位表示では変位を誇張倍率 E 倍する）
+   * 鉛直のみ表示の場合 x, y は元座標のまま
+   * @param {number} nodeId
+   * @returns {{x:number, y:number, z:number}}
+   */
+  getDisplacedPosition(nodeId) {
     const node = this._nodes.get(nodeId);
     if (!node) {
-      return 0;
+      return { x: 0, y: 0, z: 0 };
     }
 
-    const z_i = node.z;
+    const { ux, uy, uz } = this.getDisplacement(nodeId);
+    const e = this.getExaggeration();
+    return { x: node.x + e * ux, y: node.y + e * uy, z: node.z + e * uz };
+  }
 
-    if (this._currentMode === null) {
-      return z_i;
+  /**
+   * モード重ね合わせを設定（null で単一モード表示に戻す）
+   * 時刻・再生状態は保持する
+   * @param {Array<{mode:number, weight:number, phaseDeg:number}>|null} terms
+   */
+  setSuperposition(terms) {
+    if (!terms) {
+      this._superposition = null;
+      return;
     }
+    this._superposition = terms
+      .filter((term) => this._modes.has(term.mode))
+      .map((term) => ({
+        mode: term.mode,
+        weight: Number.isFinite(term.weight) ? term.weight : 1,
+        phaseDeg: Number.isFinite(term.phaseDeg) ? term.phaseDeg : 0,
+      }));
+  }
+
+  /**
+   * 現在の重ね合わせ設定（単一モード表示中は null）
+   * @returns {Array<{mode:number, weight:number, phaseDeg:number}>|null}
+   */
+  getSuperposition() {
+    return this._superposition ? this._superposition.map((term) => ({ ...term })) : null;
+  }
 
-    const modeShape = this._modes.get(this._currentMode);
+  /**
+   * 重ね合わせ表示中か
+   * @returns {boolean}
+   */
+  isSuperposition() {
+    return this._superposition !== null;
+  }
+
+  /**
+   * 表示変位（実変位表示では誇張前の実変位）が取り得る最大振幅 (コンター凡例の範囲用)
+   * Σ|w_m| * |係数_m| * Umax_m（相対表示・単一モード・既定の正規化では S * A_ref）
+   * @returns {number}
+   */
+  getPeakAmplitude() {
+    const umaxMap = this._components === 'full' ? this._umaxFullMap : this._umaxMap;
+    return this._activeTerms().reduce((sum, term) => (
+      sum + Math.abs(term.weight * this._amplitudeScale(term.mode)) * umaxMap.get(term.mode)
+    ), 0);
+  }
+
+  /**
+   * 継ぎ目なくループできる基本振動数 [Hz] を返す（録画用）
+   * 単一モードではそのモードの振動数。重ね合わせでは各振動数を 0.01 Hz 単位に丸めた
+   * 最大公約数とし、最低振動数の周期の 20 倍を超える場合は最低振動数で代用する。
+   * 減衰包絡線が有効な場合は折り返し時間 T_d の逆数。
+   * @returns {number}
+   */
+  getLoopFreqHz() {
+    const decayPeriod = this.getDecayPeriod();
+    if (decayPeriod > 0) {
+      return 1 / decayPeriod;
+    }
+    if (!this._superposition) {
+      return this.getFreqHz();
+    }
+
+    const freqs = this._superposition
+      .map((term) => this._freqHz.get(term.mode) || 0)
+      .filter((f) => f > 0);
+    if (freqs.length === 0) return 0;
+
+    const fMin = Math.min(...freqs);
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const steps = freqs.map((f) => Math.round(f / LOOP_FREQ_RESOLUTION));
+    const fLoop = steps.reduce(gcd) * LOOP_FREQ_RESOLUTION;
+
+    return fLoop > 0 && fMin / fLoop <= MAX_LOOP_PERIODS ? fLoop : fMin;
+  }
+
+  /**
+   * 時刻 t における節点の変位 (ux, uy, uz) を返す
+   * 鉛直のみ表示の場合 ux = uy = 0
+   * @param {number} nodeId
+   * @returns {{ux:number, uy:number, uz:number}}
+   */
+  getDisplacement(nodeId) {
+    return this.getDisplacementAt(nodeId, this._time);
+  }
+
+  /**
+   * 任意の時刻 t における節点の変位 (ux, uy, uz) を返す（現在時刻は変更しない。時刻歴グラフ用）
+   * @param {number} nodeId
+   * @param {number} time  [s]
+   * @returns {{ux:number, uy:number, uz:number}}
+   */
+  getDisplacementAt(nodeId, time) {
+    const decayPeriod = this.getDecayPeriod();
+    const tau = decayPeriod > 0 ? time % decayPeriod : time;
+
+    const u = { ux: 0, uy: 0, uz: 0 };
+    for (const term of this._activeTerms()) {
+      this._addModalDisplacement(u, nodeId, term.mode, term.weight, term.phaseDeg, tau);
+    }
+    return u;
+  }
+
+  /**
+   * 表示中のモード項（重ね合わせ設定、または現在モード 1 項）（内部用）
+   * @returns {Array<{mode:number, weight:number, phaseDeg:number}>}
+   */
+  _activeTerms() {
+    return this._superposition
+      ?? (this._currentMode === null ? [] : [{ mode: this._currentMode, weight: 1, phaseDeg: 0 }]);
+  }
+
+  /**
+   * モード m の寄与 w * 係数_m * Im(φ_i,m e^{j(2π f_m t + φ)}) を u に加算する（内部用。係数は _amplitudeScale）
+   * 減衰包絡線が有効なら exp(-ζ_m ω_m t) を掛ける。
+   * @param {{ux:number, uy:number, uz:number}} u
+   * @param {number} nodeId
+   * @param {number} modeNum
+   * @param {number} weight
+   * @param {number} phaseDeg
+   * @param {number} time  評価時刻 [s]
+   */
+  _addModalDisplacement(u, nodeId, modeNum, weight, phaseDeg, time) {
+    const modeShape = this._modes.get(modeNum);
     if (!modeShape) {
-      return z_i;
+      return;
     }
 
+    const full = this._components === 'full';
+
     // 未記載の節点モード値は uz = 0.0 とみなす
     const uz_im = modeShape.has(nodeId) ? modeShape.get(nodeId) : 0.0;
-    const umaxM = this._umaxMap.get(this._currentMode);
-    const freqM = this._freqHz.get(this._currentMode) || 0;
+    const freqM = this._freqHz.get(modeNum) || 0;
+    const arg = TWO_PI * freqM * time + phaseDeg * Math.PI / 180;
 
-    // u_i(t) = S * A_ref * (uz_i,m / Umax_m) * sin(2π f_m t)
-    const u_i = this._scale * this._aRef * (uz_im / umaxM) * Math.sin(TWO_PI * freqM * this._time);
+    let amp = weight * this._amplitudeScale(modeNum);
+    if (this._decay) {
+      amp *= Math.exp(-(this.getDampingRatio(modeNum) || 0) * TWO_PI * freqM * time);
+    }
+    const kRe = amp * Math.sin(arg);
+    const kIm = amp * Math.cos(arg);
 
-    return z_i + u_i;
+    const imagMap = this._imag.get(modeNum);
+    const im = imagMap ? imagMap.get(nodeId) : undefined;
+
+    u.uz += kRe * uz_im + (im ? kIm * im.uz : 0);
+
+    if (full) {
+      const uxyMap = this._lateral.get(modeNum);
+      const uxy = uxyMap ? uxyMap.get(nodeId) : undefined;
+      if (uxy) {
+        u.ux += kRe * uxy.ux;
+        u.uy += kRe * uxy.uy;
+      }
+      if (im) {
+        u.ux += kIm * im.ux;
+        u.uy += kIm * im.uy;
+      }
+    }
   }
 
   /**
-   * 再生速度倍率を設定 (0.2〜2.0 をクランプ)
+   * 再生速度倍率を設定 (SPEED_MIN〜SPEED_MAX をクランプ)
    * @param {number} speed
    */
   setSpeed(speed) {
-    this._speed = Math.max(0.2, Math.min(2.0, speed));
+    if (!Number.isFinite(speed)) return;
+    this._speed = Math.max(SPEED_MIN, Math.min(SPEED_MAX, speed));
   }
 
   /**
-   * 再生速度倍率を返す
+   * 再生速度倍率を返す（周期指定の再生でも設定値を返す。実際の倍率は getEffectiveSpeed）
    * @returns {number}
    */
   getSpeed() {
     return this._speed;
   }
 
+  /**
+   * 1 周期の再生秒数を設定する（null で実時間 × 再生速度倍率に戻す）。
+   * 振動数によらず 1 周期が sec 秒で再生されるよう、実時間に対する倍率を 1 / (f × sec) とする。
+   * f は単一モードではその振動数、重ね合わせでは最低振動数（getCycleFreqHz）。
+   * @param {number|null} sec
+   */
+  setCyclePeriod(sec) {
+    this._cyclePeriod = Number.isFinite(sec) && sec > 0 ? sec : null;
+  }
+
+  /**
+   * 1 周期の再生秒数（実時間 × 再生速度倍率の場合は null）
+   * @returns {number|null}
+   */
+  getCyclePeriod() {
+    return this._cyclePeriod;
+  }
+
+  /**
+   * 周期指定の再生で 1 周期とみなす振動数 [Hz]（単一モードの振動数、重ね合わせでは最低振動数）
+   * @returns {number}
+   */
+  getCycleFreqHz() {
+    const freqs = this._activeTerms()
+      .map((term) => this._freqHz.get(term.mode) || 0)
+      .filter((f) => f > 0);
+    return freqs.length > 0 ? Math.min(...freqs) : 0;
+  }
+
+  /**
+   * 実時間に対する実際の再生倍率（周期指定では 1 / (f × 1 周期の秒数)、振動数 0 では再生速度倍率）
+   * @returns {number}
+   */
+  getEffectiveSpeed() {
+    const f = this.getCycleFreqHz();
+    return this._cyclePeriod !== null && f > 0 ? 1 / (f * this._cyclePeriod) : this._speed;
+  }
+
   /**
    * フレーム更新 (再生中のみ t を進める)
    * @param {number} deltaTime - 経過時間 [s]
    */
   update(deltaTime) {
     if (this._playing) {
-      this._time += deltaTime * this._speed;
+      this._time += deltaTime * this.getEffectiveSpeed();
     }
   }
 
@@ -212,3 +768,13 @@ export class AnimationController {
     return this._modeList.slice(); // コピーを返す
   }
 }
+
+/**
+ * 長さの単位の文字列を [m] に換算する
+ * @param {string|undefined} unit
+ * @returns {number|null}  解釈できなければ null
+ */
+function unitToMeters(unit) {
+  if (typeof unit !== 'string') return null;
+  return LENGTH_UNITS[unit.trim().toLowerCase()] ?? null;
+}
@@ -4,12 +4,24 @@
  * @module app
  */
 
-import { parseFloorData } from './parser.js';
-import { validateFloorData } from './validator.js';
+import { parseFloorData, normalizeFloorData } from './parser.js';
+import { isUffText, parseUffText } from './uff.js';
+import { validateFloorData, extractDrawableGeometry } from './validator.js';
 import { FloorViewer } from './viewer.js';
 import { AnimationController } from './animation.js';
-import { setupUI, updateTimeDisplay } from './ui.js';
+import {
+  setupUI, setupLangToggle, setControlsLocked, areControlsLocked, updateTimeDisplay, showLoadedFileName,
+} from './ui.js';
 import { initLang, t, applyTranslations } from './i18n.js';
+import { setupImporter } from './importer.js';
+import { setupMacPanel } from './macpanel.js';
+import { setupCompare, onMainDataLoaded, renderCompareFrame, resizeCompare, closeCompare } from './compare.js';
+import { setupInspector, resetInspector, updateInspectorFrame } from './inspector.js';
+import { setupHistory, resetHistory, updateHistoryFrame } from './history.js';
+import { setupViewState, restoreViewState, updateViewStateFrame } from './viewstate.js';
+import { computeNodalLines } from './nodallines.js';
+import { setupModeTable, resetModeTable } from './modetable.js';
+import { setupMessages, showMessages, clearMessages } from './messages.js';
 
 /** @type {FloorViewer|null} */
 let viewer = null;
@@ -17,43 +29,21 @@ let viewer = null;
 /** @type {AnimationController|null} */
 let animController = null;
 
+/** @type {object|null} 表示中の床構面データ */
+let floorData = null;
+
+/** @type {object|null} 検証エラーのあるデータの描画できる部分（表示中のみ。floorData は null） */
+let previewData = null;
+
+/** @type {number|null|undefined} 節線を計算済みのモード（null = 重ね合わせ中で非表示、undefined = 未計算） */
+let nodalLinesMode;
+
 /** @type {number} */
 let prevTimestamp = 0;
 
 /** @type {number} */
 let rafId = 0;
 
-/**
- * エラー・警告を #error-container に表示する。
- * @param {Array<{code:string,message:string}>} errors
- * @param {Array<{code:string,message:string}>} warnings
- */
-function showMessages(errors, warnings) {
-  const container = document.getElementById('error-container');
-  container.innerHTML = '';
-
-  for (const w of warnings) {
-    const div = document.createElement('div');
-    div.className = 'msg-warning';
-    div.textContent = w.message;
-    container.appendChild(div);
-  }
-
-  for (const e of errors) {
-    const div = document.createElement('div');
-    div.className = 'msg-error';
-    div.textContent = e.message;
-    container.appendChild(div);
-  }
-}
-
-/**
- * #error-container をクリアする。
- */
-function clearMessages() {
-  document.getElementById('error-container').innerHTML = '';
-}
-
 /**
  * JSON 文字列からデータを読み込み、シーンを構築する。
  * viewer が既に存在している前提。
@@ -69,21 +59,36 @@ function loadData(jsonText) {
   try {
     data = parseFloorData(jsonText);
   } catch (err) {
-    showMessages(
-      [{ code: 'E_JSON_PARSE', message: t('errorJsonParse', { msg: err.message }) }],
-      [],
-    );
+    // JSON の構文エラーと、構文は正しいが床構面データにできないもの（トップレベルが配列など）を分ける
+    const message = err.cause instanceof SyntaxError
+      ? { code: 'E_JSON_PARSE', key: 'errorJsonParse', params: { msg: err.message } }
+      : { code: 'E_DATA_CONVERT', key: 'errorDataConvert', params: { msg: err.message } };
+    showMessages([message], []);
     return false;
   }
 
+  return applyFloorData(data);
+}
+
+/**
+ * パース済みの床構面データを検証し、シーンを構築する。
+ * JSON 読込・表データ読込の共通処理。
+ *
+ * @param {object} data  parseFloorData / normalizeFloorData の戻り値
+ * @returns {boolean} 成功したら true
+ */
+function applyFloorData(data) {
+  clearMessages();
+
   // バリデーション
   const { errors, warnings } = validateFloorData(data);
   if (errors.length > 0) {
-    showMessages(errors, warnings);
+    showInvalidData(data, errors, warnings);
     return false;
   }
   if (warnings.length > 0) {
-    showMessages([], warnings);
+    // 節点・線要素を指す警告はクリックでその要素へ視点を寄せる
+    showMessages([], warnings, [], data);
   }
 
   // 既存アニメーションループを停止
@@ -92,8 +97,12 @@ function loadData(jsonText) {
     rafId = 0;
   }
 
-  // シーン構築
+  // シーン構築（エラーのあるデータの表示で無効にしたコントロールは setupUI の前に戻す）
+  setControlsLocked('invalid', false);
+  previewData = null;
+  floorData = data;
   viewer.loadFloorData(data);
+  nodalLinesMode = undefined;
 
   // アニメーションコントローラ初期化
   animController = new AnimationController(data);
@@ -104,11 +113,22 @@ function loadData(jsonText) {
     animController,
     floorData: data,
     onFileLoad: handleFileLoad,
+    renderFrame,
   });
 
+  // 比較表示中なら比較側のモード対応付けを更新
+  onMainDataLoaded();
+
+  // 節点・線要素の選択と時刻歴グラフを解除
+  resetInspector();
+  resetHistory();
+  resetModeTable();
+
+  // 起動時の URL ハッシュの表示状態を復元し、このデータのブックマークを読み込む
+  restoreViewState();
+
   // 初回描画（アニメーションループ開始前にレンダリング）
-  viewer.updateDeformed((id) => animController.getDisplacedZ(id));
-  viewer.render();
+  renderFrame();
 
   // アニメーションループ開始
   prevTimestamp = 0;
@@ -118,11 +138,238 @@ function loadData(jsonText) {
 }
 
 /**
- * ファイル読込コールバック。
- * @param {string} jsonText
+ * 検証エラーのあるデータを表示する。描画できる部分（extractDrawableGeometry）があれば表示中のデータに代えて
+ * その形を表示し、問題の節点・線要素を指すエラー・警告はクリックでその要素へ視点を寄せられるようにする。
+ * データに依存するコントロールは次のデータを読み込むまで無効にする。描画できる節点がなければ
+ * 表示中のデータをそのまま残す。
+ *
+ * @param {object} data  parseFloorData / normalizeFloorData の戻り値
+ * @param {import('./validator.js').Issue[]} errors
+ * @param {import('./validator.js').Issue[]} warnings
  */
-function handleFileLoad(jsonText) {
-  loadData(jsonText);
+function showInvalidData(data, errors, warnings) {
+  const geometry = extractDrawableGeometry(data);
+  if (!geometry) {
+    showMessages(errors, warnings);
+    return;
+  }
+
+  if (rafId) {
+    cancelAnimationFrame(rafId);
+    rafId = 0;
+  }
+
+  // モードのないモデルとして表示（アニメーション・比較・選択は解除）
+  closeCompare();
+  floorData = null;
+  animController = null;
+  previewData = geometry;
+  viewer.loadFloorData(geometry);
+  nodalLinesMode = undefined;
+  resetInspector();
+  resetHistory();
+  resetModeTable();
+  setControlsLocked('invalid', true);
+
+  showMessages(errors, warnings, [], geometry);
+
+  prevTimestamp = 0;
+  rafId = requestAnimationFrame(animationLoop);
+}
+
+/**
+ * UFF (.unv / .uff) テキストからデータを読み込み、シーンを構築する。
+ *
+ * @param {string} text  UFF テキスト
+ * @param {string} fileName  ファイル名（タイトルに使用）
+ * @returns {boolean} 成功したら true
+ */
+function loadUffData(text, fileName) {
+  clearMessages();
+
+  let data;
+  try {
+    data = parseUffFile(text, fileName);
+  } catch (err) {
+    showMessages(
+      [{ code: 'E_UFF_PARSE', key: 'errorUffParse', params: { msg: err.message } }],
+      [],
+    );
+    return false;
+  }
+
+  return applyFloorData(data);
+}
+
+/**
+ * UFF テキストを床構面データに変換する（タイトルはファイル名から拡張子を除いたもの）。
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {object} normalizeFloorData の戻り値
+ */
+function parseUffFile(text, fileName) {
+  return normalizeFloorData(parseUffText(text, fileName.replace(/\.[^.]+$/, '')));
+}
+
+/**
+ * ファイル名・内容から UFF 形式かを判定する。
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isUffFile(text, fileName) {
+  return /\.(unv|uff)$/i.test(fileName) || isUffText(text);
+}
+
+/**
+ * JSON / UFF テキストを床構面データに変換する（MAC の比較データ読込用）。
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {object}
+ * @throws {Error} パースに失敗した場合
+ */
+function parseFile(text, fileName) {
+  return isUffFile(text, fileName) ? parseUffFile(text, fileName) : parseFloorData(text);
+}
+
+/**
+ * ファイル読込コールバック（ファイル選択・ドロップ・URL 読込の共通処理）。
+ * 拡張子 .unv / .uff、または内容が UFF 形式なら UFF として、それ以外は JSON として読み込む。
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {boolean} 成功したら true
+ */
+function handleFileLoad(text, fileName = '') {
+  const ok = isUffFile(text, fileName) ? loadUffData(text, fileName || 'uff') : loadData(text);
+  if (ok && fileName) showLoadedFileName(fileName);
+  return ok;
+}
+
+/**
+ * URL のデータファイル（JSON / UFF）を取得して読み込む。読込中・取得失敗はメッセージ欄に表示する。
+ * @param {string} url  ページからの相対 URL または絶対 URL
+ * @param {'errorFetch'|'errorFetchData'} errorKey  取得失敗時のメッセージキー
+ * @returns {Promise<boolean>} 読み込めたら true
+ */
+async function loadFromUrl(url, errorKey) {
+  const fail = (err) => {
+    console.error('Data load failed:', err);
+    showMessages([{ code: 'E_FETCH', key: errorKey, params: { url, msg: err.message } }], []);
+    return false;
+  };
+
+  let resolved;
+  try {
+    resolved = new URL(url, location.href);
+  } catch (err) {
+    return fail(err);
+  }
+  // 表示・UFF の判定に使うファイル名。復号できない % を含む名前（例: 100%.json）はそのまま使う
+  const segment = resolved.pathname.split('/').pop();
+  let fileName;
+  try {
+    fileName = decodeURIComponent(segment);
+  } catch {
+    fileName = segment;
+  }
+  showMessages([], [], [{ code: 'I_LOADING', key: 'loadingData', params: { name: fileName || url } }]);
+
+  let text;
+  try {
+    const res = await fetch(resolved);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    return fail(err);
+  }
+  return handleFileLoad(text, fileName);
+}
+
+/**
+ * ローカルファイル（ドロップされたもの）を読み込む。
+ * @param {File} file
+ */
+async function loadLocalFile(file) {
+  showMessages([], [], [{ code: 'I_LOADING', key: 'loadingData', params: { name: file.name } }]);
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    showMessages([{ code: 'E_FILE_READ', key: 'errorFileRead', params: { name: file.name, msg: err.message } }], []);
+    return;
+  }
+  handleFileLoad(text, file.name);
+}
+
+/**
+ * 3D ビューへのファイルのドラッグ＆ドロップ読込を設定する。
+ * ドラッグ中はドロップ先を強調表示し、ビュー外へのドロップでブラウザがファイルを開かないようにする。
+ * @param {HTMLElement} container
+ */
+function setupDropLoad(container) {
+  const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+  let depth = 0; // 子要素への出入りでも dragleave が来るため入れ子の深さで判定
+
+  window.addEventListener('dragover', (e) => { if (hasFiles(e)) e.preventDefault(); });
+  window.addEventListener('drop', (e) => { if (hasFiles(e)) e.preventDefault(); });
+
+  // 録画中は読み込まない（ドロップは既定の動作だけ止める）
+  container.addEventListener('dragenter', (e) => {
+    if (!hasFiles(e) || areControlsLocked('recording')) return;
+    if (depth++ === 0) {
+      container.dataset.dropHint = t('dropHint');
+      container.classList.add('drop-active');
+    }
+  });
+  container.addEventListener('dragleave', (e) => {
+    if (!hasFiles(e)) return;
+    if (--depth <= 0) {
+      depth = 0;
+      container.classList.remove('drop-active');
+    }
+  });
+  container.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    container.classList.remove('drop-active');
+    const file = e.dataTransfer.files[0];
+    if (file && !areControlsLocked('recording')) loadLocalFile(file);
+  });
+}
+
+/**
+ * 現在時刻の変形を反映して 1 フレーム描画する。
+ * アニメーションループと録画の両方から呼ばれる。
+ */
+function renderFrame() {
+  if (!animController || !viewer) return;
+
+  // 変形線更新
+  viewer.updateDeformed((id) => animController.getDisplacedPosition(id));
+
+  // コンター色更新（コンター OFF 時は viewer 側で何もしない）
+  viewer.updateContour((id) => animController.getDisplacement(id), animController.getPeakAmplitude());
+
+  // 節線（単一モード表示のみ。モードが変わったときだけ計算し直す）
+  const nodalMode = animController.isSuperposition() ? null : animController.getCurrentMode();
+  if (nodalMode !== nodalLinesMode) {
+    nodalLinesMode = nodalMode;
+    viewer.setNodalLines(nodalMode === null ? null : computeNodalLines(floorData, nodalMode));
+  }
+
+  // 描画
+  viewer.render();
+
+  // 選択中の節点・線要素の変位表示と時刻歴グラフのカーソルを更新
+  updateInspectorFrame();
+  updateHistoryFrame();
+
+  // 表示状態を URL ハッシュに反映（間引きあり）
+  updateViewStateFrame();
+
+  // 比較表示中は比較側も同じ時刻で描画
+  renderCompareFrame();
 }
 
 /**
@@ -139,16 +386,19 @@ function animationLoop(timestamp) {
   const delta = (timestamp - prevTimestamp) / 1000;
   prevTimestamp = timestamp;
 
-  if (!animController || !viewer) return;
+  if (!viewer) return;
+
+  // データ未読込・エラーのあるデータの表示中は視点の操作だけ描画する
+  if (!animController) {
+    viewer.render();
+    return;
+  }
 
   // アニメーション更新
   animController.update(delta);
 
-  // 変形線更新
-  viewer.updateDeformed((id) => animController.getDisplacedZ(id));
-
-  // 描画
-  viewer.render();
+  // 変形線更新・描画
+  renderFrame();
 
   // 時間表示
   updateTimeDisplay(animController.getTime());
@@ -162,6 +412,10 @@ export async function initApp() {
   // 言語初期化
   initLang();
   applyTranslations();
+  setupLangToggle();
+
+  // エラー・警告の表示（言語切替・要素へのリンク）。WebGL の初期化失敗も表示するため viewer より先に設定する
+  setupMessages({ getMain: () => ({ viewer, floorData, preview: previewData }) });
 
   const canvasContainer = document.getElementById('canvas-container');
 
@@ -171,7 +425,7 @@ export async function initApp() {
   } catch (err) {
     console.error('FloorViewer init failed:', err);
     showMessages(
-      [{ code: 'E_WEBGL', message: t('errorWebGL', { msg: err.message }) }],
+      [{ code: 'E_WEBGL', key: 'errorWebGL', params: { msg: err.message } }],
       [],
     );
     return;
@@ -187,24 +441,43 @@ export async function initApp() {
     viewer.setThemeColors(true);
   }
 
+  // CSV/TSV 表データ読込ダイアログ
+  setupImporter({ onImport: applyFloorData });
+
+  // MAC 行列ダイアログ
+  setupMacPanel({ getFloorData: () => floorData, parseFile });
+
+  // 比較表示
+  setupCompare({ getMain: () => ({ viewer, animController, floorData }), parseFile });
+
+  // 節点・線要素の情報パネル（クリックで選択）
+  setupInspector({ getMain: () => ({ viewer, animController, floorData }) });
+
+  // 選択節点の時刻歴グラフ
+  setupHistory({ getMain: () => ({ animController, floorData }) });
+
+  // モード一覧表
+  setupModeTable({ getMain: () => ({ animController, floorData }) });
+
+  // 表示状態の URL 共有・ブックマーク
+  setupViewState({ getMain: () => ({ viewer, animController, floorData }) });
+
   // ウィンドウリサイズ対応
   window.addEventListener('resize', () => {
     if (viewer) viewer.resize();
+    resizeCompare();
   });
 
-  // サンプル JSON 自動読込
-  try {
-    const res = await fetch('Sample/sample_case.json');
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const jsonText = await res.text();
-    loadData(jsonText);
-  } catch (err) {
-    console.error('Sample data load failed:', err);
-    showMessages(
-      [{ code: 'E_FETCH', message: t('errorFetch', { msg: err.message }) }],
-      [],
-    );
-    // サンプル読込失敗でも viewer は動かしておく
+  // 3D ビューへのドラッグ＆ドロップ読込
+  setupDropLoad(canvasContainer);
+
+  // ?data=<URL> のデータ、指定がなければサンプル JSON を自動読込
+  const dataUrl = new URLSearchParams(location.search).get('data');
+  const loaded = dataUrl
+    ? await loadFromUrl(dataUrl, 'errorFetchData')
+    : await loadFromUrl('Sample/sample_case.json', 'errorFetch');
+  if (!loaded && !rafId) {
+    // 読込失敗でも viewer は動かしておく
     prevTimestamp = 0;
     rafId = requestAnimationFrame(animationLoop);
   }
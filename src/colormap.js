@@ -0,0 +1,149 @@
+/**
+ * colormap.js -- コンター表示用カラーマップ・凡例描画
+ *
+ * 各カラーマップは 0〜1 の位置に置いた sRGB 制御点の区分線形補間で表す。
+ *
+ * @module colormap
+ */
+
+/** カラーマップ定義: Array<[位置, r, g, b]>（r, g, b は 0〜1 の sRGB） */
+const COLORMAPS = {
+  jet: [
+    [0.0, 0.0, 0.0, 0.5],
+    [0.11, 0.0, 0.0, 1.0],
+    [0.125, 0.0, 0.0, 1.0],
+    [0.375, 0.0, 1.0, 1.0],
+    [0.625, 1.0, 1.0, 0.0],
+    [0.875, 1.0, 0.0, 0.0],
+    [1.0, 0.5, 0.0, 0.0],
+  ],
+  viridis: [
+    [0.0, 0.267, 0.005, 0.329],
+    [0.125, 0.283, 0.141, 0.458],
+    [0.25, 0.254, 0.265, 0.530],
+    [0.375, 0.207, 0.372, 0.553],
+    [0.5, 0.164, 0.471, 0.558],
+    [0.625, 0.128, 0.567, 0.551],
+    [0.75, 0.135, 0.659, 0.518],
+    [0.875, 0.478, 0.821, 0.318],
+    [1.0, 0.993, 0.906, 0.144],
+  ],
+  // 発散型（青 → 白 → 赤）
+  bwr: [
+    [0.0, 0.230, 0.299, 0.754],
+    [0.25, 0.552, 0.690, 0.996],
+    [0.5, 0.950, 0.950, 0.950],
+    [0.75, 0.958, 0.604, 0.482],
+    [1.0, 0.706, 0.016, 0.150],
+  ],
+};
+
+/** 利用可能なカラーマップ名 */
+export const COLORMAP_NAMES = Object.keys(COLORMAPS);
+
+/**
+ * カラーマップから色を取得する。
+ *
+ * @param {string} name  カラーマップ名（未定義の場合は jet）
+ * @param {number} t     0〜1 の位置（範囲外はクランプ）
+ * @returns {[number, number, number]} sRGB (0〜1)
+ */
+export function sampleColormap(name, t) {
+  const stops = COLORMAPS[name] || COLORMAPS.jet;
+  const x = Number.isFinite(t) ? Math.max(0, Math.min(1, t)) : 0;
+
+  for (let i = 1; i < stops.length; i++) {
+    const [p1, r1, g1, b1] = stops[i];
+    if (x <= p1) {
+      const [p0, r0, g0, b0] = stops[i - 1];
+      const w = p1 > p0 ? (x - p0) / (p1 - p0) : 0;
+      return [r0 + (r1 - r0) * w, g0 + (g1 - g0) * w, b0 + (b1 - b0) * w];
+    }
+  }
+  const [, r, g, b] = stops[stops.length - 1];
+  return [r, g, b];
+}
+
+/**
+ * 数値を凡例の目盛り用に整形する。
+ * @param {number} v
+ * @returns {string}
+ */
+function formatTick(v) {
+  if (v === 0) return '0';
+  const abs = Math.abs(v);
+  if (abs >= 1000 || abs < 0.01) return v.toExponential(2);
+  return v.toPrecision(3);
+}
+
+/**
+ * 凡例（縦型カラーバー + 目盛り + タイトル）を 2D コンテキストに描画する。
+ * 画面オーバーレイと PNG / 録画出力の両方で使用する。
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} legend
+ * @param {string} legend.colormap  カラーマップ名
+ * @param {number} legend.min       最小値
+ * @param {number} legend.max       最大値
+ * @param {string} legend.title     タイトル（例: "|u| [m]"）
+ * @param {boolean} [legend.isDark] ダークテーマか
+ * @param {number} x  左上 x [px]
+ * @param {number} y  左上 y [px]
+ * @param {number} [scale=1]  描画倍率（出力解像度に合わせる）
+ */
+export function drawLegend(ctx, { colormap, min, max, title, isDark }, x, y, scale = 1) {
+  const barW = 16 * scale;
+  const barH = 160 * scale;
+  const pad = 8 * scale;
+  const fontSize = 11 * scale;
+  const titleH = fontSize + 6 * scale;
+  const tickCount = 5;
+
+  ctx.save();
+  ctx.font = `600 ${fontSize}px "Courier New", Courier, monospace`;
+
+  const ticks = [];
+  for (let i = 0; i < tickCount; i++) {
+    const v = max - (max - min) * (i / (tickCount - 1));
+    ticks.push(formatTick(v));
+  }
+  const labelW = Math.max(...ticks.map((s) => ctx.measureText(s).width));
+  const titleW = ctx.measureText(title).width;
+  const boxW = Math.max(barW + 6 * scale + labelW, titleW) + pad * 2;
+  const boxH = titleH + barH + pad * 2;
+
+  // 背景
+  ctx.fillStyle = isDark ? 'rgba(30, 30, 46, 0.85)' : 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(x, y, boxW, boxH);
+
+  // タイトル
+  const textColor = isDark ? '#eee' : '#333';
+  ctx.fillStyle = textColor;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillText(title, x + pad, y + pad);
+
+  // カラーバー（上が最大値）
+  const barX = x + pad;
+  const barY = y + pad + titleH;
+  const steps = Math.max(2, Math.round(barH));
+  for (let i = 0; i < steps; i++) {
+    const [r, g, b] = sampleColormap(colormap, 1 - i / (steps - 1));
+    ctx.fillStyle = `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+    ctx.fillRect(barX, barY + (barH * i) / steps, barW, barH / steps + 1);
+  }
+  ctx.strokeStyle = textColor;
+  ctx.lineWidth = Math.max(1, scale);
+  ctx.strokeRect(barX, barY, barW, barH);
+
+  // 目盛り
+  ctx.fillStyle = textColor;
+  ctx.textBaseline = 'middle';
+  ticks.forEach((label, i) => {
+    const ty = barY + (barH * i) / (tickCount - 1);
+    ctx.fillRect(barX + barW, ty - 0.5 * scale, 3 * scale, 1 * scale);
+    ctx.fillText(label, barX + barW + 6 * scale, ty);
+  });
+
+  ctx.restore();
+}
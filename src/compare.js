@@ -0,0 +1,318 @@
+/**
+ * compare.js -- 2 データの比較表示（画面分割・カメラ連動・時刻共有・モード対応付け）
+ *
+ * 2 つ目のデータ（JSON / UFF）を右側の FloorViewer に読み込み、
+ * 左側（メイン）と視点・再生/停止・時刻・倍率・変位成分・正規化・表示設定を共有する。
+ * 比較側のモードはメイン側のモードと対応付けて表示し、既定では MAC が最大となるモードを選ぶ。
+ * 比較側のモードごとに符号を反転でき、ソルバーによって逆向きのモード形を揃えられる。
+ *
+ * @module compare
+ */
+
+import { t, onLangChange } from './i18n.js';
+import { validateFloorData } from './validator.js';
+import { formatMessage } from './messages.js';
+import { FloorViewer } from './viewer.js';
+import { AnimationController } from './animation.js';
+import { computeMacMatrix } from './mac.js';
+import { computeNodalLines } from './nodallines.js';
+
+/** @type {FloorViewer|null} */
+let compareViewer = null;
+
+/** @type {AnimationController|null} */
+let compareAnim = null;
+
+/** @type {object|null} 比較側データ */
+let compareData = null;
+
+/** @type {import('./mac.js').MacResult|null} メイン × 比較側の MAC（自動対応付け用） */
+let macResult = null;
+
+/** @type {number|null} 比較側で節線を計算済みのモード */
+let compareNodalMode = null;
+
+/** @type {()=>{ viewer: FloorViewer, animController: AnimationController|null, floorData: object|null }} */
+let getMain = () => ({ viewer: null, animController: null, floorData: null });
+
+/**
+ * 比較表示を初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>{ viewer: FloorViewer, animController: AnimationController|null, floorData: object|null }} params.getMain
+ *   メイン側の viewer・animController・データを返す関数
+ * @param {(text:string, fileName:string)=>object} params.parseFile  JSON / UFF テキストをデータに変換する関数
+ */
+export function setupCompare({ getMain: getMainFn, parseFile }) {
+  getMain = getMainFn;
+
+  const fileInput    = document.getElementById('compare-file');
+  const btnLoad      = document.getElementById('btn-compare-load');
+  const btnClose     = document.getElementById('btn-compare-close');
+  const modeSelect   = document.getElementById('compare-mode-select');
+  const chkAutoMatch = document.getElementById('chk-compare-automatch');
+  const chkFlip      = document.getElementById('chk-compare-flip');
+  const mainSelect   = document.getElementById('mode-select');
+  const controls     = document.getElementById('controls');
+
+  btnLoad.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = parseFile(await file.text(), file.name);
+      const { errors } = validateFloorData(data);
+      if (errors.length > 0) throw new Error(formatMessage(errors[0]));
+    } catch (err) {
+      alert(t('alertFileError', { msg: err.message }));
+      return;
+    }
+
+    try {
+      openCompare(data);
+    } catch (err) {
+      closeCompare();
+      alert(t('errorWebGL', { msg: err.message }));
+      return;
+    }
+    document.getElementById('compare-file-name').textContent = file.name;
+  });
+
+  btnClose.addEventListener('click', closeCompare);
+
+  modeSelect.addEventListener('change', () => {
+    if (!compareAnim) return;
+    chkAutoMatch.checked = false;
+    compareAnim.setMode(Number(modeSelect.value));
+    chkFlip.checked = compareAnim.isModeFlipped();
+    updatePaneLabels();
+  });
+
+  // 解析と実験などでソルバーによって符号が逆のモードを揃える
+  chkFlip.addEventListener('change', () => {
+    if (compareAnim) compareAnim.setModeFlipped(compareAnim.getCurrentMode(), chkFlip.checked);
+  });
+
+  chkAutoMatch.addEventListener('change', () => {
+    if (chkAutoMatch.checked) pairCompareMode();
+  });
+
+  // メイン側のモード変更に追従（自動対応付け ON の場合）
+  mainSelect.addEventListener('change', () => {
+    if (!compareAnim) return;
+    if (chkAutoMatch.checked) pairCompareMode();
+    updatePaneLabels();
+  });
+
+  // パネル操作（表示切替・線スタイル・コンター・テーマ・再生/停止）を比較側にも反映
+  const syncSettings = () => {
+    if (!compareViewer) return;
+    compareViewer.copyViewSettingsFrom(getMain().viewer);
+    updatePaneLabels();
+  };
+  controls.addEventListener('input', syncSettings);
+  controls.addEventListener('change', syncSettings);
+  controls.addEventListener('click', syncSettings);
+
+  // 言語切替で比較側の文言を作り直す（メイン側のモード選択肢は ui.js が先に作り直す）
+  onLangChange(() => {
+    if (!compareViewer) {
+      document.getElementById('compare-file-name').textContent = t('fileNameNone');
+      return;
+    }
+    rebuildCompareModeOptions();
+    updatePaneLabels();
+  });
+}
+
+/**
+ * メイン側のデータ再読込後に呼ぶ。MAC・モード対応付け・表示設定を更新する。
+ */
+export function onMainDataLoaded() {
+  if (!compareViewer) return;
+  macResult = computePairingMac();
+  pairCompareMode();
+  compareViewer.copyViewSettingsFrom(getMain().viewer);
+  updatePaneLabels();
+}
+
+/**
+ * 比較側を 1 フレーム描画する（メイン側の時刻・倍率・変位成分・減衰包絡線・正規化・振幅に合わせる）。
+ * app.renderFrame から毎フレーム呼ばれる。
+ */
+export function renderCompareFrame() {
+  const { animController } = getMain();
+  if (!compareViewer || !compareAnim || !animController) return;
+
+  compareAnim.setTime(animController.getTime());
+  compareAnim.setScale(animController.getScale());
+  compareAnim.setComponentMode(animController.getComponentMode());
+  compareAnim.setDecay(animController.isDecay());
+  compareAnim.setNormalization(animController.getNormalization());
+  compareAnim.setAbsolute(animController.getAbsolute());
+
+  compareViewer.updateDeformed((id) => compareAnim.getDisplacedPosition(id));
+  compareViewer.updateContour((id) => compareAnim.getDisplacement(id), compareAnim.getPeakAmplitude());
+
+  // 節線は比較側モードが変わったときだけ計算し直す
+  if (compareAnim.getCurrentMode() !== compareNodalMode) {
+    compareNodalMode = compareAnim.getCurrentMode();
+    compareViewer.setNodalLines(computeNodalLines(compareData, compareNodalMode));
+  }
+  compareViewer.render();
+}
+
+/**
+ * 比較側ビューアーのリサイズ（ウィンドウリサイズ時）
+ */
+export function resizeCompare() {
+  if (compareViewer) compareViewer.resize();
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 比較表示を開始する（既に比較中ならデータを差し替える）
+ * @param {object} data  比較側データ
+ * @throws {Error} ビューアーの初期化に失敗した場合
+ */
+function openCompare(data) {
+  const main = getMain();
+  const container = document.getElementById('canvas-container-compare');
+
+  if (compareViewer) {
+    compareViewer.dispose();
+    compareViewer = null;
+  }
+
+  container.hidden = false;
+  document.getElementById('app-container').classList.add('compare-active');
+  main.viewer.resize();
+
+  compareViewer = new FloorViewer(container);
+  compareViewer.resize();
+  compareViewer.loadFloorData(data);
+  compareViewer.setContour({ unit: (data.meta && data.meta.lengthUnit) || '' });
+  compareViewer.copyViewSettingsFrom(main.viewer);
+  main.viewer.linkCamera(compareViewer);
+
+  compareData = data;
+  compareAnim = new AnimationController(data);
+  compareNodalMode = null;
+  macResult = computePairingMac();
+
+  document.getElementById('compare-controls').hidden = false;
+  document.getElementById('chk-compare-automatch').checked = true;
+  rebuildCompareModeOptions();
+  pairCompareMode();
+  updatePaneLabels();
+  renderCompareFrame();
+}
+
+/**
+ * 比較表示を終了し、メイン側を全幅に戻す。
+ * メイン側に検証エラーのあるデータを表示するとき（比較の相手がなくなるとき）は app からも呼ぶ。
+ */
+export function closeCompare() {
+  const main = getMain();
+  if (compareViewer) {
+    compareViewer.dispose();
+  }
+  compareViewer = null;
+  compareAnim = null;
+  compareData = null;
+  macResult = null;
+
+  document.getElementById('canvas-container-compare').hidden = true;
+  document.getElementById('app-container').classList.remove('compare-active');
+  document.getElementById('compare-controls').hidden = true;
+  document.getElementById('compare-file-name').textContent = t('fileNameNone');
+  document.getElementById('pane-label-main').hidden = true;
+  if (main.viewer) main.viewer.resize();
+}
+
+/**
+ * メイン × 比較側の MAC を計算する（共通節点がなければ null）
+ * @returns {import('./mac.js').MacResult|null}
+ */
+function computePairingMac() {
+  const { floorData } = getMain();
+  if (!floorData || !compareData) return null;
+  try {
+    return computeMacMatrix(floorData, compareData);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * メイン側の選択モードに対応する比較側モードを選ぶ。
+ * MAC が計算できれば最大 MAC のモード、できなければ同じ番号のモード（なければ先頭）。
+ */
+function pairCompareMode() {
+  if (!compareAnim) return;
+  const mainMode = Number(document.getElementById('mode-select').value);
+  const modes = compareAnim.getModeList();
+  let paired = modes.includes(mainMode) ? mainMode : modes[0];
+
+  const row = macResult ? macResult.modesA.indexOf(mainMode) : -1;
+  if (row >= 0) {
+    const values = macResult.values[row];
+    let best = 0;
+    for (let j = 1; j < values.length; j++) {
+      if (values[j] > values[best]) best = j;
+    }
+    paired = macResult.modesB[best];
+  }
+
+  compareAnim.setMode(paired);
+  document.getElementById('compare-mode-select').value = String(paired);
+  document.getElementById('chk-compare-flip').checked = compareAnim.isModeFlipped();
+}
+
+/**
+ * 比較側モードの選択肢を（現在の言語で）作り直す
+ */
+function rebuildCompareModeOptions() {
+  if (!compareAnim) return;
+  const select = document.getElementById('compare-mode-select');
+  const current = compareAnim.getCurrentMode();
+  select.innerHTML = '';
+  for (const modeNum of compareAnim.getModeList()) {
+    const opt = document.createElement('option');
+    opt.value = String(modeNum);
+    opt.textContent = t('modeOption', { n: modeNum, f: compareAnim.getFreqHz(modeNum).toFixed(2) });
+    select.appendChild(opt);
+  }
+  if (current !== null) select.value = String(current);
+}
+
+/**
+ * 各画面左上のラベル（タイトル・モード・MAC）を更新する
+ */
+function updatePaneLabels() {
+  const mainLabel = document.getElementById('pane-label-main');
+  const compareLabel = document.getElementById('pane-label-compare');
+  if (!compareAnim) return;
+
+  const { floorData } = getMain();
+  const mainSelect = document.getElementById('mode-select');
+  const mainOption = mainSelect.selectedOptions[0];
+  const mainTitle = (floorData && floorData.meta && floorData.meta.title) || '';
+  mainLabel.textContent = `A: ${mainTitle} — ${mainOption ? mainOption.textContent : ''}`;
+  mainLabel.hidden = false;
+
+  const mode = compareAnim.getCurrentMode();
+  const compareTitle = (compareData.meta && compareData.meta.title) || '';
+  let text = `B: ${compareTitle} — ${t('modeOption', { n: mode, f: compareAnim.getFreqHz(mode).toFixed(2) })}`;
+  if (macResult) {
+    const i = macResult.modesA.indexOf(Number(mainSelect.value));
+    const j = macResult.modesB.indexOf(mode);
+    if (i >= 0 && j >= 0) text += ` / MAC = ${macResult.values[i][j].toFixed(3)}`;
+  }
+  compareLabel.textContent = text;
+}
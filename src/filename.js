@@ -0,0 +1,31 @@
+/**
+ * filename.js -- 保存ファイル名（PNG・録画・MAC CSV・時刻歴 CSV）の共通部品
+ *
+ * @module filename
+ */
+
+/**
+ * データのタイトルをファイル名用にする（ケバブケース: 空白→ハイフン、小文字、英数字とハイフンのみ）。
+ * タイトルがない・変換後に空になる場合は 'untitled'。
+ * @param {string|undefined} title  meta.title
+ * @returns {string}
+ */
+export function toFileTitle(title) {
+  return (title || 'untitled')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '') || 'untitled';
+}
+
+/**
+ * 表示中のモードのファイル名用の表記（例: mode3。重ね合わせ中は選択モードを "+" で連結して mode1+3）
+ * @param {import('./animation.js').AnimationController} animController
+ * @returns {string}
+ */
+export function toFileModeTag(animController) {
+  const terms = animController.getSuperposition();
+  if (terms && terms.length > 0) return `mode${terms.map((term) => term.mode).join('+')}`;
+  const mode = animController.getCurrentMode() ?? animController.getModeList()[0] ?? 1;
+  return `mode${mode}`;
+}
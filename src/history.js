@@ -0,0 +1,322 @@
+/**
+ * history.js -- 選択節点の変位時刻歴グラフ（再生時刻カーソル・スクラブ・CSV 出力）
+ *
+ * 情報パネルから追加した節点の u_i(t)（表示変位の 1 成分）を、
+ * ループ周期（単一モードでは 1/f、重ね合わせ・減衰包絡線ではその繰り返し周期）の
+ * 指定周期数分だけ 2D グラフに描く。カーソルは AnimationController.getTime() に追従し、
+ * グラフ上のドラッグで時刻を直接動かせる（再生中なら停止する）。
+ *
+ * @module history
+ */
+
+import { t, onLangChange } from './i18n.js';
+import { downloadBlob } from './recorder.js';
+import { toFileTitle, toFileModeTag } from './filename.js';
+
+/** 1 周期あたりの標本数と、全体の標本数の上限 */
+const SAMPLES_PER_PERIOD = 120;
+const MAX_SAMPLES = 2400;
+
+/** 系列の色（節点の追加順に割り当て） */
+const SERIES_COLORS = ['#e6194b', '#3a86ff', '#2a9d8f', '#f4a261', '#9b5de5', '#8d6e63', '#ff66c4', '#6c757d'];
+
+/** 同時に表示できる節点数の上限 */
+const MAX_NODES = SERIES_COLORS.length;
+
+/** グラフ余白 [CSS px] */
+const PAD = { left: 52, right: 10, top: 8, bottom: 20 };
+
+/** @type {number[]} グラフに表示する節点 ID（追加順） */
+let nodeIds = [];
+
+/** @type {{ key: string, span: number, times: Float64Array, series: Float64Array[] }|null} 標本のキャッシュ */
+let samples = null;
+
+/** @type {()=>{ animController: import('./animation.js').AnimationController|null, floorData: object|null }} */
+let getMain = () => ({ animController: null, floorData: null });
+
+/**
+ * 時刻歴グラフを初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>{ animController: import('./animation.js').AnimationController|null, floorData: object|null }} params.getMain
+ *   メイン側の animController・データを返す関数
+ */
+export function setupHistory({ getMain: getMainFn }) {
+  getMain = getMainFn;
+
+  const canvas = document.getElementById('history-canvas');
+  const periodsInput = document.getElementById('history-periods');
+
+  document.getElementById('history-btn-close').addEventListener('click', resetHistory);
+  document.getElementById('history-btn-csv').addEventListener('click', exportCsv);
+  periodsInput.addEventListener('change', () => {
+    periodsInput.value = String(clampPeriods(periodsInput.value));
+  });
+
+  // グラフ上のドラッグで時刻をスクラブ
+  const scrub = (e) => {
+    const { animController } = getMain();
+    if (!animController || !samples) return;
+    const rect = canvas.getBoundingClientRect();
+    const plotWidth = rect.width - PAD.left - PAD.right;
+    const frac = Math.min(1, Math.max(0, (e.clientX - rect.left - PAD.left) / plotWidth));
+    animController.setTime(frac * samples.span);
+  };
+  canvas.addEventListener('pointerdown', (e) => {
+    const { animController } = getMain();
+    if (!animController) return;
+    // 再生中は停止ボタン経由で止める（停止時の表示切替を UI 側に任せる）
+    if (animController.isPlaying()) document.getElementById('btn-stop').click();
+    canvas.setPointerCapture(e.pointerId);
+    scrub(e);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (canvas.hasPointerCapture(e.pointerId)) scrub(e);
+  });
+
+  onLangChange(renderNodeChips);
+}
+
+/**
+ * 節点をグラフに追加してパネルを表示する（追加済み・上限超過の場合は何もしない）
+ * @param {number} nodeId
+ */
+export function addHistoryNode(nodeId) {
+  if (nodeIds.includes(nodeId) || nodeIds.length >= MAX_NODES) return;
+  nodeIds.push(nodeId);
+  samples = null;
+  document.getElementById('history-panel').hidden = false;
+  renderNodeChips();
+}
+
+/**
+ * 全節点を外してパネルを閉じる。データ再読込時にも呼ぶ。
+ */
+export function resetHistory() {
+  nodeIds = [];
+  samples = null;
+  document.getElementById('history-panel').hidden = true;
+  renderNodeChips();
+}
+
+/**
+ * グラフを描画する（設定が変わっていれば標本を取り直す）。app.renderFrame から毎フレーム呼ばれる。
+ */
+export function updateHistoryFrame() {
+  const { animController } = getMain();
+  if (nodeIds.length === 0 || !animController) return;
+
+  const key = samplingKey(animController);
+  if (!samples || samples.key !== key) {
+    samples = sample(animController, key);
+  }
+  drawChart(animController);
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 周期数の入力値を 1〜10 に丸める
+ * @param {string|number} value
+ * @returns {number}
+ */
+function clampPeriods(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(10, Math.max(1, n)) : 1;
+}
+
+/**
+ * 表示中の成分 ('ux' | 'uy' | 'uz')
+ * @returns {'ux'|'uy'|'uz'}
+ */
+function component() {
+  return document.getElementById('history-comp').value;
+}
+
+/**
+ * 標本の取り直しが必要かを判定するキー（モード・重ね合わせ・倍率・振幅・成分・減衰・正規化・符号反転・周期数・節点）
+ * @param {import('./animation.js').AnimationController} animController
+ * @returns {string}
+ */
+function samplingKey(animController) {
+  return JSON.stringify([
+    animController.getCurrentMode(),
+    animController.getSuperposition(),
+    animController.getScale(),
+    animController.getComponentMode(),
+    animController.isDecay(),
+    animController.getNormalization(),
+    animController.getFlippedModes(),
+    animController.getAbsolute(),
+    clampPeriods(document.getElementById('history-periods').value),
+    component(),
+    nodeIds,
+  ]);
+}
+
+/**
+ * 指定周期数分の時刻歴を標本化する
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {string} key
+ * @returns {{ key: string, span: number, times: Float64Array, series: Float64Array[] }}
+ */
+function sample(animController, key) {
+  const periods = clampPeriods(document.getElementById('history-periods').value);
+  const fLoop = animController.getLoopFreqHz();
+  const span = fLoop > 0 ? periods / fLoop : periods;
+  const count = Math.min(MAX_SAMPLES, SAMPLES_PER_PERIOD * periods) + 1;
+  const comp = component();
+
+  const times = new Float64Array(count);
+  for (let k = 0; k < count; k++) times[k] = span * k / (count - 1);
+  const series = nodeIds.map((id) => times.map((time) => animController.getDisplacementAt(id, time)[comp]));
+
+  return { key, span, times, series };
+}
+
+/**
+ * 時刻歴と現在時刻のカーソルを描画する
+ * @param {import('./animation.js').AnimationController} animController
+ */
+function drawChart(animController) {
+  const canvas = document.getElementById('history-canvas');
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (width === 0 || height === 0) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const style = getComputedStyle(canvas);
+  const textColor = style.getPropertyValue('--text-label').trim() || '#555';
+  const gridColor = style.getPropertyValue('--border-color').trim() || '#ccc';
+
+  // 縦軸範囲（全系列の最大絶対値で対称）
+  let peak = 0;
+  for (const s of samples.series) {
+    for (const v of s) peak = Math.max(peak, Math.abs(v));
+  }
+  if (peak === 0) peak = 1;
+
+  const plotW = width - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const x = (time) => PAD.left + time / samples.span * plotW;
+  const y = (v) => PAD.top + (1 - (v / peak + 1) / 2) * plotH;
+
+  // 枠・ゼロ線・目盛
+  ctx.strokeStyle = gridColor;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(PAD.left, PAD.top, plotW, plotH);
+  ctx.beginPath();
+  ctx.moveTo(PAD.left, y(0));
+  ctx.lineTo(PAD.left + plotW, y(0));
+  ctx.stroke();
+
+  const { floorData } = getMain();
+  const unit = (floorData && floorData.meta && floorData.meta.lengthUnit) || '';
+  ctx.fillStyle = textColor;
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(formatNum(peak), PAD.left - 4, y(peak));
+  ctx.fillText(`0${unit ? ` ${unit}` : ''}`, PAD.left - 4, y(0));
+  ctx.fillText(formatNum(-peak), PAD.left - 4, y(-peak));
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillText('0', PAD.left, PAD.top + plotH + 4);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${formatNum(samples.span)} s`, PAD.left + plotW, PAD.top + plotH + 4);
+  ctx.textAlign = 'center';
+  ctx.fillText(`${component()}(t)`, PAD.left + plotW / 2, PAD.top + plotH + 4);
+
+  // 系列
+  ctx.lineWidth = 1.5;
+  samples.series.forEach((s, i) => {
+    ctx.strokeStyle = SERIES_COLORS[i];
+    ctx.beginPath();
+    for (let k = 0; k < s.length; k++) {
+      if (k === 0) ctx.moveTo(x(samples.times[k]), y(s[k]));
+      else ctx.lineTo(x(samples.times[k]), y(s[k]));
+    }
+    ctx.stroke();
+  });
+
+  // 現在時刻のカーソル（窓の長さで折り返す）と各系列の現在値
+  const time = animController.getTime() % samples.span;
+  ctx.strokeStyle = textColor;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x(time), PAD.top);
+  ctx.lineTo(x(time), PAD.top + plotH);
+  ctx.stroke();
+  nodeIds.forEach((id, i) => {
+    const v = animController.getDisplacementAt(id, time)[component()];
+    ctx.fillStyle = SERIES_COLORS[i];
+    ctx.beginPath();
+    ctx.arc(x(time), y(v), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+}
+
+/**
+ * 節点の凡例（色・ID・削除ボタン）を作り直す
+ */
+function renderNodeChips() {
+  const container = document.getElementById('history-nodes');
+  container.innerHTML = '';
+  nodeIds.forEach((id, i) => {
+    const chip = document.createElement('span');
+    chip.className = 'history-chip';
+    chip.style.borderColor = SERIES_COLORS[i];
+    chip.textContent = t('inspectNode', { id });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.textContent = '×';
+    btnRemove.title = t('historyRemove');
+    btnRemove.addEventListener('click', () => {
+      nodeIds = nodeIds.filter((n) => n !== id);
+      samples = null;
+      if (nodeIds.length === 0) resetHistory();
+      else renderNodeChips();
+    });
+    chip.appendChild(btnRemove);
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * 表示中の時刻歴を CSV ファイルとして保存する（1 列目が時刻、以降が節点ごとの値）
+ */
+function exportCsv() {
+  const { floorData, animController } = getMain();
+  if (!samples || !animController) return;
+
+  const unit = (floorData && floorData.meta && floorData.meta.lengthUnit) || '';
+  const comp = component();
+  const header = ['t [s]', ...nodeIds.map((id) => `node ${id} ${comp}${unit ? ` [${unit}]` : ''}`)];
+  const rows = [header.join(',')];
+  samples.times.forEach((time, k) => {
+    rows.push([time.toFixed(6), ...samples.series.map((s) => s[k].toPrecision(6))].join(','));
+  });
+
+  const title = toFileTitle(floorData && floorData.meta && floorData.meta.title);
+  const blob = new Blob(['\uFEFF' + rows.join('\r\n') + '\r\n'], { type: 'text/csv' });
+  downloadBlob(blob, `history_${title}_${toFileModeTag(animController)}.csv`);
+}
+
+/**
+ * 軸目盛用の数値整形（有効数字 3 桁）
+ * @param {number} v
+ * @returns {string}
+ */
+function formatNum(v) {
+  return String(Number(v.toPrecision(3)));
+}
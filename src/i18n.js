@@ -13,7 +13,58 @@ const dict = {
     labelSpeed: '速度',
     labelScale: '倍率',
     labelVisibility: '表示切替',
-    labelLoadJson: 'JSON読込',
+    optPlaybackSpeed: '実時間 × 倍率',
+    optPlaybackPeriod: '1 周期の秒数を指定',
+    labelCycleSeconds: '1 周期 =',
+    speedInfoRealtime: '1 周期 {cycle} s で再生（f = {f} Hz、実時間の {speed} 倍）',
+    speedInfoPeriod: '実時間の {speed} 倍で再生（f = {f} Hz、1 周期 {cycle} s）',
+    speedInfoTooFast: '速すぎて形が読み取りにくい場合は「1 周期の秒数を指定」を選んでください。',
+    labelAmplitude: '振幅',
+    optAmpRelative: '相対（床寸法の 1/10 × 倍率）',
+    optAmpData: '実変位（モード値 = mode_unit の変位）',
+    optAmpPeak: '実変位（最大振幅を指定）',
+    labelAmpPeak: '最大振幅',
+    labelAmpExaggeration: '誇張倍率',
+    ampInfoRelative: '変位は床の最大寸法の 1/10 を基準とした相対値です（実際の振幅ではありません）。',
+    ampInfoNoUnit: '変位は相対値です。meta.length_unit（m・mm 等）があれば実変位で表示できます。',
+    ampInfoData: 'モード値を {modeUnit} の変位として表示します。表示値の単位: {unit}（描画は誇張倍率を掛けた変形）。',
+    ampInfoPeak: '最大振幅を指定値とした実変位です。表示値の単位: {unit}（描画は誇張倍率を掛けた変形）。',
+    labelComponents: '変位成分',
+    labelNormalization: 'モード形の正規化',
+    optNormMaxAbs: '最大値 = 1',
+    optNormUnit: 'ノルム = 1',
+    optNormMass: '質量正規化（一般化質量 = 1）',
+    optNormAsIs: 'データの値のまま',
+    optNormAsIsUnit: 'データの値のまま [{unit}]',
+    chkFlipSign: 'このモードの符号を反転',
+    chkCompareFlip: '比較側モードの符号を反転',
+    chkSuperpose: 'モード重ね合わせ',
+    labelContour: 'コンター',
+    optContourOff: 'なし',
+    optContourAbs: '変位量 |u|',
+    optContourSigned: '鉛直変位 uz（符号付き）',
+    optColormapBwr: '青–赤',
+    superposeWeight: '重み',
+    superposePhase: '位相 [°]',
+    optComponentsVertical: '鉛直のみ (uz)',
+    optComponentsFull: '全成分 (ux, uy, uz)',
+    chkDecay: '減衰包絡線 exp(−ζωt)',
+    labelView: '視点',
+    btnViewTop: '平面',
+    btnViewFront: '立面 X-Z',
+    btnViewSide: '立面 Y-Z',
+    btnViewIso: 'アイソメ',
+    chkOrtho: '平行投影（パースなし）',
+    labelBookmarks: 'ビューの保存・共有',
+    bookmarkNone: '-- ブックマーク --',
+    btnBookmarkSave: '保存',
+    btnBookmarkDelete: '削除',
+    bookmarkPrompt: 'ブックマーク名（同名は上書き）',
+    bookmarkDefaultName: 'モード {n} ×{s}',
+    btnCopyLink: '🔗 リンクをコピー',
+    copyLinkDone: '✓ コピーしました',
+    copyLinkPrompt: 'この URL をコピーしてください',
+    labelLoadJson: 'JSON / UFF 読込',
     btnSelectFile: 'ファイルを選択',
     fileNameNone: '選択なし',
     btnPlay: '▶ 再生',
@@ -28,28 +79,185 @@ const dict = {
     chkAxes: '軸',
     chkGrid: 'グリッド',
     chkNodeIds: '節点番号',
-    fileInputHint: '解析結果のJSONファイルを選択して読み込みます',
+    chkSurface: 'シェル面',
+    chkNodalLines: '節線 (uz = 0)',
+    chkSupports: '支点',
+    supportFixed: '固定',
+    supportPinned: 'ピン',
+    supportSpring: 'ばね',
+    labelSurfaceOpacity: '面の不透明度',
+    labelStoreys: '階',
+    labelStoreyExplode: '分解表示の間隔',
+    btnStoreyAll: 'すべて表示',
+    btnStoreySolo: 'のみ',
+    btnStoreySoloTitle: 'この階だけを表示',
+    storeyLabel: 'レベル {n} (z = {z})',
+    storeyLabelNamed: '{name} (z = {z})',
+    storeyNodeCount: '節点 {n} 個',
+    fileInputHint: '解析結果の JSON または UFF (.unv / .uff) ファイルを選択するか、3D ビューにドロップして読み込みます',
+    btnImportTable: '📋 表データ (CSV/TSV) 読込',
+    importTitle: '表データ (CSV/TSV) 読込',
+    importHint: '節点・線要素・振動数・モード形の CSV/TSV ファイルを選択するか、シートを貼り付けてください。1 枚のシートに複数の表を含める場合は [nodes] のような見出し行で区切ります。',
+    importBtnFiles: 'ファイルを追加',
+    importBtnParse: '貼り付けを解析',
+    importBtnOk: '読込',
+    importBtnCancel: 'キャンセル',
+    importNoTables: '表がありません',
+    importRowCount: '{n} 行',
+    importRemove: 'この表を除外',
+    importColumnNone: '(なし)',
+    importWideHint: '節点列以外の各列を 1 モードとして読み込みます（列名の数字 = モード番号、"5.2 Hz" 等の表記があれば振動数）',
+    importBuildError: '表データの変換に失敗しました: {msg}',
+    massColMode: 'モード',
+    massColModeTitle: 'モード番号',
+    massColFreq: 'f [Hz]',
+    massColFreqTitle: '固有振動数',
+    massColModalMass: 'M',
+    massColModalMassTitle: '一般化質量 M = Σ m (ux² + uy² + uz²)',
+    massColGamma: 'Γz',
+    massColGammaTitle: '鉛直刺激係数 Γz = Σ m uz / M',
+    massColRatio: 'Meff %',
+    massColRatioTitle: '鉛直有効質量比 (Σ m uz)² / M / Σ m',
+    massColCumulative: 'Σ %',
+    massColCumulativeTitle: '鉛直有効質量比の累積',
+    massSummary: '総質量 {m} / 累積有効質量比 {c}%',
+    labelCompare: '比較表示',
+    btnCompareLoad: '比較データ読込',
+    labelCompareMode: '比較側モード',
+    chkCompareAutoMatch: 'MAC 最大のモードを自動対応',
+    btnCompareClose: '比較を終了',
+    labelMac: 'モード相関 (MAC)',
+    btnMac: '▦ MAC 行列',
+    btnModeTable: '☰ モード一覧',
+    modeTableTitle: 'モード一覧',
+    modeTableHint: '列見出しのクリックで並べ替え、行のクリックでモードを切り替えます（重ね合わせ中は不可）。',
+    modeTableColMode: 'モード',
+    modeTableColModeTitle: 'モード番号',
+    modeTableColFreq: 'f [Hz]',
+    modeTableColFreqTitle: '固有振動数',
+    modeTableColPeriod: 'T [s]',
+    modeTableColPeriodTitle: '固有周期 T = 1 / f',
+    modeTableColMaxNode: '最大節点',
+    modeTableColMaxNodeTitle: '|uz| が最大の節点',
+    modeTableColX: 'x',
+    modeTableColXTitle: '最大節点の x 座標',
+    modeTableColY: 'y',
+    modeTableColYTitle: '最大節点の y 座標',
+    modeTableColZ: 'z',
+    modeTableColZTitle: '最大節点の z 座標',
+    modeTableColMaxUz: 'uz',
+    modeTableColMaxUzTitle: '最大節点の uz（並べ替えは絶対値。複素モードは実部が最大になる位相での値）',
+    modeTableColPositive: '+',
+    modeTableColPositiveTitle: 'uz > 0 の節点数',
+    modeTableColNegative: '−',
+    modeTableColNegativeTitle: 'uz < 0 の節点数',
+    modeTableColCrossings: '節線交差',
+    modeTableColCrossingsTitle: '両端の uz の符号が異なる辺（線要素・シェル要素の辺）の数',
+    macTitle: 'MAC 行列',
+    macSourceAuto: '自己 MAC（読込中のデータ）',
+    macSourceCompare: '2 つ目のデータと比較',
+    macHint: '行: 読込中のデータのモード、列: 比較データのモード。節点 ID が共通の節点の (ux, uy, uz) で計算します。',
+    macBtnCsv: 'CSV 出力',
+    macBtnClose: '閉じる',
+    macTooltip: 'モード {a} ({fa} Hz) × モード {b} ({fb} Hz): MAC = {v}',
+    macNodeCount: '共通節点数: {n}',
+    macError: 'MAC を計算できません: {msg}',
+    importKind_nodes: '節点',
+    importKind_lines: '線要素',
+    importKind_freq: '振動数',
+    importKind_modesWide: 'モード形（横持ち）',
+    importKind_modesLong: 'モード形（縦持ち）',
     modeOption: 'モード {n} ({f} Hz)',
     freqDisplay: 'f = {f} Hz',
+    dampingDisplay: 'ζ = {z} %',
+    complexModeTag: '複素モード',
+    inspectNode: '節点 {id}',
+    inspectLine: '線要素 {id}',
+    inspectLineLink: '線要素 {id}（→ 節点 {other}）',
+    inspectCoords: '座標 (x, y, z)',
+    inspectMass: '質量',
+    inspectSupport: '支点',
+    inspectDisp: '表示変位 u(t)',
+    inspectLength: '長さ',
+    inspectLines: '接続する線要素',
+    inspectNone: 'なし',
+    inspectClose: '閉じる',
+    historyTitle: '時刻歴',
+    historyAdd: '時刻歴グラフに追加',
+    historyRemove: 'グラフから外す',
+    historyBtnCsv: 'CSV 出力',
     timeDisplay: 't = {t} s',
     loadingOption: '-- 読込中 --',
     labelLineStyle: '線の設定',
     alertPngStop: 'PNG保存はアニメーション停止中のみ実行できます。',
     alertPngFail: 'PNG保存失敗: {msg}',
+    labelRecord: '録画',
+    unitPeriods: '周期',
+    btnRecord: '● 録画',
+    btnRecording: '録画中… {p}%',
+    alertRecordFail: '録画失敗: {msg}',
+    alertRecordTooLong: '録画が長すぎます（{duration} 秒・{frames} フレーム）。上限は {maxDuration} 秒・{maxFrames} フレームです。周期数・フレームレートを減らすか、再生速度を上げてください。',
     alertFileError: 'ファイル読込エラー: {msg}',
     errorJsonParse: 'E_JSON_PARSE: {msg}',
+    errorUffParse: 'E_UFF_PARSE: {msg}',
+    errorDataConvert: 'E_DATA_CONVERT: データを読み込めません: {msg}',
     errorWebGL: 'E_WEBGL: 3D描画の初期化に失敗しました: {msg}',
     errorFetch: 'E_FETCH: サンプルデータの読込に失敗しました: {msg}',
+    errorFetchData: 'E_FETCH: データ {url} の読込に失敗しました: {msg}',
+    errorFileRead: 'E_FILE_READ: {name} を読み込めませんでした: {msg}',
+    loadingData: '読込中: {name} …',
+    dropHint: 'ここにドロップして読込（JSON / UFF）',
+    msgFocusTitle: 'クリックでこの要素を選択して視点を寄せます',
+    // 検証結果（validator の code。params を埋め込む）
+    E_MISSING_KEY: '必須キー "{key}" がありません',
+    E_ENTRY_INVALID: '{key}[{index}] がオブジェクトではありません',
+    E_NODES_EMPTY: 'nodes が空です',
+    E_NODE_ID_INVALID: '節点 ID {node} は正の整数でなければなりません',
+    E_NODE_INVALID: '節点 {node} がオブジェクトではありません',
+    E_NODE_COORD_INVALID: '節点 {node} の {axis} 座標 {value} が有限の数値ではありません',
+    E_NODE_LEVEL_INVALID: '節点 {node} の level {value} は空でない文字列か数値でなければなりません',
+    E_NODE_DUPLICATE: '節点 ID {node} が重複しています',
+    E_MASS_NODE_UNDEF: '質量 (masses) が未定義の節点 {node} を参照しています',
+    E_MASS_INVALID: '節点 {node} の質量 {value} は 0 以上の有限の数値でなければなりません',
+    W_MASS_ZERO_TOTAL: '節点質量の合計が 0 のため、モード質量を計算できません',
+    E_SUPPORT_NODE_UNDEF: '支点 (supports) が未定義の節点 {node} を参照しています',
+    E_SUPPORT_TYPE_INVALID: '節点 {node} の支点の種類 {value} は {allowed} のいずれかでなければなりません',
+    E_LINES_EMPTY: 'lines が空です',
+    E_LINE_DUPLICATE: '線要素 ID {line}（lines[{index}]）が重複しています',
+    E_LINE_NODE_UNDEF: '線要素 {line}（lines[{index}]）の {end} = {node} が nodes に定義されていません',
+    E_LINE_SELF_LOOP: '線要素 {line}（lines[{index}]）の両端が同じ節点 {node} です',
+    E_ELEMENT_DUPLICATE: 'シェル要素 ID {element}（elements[{index}]）が重複しています',
+    E_ELEMENT_NODE_COUNT: 'シェル要素 {element}（elements[{index}]）の節点数 {count} は 3 または 4 でなければなりません',
+    E_ELEMENT_NODE_UNDEF: 'シェル要素 {element}（elements[{index}]）の節点 {node} が nodes に定義されていません',
+    E_ELEMENT_DEGENERATE: 'シェル要素 {element}（elements[{index}]、節点 {nodes}）は節点が重複しているか面積が 0 です',
+    E_FREQ_NAN: 'モード {mode} の振動数 {value} が数値ではありません',
+    E_FREQ_INFINITY: 'モード {mode} の振動数 {value} が無限大です',
+    E_FREQ_NON_POSITIVE: 'モード {mode} の振動数 {value} は 0 より大きくなければなりません',
+    W_FREQ_HIGH: 'モード {mode} の振動数 {value} Hz が {limit} Hz を超えており、アニメーションが見にくい場合があります',
+    E_MODE_FREQ_MISMATCH: 'モード {mode} が {present} にはありますが {missing} にありません',
+    E_MODE_NODE_UNDEF: 'モード {mode} が未定義の節点 {node} を参照しています',
+    E_UZ_NAN: 'モード {mode} の節点 {node} の uz が数値ではありません',
+    E_UZ_INFINITY: 'モード {mode} の節点 {node} の uz が無限大です',
+    E_UXY_NAN: 'モード {mode} の節点 {node} の {component} が数値ではありません',
+    E_UXY_INFINITY: 'モード {mode} の節点 {node} の {component} が無限大です',
+    E_MODE_IMAG_INVALID: 'モード {mode} の節点 {node} の {component} の虚部 {value} が有限の数値ではありません',
+    W_MODE_ALL_ZERO: 'モード {mode} の変位がすべて 0 です（|u| ≦ {eps}）',
+    W_SUPPORT_UZ_NONZERO: '節点 {node} は支点（{type}）ですが、モード {modes} で uz が 0 ではありません',
+    E_DAMPING_INVALID: 'モード {mode} の減衰比 {value} は 0 以上 1 未満の数値でなければなりません',
+    W_DAMPING_MODE_UNDEF: '減衰比 (damping) のモード {mode} が modes にありません',
+    W_NODE_LEVEL_PARTIAL: 'level が {total} 節点中 {count} 節点にしか指定されていないため、階は z 座標から検出します',
+    W_NODE_Z_MIXED: '節点の z 座標が水平な階に分かれません（床が平面でない可能性があります）',
     helpTitle: '使い方',
     helpContent:
-      '1. サンプルデータが自動的に読み込まれます。独自のJSONファイルを「JSON読込」から読み込むこともできます。\n' +
-      '2. 「モード」ドロップダウンで振動モードを切り替えます。\n' +
+      '1. サンプルデータが自動的に読み込まれます。独自のJSON・UFF（.unv / .uff）ファイルを「JSON / UFF 読込」または 3D ビューへのドラッグ＆ドロップで読み込むこともできます。URL に ?data=<ファイルの URL> を付けると、そのデータを起動時に読み込みます。CSV/TSV の表データは「表データ読込」から列を対応付けて読み込めます。読込時のエラー・警告は画面下部に表示され、節点・線要素に関する警告はクリックでその要素を選択して視点を寄せます。\n' +
+      '2. 「モード」ドロップダウンで振動モードを切り替えます。「モード一覧」では全モードの振動数・周期・最大変位の節点・節線の交差数などを並べ替えて比較でき、行のクリックでそのモードに切り替わります。「モード形の正規化」で最大値・ノルム・質量による正規化を選べ、「符号を反転」でソルバーによって逆向きのモード形を揃えられます。「モード重ね合わせ」をONにすると、選択した複数モードを重み・位相付きで合成表示します。\n' +
       '3. 「再生」で振動アニメーションを開始、「停止」で一時停止します。\n' +
-      '4. 「速度」スライダーでアニメーション速度を調整します（0.2x〜2.0x）。\n' +
-      '5. 「倍率」スライダーで変形表示のスケールを調整します（0.5〜3.0）。\n' +
-      '6. 「表示切替」チェックボックスで各要素の表示/非表示を制御します。\n' +
+      '4. 「速度」でアニメーション速度を調整します。実時間に対する倍率は対数目盛のスライダーまたは数値で入力でき（0.001x〜10x、範囲外の入力は端の値に直します）、「1 周期の秒数を指定」では振動数によらず 1 周期を指定の秒数で再生します（高次モードのちらつき防止。実時間に対する倍率も表示）。\n' +
+      '5. 「倍率」スライダーで変形表示のスケールを調整します（0.5〜3.0）。「振幅」で実変位を選ぶと、モード値（mode_unit）または指定した最大振幅 [mm] による実際の変位を表示し、描画は「誇張倍率」で拡大します（表示値は length_unit の実変位）。複素モードは節点ごとの位相差（進行波）で表示され、減衰比のあるモードは「減衰包絡線」で自由振動の減衰を表示できます。\n' +
+      '6. 「比較データ読込」で 2 つ目のデータを右側に並べて表示し、視点・再生・時刻を連動できます。「表示切替」チェックボックスで各要素の表示/非表示を制御します（「節線」で現在モードの uz = 0 の位置を未変形の床上に緑で表示、「支点」で固定・ピン・ばねの支点記号を表示）。多層モデル（節点の level 指定、または z 座標の異なる複数の床）では「階」で階ごとに表示を切り替え（「のみ」でその階だけを表示）、「分解表示の間隔」で階の間を広げて表示できます。「コンター」で変形線を変位量に応じて色分けし、凡例を表示します。\n' +
       '7. アニメーション停止中に「PNG保存」でスクリーンショットを保存できます。\n' +
-      '8. マウスドラッグで回転、右クリックドラッグでパン、スクロールでズームできます。',
+      '8. 「録画」で現在モードの指定周期分を WebM 動画またはアニメーション GIF として保存できます（ループ再生可能）。\n' +
+      '9. マウスドラッグで回転、右クリックドラッグでパン、スクロールでズームできます。「視点」のボタンまたは右上のビューキューブの面クリックで平面・立面・アイソメの視点に切り替わり、「平行投影」でパースのない図にできます。表示状態（モード・倍率・表示設定・視点など）は URL に反映され、「リンクをコピー」で同じ表示を共有できます。「保存」でデータごとに名前付きのビューを保存できます。節点・線要素をクリックすると、座標・全モードのモード値・現在の変位・接続要素を情報パネルに表示します。節点は「時刻歴グラフに追加」で変位の時刻歴を重ねて表示でき（グラフ上のドラッグで時刻を移動、CSV 出力可）、節点間の位相差を確認できます。',
   },
   en: {
     pageTitle: 'Floor Mode Anime',
@@ -59,7 +267,58 @@ const dict = {
     labelSpeed: 'Speed',
     labelScale: 'Scale',
     labelVisibility: 'Visibility',
-    labelLoadJson: 'Load JSON',
+    optPlaybackSpeed: 'Real time × factor',
+    optPlaybackPeriod: 'Seconds per cycle',
+    labelCycleSeconds: '1 cycle =',
+    speedInfoRealtime: 'One cycle plays in {cycle} s (f = {f} Hz, {speed}× real time)',
+    speedInfoPeriod: 'Playing at {speed}× real time (f = {f} Hz, one cycle in {cycle} s)',
+    speedInfoTooFast: 'If the shape is hard to follow, choose "Seconds per cycle".',
+    labelAmplitude: 'Amplitude',
+    optAmpRelative: 'Relative (1/10 of floor size × scale)',
+    optAmpData: 'Absolute (mode values in mode_unit)',
+    optAmpPeak: 'Absolute (given peak amplitude)',
+    labelAmpPeak: 'Peak amplitude',
+    labelAmpExaggeration: 'Exaggeration',
+    ampInfoRelative: 'Displacements are relative to 1/10 of the largest floor dimension (not real amplitudes).',
+    ampInfoNoUnit: 'Displacements are relative. Set meta.length_unit (m, mm, ...) to show absolute displacements.',
+    ampInfoData: 'Mode values are shown as displacements in {modeUnit}. Displayed values in {unit} (the drawing is exaggerated).',
+    ampInfoPeak: 'Absolute displacements scaled to the given peak amplitude. Displayed values in {unit} (the drawing is exaggerated).',
+    labelComponents: 'Components',
+    labelNormalization: 'Mode shape normalization',
+    optNormMaxAbs: 'Max = 1',
+    optNormUnit: 'Unit norm',
+    optNormMass: 'Mass-normalized (modal mass = 1)',
+    optNormAsIs: 'As in the data',
+    optNormAsIsUnit: 'As in the data [{unit}]',
+    chkFlipSign: 'Flip the sign of this mode',
+    chkCompareFlip: 'Flip the sign of the compared mode',
+    chkSuperpose: 'Mode superposition',
+    labelContour: 'Contour',
+    optContourOff: 'Off',
+    optContourAbs: 'Magnitude |u|',
+    optContourSigned: 'Vertical uz (signed)',
+    optColormapBwr: 'Blue–Red',
+    superposeWeight: 'Weight',
+    superposePhase: 'Phase [°]',
+    optComponentsVertical: 'Vertical only (uz)',
+    optComponentsFull: 'Full (ux, uy, uz)',
+    chkDecay: 'Decay envelope exp(−ζωt)',
+    labelView: 'View',
+    btnViewTop: 'Plan',
+    btnViewFront: 'Elevation X-Z',
+    btnViewSide: 'Elevation Y-Z',
+    btnViewIso: 'Isometric',
+    chkOrtho: 'Orthographic (no perspective)',
+    labelBookmarks: 'Save & share view',
+    bookmarkNone: '-- Bookmarks --',
+    btnBookmarkSave: 'Save',
+    btnBookmarkDelete: 'Delete',
+    bookmarkPrompt: 'Bookmark name (same name overwrites)',
+    bookmarkDefaultName: 'Mode {n} x{s}',
+    btnCopyLink: '🔗 Copy link',
+    copyLinkDone: '✓ Copied',
+    copyLinkPrompt: 'Copy this URL',
+    labelLoadJson: 'Load JSON / UFF',
     btnSelectFile: 'Choose File',
     fileNameNone: 'No file chosen',
     btnPlay: '▶ Play',
@@ -74,33 +333,192 @@ const dict = {
     chkAxes: 'Axes',
     chkGrid: 'Grid',
     chkNodeIds: 'Node IDs',
-    fileInputHint: 'Select an analysis result JSON file to load',
+    chkSurface: 'Shell surface',
+    chkNodalLines: 'Nodal lines (uz = 0)',
+    chkSupports: 'Supports',
+    supportFixed: 'Fixed',
+    supportPinned: 'Pinned',
+    supportSpring: 'Spring',
+    labelSurfaceOpacity: 'Surface opacity',
+    labelStoreys: 'Storeys',
+    labelStoreyExplode: 'Exploded spacing',
+    btnStoreyAll: 'Show all',
+    btnStoreySolo: 'Only',
+    btnStoreySoloTitle: 'Show only this storey',
+    storeyLabel: 'Level {n} (z = {z})',
+    storeyLabelNamed: '{name} (z = {z})',
+    storeyNodeCount: '{n} nodes',
+    fileInputHint: 'Select an analysis result JSON or UFF (.unv / .uff) file, or drop it onto the 3D view, to load it',
+    btnImportTable: '📋 Import table (CSV/TSV)',
+    importTitle: 'Import table data (CSV/TSV)',
+    importHint: 'Choose CSV/TSV files for nodes, lines, frequencies and mode shapes, or paste a sheet. Separate several tables in one sheet with heading rows such as [nodes].',
+    importBtnFiles: 'Add files',
+    importBtnParse: 'Parse pasted text',
+    importBtnOk: 'Load',
+    importBtnCancel: 'Cancel',
+    importNoTables: 'No tables',
+    importRowCount: '{n} rows',
+    importRemove: 'Remove this table',
+    importColumnNone: '(none)',
+    importWideHint: 'Every column other than the node column is read as one mode (number in the header = mode number, "5.2 Hz" in the header = frequency)',
+    importBuildError: 'Failed to convert table data: {msg}',
+    massColMode: 'Mode',
+    massColModeTitle: 'Mode number',
+    massColFreq: 'f [Hz]',
+    massColFreqTitle: 'Natural frequency',
+    massColModalMass: 'M',
+    massColModalMassTitle: 'Generalized mass M = Σ m (ux² + uy² + uz²)',
+    massColGamma: 'Γz',
+    massColGammaTitle: 'Vertical participation factor Γz = Σ m uz / M',
+    massColRatio: 'Meff %',
+    massColRatioTitle: 'Vertical effective mass ratio (Σ m uz)² / M / Σ m',
+    massColCumulative: 'Σ %',
+    massColCumulativeTitle: 'Cumulative vertical effective mass ratio',
+    massSummary: 'Total mass {m} / cumulative effective mass {c}%',
+    labelCompare: 'Compare',
+    btnCompareLoad: 'Load comparison data',
+    labelCompareMode: 'Compared mode',
+    chkCompareAutoMatch: 'Pair with the highest-MAC mode',
+    btnCompareClose: 'End comparison',
+    labelMac: 'Mode correlation (MAC)',
+    btnMac: '▦ MAC matrix',
+    btnModeTable: '☰ Mode table',
+    modeTableTitle: 'Mode table',
+    modeTableHint: 'Click a column header to sort, click a row to switch to that mode (not during superposition).',
+    modeTableColMode: 'Mode',
+    modeTableColModeTitle: 'Mode number',
+    modeTableColFreq: 'f [Hz]',
+    modeTableColFreqTitle: 'Natural frequency',
+    modeTableColPeriod: 'T [s]',
+    modeTableColPeriodTitle: 'Natural period T = 1 / f',
+    modeTableColMaxNode: 'Max node',
+    modeTableColMaxNodeTitle: 'Node with the largest |uz|',
+    modeTableColX: 'x',
+    modeTableColXTitle: 'x coordinate of the max node',
+    modeTableColY: 'y',
+    modeTableColYTitle: 'y coordinate of the max node',
+    modeTableColZ: 'z',
+    modeTableColZTitle: 'z coordinate of the max node',
+    modeTableColMaxUz: 'uz',
+    modeTableColMaxUzTitle: 'uz at the max node (sorted by absolute value; complex modes at the phase with the largest real part)',
+    modeTableColPositive: '+',
+    modeTableColPositiveTitle: 'Number of nodes with uz > 0',
+    modeTableColNegative: '−',
+    modeTableColNegativeTitle: 'Number of nodes with uz < 0',
+    modeTableColCrossings: 'Crossings',
+    modeTableColCrossingsTitle: 'Number of edges (line elements and shell edges) whose end nodes have opposite signs of uz',
+    macTitle: 'MAC matrix',
+    macSourceAuto: 'Auto-MAC (loaded data)',
+    macSourceCompare: 'Compare with a second dataset',
+    macHint: 'Rows: modes of the loaded data, columns: modes of the compared data. Computed from (ux, uy, uz) at nodes whose IDs exist in both.',
+    macBtnCsv: 'Export CSV',
+    macBtnClose: 'Close',
+    macTooltip: 'Mode {a} ({fa} Hz) × mode {b} ({fb} Hz): MAC = {v}',
+    macNodeCount: 'Common nodes: {n}',
+    macError: 'Cannot compute MAC: {msg}',
+    importKind_nodes: 'Nodes',
+    importKind_lines: 'Lines',
+    importKind_freq: 'Frequencies',
+    importKind_modesWide: 'Mode shapes (wide)',
+    importKind_modesLong: 'Mode shapes (long)',
     modeOption: 'Mode {n} ({f} Hz)',
     freqDisplay: 'f = {f} Hz',
+    dampingDisplay: 'ζ = {z} %',
+    complexModeTag: 'complex mode',
+    inspectNode: 'Node {id}',
+    inspectLine: 'Line {id}',
+    inspectLineLink: 'Line {id} (→ node {other})',
+    inspectCoords: 'Coordinates (x, y, z)',
+    inspectMass: 'Mass',
+    inspectSupport: 'Support',
+    inspectDisp: 'Displayed u(t)',
+    inspectLength: 'Length',
+    inspectLines: 'Connected lines',
+    inspectNone: 'None',
+    inspectClose: 'Close',
+    historyTitle: 'Time history',
+    historyAdd: 'Add to time-history plot',
+    historyRemove: 'Remove from plot',
+    historyBtnCsv: 'Export CSV',
     timeDisplay: 't = {t} s',
     loadingOption: '-- loading --',
     labelLineStyle: 'Line Style',
     alertPngStop: 'PNG can only be saved while animation is stopped.',
     alertPngFail: 'PNG save failed: {msg}',
+    labelRecord: 'Record',
+    unitPeriods: 'periods',
+    btnRecord: '● Record',
+    btnRecording: 'Recording… {p}%',
+    alertRecordFail: 'Recording failed: {msg}',
+    alertRecordTooLong: 'The recording is too long ({duration} s, {frames} frames). The limit is {maxDuration} s and {maxFrames} frames. Reduce the periods or frame rate, or raise the playback speed.',
     alertFileError: 'File read error: {msg}',
     errorJsonParse: 'E_JSON_PARSE: {msg}',
+    errorUffParse: 'E_UFF_PARSE: {msg}',
+    errorDataConvert: 'E_DATA_CONVERT: cannot read the data: {msg}',
     errorWebGL: 'E_WEBGL: 3D rendering init failed: {msg}',
     errorFetch: 'E_FETCH: Failed to load sample data: {msg}',
+    errorFetchData: 'E_FETCH: Failed to load data {url}: {msg}',
+    errorFileRead: 'E_FILE_READ: Cannot read {name}: {msg}',
+    loadingData: 'Loading {name} …',
+    dropHint: 'Drop to load (JSON / UFF)',
+    msgFocusTitle: 'Click to select this item and zoom to it',
+    E_MISSING_KEY: 'required key "{key}" is missing',
+    E_ENTRY_INVALID: '{key}[{index}] is not an object',
+    E_NODES_EMPTY: 'nodes is empty',
+    E_NODE_ID_INVALID: 'node id {node} must be a positive integer',
+    E_NODE_INVALID: 'node {node} is not an object',
+    E_NODE_COORD_INVALID: '{axis} = {value} of node {node} is not a finite number',
+    E_NODE_LEVEL_INVALID: 'level {value} of node {node} must be a non-empty string or number',
+    E_NODE_DUPLICATE: 'node id {node} is duplicated',
+    E_MASS_NODE_UNDEF: 'masses refers to undefined node {node}',
+    E_MASS_INVALID: 'mass {value} of node {node} must be a finite non-negative number',
+    W_MASS_ZERO_TOTAL: 'total nodal mass is zero; modal mass cannot be computed',
+    E_SUPPORT_NODE_UNDEF: 'supports refers to undefined node {node}',
+    E_SUPPORT_TYPE_INVALID: 'support type {value} of node {node} must be one of {allowed}',
+    E_LINES_EMPTY: 'lines is empty',
+    E_LINE_DUPLICATE: 'line id {line} (lines[{index}]) is duplicated',
+    E_LINE_NODE_UNDEF: '{end} = {node} of line {line} (lines[{index}]) is not defined in nodes',
+    E_LINE_SELF_LOOP: 'line {line} (lines[{index}]) starts and ends at node {node}',
+    E_ELEMENT_DUPLICATE: 'element id {element} (elements[{index}]) is duplicated',
+    E_ELEMENT_NODE_COUNT: 'element {element} (elements[{index}]) has {count} nodes (must be 3 or 4)',
+    E_ELEMENT_NODE_UNDEF: 'node {node} of element {element} (elements[{index}]) is not defined in nodes',
+    E_ELEMENT_DEGENERATE: 'element {element} (elements[{index}], nodes {nodes}) has repeated nodes or zero area',
+    E_FREQ_NAN: 'frequency {value} of mode {mode} is NaN',
+    E_FREQ_INFINITY: 'frequency {value} of mode {mode} is infinite',
+    E_FREQ_NON_POSITIVE: 'frequency {value} of mode {mode} must be > 0',
+    W_FREQ_HIGH: 'frequency {value} Hz of mode {mode} is above {limit} Hz and may be hard to follow',
+    E_MODE_FREQ_MISMATCH: 'mode {mode} is in {present} but not in {missing}',
+    E_MODE_NODE_UNDEF: 'mode {mode} references undefined node {node}',
+    E_UZ_NAN: 'uz of node {node} in mode {mode} is NaN',
+    E_UZ_INFINITY: 'uz of node {node} in mode {mode} is infinite',
+    E_UXY_NAN: '{component} of node {node} in mode {mode} is NaN',
+    E_UXY_INFINITY: '{component} of node {node} in mode {mode} is infinite',
+    E_MODE_IMAG_INVALID: 'imaginary part {value} of {component} of node {node} in mode {mode} is not a finite number',
+    W_MODE_ALL_ZERO: 'all displacements of mode {mode} are zero (|u| <= {eps})',
+    W_SUPPORT_UZ_NONZERO: 'node {node} is a {type} support but uz is non-zero in mode {modes}',
+    E_DAMPING_INVALID: 'damping ratio {value} of mode {mode} must be a number in [0, 1)',
+    W_DAMPING_MODE_UNDEF: 'damping has mode {mode} but modes does not',
+    W_NODE_LEVEL_PARTIAL: 'level is given for only {count} of {total} nodes; levels are detected from z instead',
+    W_NODE_Z_MIXED: 'node z-coordinates do not form horizontal levels; floor may not be planar',
     helpTitle: 'How to Use',
     helpContent:
-      '1. Sample data loads automatically. You can also load your own JSON via "Load JSON".\n' +
-      '2. Use the "Mode" dropdown to switch between vibration modes.\n' +
+      '1. Sample data loads automatically. You can also load your own JSON or UFF (.unv / .uff) file via "Load JSON / UFF" or by dropping it onto the 3D view. Add ?data=<file URL> to the page URL to load that dataset at start-up. CSV/TSV tables can be loaded with column mapping via "Import table". Load errors and warnings appear at the bottom of the screen; click a warning about a node or line to select it and zoom to it.\n' +
+      '2. Use the "Mode" dropdown to switch between vibration modes. "Mode table" lists frequency, period, the node of maximum displacement, nodal-line crossings etc. for all modes; sort by any column and click a row to switch to that mode. "Mode shape normalization" selects max, unit-norm or mass normalization, and "Flip the sign" aligns modes that a solver outputs with the opposite sign. Enable "Mode superposition" to combine several modes with individual weights and phases.\n' +
       '3. Press "Play" to start animation, "Stop" to pause.\n' +
-      '4. Adjust animation speed with the "Speed" slider (0.2x - 2.0x).\n' +
-      '5. Adjust deformation scale with the "Scale" slider (0.5 - 3.0).\n' +
-      '6. Toggle element visibility with the "Visibility" checkboxes.\n' +
+      '4. Adjust animation speed under "Speed": enter the factor relative to real time on a log-scale slider or as a number (0.001x - 10x; typed values outside the range are clamped), or choose "Seconds per cycle" to play one vibration cycle in a fixed time whatever the frequency (keeps high-frequency modes readable; the real-time factor is shown).\n' +
+      '5. Adjust deformation scale with the "Scale" slider (0.5 - 3.0). Choose an absolute "Amplitude" to show real displacements from the mode values (mode_unit) or from a given peak amplitude in mm; the drawing is magnified by the "Exaggeration" factor while the displayed values stay real (length_unit). Complex modes animate with per-node phase (travelling waves); for modes with a damping ratio, "Decay envelope" shows the decaying free vibration.\n' +
+      '6. "Load comparison data" shows a second dataset side by side with linked camera, playback and time. Toggle element visibility with the "Visibility" checkboxes ("Nodal lines" draws where uz = 0 for the current mode in green on the undeformed floor; "Supports" shows fixed, pinned and spring support symbols). For multi-storey models (a level given on the nodes, or several floors at different z) "Storeys" shows or hides each level ("Only" shows that level alone) and "Exploded spacing" pulls the levels apart. "Contour" colours the deformed lines by displacement and shows a legend.\n' +
       '7. Save a screenshot with "Save PNG" while animation is stopped.\n' +
-      '8. Mouse drag to rotate, right-click drag to pan, scroll to zoom.',
+      '8. "Record" saves the given number of periods of the current mode as a WebM video or animated GIF (loops seamlessly).\n' +
+      '9. Mouse drag to rotate, right-click drag to pan, scroll to zoom. The "View" buttons or a click on a face of the view cube (top right) switch to plan, elevation or isometric views; "Orthographic" removes perspective distortion. The view state (mode, scale, display settings, camera) is kept in the URL; "Copy link" shares the exact view, and "Save" stores named views per dataset. Click a node or line to show its coordinates, mode values of all modes, current displacement and connected items in an info panel. "Add to time-history plot" overlays the displacement history of nodes (drag on the plot to scrub time, export as CSV) to compare their phase.',
   },
 };
 
 let currentLang = 'ja';
 
+/** @type {Array<(lang:'ja'|'en')=>void>} 言語切替の通知先（登録順に呼ぶ） */
+const langListeners = [];
+
 /**
  * 翻訳文字列を取得する。
  * @param {string} key - 辞書キー
@@ -126,18 +544,27 @@ export function t(key, params) {
 }
 
 /**
- * 言語を設定する。
+ * 言語を設定する。言語が変わった場合は onLangChange で登録した関数を呼ぶ。
  * @param {'ja'|'en'} lang
  */
 export function setLang(lang) {
-  if (dict[lang]) {
+  if (dict[lang] && lang !== currentLang) {
     currentLang = lang;
     try {
       localStorage.setItem(STORAGE_KEY, lang);
     } catch { /* localStorage利用不可 */ }
+    for (const listener of langListeners) listener(lang);
   }
 }
 
+/**
+ * 言語切替時に呼ぶ関数を登録する。setLang で言語が変わった後、登録順に呼ばれる。
+ * @param {(lang:'ja'|'en')=>void} listener
+ */
+export function onLangChange(listener) {
+  langListeners.push(listener);
+}
+
 /**
  * 現在の言語コードを返す。
  * @returns {'ja'|'en'}
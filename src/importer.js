@@ -0,0 +1,227 @@
+/**
+ * importer.js -- CSV/TSV 表データ読込ダイアログ（列対応付け UI）
+ *
+ * 複数の CSV/TSV ファイル、またはクリップボードから貼り付けた 1 枚のシートを
+ * 表に分解し、表ごとに種類と列の対応付けを指定して床構面データに変換する。
+ *
+ * @module importer
+ */
+
+import { t } from './i18n.js';
+import { normalizeFloorData } from './parser.js';
+import {
+  TABLE_KINDS,
+  TABLE_FIELDS,
+  parseDelimitedText,
+  guessTableKind,
+  guessColumnMapping,
+  buildRawFloorData,
+} from './tabular.js';
+
+/** プレビュー表示する行数 */
+const PREVIEW_ROWS = 3;
+
+/**
+ * @typedef {{ name: string, kind: string, headers: string[], rows: string[][],
+ *   mapping: Object<string, number>, headerless: boolean }} ImportTable
+ */
+
+/** @type {ImportTable[]} */
+let tables = [];
+
+/**
+ * 表データ読込ダイアログを初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {(data:object)=>void} params.onImport  変換済みデータ（parseFloorData と同じ構造）を受け取るコールバック
+ */
+export function setupImporter({ onImport }) {
+  const dialog     = document.getElementById('import-dialog');
+  const btnOpen    = document.getElementById('btn-import-table');
+  const fileInput  = document.getElementById('import-files');
+  const btnFiles   = document.getElementById('import-btn-files');
+  const pasteArea  = document.getElementById('import-paste');
+  const btnParse   = document.getElementById('import-btn-parse');
+  const btnOk      = document.getElementById('import-btn-ok');
+  const btnCancel  = document.getElementById('import-btn-cancel');
+  const errorEl    = document.getElementById('import-error');
+
+  btnOpen.addEventListener('click', () => {
+    tables = [];
+    pasteArea.value = '';
+    errorEl.textContent = '';
+    renderTables();
+    dialog.showModal();
+  });
+
+  btnFiles.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = '';
+    errorEl.textContent = '';
+    try {
+      for (const file of files) {
+        const text = await file.text();
+        addTables(parseDelimitedText(text, file.name));
+      }
+    } catch (err) {
+      errorEl.textContent = t('alertFileError', { msg: err.message });
+    }
+    renderTables();
+  });
+
+  btnParse.addEventListener('click', () => {
+    errorEl.textContent = '';
+    addTables(parseDelimitedText(pasteArea.value, 'clipboard'));
+    pasteArea.value = '';
+    renderTables();
+  });
+
+  btnCancel.addEventListener('click', () => dialog.close());
+
+  btnOk.addEventListener('click', () => {
+    errorEl.textContent = '';
+    if (tables.length === 0) {
+      errorEl.textContent = t('importNoTables');
+      return;
+    }
+    let data;
+    try {
+      const title = tables.map((tb) => tb.name.replace(/\.[^.]+$/, '')).join(' + ');
+      data = normalizeFloorData(buildRawFloorData(tables, title));
+    } catch (err) {
+      errorEl.textContent = t('importBuildError', { msg: err.message });
+      return;
+    }
+    dialog.close();
+    onImport(data);
+  });
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 解析済みの表に種類・列対応付けの推定値を付けて一覧に追加する
+ * @param {Array<{ name: string, headers: string[], rows: string[][], headerless: boolean }>} parsed
+ */
+function addTables(parsed) {
+  for (const table of parsed) {
+    const kind = guessTableKind(table);
+    tables.push({ ...table, kind, mapping: guessColumnMapping(kind, table.headers) });
+  }
+}
+
+/**
+ * 表の一覧（種類・列対応付け・プレビュー）を描画する
+ */
+function renderTables() {
+  const container = document.getElementById('import-tables');
+  container.innerHTML = '';
+
+  if (tables.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'import-empty';
+    empty.textContent = t('importNoTables');
+    container.appendChild(empty);
+    return;
+  }
+
+  tables.forEach((table, idx) => {
+    const box = document.createElement('div');
+    box.className = 'import-table';
+
+    // 見出し行: 表名・種類・削除ボタン
+    const head = document.createElement('div');
+    head.className = 'import-table-head';
+
+    const name = document.createElement('strong');
+    name.textContent = `${table.name} (${t('importRowCount', { n: table.rows.length })})`;
+
+    const kindSelect = document.createElement('select');
+    for (const kind of TABLE_KINDS) {
+      const opt = document.createElement('option');
+      opt.value = kind;
+      opt.textContent = t(`importKind_${kind}`);
+      kindSelect.appendChild(opt);
+    }
+    kindSelect.value = table.kind;
+    kindSelect.addEventListener('change', () => {
+      table.kind = kindSelect.value;
+      table.mapping = guessColumnMapping(table.kind, table.headers);
+      renderTables();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'import-remove';
+    btnRemove.textContent = '✕';
+    btnRemove.title = t('importRemove');
+    btnRemove.addEventListener('click', () => {
+      tables.splice(idx, 1);
+      renderTables();
+    });
+
+    head.append(name, kindSelect, btnRemove);
+    box.appendChild(head);
+
+    // 列対応付け
+    const mapRow = document.createElement('div');
+    mapRow.className = 'import-mapping';
+    for (const field of TABLE_FIELDS[table.kind]) {
+      const label = document.createElement('label');
+      label.textContent = field.required ? `${field.key}*` : field.key;
+
+      const colSelect = document.createElement('select');
+      if (!field.required) {
+        const none = document.createElement('option');
+        none.value = '-1';
+        none.textContent = t('importColumnNone');
+        colSelect.appendChild(none);
+      }
+      table.headers.forEach((header, col) => {
+        const opt = document.createElement('option');
+        opt.value = String(col);
+        opt.textContent = header;
+        colSelect.appendChild(opt);
+      });
+      colSelect.value = String(table.mapping[field.key] ?? -1);
+      colSelect.addEventListener('change', () => {
+        table.mapping[field.key] = Number(colSelect.value);
+      });
+
+      label.appendChild(colSelect);
+      mapRow.appendChild(label);
+    }
+    if (table.kind === 'modesWide') {
+      const hint = document.createElement('span');
+      hint.className = 'import-hint';
+      hint.textContent = t('importWideHint');
+      mapRow.appendChild(hint);
+    }
+    box.appendChild(mapRow);
+
+    // プレビュー
+    const preview = document.createElement('table');
+    preview.className = 'import-preview';
+    const headTr = document.createElement('tr');
+    for (const header of table.headers) {
+      const th = document.createElement('th');
+      th.textContent = header;
+      headTr.appendChild(th);
+    }
+    preview.appendChild(headTr);
+    for (const row of table.rows.slice(0, PREVIEW_ROWS)) {
+      const tr = document.createElement('tr');
+      for (const cell of row) {
+        const td = document.createElement('td');
+        td.textContent = cell;
+        tr.appendChild(td);
+      }
+      preview.appendChild(tr);
+    }
+    box.appendChild(preview);
+
+    container.appendChild(box);
+  });
+}
@@ -0,0 +1,369 @@
+/**
+ * inspector.js -- 3D ビューでクリックした節点・線要素の情報パネル
+ *
+ * FloorViewer のピック結果を受け取り、選択要素を強調表示して
+ * ID・座標・全モードのモード値（選択中の正規化・符号反転後の値）・現在の変位 u_i(t)・接続要素を表示する。
+ * 現在の変位は毎フレーム更新する。節点は時刻歴グラフ (history.js) に追加できる。
+ *
+ * @module inspector
+ */
+
+import { t, onLangChange } from './i18n.js';
+import { addHistoryNode } from './history.js';
+
+/** @type {{type:'node'|'line', id:number}|null} 選択中の要素 */
+let selection = null;
+
+/** @type {()=>{ viewer: import('./viewer.js').FloorViewer|null,
+ *   animController: import('./animation.js').AnimationController|null, floorData: object|null }} */
+let getMain = () => ({ viewer: null, animController: null, floorData: null });
+
+/**
+ * 情報パネルを初期化する。initApp から 1 回だけ呼ぶ（viewer 生成後）。
+ *
+ * @param {object} params
+ * @param {()=>{ viewer: import('./viewer.js').FloorViewer|null,
+ *   animController: import('./animation.js').AnimationController|null, floorData: object|null }} params.getMain
+ *   メイン側の viewer・animController・データを返す関数
+ */
+export function setupInspector({ getMain: getMainFn }) {
+  getMain = getMainFn;
+
+  getMain().viewer.setPickHandler(select);
+  document.getElementById('inspect-btn-close').addEventListener('click', () => select(null));
+
+  // モード切替・正規化・符号反転で表を作り直す（setupUI のリスナーの後に動くよう親要素で受ける）
+  const controls = document.getElementById('controls');
+  controls.addEventListener('change', (e) => {
+    if (['mode-select', 'chk-superpose', 'norm-select', 'chk-flip-sign'].includes(e.target.id)) renderPanel();
+  });
+  onLangChange(renderPanel);
+}
+
+/**
+ * データ再読込時に呼ぶ。選択を解除してパネルを閉じる。
+ */
+export function resetInspector() {
+  select(null);
+}
+
+/**
+ * 要素を選択してパネルを表示し、3D ビューの視点をその要素へ寄せる（メッセージ欄のリンクから呼ぶ）。
+ * @param {{type:'node'|'line', id:number}} item
+ */
+export function focusItem(item) {
+  select(item);
+  const { viewer } = getMain();
+  if (viewer) viewer.focusItem(item);
+}
+
+/**
+ * 選択要素の現在の変位表示を更新する。app.renderFrame から毎フレーム呼ばれる。
+ */
+export function updateInspectorFrame() {
+  const { animController, floorData } = getMain();
+  if (!selection || !animController || !floorData) return;
+
+  const unit = lengthUnit(floorData);
+  for (const el of document.querySelectorAll('#inspect-content [data-live-node]')) {
+    el.textContent = formatDisplacement(animController.getDisplacement(Number(el.dataset.liveNode)), unit);
+  }
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 要素を選択して強調表示し、パネルを表示する（null で解除）
+ * @param {{type:'node'|'line', id:number}|null} item
+ */
+function select(item) {
+  const { viewer } = getMain();
+  selection = item;
+  if (viewer) viewer.setHighlight(item);
+  renderPanel();
+}
+
+/**
+ * 選択要素の情報でパネルを作り直す
+ */
+function renderPanel() {
+  const panel = document.getElementById('inspect-panel');
+  const content = document.getElementById('inspect-content');
+  const { animController, floorData } = getMain();
+
+  content.innerHTML = '';
+  panel.hidden = !selection || !animController || !floorData;
+  if (panel.hidden) return;
+  document.getElementById('inspect-btn-close').title = t('inspectClose');
+
+  if (selection.type === 'node') {
+    renderNode(content, floorData, animController, selection.id);
+  } else {
+    renderLine(content, floorData, animController, selection.id);
+  }
+  updateInspectorFrame();
+}
+
+/**
+ * 節点の情報（座標・質量・変位・モード値・接続する線要素）
+ * @param {HTMLElement} content
+ * @param {object} data
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {number} id
+ */
+function renderNode(content, data, animController, id) {
+  const node = data.nodes.get(id);
+  if (!node) return;
+  const unit = lengthUnit(data);
+
+  appendHeading(content, t('inspectNode', { id }));
+  appendRow(content, t('inspectCoords'), `(${fmt(node.x)}, ${fmt(node.y)}, ${fmt(node.z)})${unit ? ` ${unit}` : ''}`);
+  if (data.masses instanceof Map && data.masses.has(id)) {
+    appendRow(content, t('inspectMass'), fmt(data.masses.get(id)));
+  }
+  if (data.supports instanceof Map && data.supports.has(id)) {
+    appendRow(content, t('inspectSupport'), supportLabel(data.supports.get(id)));
+  }
+  appendLiveRow(content, t('inspectDisp'), id);
+
+  const btnHistory = document.createElement('button');
+  btnHistory.type = 'button';
+  btnHistory.className = 'inspect-link';
+  btnHistory.textContent = t('historyAdd');
+  btnHistory.addEventListener('click', () => addHistoryNode(id));
+  content.appendChild(btnHistory);
+
+  // 全モードのモード値（水平成分を持つ場合は ux, uy も）
+  const hasLateral = animController.getModeList().some((m) => {
+    const uxy = data.lateral && data.lateral.get(m);
+    return uxy && uxy.has(id);
+  });
+  const columns = hasLateral ? ['ux', 'uy', 'uz'] : ['uz'];
+  appendModeTable(content, data, animController, columns, (mode, comp) => (
+    modeValue(data, mode, id, comp, animController.getModeFactor(mode))
+  ));
+
+  // 接続する線要素
+  const connected = data.lines.filter((l) => l.nodeI === id || l.nodeJ === id);
+  appendHeading(content, t('inspectLines'), 'h5');
+  if (connected.length === 0) {
+    appendText(content, t('inspectNone'));
+  } else {
+    const list = document.createElement('div');
+    list.className = 'inspect-links';
+    for (const line of connected) {
+      const other = line.nodeI === id ? line.nodeJ : line.nodeI;
+      list.appendChild(linkButton(t('inspectLineLink', { id: line.id, other }), { type: 'line', id: line.id }));
+    }
+    content.appendChild(list);
+  }
+}
+
+/**
+ * 線要素の情報（端部節点・長さ・両端の変位・モード値）
+ * @param {HTMLElement} content
+ * @param {object} data
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {number} id
+ */
+function renderLine(content, data, animController, id) {
+  const line = data.lines.find((l) => l.id === id);
+  if (!line) return;
+  const ni = data.nodes.get(line.nodeI);
+  const nj = data.nodes.get(line.nodeJ);
+  const unit = lengthUnit(data);
+
+  appendHeading(content, t('inspectLine', { id }));
+
+  const ends = document.createElement('div');
+  ends.className = 'inspect-links';
+  ends.appendChild(linkButton(t('inspectNode', { id: line.nodeI }), { type: 'node', id: line.nodeI }));
+  ends.appendChild(document.createTextNode('–'));
+  ends.appendChild(linkButton(t('inspectNode', { id: line.nodeJ }), { type: 'node', id: line.nodeJ }));
+  content.appendChild(ends);
+
+  if (ni && nj) {
+    const length = Math.hypot(nj.x - ni.x, nj.y - ni.y, nj.z - ni.z);
+    appendRow(content, t('inspectLength'), `${fmt(length)}${unit ? ` ${unit}` : ''}`);
+  }
+  appendLiveRow(content, `${t('inspectDisp')} I`, line.nodeI);
+  appendLiveRow(content, `${t('inspectDisp')} J`, line.nodeJ);
+
+  appendModeTable(content, data, animController, ['uz I', 'uz J'], (mode, col) => (
+    modeValue(data, mode, col === 'uz I' ? line.nodeI : line.nodeJ, 'uz', animController.getModeFactor(mode))
+  ));
+}
+
+/**
+ * 全モードの表（モード番号・振動数・指定列の値）。行クリックでモード選択、現在モードを強調。
+ * @param {HTMLElement} content
+ * @param {object} data
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {string[]} columns  値の列見出し
+ * @param {(mode:number, column:string)=>string} valueOf  セルの表示文字列
+ */
+function appendModeTable(content, data, animController, columns, valueOf) {
+  const modeSelect = document.getElementById('mode-select');
+  const current = animController.isSuperposition() ? null : animController.getCurrentMode();
+
+  const table = document.createElement('table');
+  table.className = 'mass-table';
+
+  const headTr = document.createElement('tr');
+  for (const text of [t('massColMode'), t('massColFreq'), ...columns]) {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headTr.appendChild(th);
+  }
+  table.appendChild(headTr);
+
+  for (const mode of animController.getModeList()) {
+    const tr = document.createElement('tr');
+    tr.dataset.mode = String(mode);
+    if (mode === current) tr.classList.add('active');
+    const cells = [String(mode), animController.getFreqHz(mode).toFixed(2), ...columns.map((c) => valueOf(mode, c))];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.addEventListener('click', () => {
+      if (modeSelect.disabled) return;
+      modeSelect.value = String(mode);
+      modeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    table.appendChild(tr);
+  }
+  content.appendChild(table);
+}
+
+/**
+ * 節点のモード値の表示文字列（複素モードは「振幅 ∠位相°」）
+ * @param {object} data
+ * @param {number} mode
+ * @param {number} nodeId
+ * @param {'ux'|'uy'|'uz'} comp
+ * @param {number} factor  正規化・符号反転の係数（AnimationController.getModeFactor）
+ * @returns {string}
+ */
+function modeValue(data, mode, nodeId, comp, factor) {
+  let re;
+  if (comp === 'uz') {
+    re = data.modes.get(mode).get(nodeId) ?? 0;
+  } else {
+    const uxy = data.lateral && data.lateral.get(mode) && data.lateral.get(mode).get(nodeId);
+    re = uxy ? uxy[comp] : 0;
+  }
+  const imag = data.modesImag && data.modesImag.get(mode) && data.modesImag.get(mode).get(nodeId);
+  const im = (imag ? imag[comp] : 0) * factor;
+  re *= factor;
+  if (im === 0) return fmt(re);
+  return `${fmt(Math.hypot(re, im))} ∠${(Math.atan2(im, re) * 180 / Math.PI).toFixed(1)}°`;
+}
+
+/**
+ * 見出しを追加する
+ * @param {HTMLElement} content
+ * @param {string} text
+ * @param {string} [tag='h4']
+ */
+function appendHeading(content, text, tag = 'h4') {
+  const h = document.createElement(tag);
+  h.textContent = text;
+  content.appendChild(h);
+}
+
+/**
+ * 「ラベル: 値」の行を追加する
+ * @param {HTMLElement} content
+ * @param {string} label
+ * @param {string} value
+ * @returns {HTMLElement} 値の要素
+ */
+function appendRow(content, label, value) {
+  const row = document.createElement('div');
+  row.className = 'inspect-row';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'inspect-label';
+  labelEl.textContent = label;
+  const valueEl = document.createElement('span');
+  valueEl.textContent = value;
+  row.append(labelEl, valueEl);
+  content.appendChild(row);
+  return valueEl;
+}
+
+/**
+ * 毎フレーム更新する変位の行を追加する
+ * @param {HTMLElement} content
+ * @param {string} label
+ * @param {number} nodeId
+ */
+function appendLiveRow(content, label, nodeId) {
+  appendRow(content, label, '').dataset.liveNode = String(nodeId);
+}
+
+/**
+ * 補足テキストを追加する
+ * @param {HTMLElement} content
+ * @param {string} text
+ */
+function appendText(content, text) {
+  const p = document.createElement('span');
+  p.className = 'inspect-label';
+  p.textContent = text;
+  content.appendChild(p);
+}
+
+/**
+ * クリックで別の要素を選択するボタン
+ * @param {string} text
+ * @param {{type:'node'|'line', id:number}} item
+ * @returns {HTMLButtonElement}
+ */
+function linkButton(text, item) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'inspect-link';
+  btn.textContent = text;
+  btn.addEventListener('click', () => select(item));
+  return btn;
+}
+
+/**
+ * 変位 (ux, uy, uz) の表示文字列
+ * @param {{ux:number, uy:number, uz:number}} u
+ * @param {string} unit
+ * @returns {string}
+ */
+function formatDisplacement(u, unit) {
+  return `(${fmt(u.ux)}, ${fmt(u.uy)}, ${fmt(u.uz)})${unit ? ` ${unit}` : ''}`;
+}
+
+/**
+ * 数値を有効数字 4 桁で整形する
+ * @param {number} v
+ * @returns {string}
+ */
+function fmt(v) {
+  return Number.isFinite(v) ? String(Number(v.toPrecision(4))) : '-';
+}
+
+/**
+ * 長さの単位（meta.length_unit、なければ空）
+ * @param {object} data
+ * @returns {string}
+ */
+function lengthUnit(data) {
+  return (data.meta && data.meta.lengthUnit) || '';
+}
+
+/**
+ * 支点の種類の表示名（未知の種類はそのまま）
+ * @param {string} type
+ * @returns {string}
+ */
+function supportLabel(type) {
+  const key = { fixed: 'supportFixed', pinned: 'supportPinned', spring: 'supportSpring' }[type];
+  return key ? t(key) : String(type);
+}
@@ -0,0 +1,142 @@
+/**
+ * mac.js -- モード信頼性評価基準 (MAC: Modal Assurance Criterion) の計算
+ *
+ *   MAC(φa, φb) = |φaᴴ φb|² / ((φaᴴ φa)(φbᴴ φb))
+ *
+ * モードベクトル φ は共通節点（節点 ID が両データに存在する節点）の
+ * (ux, uy, uz) を節点 ID 昇順に並べたもの。未記載の成分は 0 とする。
+ * 複素モード形は虚部を含めて計算する（実モード同士では φᵀ φ の式と一致）。
+ * 同一データ同士（自己 MAC）と、2 つのデータ間（解析 vs 計測等）の両方に用いる。
+ *
+ * @module mac
+ */
+
+/**
+ * @typedef {{ modesA: number[], modesB: number[], freqA: number[], freqB: number[],
+ *   nodeIds: number[], values: number[][] }} MacResult
+ *   values[i][j] = MAC(A のモード modesA[i], B のモード modesB[j])
+ */
+
+/**
+ * 2 つのデータ間（B 省略時は自己 MAC）の MAC 行列を計算する。
+ *
+ * @param {object} dataA  parseFloorData の戻り値
+ * @param {object} [dataB=dataA]  比較対象データ
+ * @returns {MacResult}
+ * @throws {Error} 共通節点がない場合
+ */
+export function computeMacMatrix(dataA, dataB = dataA) {
+  const nodeIds = [...dataA.nodes.keys()].filter((id) => dataB.nodes.has(id)).sort((a, b) => a - b);
+  if (nodeIds.length === 0) {
+    throw new Error('no common node IDs between the two datasets');
+  }
+
+  const modesA = [...dataA.modes.keys()].sort((a, b) => a - b);
+  const modesB = [...dataB.modes.keys()].sort((a, b) => a - b);
+  const vecsA = modesA.map((m) => buildModeVector(dataA, m, nodeIds));
+  const vecsB = modesB.map((m) => buildModeVector(dataB, m, nodeIds));
+
+  const values = vecsA.map((a) => vecsB.map((b) => macValue(a.re, b.re, a.im, b.im)));
+
+  return {
+    modesA,
+    modesB,
+    freqA: modesA.map((m) => dataA.freqHz.get(m)),
+    freqB: modesB.map((m) => dataB.freqHz.get(m)),
+    nodeIds,
+    values,
+  };
+}
+
+/**
+ * 2 つのモードベクトルの MAC 値を計算する（いずれかがゼロベクトルの場合は 0）
+ * 虚部を省略した場合は実ベクトルとして扱う。
+ *
+ * @param {Float64Array|number[]} a  φa の実部
+ * @param {Float64Array|number[]} b  φb の実部
+ * @param {Float64Array|number[]} [aIm]  φa の虚部
+ * @param {Float64Array|number[]} [bIm]  φb の虚部
+ * @returns {number} 0〜1
+ */
+export function macValue(a, b, aIm, bIm) {
+  let abRe = 0;
+  let abIm = 0;
+  let aa = 0;
+  let bb = 0;
+  for (let k = 0; k < a.length; k++) {
+    const ai = aIm ? aIm[k] : 0;
+    const bi = bIm ? bIm[k] : 0;
+    abRe += a[k] * b[k] + ai * bi;
+    abIm += a[k] * bi - ai * b[k];
+    aa += a[k] * a[k] + ai * ai;
+    bb += b[k] * b[k] + bi * bi;
+  }
+  if (aa === 0 || bb === 0) return 0;
+  return (abRe * abRe + abIm * abIm) / (aa * bb);
+}
+
+/**
+ * MAC 行列を CSV テキストに変換する。
+ * 1 行目が B のモード見出し、各行の 1 列目が A のモード見出し。
+ *
+ * @param {MacResult} result
+ * @param {object} [labels]
+ * @param {string} [labels.a='A']  A 側の見出し接頭辞（空文字なら接頭辞なし）
+ * @param {string} [labels.b='B']  B 側の見出し接頭辞（空文字なら接頭辞なし）
+ * @returns {string}
+ */
+export function macToCsv(result, { a = 'A', b = 'B' } = {}) {
+  const header = (prefix, mode, freq) => {
+    const name = prefix ? `${prefix} mode ${mode}` : `Mode ${mode}`;
+    return Number.isFinite(freq) ? `${name} (${freq.toFixed(3)} Hz)` : name;
+  };
+
+  const rows = [['MAC', ...result.modesB.map((m, j) => header(b, m, result.freqB[j]))]];
+  result.modesA.forEach((m, i) => {
+    rows.push([header(a, m, result.freqA[i]), ...result.values[i].map((v) => v.toFixed(4))]);
+  });
+
+  return rows.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 指定モードのモードベクトル (ux, uy, uz の並び) を実部・虚部に分けて組み立てる
+ * @param {object} data
+ * @param {number} mode
+ * @param {number[]} nodeIds
+ * @returns {{ re: Float64Array, im: Float64Array }}
+ */
+function buildModeVector(data, mode, nodeIds) {
+  const uzMap = data.modes.get(mode);
+  const lateralMap = data.lateral ? data.lateral.get(mode) : undefined;
+  const imagMap = data.modesImag ? data.modesImag.get(mode) : undefined;
+  const re = new Float64Array(nodeIds.length * 3);
+  const im = new Float64Array(nodeIds.length * 3);
+
+  nodeIds.forEach((id, k) => {
+    const lat = lateralMap ? lateralMap.get(id) : undefined;
+    re[k * 3] = lat ? lat.ux : 0;
+    re[k * 3 + 1] = lat ? lat.uy : 0;
+    re[k * 3 + 2] = uzMap.get(id) ?? 0;
+
+    const imag = imagMap ? imagMap.get(id) : undefined;
+    if (imag) {
+      im[k * 3] = imag.ux;
+      im[k * 3 + 1] = imag.uy;
+      im[k * 3 + 2] = imag.uz;
+    }
+  });
+
+  return { re, im };
+}
+
+/**
+ * CSV のセル値をエスケープする
+ * @param {string} cell
+ * @returns {string}
+ */
+function csvCell(cell) {
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
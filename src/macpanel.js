@@ -0,0 +1,235 @@
+/**
+ * macpanel.js -- MAC 行列ダイアログ（色分け表示・ホバー値・CSV 出力）
+ *
+ * 読込中データの自己 MAC、または比較用に読み込んだ 2 つ目のデータとの
+ * MAC（節点 ID で対応付け）を行列として表示する。
+ *
+ * @module macpanel
+ */
+
+import { t } from './i18n.js';
+import { validateFloorData } from './validator.js';
+import { formatMessage } from './messages.js';
+import { computeMacMatrix, macToCsv } from './mac.js';
+import { sampleColormap } from './colormap.js';
+import { downloadBlob } from './recorder.js';
+import { toFileTitle } from './filename.js';
+
+/** MAC 行列の色に使うカラーマップ */
+const MAC_COLORMAP = 'viridis';
+
+/** セル寸法の範囲 [px] と、セル内に値を表示する最小寸法 [px] */
+const CELL_MIN = 14;
+const CELL_MAX = 48;
+const CELL_TEXT_MIN = 34;
+
+/** 軸見出し（モード番号）領域の幅 [px] */
+const AXIS_SIZE = 28;
+
+/** @type {object|null} 比較用データ */
+let compareData = null;
+
+/** @type {string} 比較用データのファイル名 */
+let compareName = '';
+
+/** @type {import('./mac.js').MacResult|null} */
+let result = null;
+
+/** @type {{ cell: number, ox: number, oy: number }} 現在の描画配置 */
+let layout = { cell: CELL_MIN, ox: AXIS_SIZE, oy: AXIS_SIZE };
+
+/**
+ * MAC ダイアログを初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>object|null} params.getFloorData  読込中のデータ（parseFloorData の戻り値）を返す関数
+ * @param {(text:string, fileName:string)=>object} params.parseFile  JSON / UFF テキストをデータに変換する関数
+ */
+export function setupMacPanel({ getFloorData, parseFile }) {
+  const dialog      = document.getElementById('mac-dialog');
+  const btnOpen     = document.getElementById('btn-mac');
+  const sourceSel   = document.getElementById('mac-source');
+  const compareRow  = document.getElementById('mac-compare-row');
+  const fileInput   = document.getElementById('mac-file');
+  const btnFile     = document.getElementById('mac-btn-file');
+  const fileNameEl  = document.getElementById('mac-file-name');
+  const canvas      = document.getElementById('mac-canvas');
+  const tooltip     = document.getElementById('mac-tooltip');
+  const infoEl      = document.getElementById('mac-info');
+  const btnCsv      = document.getElementById('mac-btn-csv');
+  const btnClose    = document.getElementById('mac-btn-close');
+  const errorEl     = document.getElementById('mac-error');
+
+  const refresh = () => {
+    errorEl.textContent = '';
+    compareRow.hidden = sourceSel.value !== 'compare';
+    fileNameEl.textContent = compareName || t('fileNameNone');
+    result = null;
+
+    const data = getFloorData();
+    if (data) {
+      const other = sourceSel.value === 'compare' ? compareData : data;
+      if (other) {
+        try {
+          result = computeMacMatrix(data, other);
+        } catch (err) {
+          errorEl.textContent = t('macError', { msg: err.message });
+        }
+      }
+    }
+
+    infoEl.textContent = result ? t('macNodeCount', { n: result.nodeIds.length }) : '';
+    btnCsv.disabled = result === null;
+    drawMatrix(canvas);
+  };
+
+  btnOpen.addEventListener('click', () => {
+    refresh();
+    dialog.showModal();
+  });
+
+  sourceSel.addEventListener('change', refresh);
+
+  btnFile.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const data = parseFile(await file.text(), file.name);
+      const { errors } = validateFloorData(data);
+      if (errors.length > 0) throw new Error(formatMessage(errors[0]));
+      compareData = data;
+      compareName = file.name;
+    } catch (err) {
+      compareData = null;
+      compareName = '';
+      refresh();
+      errorEl.textContent = t('alertFileError', { msg: err.message });
+      return;
+    }
+    refresh();
+  });
+
+  canvas.addEventListener('mousemove', (e) => {
+    const hit = hitTest(e.offsetX, e.offsetY);
+    if (!hit) {
+      tooltip.hidden = true;
+      return;
+    }
+    const { i, j } = hit;
+    tooltip.textContent = t('macTooltip', {
+      a: result.modesA[i],
+      fa: formatFreq(result.freqA[i]),
+      b: result.modesB[j],
+      fb: formatFreq(result.freqB[j]),
+      v: result.values[i][j].toFixed(4),
+    });
+    tooltip.style.left = `${e.offsetX + 12}px`;
+    tooltip.style.top = `${e.offsetY + 12}px`;
+    tooltip.hidden = false;
+  });
+  canvas.addEventListener('mouseleave', () => { tooltip.hidden = true; });
+
+  btnCsv.addEventListener('click', () => {
+    if (!result) return;
+    const data = getFloorData();
+    const isCompare = sourceSel.value === 'compare';
+    const csv = macToCsv(result, isCompare ? { a: 'A', b: 'B' } : { a: '', b: '' });
+    const titleA = toFileTitle(data && data.meta && data.meta.title);
+    const name = isCompare
+      ? `mac_${titleA}_vs_${toFileTitle(compareData.meta && compareData.meta.title)}.csv`
+      : `mac_${titleA}.csv`;
+    // Excel で文字化けしないよう BOM を付ける
+    downloadBlob(new Blob(['\uFEFF', csv], { type: 'text/csv' }), name);
+  });
+
+  btnClose.addEventListener('click', () => dialog.close());
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 振動数を表示用に整形する
+ * @param {number|undefined} freq
+ * @returns {string}
+ */
+function formatFreq(freq) {
+  return Number.isFinite(freq) ? freq.toFixed(3) : '-';
+}
+
+/**
+ * キャンバス座標から行列のセル位置を求める
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ i: number, j: number }|null}
+ */
+function hitTest(x, y) {
+  if (!result) return null;
+  const j = Math.floor((x - layout.ox) / layout.cell);
+  const i = Math.floor((y - layout.oy) / layout.cell);
+  if (i < 0 || j < 0 || i >= result.modesA.length || j >= result.modesB.length) return null;
+  return { i, j };
+}
+
+/**
+ * MAC 行列を描画する（行: 読込中データ、列: 比較データ）
+ * @param {HTMLCanvasElement} canvas
+ */
+function drawMatrix(canvas) {
+  const ctx = canvas.getContext('2d');
+  if (!result) {
+    canvas.width = 0;
+    canvas.height = 0;
+    return;
+  }
+
+  const rows = result.modesA.length;
+  const cols = result.modesB.length;
+  const available = Math.max(200, (canvas.parentElement.clientWidth || 600) - AXIS_SIZE);
+  const cell = Math.max(CELL_MIN, Math.min(CELL_MAX, Math.floor(available / Math.max(rows, cols))));
+  layout = { cell, ox: AXIS_SIZE, oy: AXIS_SIZE };
+
+  const width = AXIS_SIZE + cell * cols;
+  const height = AXIS_SIZE + cell * rows;
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const style = getComputedStyle(document.documentElement);
+  const textColor = style.getPropertyValue('--text-primary').trim() || '#222';
+
+  ctx.font = '11px "Courier New", Courier, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      const v = result.values[i][j];
+      const [r, g, b] = sampleColormap(MAC_COLORMAP, v);
+      ctx.fillStyle = `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+      const x = AXIS_SIZE + j * cell;
+      const y = AXIS_SIZE + i * cell;
+      ctx.fillRect(x, y, cell, cell);
+      if (cell >= CELL_TEXT_MIN) {
+        ctx.fillStyle = v > 0.6 ? '#000' : '#fff';
+        ctx.fillText(v.toFixed(2), x + cell / 2, y + cell / 2);
+      }
+    }
+  }
+
+  // 軸見出し（モード番号）
+  ctx.fillStyle = textColor;
+  result.modesB.forEach((m, j) => {
+    ctx.fillText(String(m), AXIS_SIZE + (j + 0.5) * cell, AXIS_SIZE / 2);
+  });
+  result.modesA.forEach((m, i) => {
+    ctx.fillText(String(m), AXIS_SIZE / 2, AXIS_SIZE + (i + 0.5) * cell);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * messages.js -- エラー・警告・お知らせ（読込中など）の表示（#error-container）
+ *
+ * メッセージは validator の問題 {code, params, message}、またはアプリ側の {code, key, params}。
+ * 現在の言語の文言で表示する: key があれば t(key, params)、なければ code を i18n のキーとして
+ * 「code: 文言」とする（辞書にない code は message のまま）。言語を切り替えると表示し直す。
+ * params の line・node・nodes が表示中のデータの線要素・節点を指すメッセージは、クリックでその要素を強調して
+ * 視点を寄せる。警告は読み込んだデータ（選択して情報パネルも開く）、エラーは app が代わりに表示する
+ * エラーのあるデータの描画できる部分（validator.extractDrawableGeometry）の要素を指す。
+ *
+ * @module messages
+ */
+
+import { t, onLangChange } from './i18n.js';
+import { focusItem } from './inspector.js';
+
+/**
+ * @typedef {{ code: string, key?: string, params?: Object<string, *>, message?: string }} Message
+ */
+
+/** @type {{ errors: Message[], warnings: Message[], infos: Message[], data: object|null }} 表示中のメッセージ */
+let shown = { errors: [], warnings: [], infos: [], data: null };
+
+/** @type {()=>{ viewer: import('./viewer.js').FloorViewer|null, floorData: object|null, preview: object|null }} */
+let getMain = () => ({ viewer: null, floorData: null, preview: null });
+
+/**
+ * メッセージ欄を初期化する。initApp から 1 回だけ、setupLangToggle の後に呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>{ viewer: import('./viewer.js').FloorViewer|null, floorData: object|null, preview: object|null }} params.getMain
+ *   viewer と表示中のデータ（読み込んだデータ floorData、またはエラーのあるデータの描画できる部分 preview）を返す関数
+ */
+export function setupMessages({ getMain: getMainFn }) {
+  getMain = getMainFn;
+
+  onLangChange(render);
+}
+
+/**
+ * エラー・警告・お知らせを表示する。
+ * @param {Message[]} errors
+ * @param {Message[]} warnings
+ * @param {Message[]} [infos=[]]
+ * @param {object|null} [data=null]  メッセージの対象のデータ（表示中の floorData・preview と同じときだけ要素へのリンクにする）
+ */
+export function showMessages(errors, warnings, infos = [], data = null) {
+  shown = { errors, warnings, infos, data };
+  render();
+}
+
+/**
+ * メッセージ欄をクリアする。
+ */
+export function clearMessages() {
+  showMessages([], []);
+}
+
+/**
+ * メッセージの現在の言語での表示文字列
+ * @param {Message} msg
+ * @returns {string}
+ */
+export function formatMessage(msg) {
+  const params = formatParams(msg.params);
+  if (msg.key) return t(msg.key, params);
+  const text = t(msg.code, params);
+  return text === msg.code ? msg.message || msg.code : `${msg.code}: ${text}`;
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 表示中のメッセージで #error-container を作り直す
+ */
+function render() {
+  const container = document.getElementById('error-container');
+  container.innerHTML = '';
+
+  const groups = [['msg-info', shown.infos], ['msg-warning', shown.warnings], ['msg-error', shown.errors]];
+  for (const [className, list] of groups) {
+    for (const msg of list) {
+      const div = document.createElement('div');
+      div.className = className;
+      div.textContent = formatMessage(msg);
+      const item = targetOf(msg, shown.data);
+      if (item) {
+        const data = shown.data;
+        div.classList.add('msg-link');
+        div.title = t('msgFocusTitle');
+        div.addEventListener('click', () => {
+          const { viewer, floorData, preview } = getMain();
+          if (floorData === data) {
+            focusItem(item);
+          } else if (preview === data && viewer) {
+            viewer.setHighlight(item);
+            viewer.focusItem(item);
+          }
+        });
+      }
+      container.appendChild(div);
+    }
+  }
+}
+
+/**
+ * メッセージが指す線要素・節点。データにある線要素 line を優先し、なければ node、nodes の順で
+ * データにある最初の節点（未定義の節点を参照する要素のエラーは、定義済みの側の節点を指す）。どれもなければ null
+ * @param {Message} msg
+ * @param {object|null} data
+ * @returns {{type:'node'|'line', id:number}|null}
+ */
+function targetOf(msg, data) {
+  const params = msg.params;
+  if (!params || !data) return null;
+  if (params.line !== undefined && data.lines.some((l) => l.id === params.line)) {
+    return { type: 'line', id: params.line };
+  }
+  const node = [params.node, ...(Array.isArray(params.nodes) ? params.nodes : [])]
+    .find((id) => id !== undefined && data.nodes.has(id));
+  return node === undefined ? null : { type: 'node', id: node };
+}
+
+/**
+ * params を文言に埋め込む文字列にする（配列はカンマ区切り、空文字・オブジェクトは JSON 表記）
+ * @param {Object<string, *>|undefined} params
+ * @returns {Object<string, string>|undefined}
+ */
+function formatParams(params) {
+  if (!params) return undefined;
+  const out = {};
+  for (const [k, v] of Object.entries(params)) {
+    if (Array.isArray(v)) out[k] = v.join(', ');
+    else if (v === '' || (v !== null && typeof v === 'object')) out[k] = JSON.stringify(v);
+    else out[k] = String(v);
+  }
+  return out;
+}
@@ -0,0 +1,74 @@
+/**
+ * modalmass.js -- 節点質量からのモード質量・刺激係数・有効質量の計算
+ *
+ * 節点 i の質量 m_i（集中質量、3 方向共通）と、モード n の節点値 (ux, uy, uz) から
+ *
+ *   一般化質量      M_n     = Σ m_i (ux_i,n² + uy_i,n² + uz_i,n²)
+ *   鉛直刺激係数    Γ_z,n   = Σ m_i uz_i,n / M_n
+ *   鉛直有効質量    M_eff,n = (Σ m_i uz_i,n)² / M_n = Γ_z,n² M_n
+ *   有効質量比      r_n     = M_eff,n / Σ m_i
+ *
+ * を求め、モード番号順の累積有効質量比 Σ r_n を付ける。
+ * M_eff と r はモード形の正規化に依存しない（Γ と M は依存する）。
+ * 質量が指定されていない節点は m_i = 0 とする。複素モード形は実部のみで計算する。
+ *
+ * @module modalmass
+ */
+
+/**
+ * @typedef {{ mode: number, freqHz: number, modalMass: number, participation: number,
+ *   effectiveMass: number, ratio: number, cumulative: number }} ModalMassRow
+ */
+
+/**
+ * 全モードのモード質量表を計算する。
+ *
+ * @param {object} data  parseFloorData の戻り値（masses を含む）
+ * @returns {{ totalMass: number, rows: ModalMassRow[] }|null}  質量が未指定（または総質量 0）の場合は null
+ */
+export function computeModalMass(data) {
+  const masses = data.masses;
+  if (!(masses instanceof Map) || masses.size === 0) return null;
+
+  let totalMass = 0;
+  for (const [nodeId, m] of masses) {
+    if (data.nodes.has(nodeId) && Number.isFinite(m)) totalMass += m;
+  }
+  if (!(totalMass > 0)) return null;
+
+  const rows = [];
+  let cumulative = 0;
+  for (const mode of [...data.modes.keys()].sort((a, b) => a - b)) {
+    const uzMap = data.modes.get(mode);
+    const uxyMap = data.lateral ? data.lateral.get(mode) : undefined;
+
+    let modalMass = 0;
+    let excitation = 0; // Σ m_i uz_i
+    for (const [nodeId, m] of masses) {
+      if (!data.nodes.has(nodeId) || !Number.isFinite(m)) continue;
+      const uz = uzMap.get(nodeId) ?? 0;
+      const uxy = uxyMap ? uxyMap.get(nodeId) : undefined;
+      const ux = uxy ? uxy.ux : 0;
+      const uy = uxy ? uxy.uy : 0;
+      modalMass += m * (ux * ux + uy * uy + uz * uz);
+      excitation += m * uz;
+    }
+
+    const participation = modalMass > 0 ? excitation / modalMass : 0;
+    const effectiveMass = modalMass > 0 ? (excitation * excitation) / modalMass : 0;
+    const ratio = effectiveMass / totalMass;
+    cumulative += ratio;
+
+    rows.push({
+      mode,
+      freqHz: data.freqHz.get(mode),
+      modalMass,
+      participation,
+      effectiveMass,
+      ratio,
+      cumulative,
+    });
+  }
+
+  return { totalMass, rows };
+}
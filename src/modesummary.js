@@ -0,0 +1,102 @@
+/**
+ * modesummary.js -- モード一覧表の各モードの特徴量の計算
+ *
+ * モードごとに
+ *
+ *   振動数 f [Hz]、周期 T = 1 / f [s]
+ *   最大 |uz| の節点とその座標・値
+ *   uz > 0 / uz < 0 の節点数
+ *   節線の交差数（線要素とシェル要素の辺のうち、両端の uz の符号が異なる辺の数。共有辺は 1 回）
+ *
+ * を求める。uz は節線 (nodallines.js) と同じく、複素モード形は実部が最大になるよう位相を回した値とし、
+ * 最大 |uz| の ZERO_TOLERANCE 倍以下の値は 0（正負どちらにも数えない）とみなす。
+ *
+ * @module modesummary
+ */
+
+import { realModeShapeUz, ZERO_TOLERANCE } from './nodallines.js';
+
+/**
+ * @typedef {{ mode: number, freqHz: number, periodS: number, maxNode: number|null, maxUz: number,
+ *   maxCoords: { x: number, y: number, z: number }|null,
+ *   positive: number, negative: number, crossings: number }} ModeSummaryRow
+ */
+
+/**
+ * 全モードの一覧表を計算する（モード番号順）。
+ *
+ * @param {object} data  parseFloorData の戻り値
+ * @returns {ModeSummaryRow[]}
+ */
+export function computeModeSummary(data) {
+  const edges = collectEdges(data);
+  const rows = [];
+
+  for (const mode of [...data.modes.keys()].sort((a, b) => a - b)) {
+    const uz = realModeShapeUz(data, mode);
+
+    let maxNode = null;
+    let maxUz = 0;
+    for (const [id, v] of uz) {
+      if (Math.abs(v) > Math.abs(maxUz)) {
+        maxNode = id;
+        maxUz = v;
+      }
+    }
+
+    const eps = Math.abs(maxUz) * ZERO_TOLERANCE;
+    const sign = (id) => {
+      const v = uz.get(id) ?? 0;
+      return Math.abs(v) <= eps ? 0 : Math.sign(v);
+    };
+
+    let positive = 0;
+    let negative = 0;
+    for (const id of uz.keys()) {
+      const s = sign(id);
+      if (s > 0) positive++;
+      else if (s < 0) negative++;
+    }
+
+    let crossings = 0;
+    for (const [a, b] of edges) {
+      if (sign(a) * sign(b) < 0) crossings++;
+    }
+
+    const freqHz = data.freqHz.get(mode);
+    const node = maxNode === null ? null : data.nodes.get(maxNode);
+    rows.push({
+      mode,
+      freqHz,
+      periodS: freqHz > 0 ? 1 / freqHz : NaN,
+      maxNode,
+      maxUz,
+      maxCoords: node ? { x: node.x, y: node.y, z: node.z } : null,
+      positive,
+      negative,
+      crossings,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * 線要素とシェル要素の辺を重複なく集める
+ * @param {object} data
+ * @returns {Array<[number, number]>}  両端の節点 ID
+ */
+function collectEdges(data) {
+  const edges = new Map();
+  const add = (i, j) => {
+    if (i === j || !data.nodes.has(i) || !data.nodes.has(j)) return;
+    const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+    if (!edges.has(key)) edges.set(key, [i, j]);
+  };
+
+  for (const line of data.lines || []) add(line.nodeI, line.nodeJ);
+  for (const el of data.elements || []) {
+    for (let k = 0; k < el.nodes.length; k++) add(el.nodes[k], el.nodes[(k + 1) % el.nodes.length]);
+  }
+  return [...edges.values()];
+}
@@ -0,0 +1,195 @@
+/**
+ * modetable.js -- モード一覧表ダイアログ（並べ替え・行クリックでモード切替）
+ *
+ * 全モードの振動数・周期・最大 |uz| の節点と座標・正負の節点数・節線の交差数 (modesummary.js) を
+ * 表にする。uz と正負の節点数は選択中の正規化・符号反転に合わせる。
+ * 列見出しのクリックで昇順／降順に並べ替え、行クリックでモードを切り替える。
+ * 3D ビューを見ながら使えるよう、ダイアログはモーダルにしない。
+ *
+ * @module modetable
+ */
+
+import { t, onLangChange } from './i18n.js';
+import { computeModeSummary } from './modesummary.js';
+
+/**
+ * 列の定義。value は並べ替えに使う値（null・NaN は常に末尾）、text はセルの表示文字列。
+ * 行は正規化・符号反転を反映した値（displayRow）で渡す。
+ * @type {Array<{ key: string, label: string, unit?: boolean,
+ *   value: (row: import('./modesummary.js').ModeSummaryRow) => number|null,
+ *   text: (row: import('./modesummary.js').ModeSummaryRow) => string }>}
+ */
+const COLUMNS = [
+  { key: 'mode', label: 'modeTableColMode', value: (r) => r.mode, text: (r) => String(r.mode) },
+  { key: 'freq', label: 'modeTableColFreq', value: (r) => r.freqHz, text: (r) => fixed(r.freqHz, 2) },
+  { key: 'period', label: 'modeTableColPeriod', value: (r) => r.periodS, text: (r) => fmt(r.periodS) },
+  { key: 'maxNode', label: 'modeTableColMaxNode', value: (r) => r.maxNode, text: (r) => (r.maxNode === null ? '-' : String(r.maxNode)) },
+  { key: 'x', label: 'modeTableColX', unit: true, value: (r) => (r.maxCoords ? r.maxCoords.x : null), text: (r) => (r.maxCoords ? fmt(r.maxCoords.x) : '-') },
+  { key: 'y', label: 'modeTableColY', unit: true, value: (r) => (r.maxCoords ? r.maxCoords.y : null), text: (r) => (r.maxCoords ? fmt(r.maxCoords.y) : '-') },
+  { key: 'z', label: 'modeTableColZ', unit: true, value: (r) => (r.maxCoords ? r.maxCoords.z : null), text: (r) => (r.maxCoords ? fmt(r.maxCoords.z) : '-') },
+  { key: 'maxUz', label: 'modeTableColMaxUz', value: (r) => Math.abs(r.maxUz), text: (r) => fmt(r.maxUz) },
+  { key: 'positive', label: 'modeTableColPositive', value: (r) => r.positive, text: (r) => String(r.positive) },
+  { key: 'negative', label: 'modeTableColNegative', value: (r) => r.negative, text: (r) => String(r.negative) },
+  { key: 'crossings', label: 'modeTableColCrossings', value: (r) => r.crossings, text: (r) => String(r.crossings) },
+];
+
+/** @type {import('./modesummary.js').ModeSummaryRow[]|null} 読込中データの一覧（開くまで計算しない） */
+let rows = null;
+
+/** @type {{ key: string, dir: 1|-1 }} 並べ替えの列と向き（1 = 昇順） */
+let sort = { key: 'mode', dir: 1 };
+
+/** @type {()=>{ animController: import('./animation.js').AnimationController|null, floorData: object|null }} */
+let getMain = () => ({ animController: null, floorData: null });
+
+/**
+ * モード一覧ダイアログを初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>{ animController: import('./animation.js').AnimationController|null, floorData: object|null }} params.getMain
+ *   メイン側の animController・データを返す関数
+ */
+export function setupModeTable({ getMain: getMainFn }) {
+  getMain = getMainFn;
+
+  const dialog = document.getElementById('mode-table-dialog');
+  document.getElementById('btn-mode-table').addEventListener('click', () => {
+    renderTable();
+    if (!dialog.open) dialog.show();
+  });
+  document.getElementById('mode-table-btn-close').addEventListener('click', () => dialog.close());
+
+  // モード切替・正規化・符号反転に追従する（setupUI のリスナーの後に動くよう親要素で受ける）
+  const controls = document.getElementById('controls');
+  controls.addEventListener('change', (e) => {
+    if (e.target.id === 'mode-select' || e.target.id === 'chk-superpose') highlightActiveRow();
+    if ((e.target.id === 'norm-select' || e.target.id === 'chk-flip-sign') && dialog.open) renderTable();
+  });
+  onLangChange(() => {
+    if (dialog.open) renderTable();
+  });
+}
+
+/**
+ * データ再読込時に呼ぶ。一覧を破棄し、開いていれば新しいデータで作り直す。
+ */
+export function resetModeTable() {
+  rows = null;
+  if (document.getElementById('mode-table-dialog').open) renderTable();
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 現在の並べ替えで表を作り直す
+ */
+function renderTable() {
+  const wrap = document.getElementById('mode-table-wrap');
+  const { animController, floorData } = getMain();
+  wrap.innerHTML = '';
+  if (!floorData || !animController) return;
+  if (!rows) rows = computeModeSummary(floorData);
+
+  const unit = (floorData.meta && floorData.meta.lengthUnit) || '';
+  const column = COLUMNS.find((c) => c.key === sort.key) || COLUMNS[0];
+  const sorted = rows
+    .map((row) => displayRow(row, animController.getModeFactor(row.mode)))
+    .sort((a, b) => compareValues(column.value(a), column.value(b), sort.dir) || a.mode - b.mode);
+
+  const table = document.createElement('table');
+  table.className = 'mass-table mode-table';
+
+  const headTr = document.createElement('tr');
+  for (const col of COLUMNS) {
+    const th = document.createElement('th');
+    const arrow = col.key === sort.key ? (sort.dir === 1 ? ' ▲' : ' ▼') : '';
+    th.textContent = `${t(col.label)}${col.unit && unit ? ` [${unit}]` : ''}${arrow}`;
+    th.title = t(`${col.label}Title`);
+    th.addEventListener('click', () => {
+      sort = { key: col.key, dir: col.key === sort.key ? -sort.dir : 1 };
+      renderTable();
+    });
+    headTr.appendChild(th);
+  }
+  table.appendChild(headTr);
+
+  const modeSelect = document.getElementById('mode-select');
+  for (const row of sorted) {
+    const tr = document.createElement('tr');
+    tr.dataset.mode = String(row.mode);
+    for (const col of COLUMNS) {
+      const td = document.createElement('td');
+      td.textContent = col.text(row);
+      tr.appendChild(td);
+    }
+    tr.addEventListener('click', () => {
+      if (modeSelect.disabled) return;
+      modeSelect.value = String(row.mode);
+      modeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    table.appendChild(tr);
+  }
+  wrap.appendChild(table);
+
+  highlightActiveRow();
+}
+
+/**
+ * 表示中のモードの行を強調表示する（重ね合わせ中は強調しない）
+ */
+function highlightActiveRow() {
+  const { animController } = getMain();
+  const current = animController && !animController.isSuperposition() ? animController.getCurrentMode() : null;
+  for (const tr of document.querySelectorAll('#mode-table-wrap tr[data-mode]')) {
+    tr.classList.toggle('active', Number(tr.dataset.mode) === current);
+  }
+}
+
+/**
+ * 正規化・符号反転の係数を掛けた行（符号が反転すれば正負の節点数も入れ替える）
+ * @param {import('./modesummary.js').ModeSummaryRow} row
+ * @param {number} factor  AnimationController.getModeFactor の値
+ * @returns {import('./modesummary.js').ModeSummaryRow}
+ */
+function displayRow(row, factor) {
+  const flipped = factor < 0;
+  return {
+    ...row,
+    maxUz: row.maxUz * factor,
+    positive: flipped ? row.negative : row.positive,
+    negative: flipped ? row.positive : row.negative,
+  };
+}
+
+/**
+ * 並べ替え用の比較（null・NaN は向きによらず末尾）
+ * @param {number|null} a
+ * @param {number|null} b
+ * @param {1|-1} dir
+ * @returns {number}
+ */
+function compareValues(a, b, dir) {
+  const aValid = Number.isFinite(a);
+  const bValid = Number.isFinite(b);
+  if (!aValid || !bValid) return (aValid ? 0 : 1) - (bValid ? 0 : 1);
+  return (a - b) * dir;
+}
+
+/**
+ * 数値を有効数字 4 桁で整形する
+ * @param {number} v
+ * @returns {string}
+ */
+function fmt(v) {
+  return Number.isFinite(v) ? String(Number(v.toPrecision(4))) : '-';
+}
+
+/**
+ * 数値を小数点以下 digits 桁で整形する
+ * @param {number} v
+ * @param {number} digits
+ * @returns {string}
+ */
+function fixed(v, digits) {
+  return Number.isFinite(v) ? v.toFixed(digits) : '-';
+}
@@ -0,0 +1,166 @@
+/**
+ * nodallines.js -- モード形の節線（鉛直変位 uz = 0 の線）の計算
+ *
+ * 節点値 uz を要素内で線形補間し、符号が変わる位置を求める。
+ *
+ *   線要素    : 両端の符号が異なる要素上の s = uz_i / (uz_i − uz_j) の位置に点を置く。
+ *               uz = 0 の節点は、線要素でつながる節点に正負の両方がある場合のみ点を置く
+ *               （支点など境界で 0 になる節点は除く）
+ *   シェル要素: 三角形（四角形は描画と同じく 2 つの三角形に分割）ごとに、符号が変わる 2 辺の
+ *               補間点を結ぶ線分を作る。uz = 0 の頂点は正として扱い、要素の辺にちょうど載る線分
+ *               （両端が uz = 0 の節点）は、両端の節点が正負両方の節点と隣接し、かつ辺の反対側が
+ *               負でない場合のみ残す（支点の並ぶ境界辺や 0 ばかりの領域を除く）
+ *
+ * 最大 |uz| の 1e-9 倍以下の値は 0 とみなす。複素モード形は全節点の uz の実部の二乗和が
+ * 最大になるよう位相を回した実モード形で計算する。座標は未変形のデータ座標。
+ *
+ * @module nodallines
+ */
+
+/** 0 とみなす |uz| の閾値（最大 |uz| に対する比） */
+export const ZERO_TOLERANCE = 1e-9;
+
+/**
+ * @typedef {{ x: number, y: number, z: number }} Point
+ */
+
+/**
+ * モードの節線を計算する。
+ *
+ * @param {object} data  parseFloorData の戻り値
+ * @param {number} mode  モード番号
+ * @returns {{ points: Point[], segments: Array<[Point, Point]> }}
+ *   points: 線要素上の零点、segments: シェル要素上の節線の線分
+ */
+export function computeNodalLines(data, mode) {
+  const points = [];
+  const segments = [];
+  const uz = realModeShapeUz(data, mode);
+
+  let maxAbs = 0;
+  for (const v of uz.values()) maxAbs = Math.max(maxAbs, Math.abs(v));
+  if (!(maxAbs > 0)) return { points, segments };
+
+  const eps = maxAbs * ZERO_TOLERANCE;
+  const valueOf = (id) => {
+    const v = uz.get(id) ?? 0;
+    return Math.abs(v) <= eps ? 0 : v;
+  };
+  const at = (idA, idB, s) => {
+    const a = data.nodes.get(idA);
+    const b = data.nodes.get(idB);
+    return { x: a.x + (b.x - a.x) * s, y: a.y + (b.y - a.y) * s, z: a.z + (b.z - a.z) * s };
+  };
+
+  // --- 線要素 ---
+  const zeroNeighborSigns = new Map(); // uz = 0 の節点 → 隣接節点の符号の集合
+  const addNeighborSign = (id, sign) => {
+    if (!zeroNeighborSigns.has(id)) zeroNeighborSigns.set(id, new Set());
+    zeroNeighborSigns.get(id).add(sign);
+  };
+  for (const line of data.lines || []) {
+    if (!data.nodes.has(line.nodeI) || !data.nodes.has(line.nodeJ)) continue;
+    const a = valueOf(line.nodeI);
+    const b = valueOf(line.nodeJ);
+    if (a * b < 0) {
+      points.push(at(line.nodeI, line.nodeJ, a / (a - b)));
+    } else if (a === 0 && b !== 0) {
+      addNeighborSign(line.nodeI, Math.sign(b));
+    } else if (b === 0 && a !== 0) {
+      addNeighborSign(line.nodeJ, Math.sign(a));
+    }
+  }
+  for (const [id, signs] of zeroNeighborSigns) {
+    if (signs.has(1) && signs.has(-1)) points.push(at(id, id, 0));
+  }
+
+  // --- シェル要素（マーチング三角形） ---
+  const edgeKey = (i, j) => (i < j ? `${i}-${j}` : `${j}-${i}`);
+  const edgeSideSigns = new Map();   // 辺 → その辺を持つ三角形の残りの頂点の符号の集合
+  const neighborSigns = new Map();   // 節点 → 三角形の辺でつながる節点の符号の集合
+  const edgeSegments = new Map();    // 辺 → { segment, ends: 両端の節点 ID }
+  const addSign = (map, key, sign) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(sign);
+  };
+
+  for (const el of data.elements || []) {
+    if (el.nodes.length < 3 || !el.nodes.every((id) => data.nodes.has(id))) continue;
+    const triangles = el.nodes.length === 4 ? [[0, 1, 2], [0, 2, 3]] : [[0, 1, 2]];
+
+    for (const tri of triangles) {
+      const ids = tri.map((k) => el.nodes[k]);
+      const crossings = []; // { point, vertex: 辺の端点上なら節点 ID、辺の途中なら null }
+
+      for (let k = 0; k < 3; k++) {
+        const idA = ids[k];
+        const idB = ids[(k + 1) % 3];
+        const a = valueOf(idA);
+        const b = valueOf(idB);
+        addSign(edgeSideSigns, edgeKey(idA, idB), Math.sign(valueOf(ids[(k + 2) % 3])));
+        addSign(neighborSigns, idA, Math.sign(b));
+        addSign(neighborSigns, idB, Math.sign(a));
+
+        if ((a < 0) === (b < 0)) continue; // 0 は正として扱う
+        const s = a / (a - b);
+        crossings.push({
+          point: at(idA, idB, s),
+          vertex: s === 0 ? idA : s === 1 ? idB : null,
+        });
+      }
+      if (crossings.length !== 2) continue;
+
+      const [p, q] = crossings;
+      if (p.vertex === null || q.vertex === null) {
+        segments.push([p.point, q.point]);
+      } else if (p.vertex !== q.vertex) {
+        edgeSegments.set(edgeKey(p.vertex, q.vertex), { segment: [p.point, q.point], ends: [p.vertex, q.vertex] });
+      }
+    }
+  }
+
+  // 辺に載る線分（線分を出した側の三角形は負。両側とも負なら 0 に接するだけで節線ではない）
+  const crossesZero = (id) => neighborSigns.get(id).has(1) && neighborSigns.get(id).has(-1);
+  for (const [key, { segment, ends }] of edgeSegments) {
+    const sideSigns = edgeSideSigns.get(key);
+    if ((sideSigns.has(1) || sideSigns.has(0)) && ends.every(crossesZero)) segments.push(segment);
+  }
+
+  return { points, segments };
+}
+
+/**
+ * モードの節点ごとの uz（複素モード形は実部が最大になるよう位相を回した値）
+ * @param {object} data  parseFloorData の戻り値
+ * @param {number} mode  モード番号
+ * @returns {Map<number, number>}  節点 ID → uz（データにない節点は 0）
+ */
+export function realModeShapeUz(data, mode) {
+  const re = data.modes.get(mode) || new Map();
+  const im = data.modesImag ? data.modesImag.get(mode) : undefined;
+  const uz = new Map();
+
+  if (!im || im.size === 0) {
+    for (const id of data.nodes.keys()) uz.set(id, re.get(id) ?? 0);
+    return uz;
+  }
+
+  // Σ (re cosθ + im sinθ)² を最大にする θ = atan2(2 Σ re·im, Σ (re² − im²)) / 2
+  let sumReIm = 0;
+  let sumDiff = 0;
+  for (const id of data.nodes.keys()) {
+    const r = re.get(id) ?? 0;
+    const i = im.has(id) ? im.get(id).uz : 0;
+    sumReIm += r * i;
+    sumDiff += r * r - i * i;
+  }
+  const theta = Math.atan2(2 * sumReIm, sumDiff) / 2;
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  for (const id of data.nodes.keys()) {
+    const r = re.get(id) ?? 0;
+    const i = im.has(id) ? im.get(id).uz : 0;
+    uz.set(id, r * c + i * s);
+  }
+  return uz;
+}
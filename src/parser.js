@@ -33,19 +33,64 @@ function convertKeysToCamelCase(value) {
   return value;
 }
 
+/**
+ * 配列以外のオブジェクトか（JSON のオブジェクト）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 成分値（実数 / { re, im } / { mag, phase }）を実部・虚部に分解する。
+ * phase は度単位。実数は虚部 0 とする。
+ * @param {*} value
+ * @returns {{re:number, im:number}}
+ */
+function toComplex(value) {
+  if (value !== null && typeof value === 'object') {
+    if (value.mag !== undefined || value.phase !== undefined) {
+      const mag = Number(value.mag ?? 0);
+      const phase = Number(value.phase ?? 0) * Math.PI / 180;
+      return { re: mag * Math.cos(phase), im: mag * Math.sin(phase) };
+    }
+    return { re: Number(value.re ?? 0), im: Number(value.im ?? 0) };
+  }
+  return { re: Number(value), im: 0 };
+}
+
+/**
+ * 節点値が成分オブジェクト { ux, uy, uz } か（複素数オブジェクトと区別する）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasComponents(value) {
+  return value.ux !== undefined || value.uy !== undefined || value.uz !== undefined;
+}
+
 /**
  * JSON 文字列をパースし、床構面データ構造に変換する。
  *
  * @param {string} jsonString  入力 JSON 文字列
  * @returns {{
  *   meta: object,
- *   nodes: Map<number,{id:number,x:number,y:number,z:number}>,
+ *   nodes: Map<number,{id:number,x:number,y:number,z:number,level?:string}>,
  *   nodeIdCounts: Map<number,number>,
  *   lines: Array<{id:number,nodeI:number,nodeJ:number}>,
+ *   elements: Array<{id:number,nodes:number[]}>,
  *   freqHz: Map<number,number>,
- *   modes: Map<number,Map<number,number>>
+ *   modes: Map<number,Map<number,number>>,
+ *   lateral: Map<number,Map<number,{ux:number,uy:number}>>,
+ *   modesImag: Map<number,Map<number,{ux:number,uy:number,uz:number}>>,
+ *   damping: Map<number,number>,
+ *   masses: Map<number,number>,
+ *   supports: Map<number,string>,
+ *   invalidEntries: Array<{key:string,index:number}>
  * }}
- * @throws {Error} JSON パースに失敗した場合
+ *   invalidEntries: nodes・lines・elements（faces）のうちオブジェクトでないため読み飛ばした要素
+ *   （validator が E_ENTRY_INVALID として報告する）
+ * @throws {Error} JSON パースに失敗した場合（cause に SyntaxError）、またはトップレベルがオブジェクトでない場合
  */
 export function parseFloorData(jsonString) {
   // --- 1. JSON パース -------------------------------------------------------
@@ -56,30 +101,102 @@ export function parseFloorData(jsonString) {
     throw new Error(`JSON parse error: ${e.message}`, { cause: e });
   }
 
+  return normalizeFloorData(raw);
+}
+
+/**
+ * 入力 JSON と同じ構造の生オブジェクトを床構面データ構造に変換する。
+ * CSV/TSV 等の他形式の読込もこの関数を通して同じ構造に揃える。
+ *
+ * @param {object} raw  入力 JSON と同じ構造（{ meta, nodes, lines, freq_hz, modes, ... }）
+ * @returns {ReturnType<typeof parseFloorData>}
+ * @throws {TypeError} raw がオブジェクトでない場合（配列・null・数値など）
+ */
+export function normalizeFloorData(raw) {
+  if (!isObject(raw)) {
+    throw new TypeError(`top-level value must be an object, got ${Array.isArray(raw) ? 'array' : String(raw)}`);
+  }
+
   // --- 2. キー名を camelCase に変換 -----------------------------------------
   const data = convertKeysToCamelCase(raw);
 
+  /** @type {Array<{key:string,index:number}>} オブジェクトでないため読み飛ばした配列要素 */
+  const invalidEntries = [];
+
   // --- 3. meta --------------------------------------------------------------
   const meta = data.meta ?? {};
 
-  // --- 4. nodes → Map<id, {id, x, y, z}> -----------------------------------
+  // --- 4. nodes → Map<id, {id, x, y, z, level?}> ---------------------------
   const nodes = new Map();
   const nodeIdCounts = new Map();
   if (Array.isArray(data.nodes)) {
-    for (const n of data.nodes) {
+    for (const [index, n] of data.nodes.entries()) {
+      if (!isObject(n)) {
+        invalidEntries.push({ key: 'nodes', index });
+        continue;
+      }
       const id = Number(n.id);
       const x = Number(n.x ?? 0);
       const y = Number(n.y ?? 0);
       const z = Number(n.z ?? 0);
       nodeIdCounts.set(id, (nodeIdCounts.get(id) ?? 0) + 1);
-      nodes.set(id, { id, x, y, z });
+      const node = { id, x, y, z };
+      // 階の指定（任意）。数値・文字列は文字列に揃え、それ以外はそのまま残して validator で検出する
+      if (n.level !== undefined && n.level !== null) {
+        node.level = typeof n.level === 'number' || typeof n.level === 'string' ? String(n.level).trim() : n.level;
+      }
+      nodes.set(id, node);
+    }
+  }
+
+  // --- 4b. masses → Map<nodeId, mass> ---------------------------------------
+  //    任意。節点の mass フィールド、または masses キー（{ "節点ID": 質量 } か
+  //    [{ node, mass }] の配列）で指定する。両方ある場合は masses キーを優先。
+  const masses = new Map();
+  if (Array.isArray(data.nodes)) {
+    for (const n of data.nodes) {
+      if (n && n.mass !== undefined) masses.set(Number(n.id), Number(n.mass));
+    }
+  }
+  if (Array.isArray(data.masses)) {
+    for (const m of data.masses) {
+      if (m && typeof m === 'object') masses.set(Number(m.node ?? m.id), Number(m.mass));
+    }
+  } else if (data.masses && typeof data.masses === 'object') {
+    for (const [nodeKey, mass] of Object.entries(data.masses)) {
+      masses.set(Number(nodeKey), Number(mass));
+    }
+  }
+
+  // --- 4c. supports → Map<nodeId, type> -------------------------------------
+  //    任意。節点の support フィールド、または supports キー（{ "節点ID": 種類 } か
+  //    [{ node, type }] の配列）で指定する。両方ある場合は supports キーを優先。
+  //    種類は小文字に揃え、文字列以外はそのまま残して validator で検出する。
+  const supports = new Map();
+  const supportType = (type) => (typeof type === 'string' ? type.trim().toLowerCase() : type);
+  if (Array.isArray(data.nodes)) {
+    for (const n of data.nodes) {
+      if (n && n.support !== undefined && n.support !== null) supports.set(Number(n.id), supportType(n.support));
+    }
+  }
+  if (Array.isArray(data.supports)) {
+    for (const sp of data.supports) {
+      if (sp && typeof sp === 'object') supports.set(Number(sp.node ?? sp.id), supportType(sp.type));
+    }
+  } else if (data.supports && typeof data.supports === 'object') {
+    for (const [nodeKey, type] of Object.entries(data.supports)) {
+      supports.set(Number(nodeKey), supportType(type));
     }
   }
 
   // --- 5. lines → Array<{id, nodeI, nodeJ}> ---------------------------------
   const lines = [];
   if (Array.isArray(data.lines)) {
-    for (const l of data.lines) {
+    for (const [index, l] of data.lines.entries()) {
+      if (!isObject(l)) {
+        invalidEntries.push({ key: 'lines', index });
+        continue;
+      }
       lines.push({
         id: Number(l.id),
         nodeI: Number(l.nodeI),
@@ -88,6 +205,24 @@ export function parseFloorData(jsonString) {
     }
   }
 
+  // --- 5b. elements (faces) → Array<{id, nodes: number[]}> -----------------
+  //    シェル・板要素（3 節点 = 三角形, 4 節点 = 四角形）。任意キー。
+  const elements = [];
+  const elementsKey = data.elements !== undefined && data.elements !== null ? 'elements' : 'faces';
+  const rawElements = data[elementsKey];
+  if (Array.isArray(rawElements)) {
+    for (const [index, el] of rawElements.entries()) {
+      if (!isObject(el)) {
+        invalidEntries.push({ key: elementsKey, index });
+        continue;
+      }
+      elements.push({
+        id: Number(el.id),
+        nodes: Array.isArray(el.nodes) ? el.nodes.map(Number) : [],
+      });
+    }
+  }
+
   // --- 6. freqHz → Map<modeNum, freq> ---------------------------------------
   const freqHz = new Map();
   if (data.freqHz && typeof data.freqHz === 'object') {
@@ -100,11 +235,19 @@ export function parseFloorData(jsonString) {
 
   // --- 7. modes → Map<modeNum, Map<nodeId, uz>> -----------------------------
   //    未記載の節点は uz = 0.0 とみなす（ここでは全 nodes を埋める）
+  //    節点値はスカラー（uz のみ）または { ux, uy, uz } オブジェクトを受け付ける。
+  //    水平成分 ux, uy は lateral: Map<modeNum, Map<nodeId, {ux, uy}>> に分けて保持する。
+  //    各成分は実数のほか複素数 { re, im } / { mag, phase }（phase は度）も受け付け、
+  //    modes / lateral には実部、虚部を持つ節点は modesImag に {ux, uy, uz} の虚部を保持する。
   const modes = new Map();
+  const lateral = new Map();
+  const modesImag = new Map();
   if (data.modes && typeof data.modes === 'object') {
     for (const [modeKey, modeVal] of Object.entries(data.modes)) {
       const modeNum = Number(modeKey);
       const uzMap = new Map();
+      const uxyMap = new Map();
+      const imagMap = new Map();
 
       // まずすべての節点を uz = 0.0 で初期化
       for (const nodeId of nodes.keys()) {
@@ -115,14 +258,37 @@ export function parseFloorData(jsonString) {
       if (modeVal && typeof modeVal === 'object') {
         for (const [nodeKey, uzVal] of Object.entries(modeVal)) {
           const nodeId = Number(nodeKey);
-          const uz = Number(uzVal);
-          uzMap.set(nodeId, uz);
+          const isComponents = uzVal !== null && typeof uzVal === 'object' && hasComponents(uzVal);
+          const uz = toComplex(isComponents ? (uzVal.uz ?? 0) : uzVal);
+          const ux = toComplex(isComponents ? (uzVal.ux ?? 0) : 0);
+          const uy = toComplex(isComponents ? (uzVal.uy ?? 0) : 0);
+
+          uzMap.set(nodeId, uz.re);
+          if (isComponents && (uzVal.ux !== undefined || uzVal.uy !== undefined)) {
+            uxyMap.set(nodeId, { ux: ux.re, uy: uy.re });
+          }
+          if (uz.im !== 0 || ux.im !== 0 || uy.im !== 0) {
+            imagMap.set(nodeId, { ux: ux.im, uy: uy.im, uz: uz.im });
+          }
         }
       }
 
       modes.set(modeNum, uzMap);
+      lateral.set(modeNum, uxyMap);
+      modesImag.set(modeNum, imagMap);
+    }
+  }
+
+  // --- 8. damping → Map<modeNum, ζ> -----------------------------------------
+  //    任意。モードごとの減衰比 ζ（臨界減衰比、0.02 = 2 %）。
+  const damping = new Map();
+  if (data.damping && typeof data.damping === 'object') {
+    for (const [key, val] of Object.entries(data.damping)) {
+      damping.set(Number(key), Number(val));
     }
   }
 
-  return { meta, nodes, nodeIdCounts, lines, freqHz, modes };
+  return {
+    meta, nodes, nodeIdCounts, lines, elements, freqHz, modes, lateral, modesImag, damping, masses, supports, invalidEntries,
+  };
 }
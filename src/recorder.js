@@ -0,0 +1,240 @@
+/**
+ * recorder.js -- モードアニメーションの動画 (WebM) / アニメーション GIF 書き出し
+ *
+ * 実時間の requestAnimationFrame ループとは独立に、AnimationController の
+ * 時刻を固定フレームレートで直接送りながら 1 フレームずつ描画・取得する。
+ * 記録区間は振動周期（重ね合わせ時は共通のループ周期）の整数倍とし、t = 0 〜 n·T を N 等分した
+ * t_k = k·(n·T / N)  (k = 0 … N-1) を描画するため、ループ再生が継ぎ目なくつながる。
+ * フレーム数・時刻の刻み・GIF の表示時間と長さの上限は recordframes.js で求める。
+ *
+ * @module recorder
+ */
+
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { computeRecordingFrames, gifFrameDelays } from './recordframes.js';
+
+/** GIF 出力時の最大幅 [px]（ファイルサイズ抑制のため縮小） */
+const GIF_MAX_WIDTH = 800;
+
+/** WebM 出力時に試す MIME タイプ（先頭から順に対応可否を確認） */
+const WEBM_MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+/**
+ * WebM 録画が可能か（MediaRecorder + canvas.captureStream）
+ * @returns {boolean}
+ */
+export function isWebMSupported() {
+  return typeof MediaRecorder !== 'undefined'
+    && typeof HTMLCanvasElement !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+    && pickWebMMimeType() !== null;
+}
+
+/**
+ * 現在モードのアニメーションを録画し、Blob を返す。
+ *
+ * 録画中は AnimationController を停止状態にし、終了後に元の時刻・再生状態へ戻す。
+ * 長さ・フレーム数が上限を超える場合は何も変えずに reject する（recordframes.computeRecordingFrames を参照）。
+ *
+ * @param {object} params
+ * @param {import('./viewer.js').FloorViewer} params.viewer
+ * @param {import('./animation.js').AnimationController} params.animController
+ * @param {()=>void} params.renderFrame  現在時刻で変形を更新し 1 フレーム描画する関数
+ * @param {'webm'|'gif'} params.format
+ * @param {number} params.periods   記録する周期数
+ * @param {number} params.fps       フレームレート
+ * @param {(done:number,total:number)=>void} [params.onProgress]
+ * @returns {Promise<Blob>}
+ */
+export async function recordAnimation({
+  viewer, animController, renderFrame, format, periods, fps, onProgress,
+}) {
+  const { frameCount, dt } = computeRecordingFrames({
+    freqHz: animController.getLoopFreqHz(),
+    periods,
+    fps,
+    speed: animController.getEffectiveSpeed(),
+  });
+
+  const savedTime = animController.getTime();
+  const wasPlaying = animController.isPlaying();
+  animController.stop();
+
+  const drawFrame = (k) => {
+    animController.setTime(k * dt);
+    renderFrame();
+  };
+
+  try {
+    if (format === 'gif') {
+      return await recordGif({ viewer, drawFrame, frameCount, fps, onProgress });
+    }
+    return await recordWebM({ viewer, drawFrame, frameCount, fps, onProgress });
+  } finally {
+    animController.setTime(savedTime);
+    if (wasPlaying) animController.play();
+    renderFrame();
+  }
+}
+
+/**
+ * Blob をファイルとしてダウンロードさせる。
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // ダウンロード開始後に解放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 対応している WebM の MIME タイプを返す（非対応なら null）
+ * @returns {string|null}
+ */
+function pickWebMMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  for (const type of WEBM_MIME_TYPES) {
+    if (MediaRecorder.isTypeSupported(type)) return type;
+  }
+  return null;
+}
+
+/**
+ * 指定ミリ秒待機する
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 凡例などのオーバーレイを合成するための 2D 作業用 canvas を作る。
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D }}
+ */
+function createWorkCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  return { canvas, ctx };
+}
+
+/**
+ * 合成用 canvas の captureStream(0) で手動フレーム送りしながら WebM に記録する。
+ * MediaRecorder は実時間でタイムスタンプを付けるため、requestAnimationFrame の時刻で
+ * 録画開始からの経過時間に当たるフレーム k = floor(経過 × fps) を送る（描画が遅れたフレームは飛ばし、
+ * 動画の長さを保つ）。タブが非表示の間は requestAnimationFrame が止まるため、表示したまま録画する。
+ */
+async function recordWebM({ viewer, drawFrame, frameCount, fps, onProgress }) {
+  const mimeType = pickWebMMimeType();
+  if (!mimeType) throw new Error('MediaRecorder (WebM) is not supported');
+
+  const src = viewer.getCanvas();
+  const { canvas, ctx } = createWorkCanvas(src.width, src.height);
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size > 0) chunks.push(e.data);
+  };
+  // MediaRecorder のエラーはフレーム送りのループも止める（ループ中は stopped を待っていないため catch を付けておく）
+  let recorderError = null;
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = (e) => {
+      recorderError = e.error || new Error('MediaRecorder error');
+      reject(recorderError);
+    };
+  });
+  stopped.catch(() => {});
+
+  const interval = 1000 / fps;
+  recorder.start();
+  try {
+    await new Promise((resolve, reject) => {
+      let start = null;
+      let drawn = -1;
+      const step = (timestamp) => {
+        try {
+          if (recorderError) {
+            reject(recorderError);
+            return;
+          }
+          if (start === null) start = timestamp;
+          const k = Math.floor((timestamp - start) / interval);
+          // 最終フレームも 1 フレーム分の時間を表示してから終える
+          if (k >= frameCount) {
+            resolve();
+            return;
+          }
+          if (k > drawn) {
+            drawn = k;
+            drawFrame(k);
+            viewer.composeImage(ctx, canvas.width, canvas.height);
+            if (track.requestFrame) track.requestFrame();
+            if (onProgress) onProgress(k + 1, frameCount);
+          }
+          requestAnimationFrame(step);
+        } catch (err) {
+          reject(err);
+        }
+      };
+      requestAnimationFrame(step);
+    });
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop();
+    track.stop();
+  }
+  await stopped;
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * 各フレームの画素を取得して gifenc でアニメーション GIF にエンコードする。
+ * 色数削減はフレームごとに行う（線色・背景色が少数のため十分な画質が得られる）。
+ * 表示時間は 1/100 秒単位のため、丸め誤差をフレーム間に分散する（gifFrameDelays）。
+ */
+async function recordGif({ viewer, drawFrame, frameCount, fps, onProgress }) {
+  const src = viewer.getCanvas();
+  const scale = Math.min(1, GIF_MAX_WIDTH / src.width);
+  const width = Math.max(1, Math.round(src.width * scale));
+  const height = Math.max(1, Math.round(src.height * scale));
+  const { ctx } = createWorkCanvas(width, height);
+
+  const gif = GIFEncoder();
+  const delays = gifFrameDelays(frameCount, fps);
+
+  for (let k = 0; k < frameCount; k++) {
+    drawFrame(k);
+    viewer.composeImage(ctx, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    const index = applyPalette(data, palette);
+    gif.writeFrame(index, width, height, { palette, delay: delays[k], repeat: 0 });
+    if (onProgress) onProgress(k + 1, frameCount);
+    // エンコード中も UI が固まらないよう制御を返す
+    await wait(0);
+  }
+
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
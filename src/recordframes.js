@@ -0,0 +1,75 @@
+/**
+ * recordframes.js -- 録画のフレーム構成（フレーム数・アニメーション時刻の刻み・GIF の表示時間）
+ *
+ * 記録区間は振動周期（重ね合わせ時は共通のループ周期）の整数倍とし、t = 0 〜 n·T を N 等分した
+ * t_k = k·(n·T / N)  (k = 0 … N-1) を描画する (recorder.js)。
+ * 動画の長さ・フレーム数には上限（MAX_RECORDING_DURATION・MAX_RECORDING_FRAMES）があり、超える指定は録画しない。
+ *
+ * @module recordframes
+ */
+
+/** 録画できる動画の最大長 [s] */
+export const MAX_RECORDING_DURATION = 60;
+
+/** 録画できる最大フレーム数（GIF はフレームごとに画素を保持するためメモリ使用量を抑える） */
+export const MAX_RECORDING_FRAMES = 1800;
+
+/**
+ * 録画のフレーム構成を計算する。
+ *
+ * 動画の長さ = periods / (f × speed) [s]（画面上の再生速度をそのまま反映）
+ * フレーム数 N = round(長さ × fps)（最低 2）
+ * アニメーション時刻の刻み dt = periods / (f × N)
+ *
+ * @param {object} params
+ * @param {number} params.freqHz   振動数 [Hz]
+ * @param {number} params.periods  記録する周期数
+ * @param {number} params.fps      フレームレート
+ * @param {number} [params.speed=1] 再生速度倍率
+ * @returns {{ frameCount: number, dt: number, duration: number }}
+ * @throws {Error} 振動数・周期数・fps が正でない場合。長さ・フレーム数が上限を超える場合は
+ *   code = 'E_RECORD_LIMIT'、params = { duration, frames, maxDuration, maxFrames } を持つ Error
+ */
+export function computeRecordingFrames({ freqHz, periods, fps, speed = 1 }) {
+  if (!(freqHz > 0)) throw new Error(`invalid frequency: ${freqHz}`);
+  if (!(periods > 0)) throw new Error(`invalid period count: ${periods}`);
+  if (!(fps > 0)) throw new Error(`invalid frame rate: ${fps}`);
+
+  const span = periods / freqHz;                 // アニメーション時間 [s]
+  const duration = span / (speed > 0 ? speed : 1); // 動画の長さ [s]
+  const frameCount = Math.max(2, Math.round(duration * fps));
+  if (duration > MAX_RECORDING_DURATION || frameCount > MAX_RECORDING_FRAMES) {
+    const err = new Error(
+      `recording too long: ${duration.toFixed(1)} s, ${frameCount} frames `
+      + `(limit ${MAX_RECORDING_DURATION} s, ${MAX_RECORDING_FRAMES} frames)`,
+    );
+    err.code = 'E_RECORD_LIMIT';
+    err.params = {
+      duration: Number(duration.toFixed(1)),
+      frames: frameCount,
+      maxDuration: MAX_RECORDING_DURATION,
+      maxFrames: MAX_RECORDING_FRAMES,
+    };
+    throw err;
+  }
+  return { frameCount, dt: span / frameCount, duration };
+}
+
+/**
+ * GIF の各フレームの表示時間 [ms] を求める。
+ *
+ * GIF の表示時間は 1/100 秒単位のため、1/fps を毎フレーム丸めると 30 fps（33.3 → 30 ms）などで
+ * 再生速度がずれる。フレーム k の表示時間を round((k+1)·100/fps) − round(k·100/fps) [1/100 s] とし、
+ * 丸め誤差をフレーム間に分散して累計の表示時間を k/fps に保つ。
+ *
+ * @param {number} frameCount  フレーム数
+ * @param {number} fps         フレームレート
+ * @returns {number[]} フレームごとの表示時間 [ms]（10 の倍数）
+ */
+export function gifFrameDelays(frameCount, fps) {
+  const delays = [];
+  for (let k = 0; k < frameCount; k++) {
+    delays.push((Math.round(((k + 1) * 100) / fps) - Math.round((k * 100) / fps)) * 10);
+  }
+  return delays;
+}
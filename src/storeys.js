@@ -0,0 +1,111 @@
+/**
+ * storeys.js -- 多層モデルの階（レベル）の検出
+ *
+ * 全節点に level フィールドがあればその値で、なければ z 座標の近い節点どうしをまとめて階とする。
+ *
+ *   level 指定: 同じ level の節点を 1 つの階とし、階の高さは節点 z の平均
+ *   z 座標    : z を昇順に並べ、モデル寸法の LEVEL_TOLERANCE 倍以内の差の節点を同じ階とする。
+ *               節点が MIN_STOREY_NODES 未満の階があれば（傾いた床・曲面の床など）階に分けず 1 階とする
+ *
+ * 階は高さの昇順（下から）に並べる。階に分けられない場合や同じ level の節点の z が揃わない場合は
+ * planar = false を返す（validator の W_NODE_Z_MIXED）。
+ *
+ * @module storeys
+ */
+
+/** z を同じ階とみなす差の閾値（モデルの最大寸法に対する比） */
+export const LEVEL_TOLERANCE = 1e-6;
+
+/** z 座標から階を検出するときの 1 階あたりの最少節点数（床面を張れる 3 点） */
+export const MIN_STOREY_NODES = 3;
+
+/**
+ * @typedef {{ label: string, z: number, nodeIds: number[] }} Storey
+ *   label: level 指定の値（z から検出した階は空文字）、z: 階の高さ
+ */
+
+/**
+ * 節点を階に分ける。
+ *
+ * @param {Map<number, {x:number, y:number, z:number, level?:string}>} nodes  parseFloorData の nodes
+ * @returns {{ storeys: Storey[], levelOf: Map<number, number>, fromLevel: boolean, planar: boolean }}
+ *   levelOf: 節点 ID → storeys のインデックス、fromLevel: level フィールドから分けたか
+ */
+export function detectStoreys(nodes) {
+  const list = [...nodes.values()];
+  const tolerance = Math.max(modelExtent(list), 1) * LEVEL_TOLERANCE;
+  const fromLevel = list.length > 0 && list.every((n) => typeof n.level === 'string' && n.level !== '');
+
+  /** @type {Array<{ label: string, nodes: object[] }>} */
+  let groups;
+  let planar = true;
+  if (fromLevel) {
+    const byLevel = new Map();
+    for (const n of list) {
+      if (!byLevel.has(n.level)) byLevel.set(n.level, []);
+      byLevel.get(n.level).push(n);
+    }
+    groups = [...byLevel].map(([label, members]) => ({ label, nodes: members }));
+    planar = groups.every((g) => zRange(g.nodes) <= tolerance);
+  } else {
+    groups = [];
+    for (const n of [...list].sort((a, b) => a.z - b.z)) {
+      const last = groups[groups.length - 1];
+      if (last && n.z - last.nodes[0].z <= tolerance) last.nodes.push(n);
+      else groups.push({ label: '', nodes: [n] });
+    }
+    if (groups.length > 1 && groups.some((g) => g.nodes.length < MIN_STOREY_NODES)) {
+      groups = [{ label: '', nodes: list }];
+      planar = false;
+    }
+  }
+
+  const storeys = groups
+    .map((g) => ({
+      label: g.label,
+      z: g.nodes.reduce((sum, n) => sum + n.z, 0) / g.nodes.length,
+      nodeIds: g.nodes.map((n) => n.id),
+    }))
+    .sort((a, b) => a.z - b.z || a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+  const levelOf = new Map();
+  storeys.forEach((s, idx) => {
+    for (const id of s.nodeIds) levelOf.set(id, idx);
+  });
+
+  return { storeys, levelOf, fromLevel, planar };
+}
+
+/**
+ * 節点座標の x・y・z 方向の範囲の最大値
+ * @param {Array<{x:number, y:number, z:number}>} list
+ * @returns {number}
+ */
+function modelExtent(list) {
+  let extent = 0;
+  for (const axis of ['x', 'y', 'z']) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const n of list) {
+      if (n[axis] < min) min = n[axis];
+      if (n[axis] > max) max = n[axis];
+    }
+    if (max > min) extent = Math.max(extent, max - min);
+  }
+  return extent;
+}
+
+/**
+ * 節点の z の範囲（最大 − 最小）
+ * @param {Array<{z:number}>} list
+ * @returns {number}
+ */
+function zRange(list) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const n of list) {
+    if (n.z < min) min = n.z;
+    if (n.z > max) max = n.z;
+  }
+  return max - min;
+}
@@ -0,0 +1,89 @@
+/**
+ * supports.js -- 支点（境界条件）の種類と支点記号の形状
+ *
+ * 入力データの supports（節点 ID → 種類）の種類:
+ *
+ *   fixed  : 固定（回転も拘束）
+ *   pinned : ピン（鉛直・水平変位を拘束、回転は自由）
+ *   spring : ばね（弾性支持。変位は拘束しない）
+ *
+ * 支点記号は節点を原点、y 軸を鉛直上向きとする three.js 座標系の線分で表す（寸法 size）。
+ *
+ *   fixed  : 節点を中心とする水平な正方形の板と、板の縁から下へ伸びる斜線（ハッチング）
+ *   pinned : 節点を頂点とする四角錐と、底面の下の地面線
+ *   spring : 節点から下へ伸びるジグザグと、下端の水平な台
+ *
+ * ばねは上端が節点の変位に追従して伸び縮みするよう、頂点ごとに変位の重み（下端 0 〜 上端 1）を持つ。
+ *
+ * @module supports
+ */
+
+/** 支点の種類 */
+export const SUPPORT_TYPES = ['fixed', 'pinned', 'spring'];
+
+/** 鉛直変位を拘束する支点の種類（uz が 0 でなければ validator が警告する） */
+export const RESTRAINED_TYPES = ['fixed', 'pinned'];
+
+/** ばねのジグザグの山の数 */
+const SPRING_ZIGZAGS = 4;
+
+/**
+ * 支点記号の線分を返す。
+ *
+ * @param {string} type  SUPPORT_TYPES のいずれか
+ * @param {number} size  記号の寸法（高さ・幅の基準）
+ * @returns {{ positions: number[], weights: number[] }}
+ *   positions: 線分の端点座標（x, y, z の 6 個で 1 本）、weights: 端点ごとの変位の重み
+ */
+export function supportSymbolSegments(type, size) {
+  const positions = [];
+  const weights = [];
+  const segment = (a, b, wa = 0, wb = 0) => {
+    positions.push(...a, ...b);
+    weights.push(wa, wb);
+  };
+  const half = size * 0.6;
+
+  if (type === 'fixed') {
+    const corners = [[-half, 0, -half], [half, 0, -half], [half, 0, half], [-half, 0, half]];
+    for (let k = 0; k < 4; k++) segment(corners[k], corners[(k + 1) % 4]);
+    // 前後の縁から斜め下へ 4 本ずつ
+    for (let k = 0; k < 4; k++) {
+      const x = -half + (2 * half * (k + 0.5)) / 4;
+      for (const z of [-half, half]) segment([x, 0, z], [x - size * 0.3, -size * 0.4, z]);
+    }
+  } else if (type === 'pinned') {
+    const y = -size;
+    const corners = [[-half, y, -half], [half, y, -half], [half, y, half], [-half, y, half]];
+    for (let k = 0; k < 4; k++) {
+      segment([0, 0, 0], corners[k]);
+      segment(corners[k], corners[(k + 1) % 4]);
+    }
+    // 地面線
+    const g = y - size * 0.2;
+    segment([-half * 1.3, g, 0], [half * 1.3, g, 0]);
+    segment([0, g, -half * 1.3], [0, g, half * 1.3]);
+  } else if (type === 'spring') {
+    const height = size * 1.2;
+    const amp = size * 0.3;
+    const steps = SPRING_ZIGZAGS * 2;
+    // 上端・下端に短い直線部を設け、その間をジグザグにする
+    const top = -height * 0.15;
+    const bottom = -height * 0.85;
+    const weight = (y) => 1 + y / height;
+    segment([0, 0, 0], [0, top, 0], 1, weight(top));
+    let prev = [0, top, 0];
+    for (let k = 1; k <= steps; k++) {
+      const y = top + ((bottom - top) * k) / steps;
+      const x = k === steps ? 0 : (k % 2 === 1 ? amp : -amp);
+      const next = [x, y, 0];
+      segment(prev, next, weight(prev[1]), weight(y));
+      prev = next;
+    }
+    segment(prev, [0, -height, 0], weight(prev[1]), 0);
+    const corners = [[-half, -height, -half], [half, -height, -half], [half, -height, half], [-half, -height, half]];
+    for (let k = 0; k < 4; k++) segment(corners[k], corners[(k + 1) % 4]);
+  }
+
+  return { positions, weights };
+}
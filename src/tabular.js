@@ -0,0 +1,349 @@
+/**
+ * tabular.js -- CSV/TSV 表データの解析・列対応付け・床構面データへの変換
+ *
+ * 表の種類（kind）:
+ *   nodes      : 節点        id, x, y, z, mass(任意), level(任意)
+ *   lines      : 線要素      id(任意), node_i, node_j
+ *   freq       : 振動数      mode, freq
+ *   modesWide  : モード形(横持ち)  node, <モード1>, <モード2>, …（列ごとに 1 モードの uz）
+ *   modesLong  : モード形(縦持ち)  mode, node, uz (+ ux, uy 任意)
+ *
+ * 1 枚のシートに複数の表を貼り付ける場合は "[nodes]" のような見出し行で区切る。
+ * 変換結果は入力 JSON と同じ構造の生オブジェクトとし、parser.normalizeFloorData に渡す。
+ *
+ * @module tabular
+ */
+
+/** 表の種類一覧 */
+export const TABLE_KINDS = ['nodes', 'lines', 'freq', 'modesWide', 'modesLong'];
+
+/**
+ * 表の種類ごとの列フィールド定義。
+ * aliases は正規化済みヘッダ（英小文字・英数字のみ）との照合に使う。
+ */
+export const TABLE_FIELDS = {
+  nodes: [
+    { key: 'id', required: true, aliases: ['id', 'node', 'nodeid', 'no'] },
+    { key: 'x', required: true, aliases: ['x'] },
+    { key: 'y', required: true, aliases: ['y'] },
+    { key: 'z', required: false, aliases: ['z'] },
+    { key: 'mass', required: false, aliases: ['mass', 'm', 'weight'] },
+    { key: 'level', required: false, aliases: ['level', 'storey', 'story', 'floor'] },
+  ],
+  lines: [
+    { key: 'id', required: false, aliases: ['id', 'line', 'lineid', 'no'] },
+    { key: 'nodeI', required: true, aliases: ['nodei', 'i', 'ni', 'n1', 'start'] },
+    { key: 'nodeJ', required: true, aliases: ['nodej', 'j', 'nj', 'n2', 'end'] },
+  ],
+  freq: [
+    { key: 'mode', required: true, aliases: ['mode', 'modeno', 'm', 'no'] },
+    { key: 'freq', required: true, aliases: ['freq', 'freqhz', 'frequency', 'hz', 'f'] },
+  ],
+  modesWide: [
+    { key: 'node', required: true, aliases: ['node', 'nodeid', 'id'] },
+  ],
+  modesLong: [
+    { key: 'mode', required: true, aliases: ['mode', 'modeno', 'm'] },
+    { key: 'node', required: true, aliases: ['node', 'nodeid', 'id'] },
+    { key: 'uz', required: true, aliases: ['uz', 'value', 'u', 'phi', 'dz'] },
+    { key: 'ux', required: false, aliases: ['ux', 'dx'] },
+    { key: 'uy', required: false, aliases: ['uy', 'dy'] },
+  ],
+};
+
+/**
+ * ヘッダ文字列を照合用に正規化する（英小文字・英数字のみ）
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * セル文字列が数値として解釈できるか
+ * @param {string} cell
+ * @returns {boolean}
+ */
+function isNumeric(cell) {
+  return cell.trim() !== '' && Number.isFinite(Number(cell));
+}
+
+/**
+ * 1 行分のテキストを区切り文字で分割する（ダブルクォート対応）
+ * @param {string} line
+ * @param {string|null} delimiter  null の場合は連続空白で分割
+ * @returns {string[]}
+ */
+function splitRow(line, delimiter) {
+  if (delimiter === null) {
+    return line.trim().split(/\s+/);
+  }
+
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * 区切り文字を推定する（タブ → カンマ → セミコロン → 空白の順）
+ * @param {string} sample
+ * @returns {string|null}
+ */
+function detectDelimiter(sample) {
+  if (sample.includes('\t')) return '\t';
+  if (sample.includes(',')) return ',';
+  if (sample.includes(';')) return ';';
+  return null;
+}
+
+/**
+ * 1 つの表ブロック（見出し区切りなし）を解析する
+ * @param {string[]} lines
+ * @param {string} name
+ * @returns {{ name: string, headers: string[], rows: string[][], headerless: boolean }|null}
+ *   headerless: 先頭行がヘッダでなく、headers を col1, col2, … と補った場合 true
+ */
+function parseBlock(lines, name) {
+  const body = lines.filter((l) => l.trim() !== '' && !l.trim().startsWith('#'));
+  if (body.length === 0) return null;
+
+  const delimiter = detectDelimiter(body[0]);
+  const rows = body.map((l) => splitRow(l, delimiter));
+
+  // 先頭行に数値以外のセルがあればヘッダとみなす
+  const headerless = rows[0].every((c) => isNumeric(c));
+  const headers = headerless ? rows[0].map((_, i) => `col${i + 1}`) : rows.shift();
+
+  return { name, headers, rows, headerless };
+}
+
+/**
+ * CSV/TSV テキストを表の配列に解析する。
+ * "[nodes]" のような見出し行があれば、そこで表を分割し見出しを表名とする。
+ *
+ * @param {string} text
+ * @param {string} [name='table']  表名（ファイル名など）
+ * @returns {Array<{ name: string, headers: string[], rows: string[][], headerless: boolean }>}
+ */
+export function parseDelimitedText(text, name = 'table') {
+  const tables = [];
+  let current = { name, lines: [] };
+  const flush = () => {
+    const table = parseBlock(current.lines, current.name);
+    if (table) tables.push(table);
+  };
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const section = line.match(/^\s*\[([^\]]+)\]\s*[,;\t]*$/);
+    if (section) {
+      flush();
+      current = { name: section[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return tables;
+}
+
+/**
+ * 表名・ヘッダから表の種類を推定する。
+ *
+ * @param {{ name: string, headers: string[] }} table
+ * @returns {string} TABLE_KINDS のいずれか
+ */
+export function guessTableKind({ name, headers }) {
+  const n = normalizeHeader(name);
+  const h = headers.map(normalizeHeader);
+  const has = (...keys) => keys.some((k) => h.includes(k));
+
+  if (/line|member|beam|edge/.test(n) || has('nodei', 'ni')) return 'lines';
+  if (/freq|hz/.test(n) || has('freq', 'freqhz', 'frequency', 'hz')) return 'freq';
+  if (has('mode') && has('node', 'nodeid') && has('uz', 'value', 'u', 'phi')) return 'modesLong';
+  if (/node|coord|point/.test(n) || (has('x') && has('y'))) return 'nodes';
+  return 'modesWide';
+}
+
+/**
+ * 表の種類に応じて列の対応付けを推定する。
+ * 見つからない任意フィールドは -1 とする。
+ *
+ * @param {string} kind
+ * @param {string[]} headers
+ * @returns {Object<string, number>}  フィールド名 → 列インデックス
+ */
+export function guessColumnMapping(kind, headers) {
+  const h = headers.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of TABLE_FIELDS[kind] || []) {
+    let idx = -1;
+    for (const alias of field.aliases) {
+      const found = h.findIndex((v, i) => v === alias && !used.has(i));
+      if (found >= 0) {
+        idx = found;
+        break;
+      }
+    }
+    // 必須フィールドが見つからなければ未使用の列を先頭から割り当てる
+    if (idx < 0 && field.required) {
+      idx = h.findIndex((_, i) => !used.has(i));
+    }
+    if (idx >= 0) used.add(idx);
+    mapping[field.key] = idx;
+  }
+
+  return mapping;
+}
+
+/**
+ * 横持ちモード形の列見出しからモード番号・振動数を読み取る。
+ * 例: "mode 2" → { mode: 2 }、"M3 (8.70 Hz)" → { mode: 3, freq: 8.7 }
+ *
+ * @param {string} header
+ * @param {number} fallback  番号が読み取れない場合のモード番号
+ * @returns {{ mode: number, freq?: number }}
+ */
+export function parseModeHeader(header, fallback) {
+  const text = String(header);
+  const result = { mode: fallback };
+  const freqMatch = text.match(/([0-9]*\.?[0-9]+)\s*hz/i);
+  const withoutFreq = freqMatch ? text.replace(freqMatch[0], '') : text;
+  const modeMatch = withoutFreq.match(/(\d+)/);
+  if (modeMatch) result.mode = Number(modeMatch[1]);
+  if (freqMatch) result.freq = Number(freqMatch[1]);
+  return result;
+}
+
+/**
+ * 種類・列対応付け済みの表から、入力 JSON と同じ構造の生オブジェクトを組み立てる。
+ *
+ * 横持ちモード形の列は見出しからモード番号を読み取る。ヘッダのない表（headerless）は
+ * 節点列を除いた列の並び順（1, 2, …）をモード番号とする。
+ *
+ * @param {Array<{ name: string, kind: string, headers: string[], rows: string[][],
+ *   mapping: Object<string, number>, headerless?: boolean }>} tables
+ * @param {string} [title]  meta.title に設定するタイトル
+ * @returns {{ meta: object, nodes: Array, lines: Array, freq_hz: object, modes: object }}
+ * @throws {Error} 必須列が対応付けられていない場合、線要素 ID が数値でない場合
+ */
+export function buildRawFloorData(tables, title = 'imported table') {
+  const raw = { meta: { title }, nodes: [], lines: [], freq_hz: {}, modes: {} };
+  const headerFreqs = {}; // 横持ち見出しから読み取った振動数
+  let autoLineId = 1;
+
+  for (const table of tables) {
+    const { kind, mapping, rows } = table;
+    for (const field of TABLE_FIELDS[kind] || []) {
+      if (field.required && !(mapping[field.key] >= 0)) {
+        throw new Error(`${table.name}: column for "${field.key}" is not assigned`);
+      }
+    }
+    const cell = (row, key) => (mapping[key] >= 0 ? row[mapping[key]] : undefined);
+    const num = (row, key) => {
+      const v = cell(row, key);
+      return v === undefined || v === '' ? undefined : Number(v);
+    };
+
+    switch (kind) {
+      case 'nodes':
+        for (const row of rows) {
+          const node = { id: num(row, 'id'), x: num(row, 'x'), y: num(row, 'y'), z: num(row, 'z') ?? 0 };
+          const mass = num(row, 'mass');
+          if (mass !== undefined) node.mass = mass;
+          const level = cell(row, 'level');
+          if (level !== undefined && level !== '') node.level = level;
+          raw.nodes.push(node);
+        }
+        break;
+
+      case 'lines':
+        rows.forEach((row, r) => {
+          const id = num(row, 'id') ?? autoLineId;
+          if (!Number.isFinite(id)) {
+            throw new Error(`${table.name}: line id "${cell(row, 'id')}" in row ${r + 1} is not a number`);
+          }
+          autoLineId = Math.max(autoLineId, id) + 1;
+          raw.lines.push({ id, node_i: num(row, 'nodeI'), node_j: num(row, 'nodeJ') });
+        });
+        break;
+
+      case 'freq':
+        for (const row of rows) {
+          raw.freq_hz[String(num(row, 'mode'))] = num(row, 'freq');
+        }
+        break;
+
+      case 'modesWide': {
+        const modeCols = table.headers
+          .map((header, idx) => ({ header, idx }))
+          .filter(({ idx }) => idx !== mapping.node);
+        modeCols.forEach((col, k) => {
+          // ヘッダのない表の col1, col2, … は列の並び順で番号を振る（名前の数字は列番号のため使わない）
+          const { mode, freq } = table.headerless ? { mode: k + 1 } : parseModeHeader(col.header, k + 1);
+          col.mode = mode;
+          if (freq !== undefined) headerFreqs[String(mode)] = freq;
+        });
+        for (const row of rows) {
+          const nodeId = String(num(row, 'node'));
+          for (const col of modeCols) {
+            const v = row[col.idx];
+            if (v === undefined || v === '') continue;
+            const key = String(col.mode);
+            raw.modes[key] = raw.modes[key] || {};
+            raw.modes[key][nodeId] = Number(v);
+          }
+        }
+        break;
+      }
+
+      case 'modesLong':
+        for (const row of rows) {
+          const key = String(num(row, 'mode'));
+          const nodeId = String(num(row, 'node'));
+          const ux = num(row, 'ux');
+          const uy = num(row, 'uy');
+          raw.modes[key] = raw.modes[key] || {};
+          raw.modes[key][nodeId] = ux === undefined && uy === undefined
+            ? num(row, 'uz')
+            : { ux: ux ?? 0, uy: uy ?? 0, uz: num(row, 'uz') };
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // 振動数表にないモードは横持ち見出しの振動数で補う
+  for (const [mode, freq] of Object.entries(headerFreqs)) {
+    if (!(mode in raw.freq_hz)) raw.freq_hz[mode] = freq;
+  }
+
+  return raw;
+}
@@ -0,0 +1,238 @@
+/**
+ * uff.js -- Universal File Format (UFF / UNV, ASCII) の読込
+ *
+ * 対応データセット:
+ *   15   : 節点（単精度）       → nodes
+ *   2411 : 節点（倍精度）       → nodes
+ *   82   : トレースライン       → lines（連続する節点を線要素に分解、節点 0 はペンアップ）
+ *   55   : 節点データ（モード形） → modes / freq_hz / damping
+ * その他のデータセット（58 の関数データ等）は読み飛ばす。
+ *
+ * 座標系変換は行わず、全節点を全体座標系の値として扱う。
+ * 変換結果は入力 JSON と同じ構造の生オブジェクトとし、parser.normalizeFloorData に渡す。
+ *
+ * @module uff
+ */
+
+/** データセット区切り行 */
+const DELIMITER = /^\s*-1\s*$/;
+
+/** データセット 55 の解析種別: 正規モード / 複素固有値 */
+const ANALYSIS_NORMAL_MODE = 2;
+const ANALYSIS_COMPLEX_EIGEN = 3;
+
+/** データセット 55 のデータ型: 複素数 */
+const DATA_TYPE_COMPLEX = 5;
+
+/**
+ * テキストが UFF 形式か（先頭の非空行がデータセット区切り "-1" か）
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isUffText(text) {
+  const firstLine = text.split(/\r?\n/).find((l) => l.trim() !== '');
+  return firstLine !== undefined && DELIMITER.test(firstLine);
+}
+
+/**
+ * UFF テキストを入力 JSON と同じ構造の生オブジェクトに変換する。
+ *
+ * @param {string} text  UFF (ASCII) テキスト
+ * @param {string} [title]  meta.title
+ * @returns {{ meta: object, nodes: Array, lines: Array, freq_hz: object, modes: object, damping?: object }}
+ * @throws {Error} 必要なデータセットがない、または書式が不正な場合
+ */
+export function parseUffText(text, title = 'uff') {
+  const raw = { meta: { title, source: 'uff' }, nodes: [], lines: [], freq_hz: {}, modes: {} };
+  let lineId = 1;
+  let autoMode = 1;
+
+  for (const { type, lines } of splitDatasets(text)) {
+    switch (type) {
+      case 15:
+        for (const l of lines) {
+          const v = tokens(l);
+          if (v.length < 7) continue;
+          raw.nodes.push({ id: Number(v[0]), x: Number(v[4]), y: Number(v[5]), z: Number(v[6]) });
+        }
+        break;
+
+      case 2411:
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+          const id = Number(tokens(lines[i])[0]);
+          const [x, y, z] = tokens(lines[i + 1]).map(Number);
+          raw.nodes.push({ id, x, y, z });
+        }
+        break;
+
+      case 82:
+        for (const [nodeI, nodeJ] of parseTraceLine(lines)) {
+          raw.lines.push({ id: lineId++, node_i: nodeI, node_j: nodeJ });
+        }
+        break;
+
+      case 55: {
+        const mode = parseNodalData(lines, autoMode);
+        if (!mode) break;
+        autoMode = Math.max(autoMode, mode.modeNum) + 1;
+        raw.freq_hz[String(mode.modeNum)] = mode.freq;
+        raw.modes[String(mode.modeNum)] = mode.values;
+        if (mode.damping > 0) {
+          raw.damping = raw.damping || {};
+          raw.damping[String(mode.modeNum)] = mode.damping;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  if (raw.nodes.length === 0) {
+    throw new Error('no node dataset (15 / 2411) found');
+  }
+  if (Object.keys(raw.modes).length === 0) {
+    throw new Error('no mode shape dataset (55) found');
+  }
+
+  return raw;
+}
+
+// ─── 内部ヘルパー ───────────────────────────────────────────────────────────
+
+/**
+ * 1 行を空白区切りのトークンに分割する（Fortran の D 指数表記を E に置換）
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tokens(line) {
+  return line.trim().replace(/(\d)[dD]([+-]?\d)/g, '$1E$2').split(/\s+/).filter((s) => s !== '');
+}
+
+/**
+ * テキストをデータセットごとに分割する
+ * @param {string} text
+ * @returns {Array<{ type: number, lines: string[] }>}
+ */
+function splitDatasets(text) {
+  const datasets = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (DELIMITER.test(line)) {
+      if (current) {
+        datasets.push(current);
+        current = null;
+      } else {
+        current = { type: null, lines: [] };
+      }
+      continue;
+    }
+    if (!current) continue;
+    if (current.type === null) {
+      current.type = Number(line.trim().split(/\s+/)[0]);
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  return datasets;
+}
+
+/**
+ * データセット 82（トレースライン）を節点ペアの配列に分解する
+ * Record 1: トレースライン番号, 節点数, 色 / Record 2: 名称 / Record 3: 節点列（0 = ペンアップ）
+ * @param {string[]} lines
+ * @returns {Array<[number, number]>}
+ */
+function parseTraceLine(lines) {
+  if (lines.length < 3) return [];
+  const count = Number(tokens(lines[0])[1]);
+  const nodeSeq = [];
+  for (let i = 2; i < lines.length && nodeSeq.length < count; i++) {
+    nodeSeq.push(...tokens(lines[i]).map(Number));
+  }
+
+  const pairs = [];
+  for (let i = 0; i + 1 < nodeSeq.length; i++) {
+    if (nodeSeq[i] !== 0 && nodeSeq[i + 1] !== 0) {
+      pairs.push([nodeSeq[i], nodeSeq[i + 1]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * データセット 55（節点データ）からモード番号・振動数・節点値を取り出す
+ *
+ * Record 1-5: ID 行 / Record 6: モデル種別, 解析種別, データ特性, 特定データ種別, データ型, NDV
+ * Record 7: NINT, NRVAL, 整数値… / Record 8: 実数値… / 以降: 節点番号 + NDV 個の値
+ *
+ * 値は 3 成分（データ特性 2, 3）なら 3 番目を uz、1, 2 番目を ux, uy とし、
+ * スカラー（データ特性 1）なら uz とする。複素数データは各成分を { re, im } とする。
+ *
+ * 減衰比は正規モードでは Record 8 の 3 番目（モード粘性減衰比）、複素固有値では
+ * 固有値 λ = σ + jω_d から ζ = -σ / |λ| とする。
+ *
+ * @param {string[]} lines
+ * @param {number} autoMode  モード番号が得られない場合に使う番号
+ * @returns {{ modeNum: number, freq: number, damping: number, values: object }|null}  モード形以外は null
+ */
+function parseNodalData(lines, autoMode) {
+  if (lines.length < 6) return null;
+
+  const [, analysisType, dataChar, , dataType, ndv] = tokens(lines[5]).map(Number);
+  if (analysisType !== ANALYSIS_NORMAL_MODE && analysisType !== ANALYSIS_COMPLEX_EIGEN) {
+    return null;
+  }
+  const complex = dataType === DATA_TYPE_COMPLEX;
+
+  const stream = lines.slice(6).flatMap(tokens);
+  let pos = 0;
+  const nint = Number(stream[pos++]);
+  const nrval = Number(stream[pos++]);
+  const ints = stream.slice(pos, pos + nint).map(Number);
+  pos += nint;
+  const reals = stream.slice(pos, pos + nrval).map(Number);
+  pos += nrval;
+  if (reals.length < nrval || !(ndv > 0)) {
+    throw new Error('malformed dataset 55 header');
+  }
+
+  const modeNum = ints[1] > 0 ? ints[1] : autoMode;
+  let freq;
+  let damping;
+  if (analysisType === ANALYSIS_NORMAL_MODE) {
+    freq = reals[0];
+    damping = Number.isFinite(reals[2]) ? reals[2] : 0;
+  } else {
+    const lambda = Math.hypot(reals[0], reals[1]);
+    freq = lambda / (2 * Math.PI);
+    damping = lambda > 0 ? -reals[0] / lambda : 0;
+  }
+
+  const perNode = complex ? ndv * 2 : ndv;
+  const values = {};
+  while (pos < stream.length) {
+    const nodeId = Number(stream[pos++]);
+    const data = stream.slice(pos, pos + perNode).map(Number);
+    pos += perNode;
+    if (data.length < perNode) break;
+
+    // 複素数は (実部, 虚部) の並び
+    const comps = complex
+      ? Array.from({ length: ndv }, (_, i) => ({ re: data[i * 2], im: data[i * 2 + 1] }))
+      : data;
+    const isZero = (c) => (complex ? c.re === 0 && c.im === 0 : c === 0);
+    if (dataChar === 1 || comps.length < 3) {
+      values[String(nodeId)] = comps[0];
+    } else if (isZero(comps[0]) && isZero(comps[1])) {
+      values[String(nodeId)] = comps[2];
+    } else {
+      values[String(nodeId)] = { ux: comps[0], uy: comps[1], uz: comps[2] };
+    }
+  }
+
+  return { modeNum, freq, damping, values };
+}
@@ -4,7 +4,59 @@
  * @module ui
  */
 
-import { t, setLang, getLang, applyTranslations } from './i18n.js';
+import { t, setLang, getLang, applyTranslations, onLangChange } from './i18n.js';
+import { recordAnimation, downloadBlob, isWebMSupported } from './recorder.js';
+import { computeModalMass } from './modalmass.js';
+import { SPEED_MIN, SPEED_MAX } from './animation.js';
+import { toFileTitle, toFileModeTag } from './filename.js';
+
+/** 1 周期をなめらかに表示できる最低フレーム数（60 fps 換算、これ未満なら周期指定の再生を勧める） */
+const SMOOTH_CYCLE_FRAMES = 8;
+
+/** @type {()=>void} 読込中データに依存する表示（モード選択肢・モード質量表など）を現在の言語で作り直す。setupUI が設定する */
+let refreshDataTexts = () => {};
+
+/** 検証エラーのあるデータの表示中も使えるコントロール（読込・言語・テーマ・視点） */
+const INVALID_DATA_CONTROLS = [
+  'btn-lang', 'btn-theme', 'btn-select-file', 'file-input', 'btn-import-table',
+  'btn-view-top', 'btn-view-front', 'btn-view-side', 'btn-view-iso', 'chk-ortho',
+];
+
+/** 録画中に無効にするコントロール（表示するデータ・モードを変えるもの。重ね合わせの各モードの入力も含む） */
+const RECORDING_LOCKED_CONTROLS = [
+  'mode-select', 'chk-superpose', 'bookmark-select', 'btn-select-file', 'file-input', 'btn-import-table',
+  'compare-file', 'btn-compare-load', 'btn-compare-close', 'compare-mode-select',
+];
+
+/** @type {Map<HTMLElement, { reasons: Set<string>, wasDisabled: boolean }>} 無効化中のコントロールと無効化の理由 */
+const lockedControls = new Map();
+
+/**
+ * 言語切替ボタンを初期化する。initApp から 1 回だけ、他のモジュールより先に呼ぶ
+ * （データの読込前・読込失敗時も切り替えられるよう setupUI とは分ける）。
+ * 言語が変わると、この関数で登録した更新（固定の文言・読込中データの表示）の後に
+ * 各モジュールが i18n.onLangChange で登録した更新が呼ばれる。
+ */
+export function setupLangToggle() {
+  const btnLang = document.getElementById('btn-lang');
+  btnLang.textContent = t('btnLang');
+  btnLang.addEventListener('click', () => setLang(getLang() === 'ja' ? 'en' : 'ja'));
+
+  onLangChange(() => {
+    applyTranslations();
+    btnLang.textContent = t('btnLang');
+    // テーマボタンのテキストも更新
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    document.getElementById('btn-theme').textContent = t(isDark ? 'btnThemeDark' : 'btnThemeLight');
+    // ヘルプ内容更新
+    const helpContent = document.getElementById('help-content');
+    if (helpContent) helpContent.textContent = t('helpContent');
+    // ファイル名表示更新（ファイル未選択時のみ）
+    const fnd = document.getElementById('file-name-display');
+    if (fnd && !fnd._hasFile) fnd.textContent = t('fileNameNone');
+    refreshDataTexts();
+  });
+}
 
 /**
  * UI 要素のイベントリスナーを設定する。
@@ -13,9 +65,10 @@ import { t, setLang, getLang, applyTranslations } from './i18n.js';
  * @param {import('./viewer.js').FloorViewer}         params.viewer
  * @param {import('./animation.js').AnimationController} params.animController
  * @param {object}              params.floorData        parseFloorData の戻り値
- * @param {(jsonString:string)=>void} params.onFileLoad  ファイル読込コールバック
+ * @param {(text:string, fileName:string)=>void} params.onFileLoad  ファイル読込コールバック（JSON / UFF）
+ * @param {()=>void}            params.renderFrame      現在時刻で 1 フレーム描画する関数
  */
-export function setupUI({ viewer, animController, floorData, onFileLoad }) {
+export function setupUI({ viewer, animController, floorData, onFileLoad, renderFrame }) {
   // ---------- モード選択 ----------
   const modeSelect = document.getElementById('mode-select');
   // 既存の option をクリア
@@ -39,15 +92,91 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   // 振動数表示を初期化
   updateFreqDisplay(animController);
 
+  // ---------- モード質量表（節点質量がある場合のみ） ----------
+  const massTableWrap = document.getElementById('mass-table-wrap');
+  const massResult = computeModalMass(floorData);
+  buildMassTable(massTableWrap, massResult, modeSelect, animController);
+
+  // ---------- モード形の正規化・符号反転 ----------
+  const normSelect = document.getElementById('norm-select');
+  const chkFlip    = document.getElementById('chk-flip-sign');
+
+  // 節点質量がないデータでは質量正規化を選べないようにする
+  normSelect.querySelector('option[value="mass"]').disabled = !animController.hasMasses();
+  normSelect.value = 'maxabs';
+  animController.setNormalization('maxabs');
+  updateNormOptionLabels(normSelect, floorData);
+  chkFlip.checked = false;
+  chkFlip.disabled = false;
+
+  const onNormChange = () => {
+    animController.setNormalization(normSelect.value);
+    buildMassTable(massTableWrap, massResult, modeSelect, animController);
+  };
+  const onFlipChange = () => {
+    animController.setModeFlipped(Number(modeSelect.value), chkFlip.checked);
+    buildMassTable(massTableWrap, massResult, modeSelect, animController);
+  };
+  replaceListener(normSelect, 'change', onNormChange, '_onNormChange');
+  replaceListener(chkFlip, 'change', onFlipChange, '_onFlipChange');
+
   // change イベント — 新しいリスナーだけ残す
   const onModeChange = () => {
     const n = Number(modeSelect.value);
     animController.setMode(n);
     updateFreqDisplay(animController);
     updateTimeDisplay(animController.getTime());
+    highlightMassRow(massTableWrap, n);
+    chkFlip.checked = animController.isModeFlipped(n);
+    updatePlaybackInfo(animController);
   };
   replaceListener(modeSelect, 'change', onModeChange, '_onModeChange');
 
+  // ---------- モード重ね合わせ ----------
+  const chkSuperpose = document.getElementById('chk-superpose');
+  const superposeList = document.getElementById('superpose-list');
+  const superposeRows = buildSuperposeRows(superposeList, animController);
+
+  chkSuperpose.checked = false;
+  superposeList.hidden = true;
+  modeSelect.disabled = false;
+  animController.setSuperposition(null);
+
+  const applySuperposition = () => {
+    if (!chkSuperpose.checked) {
+      animController.setSuperposition(null);
+    } else {
+      animController.setSuperposition(
+        superposeRows
+          .filter((row) => row.chk.checked)
+          .map((row) => ({
+            mode: row.mode,
+            weight: parseFloat(row.weight.value),
+            phaseDeg: parseFloat(row.phase.value),
+          })),
+      );
+    }
+    updateFreqDisplay(animController);
+    updatePlaybackInfo(animController);
+  };
+
+  const onSuperposeToggle = () => {
+    superposeList.hidden = !chkSuperpose.checked;
+    modeSelect.disabled = chkSuperpose.checked;
+    chkFlip.disabled = chkSuperpose.checked;
+    applySuperposition();
+  };
+  replaceListener(chkSuperpose, 'change', onSuperposeToggle, '_onSuperposeToggle');
+
+  for (const row of superposeRows) {
+    row.chk.addEventListener('change', applySuperposition);
+    row.weight.addEventListener('input', () => {
+      row.weightVal.textContent = parseFloat(row.weight.value).toFixed(2);
+      applySuperposition();
+    });
+    row.phase.addEventListener('input', applySuperposition);
+  }
+
   // ---------- 再生 / 停止ボタン ----------
   const btnPlay = document.getElementById('btn-play');
   const btnStop = document.getElementById('btn-stop');
@@ -57,20 +186,52 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   replaceListener(btnPlay, 'click', onPlay, '_onPlay');
   replaceListener(btnStop, 'click', onStop, '_onStop');
 
-  // ---------- 速度スライダー ----------
-  const speedSlider = document.getElementById('speed-slider');
-  const speedValue  = document.getElementById('speed-value');
+  // ---------- 再生速度（実時間 × 倍率 / 1 周期の秒数） ----------
+  // 倍率はスライダー（対数目盛: 値 = log10 倍率）と数値入力のどちらでも指定できる。
+  // 範囲はどちらも AnimationController と同じ SPEED_MIN〜SPEED_MAX で、範囲外の入力は端の値に直す
+  const playbackSelect = document.getElementById('playback-select');
+  const speedRow       = document.getElementById('speed-row');
+  const speedSlider    = document.getElementById('speed-slider');
+  const speedInput     = document.getElementById('speed-input');
+  const cycleRow       = document.getElementById('cycle-row');
+  const cycleSeconds   = document.getElementById('cycle-seconds');
+
+  speedSlider.min = String(Math.log10(SPEED_MIN));
+  speedSlider.max = String(Math.log10(SPEED_MAX));
+  speedInput.min = String(SPEED_MIN);
+  speedInput.max = String(SPEED_MAX);
 
-  speedSlider.value = '1.0';
-  speedValue.textContent = '1.0';
+  playbackSelect.value = 'speed';
+  speedSlider.value = '0';
+  speedInput.value = '1';
   animController.setSpeed(1.0);
+  animController.setCyclePeriod(null);
 
+  const onPlaybackChange = () => {
+    const period = playbackSelect.value === 'period';
+    speedRow.hidden = period;
+    cycleRow.hidden = !period;
+    animController.setCyclePeriod(period ? parseFloat(cycleSeconds.value) : null);
+    updatePlaybackInfo(animController);
+  };
+  const onSpeedSlider = () => {
+    animController.setSpeed(10 ** parseFloat(speedSlider.value));
+    speedInput.value = String(Number(animController.getSpeed().toPrecision(3)));
+    updatePlaybackInfo(animController);
+  };
   const onSpeedInput = () => {
-    const sp = parseFloat(speedSlider.value);
+    const sp = parseFloat(speedInput.value);
+    if (!(sp > 0)) return;
     animController.setSpeed(sp);
-    speedValue.textContent = sp.toFixed(1);
+    if (animController.getSpeed() !== sp) speedInput.value = String(animController.getSpeed());
+    speedSlider.value = String(Math.log10(animController.getSpeed()));
+    updatePlaybackInfo(animController);
   };
-  replaceListener(speedSlider, 'input', onSpeedInput, '_onSpeedInput');
+  replaceListener(playbackSelect, 'change', onPlaybackChange, '_onPlaybackChange');
+  replaceListener(speedSlider, 'input', onSpeedSlider, '_onSpeedInput');
+  replaceListener(speedInput, 'input', onSpeedInput, '_onSpeedInput');
+  replaceListener(cycleSeconds, 'input', onPlaybackChange, '_onCycleInput');
+  onPlaybackChange();
 
   // ---------- 変形倍率スライダー ----------
   const scaleSlider = document.getElementById('scale-slider');
@@ -87,19 +248,126 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   };
   replaceListener(scaleSlider, 'input', onScaleInput, '_onScaleInput');
 
+  // ---------- 振幅（相対 / 実変位） ----------
+  const ampSelect       = document.getElementById('amp-select');
+  const ampPeakRow      = document.getElementById('amp-peak-row');
+  const ampPeak         = document.getElementById('amp-peak');
+  const ampExaggRow     = document.getElementById('amp-exaggeration-row');
+  const ampExaggeration = document.getElementById('amp-exaggeration');
+  const ampInfo         = document.getElementById('amp-info');
+
+  // 単位が解釈できないデータでは実変位を選べないようにする
+  ampSelect.querySelector('option[value="data"]').disabled = !animController.canShowAbsolute('data');
+  ampSelect.querySelector('option[value="peak"]').disabled = !animController.canShowAbsolute('peak');
+  ampSelect.value = 'relative';
+  animController.setAbsolute(null);
+
+  const applyAmplitude = () => {
+    const mode = ampSelect.value;
+    animController.setAbsolute(mode === 'relative' ? null : {
+      source: mode,
+      peakMm: parseFloat(ampPeak.value),
+      exaggeration: parseFloat(ampExaggeration.value),
+    });
+    const absolute = mode !== 'relative';
+    ampPeakRow.hidden = mode !== 'peak';
+    ampExaggRow.hidden = !absolute;
+    scaleSlider.disabled = absolute;
+    // モード値をそのまま実変位とする場合は正規化を使わない
+    normSelect.disabled = mode === 'data';
+    updateAmplitudeInfo(ampInfo, animController, floorData);
+  };
+  const onAmpModeChange = () => {
+    // 実変位に切り替えたときは、見た目の大きさが相対表示と同程度になる誇張倍率から始める
+    if (ampSelect.value !== 'relative') {
+      ampExaggeration.value = '1';
+      applyAmplitude();
+      ampExaggeration.value = String(animController.suggestExaggeration());
+    }
+    applyAmplitude();
+  };
+  replaceListener(ampSelect, 'change', onAmpModeChange, '_onAmpModeChange');
+  replaceListener(ampPeak, 'input', applyAmplitude, '_onAmpInput');
+  replaceListener(ampExaggeration, 'input', applyAmplitude, '_onAmpInput');
+  applyAmplitude();
+
+  // ---------- 変位成分（鉛直のみ / 全成分） ----------
+  const componentSelect = document.getElementById('component-select');
+  const fullOption = componentSelect.querySelector('option[value="full"]');
+
+  // 水平成分を持たないデータでは「全成分」を選べないようにする
+  if (fullOption) fullOption.disabled = !animController.hasLateral();
+  componentSelect.value = 'vertical';
+  animController.setComponentMode('vertical');
+
+  const onComponentChange = () => {
+    animController.setComponentMode(componentSelect.value);
+  };
+  replaceListener(componentSelect, 'change', onComponentChange, '_onComponentChange');
+
+  // ---------- 減衰包絡線 exp(-ζωt) ----------
+  const chkDecay = document.getElementById('chk-decay');
+
+  // 減衰比を持たないデータでは無効化
+  chkDecay.checked = false;
+  chkDecay.disabled = !animController.hasDamping();
+  animController.setDecay(false);
+
+  const onDecayChange = () => {
+    animController.setDecay(chkDecay.checked);
+  };
+  replaceListener(chkDecay, 'change', onDecayChange, '_onDecayChange');
+
+  // ---------- コンター表示 ----------
+  const contourSelect  = document.getElementById('contour-select');
+  const colormapSelect = document.getElementById('colormap-select');
+
+  contourSelect.value = 'off';
+  colormapSelect.disabled = true;
+  viewer.setContour({
+    mode: 'off',
+    colormap: colormapSelect.value,
+    unit: (floorData.meta && floorData.meta.lengthUnit) || '',
+  });
+
+  const onContourChange = () => {
+    colormapSelect.disabled = contourSelect.value === 'off';
+    // 符号付きは発散型カラーマップが読みやすいため既定で切り替える
+    if (contourSelect.value === 'signed' && colormapSelect.value === 'jet') {
+      colormapSelect.value = 'bwr';
+    }
+    viewer.setContour({ mode: contourSelect.value, colormap: colormapSelect.value });
+  };
+  const onColormapChange = () => {
+    viewer.setContour({ colormap: colormapSelect.value });
+  };
+  replaceListener(contourSelect,  'change', onContourChange,  '_onContourChange');
+  replaceListener(colormapSelect, 'change', onColormapChange, '_onColormapChange');
+
   // ---------- 表示切替チェックボックス ----------
   const chkUndeformed = document.getElementById('chk-undeformed');
   const chkDeformed   = document.getElementById('chk-deformed');
   const chkAxes       = document.getElementById('chk-axes');
   const chkGrid       = document.getElementById('chk-grid');
   const chkNodeIds    = document.getElementById('chk-node-ids');
+  const chkSurface    = document.getElementById('chk-surface');
+  const chkNodalLines = document.getElementById('chk-nodal-lines');
+  const chkSupports   = document.getElementById('chk-supports');
 
-  // 初期状態を全て checked に戻す
+  // 初期状態を全て checked に戻す（節線は OFF）
   chkUndeformed.checked = true;
   chkDeformed.checked   = true;
   chkAxes.checked       = true;
   chkGrid.checked       = true;
   chkNodeIds.checked    = true;
+  chkSurface.checked    = true;
+  chkNodalLines.checked = false;
+  chkSupports.checked   = true;
+
+  // シェル要素がないデータでは面の表示設定を無効化
+  chkSurface.disabled = !viewer.hasSurface();
+  // 支点のないデータでは支点の表示設定を無効化
+  chkSupports.disabled = !viewer.hasSupports();
 
   const applyVisibility = () => {
     viewer.setVisibility({
@@ -108,6 +376,9 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
       axes:       chkAxes.checked,
       grid:       chkGrid.checked,
       labels:     chkNodeIds.checked && !animController.isPlaying(),
+      surface:    chkSurface.checked,
+      nodalLines: chkNodalLines.checked,
+      supports:   chkSupports.checked,
     });
   };
 
@@ -120,6 +391,58 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   replaceListener(chkAxes,       'change', onVisChange, '_onVis');
   replaceListener(chkGrid,       'change', onVisChange, '_onVis');
   replaceListener(chkNodeIds,    'change', onVisChange, '_onVis');
+  replaceListener(chkSurface,    'change', onVisChange, '_onVis');
+  replaceListener(chkNodalLines, 'change', onVisChange, '_onVis');
+  replaceListener(chkSupports,   'change', onVisChange, '_onVis');
+
+  // ---------- 階（多層モデル: 階ごとの表示切替・分解表示） ----------
+  const storeyGroup      = document.getElementById('storey-group');
+  const storeyExplode    = document.getElementById('storey-explode');
+  const storeyExplodeVal = document.getElementById('storey-explode-val');
+  const storeyInfo = viewer.getStoreys();
+  const storeyRows = buildStoreyRows(document.getElementById('storey-list'), storeyInfo, floorData);
+
+  // 階が 1 つしかないデータでは操作を隠す
+  storeyGroup.hidden = storeyInfo.storeys.length < 2;
+  storeyExplode.value = '0';
+  storeyExplodeVal.textContent = '0.00';
+
+  const applyStoreys = () => {
+    const explode = parseFloat(storeyExplode.value);
+    storeyExplodeVal.textContent = explode.toFixed(2);
+    viewer.setStoreys({
+      hidden: storeyRows.filter((row) => !row.chk.checked).map((row) => row.index),
+      explode,
+    });
+  };
+  for (const row of storeyRows) {
+    row.chk.addEventListener('change', applyStoreys);
+    // その階だけを表示する
+    row.solo.addEventListener('click', () => {
+      for (const other of storeyRows) other.chk.checked = other === row;
+      applyStoreys();
+    });
+  }
+  replaceListener(storeyExplode, 'input', applyStoreys, '_onStoreyExplode');
+  const onStoreyAll = () => {
+    for (const row of storeyRows) row.chk.checked = true;
+    applyStoreys();
+  };
+  replaceListener(document.getElementById('btn-storey-all'), 'click', onStoreyAll, '_onStoreyAll');
+
+  // ---------- シェル面の不透明度 ----------
+  const surfaceOpacity    = document.getElementById('surface-opacity');
+  const surfaceOpacityVal = document.getElementById('surface-opacity-val');
+
+  surfaceOpacity.disabled = !viewer.hasSurface();
+
+  const onSurfaceOpacity = () => {
+    const op = parseFloat(surfaceOpacity.value);
+    surfaceOpacityVal.textContent = op.toFixed(2);
+    viewer.setSurfaceOpacity(op);
+  };
+  replaceListener(surfaceOpacity, 'input', onSurfaceOpacity, '_onSurfaceOpacity');
+  onSurfaceOpacity();
 
   // ---------- 線の設定（色・太さ） ----------
   const colorUndeformed  = document.getElementById('color-undeformed');
@@ -156,6 +479,20 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   replaceListener(colorDeformed,   'input', onColorDeformed,   '_onColorDef');
   replaceListener(widthDeformed,   'input', onWidthDeformed,   '_onWidthDef');
 
+  // ---------- 視点プリセット・投影方法 ----------
+  // 投影方法はデータを読み直しても引き継ぐ
+  const chkOrtho = document.getElementById('chk-ortho');
+  chkOrtho.checked = viewer.isOrthographic();
+
+  for (const name of ['top', 'front', 'side', 'iso']) {
+    const btn = document.getElementById(`btn-view-${name}`);
+    replaceListener(btn, 'click', () => viewer.setViewPreset(name), '_onViewPreset');
+  }
+  const onOrthoChange = () => {
+    viewer.setOrthographic(chkOrtho.checked);
+  };
+  replaceListener(chkOrtho, 'change', onOrthoChange, '_onOrthoChange');
+
   // ---------- テーマ切替 ----------
   const btnTheme = document.getElementById('btn-theme');
   const onThemeToggle = () => {
@@ -168,28 +505,19 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   };
   replaceListener(btnTheme, 'click', onThemeToggle, '_onThemeToggle');
 
-  // ---------- 言語切替 ----------
-  const btnLang = document.getElementById('btn-lang');
-  const onLangToggle = () => {
-    const newLang = getLang() === 'ja' ? 'en' : 'ja';
-    setLang(newLang);
-    applyTranslations();
-    btnLang.textContent = t('btnLang');
-    // テーマボタンのテキストも更新
-    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-    btnTheme.textContent = t(isDark ? 'btnThemeDark' : 'btnThemeLight');
-    // モード選択を再構築
+  // ---------- 言語切替（このデータの表示。ボタンは setupLangToggle） ----------
+  refreshDataTexts = () => {
+    // モード選択・モード質量表を再構築
     rebuildModeOptions(modeSelect, animController);
-    // 時間表示更新
+    buildMassTable(massTableWrap, massResult, modeSelect, animController);
+    updateNormOptionLabels(normSelect, floorData);
+    updateAmplitudeInfo(ampInfo, animController, floorData);
+    // 時間・振動数表示更新
     updateTimeDisplay(animController.getTime());
-    // ヘルプ内容更新
-    const helpContent = document.getElementById('help-content');
-    if (helpContent) helpContent.textContent = t('helpContent');
-    // ファイル名表示更新（ファイル未選択時のみ）
-    const fnd = document.getElementById('file-name-display');
-    if (fnd && !fnd._hasFile) fnd.textContent = t('fileNameNone');
+    updateFreqDisplay(animController);
+    updatePlaybackInfo(animController);
+    labelStoreyRows(storeyRows, storeyInfo, floorData);
   };
-  replaceListener(btnLang, 'click', onLangToggle, '_onLangToggle');
 
   // ---------- PNG 保存ボタン ----------
   const btnDownload = document.getElementById('btn-download');
@@ -210,6 +538,62 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   };
   replaceListener(btnDownload, 'click', onDownload, '_onDownload');
 
+  // ---------- 録画（WebM / GIF） ----------
+  const recordFormat  = document.getElementById('record-format');
+  const recordPeriods = document.getElementById('record-periods');
+  const recordFps     = document.getElementById('record-fps');
+  const btnRecord     = document.getElementById('btn-record');
+
+  // WebM 非対応ブラウザでは GIF を既定にする
+  const webmOption = recordFormat.querySelector('option[value="webm"]');
+  if (webmOption) webmOption.disabled = !isWebMSupported();
+  if (recordFormat.value === 'webm' && webmOption && webmOption.disabled) {
+    recordFormat.value = 'gif';
+  }
+
+  const onRecord = async () => {
+    if (btnRecord.disabled) return;
+
+    const format = recordFormat.value;
+    const periods = Math.max(1, Math.round(Number(recordPeriods.value) || 1));
+    const fps = Number(recordFps.value) || 30;
+    recordPeriods.value = String(periods);
+
+    const filename = buildRecordingFilename(floorData, animController, periods, format);
+
+    btnRecord.disabled = true;
+    btnRecord.textContent = t('btnRecording', { p: 0 });
+    setControlsLocked('recording', true);
+    try {
+      const blob = await recordAnimation({
+        viewer,
+        animController,
+        renderFrame,
+        format,
+        periods,
+        fps,
+        onProgress: (done, total) => {
+          btnRecord.textContent = t('btnRecording', { p: Math.round((done / total) * 100) });
+        },
+      });
+      downloadBlob(blob, filename);
+    } catch (err) {
+      if (err.code === 'E_RECORD_LIMIT') {
+        alert(t('alertRecordTooLong', err.params));
+      } else {
+        console.error('Recording failed:', err);
+        alert(t('alertRecordFail', { msg: err.message }));
+      }
+    } finally {
+      setControlsLocked('recording', false);
+      btnRecord.disabled = false;
+      btnRecord.textContent = t('btnRecord');
+      applyVisibility();
+      updateTimeDisplay(animController.getTime());
+    }
+  };
+  replaceListener(btnRecord, 'click', onRecord, '_onRecord');
+
   // ---------- ファイル読込 ----------
   const fileInput = document.getElementById('file-input');
   const btnSelectFile = document.getElementById('btn-select-file');
@@ -233,7 +617,7 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
 
     const reader = new FileReader();
     reader.onload = () => {
-      onFileLoad(reader.result);
+      onFileLoad(reader.result, file.name);
     };
     reader.onerror = () => {
       alert(t('alertFileError', { msg: reader.error.message }));
@@ -253,6 +637,69 @@ export function setupUI({ viewer, animController, floorData, onFileLoad }) {
   if (helpContent) helpContent.textContent = t('helpContent');
 }
 
+/**
+ * コントロールを理由付きで無効化・解除する。同じコントロールを複数の理由で無効化した場合は、
+ * すべての理由が解除されたときに無効化前の状態へ戻す。
+ *
+ * - 'invalid': 検証エラーのあるデータの表示中。読込・言語・テーマ・視点以外の #controls を無効にする
+ * - 'recording': 録画中。モードの選択・重ね合わせ・ブックマーク・ファイル読込・表データ読込・比較を無効にする
+ *   （3D ビューへのドラッグ＆ドロップ読込は app が areControlsLocked で止める）
+ *
+ * @param {'invalid'|'recording'} reason
+ * @param {boolean} locked
+ */
+export function setControlsLocked(reason, locked) {
+  if (!locked) {
+    for (const [el, lock] of lockedControls) {
+      if (!lock.reasons.delete(reason) || lock.reasons.size > 0) continue;
+      el.disabled = lock.wasDisabled;
+      lockedControls.delete(el);
+    }
+    return;
+  }
+
+  const targets = reason === 'recording'
+    ? [
+      ...RECORDING_LOCKED_CONTROLS.map((id) => document.getElementById(id)).filter(Boolean),
+      ...document.querySelectorAll('#superpose-list input'),
+    ]
+    : [...document.querySelectorAll('#controls input, #controls select, #controls button')]
+      .filter((el) => !INVALID_DATA_CONTROLS.includes(el.id));
+  for (const el of targets) {
+    const lock = lockedControls.get(el);
+    if (lock) {
+      lock.reasons.add(reason);
+    } else {
+      lockedControls.set(el, { reasons: new Set([reason]), wasDisabled: el.disabled });
+      el.disabled = true;
+    }
+  }
+}
+
+/**
+ * 指定の理由で無効化中のコントロールがあるか
+ * @param {'invalid'|'recording'} reason
+ * @returns {boolean}
+ */
+export function areControlsLocked(reason) {
+  for (const lock of lockedControls.values()) {
+    if (lock.reasons.has(reason)) return true;
+  }
+  return false;
+}
+
+/**
+ * 読み込んだファイル名を「JSON / UFF 読込」欄に表示する。
+ * setupUI が表示を初期化するため、データ読込の完了後に呼ぶ。
+ *
+ * @param {string} fileName
+ */
+export function showLoadedFileName(fileName) {
+  const fileNameDisplay = document.getElementById('file-name-display');
+  fileNameDisplay.textContent = fileName;
+  fileNameDisplay._hasFile = true;
+}
+
 /**
  * 時間表示を更新する。
  *
@@ -265,16 +712,63 @@ export function updateTimeDisplay(time) {
   }
 }
 
+/**
+ * 再生速度の説明（実時間との関係）を更新する。
+ * 実時間 × 倍率では 1 周期の再生秒数を、1 周期の秒数指定では実時間に対する倍率を表示し、
+ * 1 周期が 60 fps で SMOOTH_CYCLE_FRAMES フレームに満たない場合は周期指定を勧める。
+ *
+ * @param {import('./animation.js').AnimationController} animController
+ */
+function updatePlaybackInfo(animController) {
+  const el = document.getElementById('speed-info');
+  if (!el) return;
+  const f = animController.getCycleFreqHz();
+  if (!(f > 0)) {
+    el.textContent = '';
+    return;
+  }
+  const speed = animController.getEffectiveSpeed();
+  const cycle = 1 / (f * speed);
+  const params = { f: f.toFixed(2), cycle: formatPlaybackNumber(cycle), speed: formatPlaybackNumber(speed) };
+  if (animController.getCyclePeriod() !== null) {
+    el.textContent = t('speedInfoPeriod', params);
+  } else {
+    el.textContent = t('speedInfoRealtime', params)
+      + (cycle * 60 < SMOOTH_CYCLE_FRAMES ? ` ${t('speedInfoTooFast')}` : '');
+  }
+}
+
+/**
+ * 再生速度の説明用に数値を有効数字 3 桁で整形する
+ * @param {number} v
+ * @returns {string}
+ */
+function formatPlaybackNumber(v) {
+  return String(Number(v.toPrecision(3)));
+}
+
 /**
  * 振動数表示を更新する。
+ * 重ね合わせ中は選択モードの振動数を "+" で連結して表示する。
+ * 単一モードでは減衰比 ζ と複素モードの別も併記する。
  *
  * @param {import('./animation.js').AnimationController} animController
  */
 function updateFreqDisplay(animController) {
   const el = document.getElementById('freq-display');
   if (el) {
-    const freq = animController.getFreqHz();
-    el.textContent = t('freqDisplay', { f: freq.toFixed(2) });
+    const terms = animController.getSuperposition();
+    if (terms) {
+      const f = terms.map((term) => animController.getFreqHz(term.mode).toFixed(2)).join(' + ') || '-';
+      el.textContent = t('freqDisplay', { f });
+      return;
+    }
+
+    let text = t('freqDisplay', { f: animController.getFreqHz().toFixed(2) });
+    const zeta = animController.getDampingRatio();
+    if (zeta !== null) text += `, ${t('dampingDisplay', { z: (zeta * 100).toFixed(1) })}`;
+    if (animController.isComplexMode()) text += ` (${t('complexModeTag')})`;
+    el.textContent = text;
   }
 }
 
@@ -293,6 +787,228 @@ function rebuildModeOptions(selectEl, animCtrl) {
   selectEl.value = currentValue;
 }
 
+/**
+ * モード質量表（一般化質量・鉛直刺激係数・有効質量比・累積）を生成する。
+ * 一般化質量と刺激係数は選択中の正規化・符号反転後のモード形の値（係数 c で M c²、Γ / c）にする。
+ * 行クリックでそのモードを選択する。質量データがなければ非表示。
+ *
+ * @param {HTMLElement} container
+ * @param {ReturnType<typeof computeModalMass>} massResult
+ * @param {HTMLSelectElement} modeSelect
+ * @param {import('./animation.js').AnimationController} animController
+ */
+function buildMassTable(container, massResult, modeSelect, animController) {
+  container.innerHTML = '';
+  container.hidden = massResult === null;
+  if (!massResult) return;
+
+  const table = document.createElement('table');
+  table.className = 'mass-table';
+
+  const headTr = document.createElement('tr');
+  for (const key of ['massColMode', 'massColFreq', 'massColModalMass', 'massColGamma', 'massColRatio', 'massColCumulative']) {
+    const th = document.createElement('th');
+    th.textContent = t(key);
+    th.title = t(`${key}Title`);
+    headTr.appendChild(th);
+  }
+  table.appendChild(headTr);
+
+  for (const row of massResult.rows) {
+    const tr = document.createElement('tr');
+    tr.dataset.mode = String(row.mode);
+    const factor = animController.getModeFactor(row.mode);
+    const cells = [
+      String(row.mode),
+      Number.isFinite(row.freqHz) ? row.freqHz.toFixed(2) : '-',
+      (row.modalMass * factor * factor).toPrecision(3),
+      (row.participation / factor).toFixed(3),
+      (row.ratio * 100).toFixed(1),
+      (row.cumulative * 100).toFixed(1),
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.addEventListener('click', () => {
+      if (modeSelect.disabled) return;
+      modeSelect.value = String(row.mode);
+      modeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    table.appendChild(tr);
+  }
+  container.appendChild(table);
+
+  const last = massResult.rows[massResult.rows.length - 1];
+  const summary = document.createElement('span');
+  summary.className = 'mass-summary';
+  summary.textContent = t('massSummary', {
+    m: massResult.totalMass.toPrecision(4),
+    c: last ? (last.cumulative * 100).toFixed(1) : '0.0',
+  });
+  container.appendChild(summary);
+
+  highlightMassRow(container, Number(modeSelect.value));
+}
+
+/**
+ * 振幅の表示方法と変位の単位の説明を更新する
+ * @param {HTMLElement} el
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {object} floorData
+ */
+function updateAmplitudeInfo(el, animController, floorData) {
+  const absolute = animController.getAbsolute();
+  const meta = floorData.meta || {};
+  if (!absolute) {
+    el.textContent = animController.canShowAbsolute('peak') ? t('ampInfoRelative') : t('ampInfoNoUnit');
+  } else {
+    el.textContent = t(absolute.source === 'data' ? 'ampInfoData' : 'ampInfoPeak', {
+      unit: meta.lengthUnit,
+      modeUnit: meta.modeUnit,
+    });
+  }
+}
+
+/**
+ * 正規化の「そのまま」の選択肢にモード値の単位（meta.mode_unit）を付ける
+ * @param {HTMLSelectElement} normSelect
+ * @param {object} floorData
+ */
+function updateNormOptionLabels(normSelect, floorData) {
+  const unit = floorData.meta && floorData.meta.modeUnit;
+  normSelect.querySelector('option[value="asis"]').textContent = unit
+    ? t('optNormAsIsUnit', { unit })
+    : t('optNormAsIs');
+}
+
+/**
+ * モード質量表の選択中モードの行を強調表示する
+ * @param {HTMLElement} container
+ * @param {number} mode
+ */
+function highlightMassRow(container, mode) {
+  for (const tr of container.querySelectorAll('tr[data-mode]')) {
+    tr.classList.toggle('active', Number(tr.dataset.mode) === mode);
+  }
+}
+
+/**
+ * 重ね合わせ用のモード行（選択チェック・重みスライダー・位相入力）を生成する。
+ * 先頭 2 モードを初期選択とする。
+ *
+ * @param {HTMLElement} container
+ * @param {import('./animation.js').AnimationController} animCtrl
+ * @returns {Array<{mode:number, chk:HTMLInputElement, weight:HTMLInputElement,
+ *   weightVal:HTMLElement, phase:HTMLInputElement}>}
+ */
+function buildSuperposeRows(container, animCtrl) {
+  container.innerHTML = '';
+  const rows = [];
+
+  animCtrl.getModeList().forEach((modeNum, idx) => {
+    const rowEl = document.createElement('div');
+    rowEl.className = 'superpose-row';
+    rowEl.dataset.mode = String(modeNum);
+
+    const label = document.createElement('label');
+    const chk = document.createElement('input');
+    chk.type = 'checkbox';
+    chk.checked = idx < 2;
+    label.appendChild(chk);
+    label.appendChild(document.createTextNode(
+      ` ${modeNum} (${animCtrl.getFreqHz(modeNum).toFixed(2)} Hz)`,
+    ));
+
+    const weight = document.createElement('input');
+    weight.type = 'range';
+    weight.min = '-2';
+    weight.max = '2';
+    weight.step = '0.05';
+    weight.value = '1';
+    weight.title = t('superposeWeight');
+
+    const weightVal = document.createElement('span');
+    weightVal.className = 'superpose-weight';
+    weightVal.textContent = '1.00';
+
+    const phase = document.createElement('input');
+    phase.type = 'number';
+    phase.min = '-180';
+    phase.max = '180';
+    phase.step = '15';
+    phase.value = '0';
+    phase.title = t('superposePhase');
+
+    const deg = document.createElement('span');
+    deg.textContent = '°';
+
+    rowEl.append(label, weight, weightVal, phase, deg);
+    container.appendChild(rowEl);
+    rows.push({ mode: modeNum, chk, weight, weightVal, phase });
+  });
+
+  return rows;
+}
+
+/**
+ * 階の一覧（表示チェックボックスと単独表示ボタン）を構築する
+ * @param {HTMLElement} container
+ * @param {ReturnType<import('./viewer.js').FloorViewer['getStoreys']>} storeyInfo
+ * @param {object} floorData
+ * @returns {Array<{index:number, chk:HTMLInputElement, solo:HTMLButtonElement, text:HTMLSpanElement}>}
+ *   上の階から順（画面の並び）
+ */
+function buildStoreyRows(container, storeyInfo, floorData) {
+  container.innerHTML = '';
+  const rows = [];
+  if (storeyInfo.storeys.length < 2) return rows;
+
+  for (let index = storeyInfo.storeys.length - 1; index >= 0; index--) {
+    const rowEl = document.createElement('div');
+    rowEl.className = 'storey-row';
+    rowEl.dataset.index = String(index);
+
+    const label = document.createElement('label');
+    const chk = document.createElement('input');
+    chk.type = 'checkbox';
+    chk.checked = true;
+    const text = document.createElement('span');
+    label.append(chk, text);
+
+    const solo = document.createElement('button');
+    solo.type = 'button';
+    solo.dataset.i18n = 'btnStoreySolo';
+    solo.textContent = t('btnStoreySolo');
+
+    rowEl.append(label, solo);
+    container.appendChild(rowEl);
+    rows.push({ index, chk, solo, text });
+  }
+  labelStoreyRows(rows, storeyInfo, floorData);
+  return rows;
+}
+
+/**
+ * 階の一覧の表示名を現在の言語で設定する（level 指定の名前、なければ下からの番号と高さ）
+ * @param {Array<{index:number, solo:HTMLButtonElement, text:HTMLSpanElement}>} rows
+ * @param {ReturnType<import('./viewer.js').FloorViewer['getStoreys']>} storeyInfo
+ * @param {object} floorData
+ */
+function labelStoreyRows(rows, storeyInfo, floorData) {
+  const unit = (floorData.meta && floorData.meta.lengthUnit) || '';
+  for (const row of rows) {
+    const storey = storeyInfo.storeys[row.index];
+    const z = `${Number(storey.z.toPrecision(6))}${unit ? ` ${unit}` : ''}`;
+    row.text.textContent = storey.label
+      ? t('storeyLabelNamed', { name: storey.label, z })
+      : t('storeyLabel', { n: row.index + 1, z });
+    row.text.title = t('storeyNodeCount', { n: storey.nodeCount });
+    row.solo.title = t('btnStoreySoloTitle');
+  }
+}
+
 /**
  * 要素のイベントリスナーを安全に差し替える。
  * setupUI が複数回呼ばれてもリスナーが多重登録されない。
@@ -320,28 +1036,47 @@ function replaceListener(el, event, handler, slotKey) {
  * @returns {string}
  */
 function buildPngFilename(floorData, animController) {
-  // title: ケバブケース変換（スペース→ハイフン, 小文字）
-  const rawTitle = (floorData.meta && floorData.meta.title) || 'untitled';
-  const title = rawTitle
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '');
-
-  // 現在のモード番号 — getModeList の先頭をフォールバックに使う
-  const modeList = animController.getModeList();
-  let currentMode = modeList.length > 0 ? modeList[0] : 1;
-  const modeSelect = document.getElementById('mode-select');
-  if (modeSelect && modeSelect.value) {
-    currentMode = Number(modeSelect.value);
-  }
+  const { title, modeTag, scale } = getFilenameParts(floorData, animController);
 
   // 時刻
   const sec3 = animController.getTime().toFixed(3);
 
-  // スケール
+  return `floormode_${title}_${modeTag}_t${sec3}_x${scale}.png`;
+}
+
+/**
+ * 録画ファイル名を組み立てる。
+ *
+ * 形式: floormode_<title>_mode<mode>_<periods>cyc_x<scale>.<ext>
+ *
+ * @param {object} floorData
+ * @param {import('./animation.js').AnimationController} animController
+ * @param {number} periods  記録した周期数
+ * @param {string} ext      拡張子（'webm' / 'gif'）
+ * @returns {string}
+ */
+function buildRecordingFilename(floorData, animController, periods, ext) {
+  const { title, modeTag, scale } = getFilenameParts(floorData, animController);
+  return `floormode_${title}_${modeTag}_${periods}cyc_x${scale}.${ext}`;
+}
+
+/**
+ * 出力ファイル名の共通部分（タイトル・モード番号・倍率）を取得する。
+ *
+ * @param {object} floorData
+ * @param {import('./animation.js').AnimationController} animController
+ * @returns {{ title: string, modeTag: string, scale: string }}
+ */
+function getFilenameParts(floorData, animController) {
+  const title = toFileTitle(floorData.meta && floorData.meta.title);
+  const modeTag = toFileModeTag(animController);
+
+  // スケール（実変位表示では誇張倍率）
   const scaleSlider = document.getElementById('scale-slider');
-  const scale = scaleSlider ? parseFloat(scaleSlider.value).toFixed(1) : '1.0';
+  const absolute = animController.getAbsolute();
+  const scale = absolute
+    ? String(Number(absolute.exaggeration.toPrecision(4)))
+    : scaleSlider ? parseFloat(scaleSlider.value).toFixed(1) : '1.0';
 
-  return `floormode_${title}_mode${currentMode}_t${sec3}_x${scale}.png`;
+  return { title, modeTag, scale };
 }
@@ -1,45 +1,82 @@
 /**
  * validator.js -- 構造整合チェック・エラー収集
  *
+ * 各問題は {code, params, message} で返す。params は問題の対象（node・line・element の ID、mode 番号、
+ * 値など）の構造化パラメータで、画面表示は code をキーとする i18n の文言に params を埋め込む (messages.js)。
+ * message は CLI 用の英語の文字列（先頭に code）。
+ *
  * @module validator
  */
 
+import { detectStoreys } from './storeys.js';
+import { SUPPORT_TYPES, RESTRAINED_TYPES } from './supports.js';
+
 /** 浮動小数比較用イプシロン */
 const EPS = 1e-9;
 
 /** 収集するエラーの上限 */
 const MAX_ERRORS = 100;
 
+/** 拘束された支点の uz を 0 とみなす閾値（モードの最大 |uz| に対する比。ソルバーの丸め誤差を許容） */
+const SUPPORT_UZ_RATIO = 1e-6;
+
+/**
+ * @typedef {{ code: string, params: Object<string, *>, message: string }} Issue
+ *   params: 対象の節点 node・線要素 line・シェル要素 element の ID、モード番号 mode、値 value など。
+ *   線要素・シェル要素の問題は要素の節点 ID の配列 nodes も持つ（エラー表示から要素の位置へ視点を寄せるため）
+ */
+
 /**
  * エラーを収集配列に追加する（上限チェック付き）。
- * @param {Array<{code:string, message:string}>} list
+ * @param {Issue[]} list
  * @param {string} code
+ * @param {Object<string, *>} params
  * @param {string} message
  * @returns {boolean} 上限に達した場合 true
  */
-function pushError(list, code, message) {
+function pushError(list, code, params, message) {
   if (list.length >= MAX_ERRORS) return true;
-  list.push({ code, message: `${code}: ${message}` });
+  list.push({ code, params, message: `${code}: ${message}` });
   return list.length >= MAX_ERRORS;
 }
 
 /**
  * 警告を収集配列に追加する。
- * @param {Array<{code:string, message:string}>} list
+ * @param {Issue[]} list
  * @param {string} code
+ * @param {Object<string, *>} params
  * @param {string} message
  */
-function pushWarning(list, code, message) {
-  list.push({ code, message: `${code}: ${message}` });
+function pushWarning(list, code, params, message) {
+  list.push({ code, params, message: `${code}: ${message}` });
+}
+
+/**
+ * 三角形・四角形要素の面積を返す（四角形は対角線で 2 つの三角形に分割）。
+ * @param {Array<{x:number,y:number,z:number}>} pts
+ * @returns {number}
+ */
+function faceArea(pts) {
+  const triArea = (a, b, c) => {
+    const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+    const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+    return 0.5 * Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+  };
+  let area = triArea(pts[0], pts[1], pts[2]);
+  if (pts.length === 4) area += triArea(pts[0], pts[2], pts[3]);
+  return area;
 }
 
 /**
  * parseFloorData の戻り値を検証し、エラー・警告を返す。
  *
- * @param {{ nodes: Map, nodeIdCounts?: Map, lines: Array, freqHz: Map, modes: Map }} data
- * @returns {{ errors: Array<{code:string,message:string}>, warnings: Array<{code:string,message:string}> }}
+ * @param {{ nodes: Map, nodeIdCounts?: Map, lines: Array, elements?: Array, freqHz: Map, modes: Map, lateral?: Map,
+ *   modesImag?: Map, damping?: Map, masses?: Map, supports?: Map, invalidEntries?: Array<{key:string,index:number}> }} data
+ * @returns {{ errors: Issue[], warnings: Issue[] }}
  */
-export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes } = {}) {
+export function validateFloorData({
+  nodes, nodeIdCounts, lines, elements, freqHz, modes, lateral, modesImag, damping, masses, supports, invalidEntries,
+} = {}) {
   const errors = [];
   const warnings = [];
   let limitReached;
@@ -50,7 +87,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
   const requiredKeys = { nodes, lines, freqHz, modes };
   for (const [key, val] of Object.entries(requiredKeys)) {
     if (val === undefined || val === null) {
-      limitReached = pushError(errors, 'E_MISSING_KEY', `required key "${key}" is missing`);
+      limitReached = pushError(errors, 'E_MISSING_KEY', { key }, `required key "${key}" is missing`);
       if (limitReached) return { errors, warnings };
     }
   }
@@ -60,11 +97,21 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
     return { errors, warnings };
   }
 
+  // =========================================================================
+  // オブジェクトでない nodes・lines・elements の要素（parser が読み飛ばしたもの）
+  // =========================================================================
+  if (Array.isArray(invalidEntries)) {
+    for (const { key, index } of invalidEntries) {
+      limitReached = pushError(errors, 'E_ENTRY_INVALID', { key, index }, `${key}[${index}] is not an object`);
+      if (limitReached) return { errors, warnings };
+    }
+  }
+
   // =========================================================================
   // nodes チェック
   // =========================================================================
   if (!(nodes instanceof Map) || nodes.size === 0) {
-    limitReached = pushError(errors, 'E_NODES_EMPTY', 'nodes is empty');
+    limitReached = pushError(errors, 'E_NODES_EMPTY', {}, 'nodes is empty');
     if (limitReached) return { errors, warnings };
   }
 
@@ -72,12 +119,12 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
   if (nodes instanceof Map) {
     for (const [id, node] of nodes) {
       if (!Number.isInteger(id) || id <= 0) {
-        limitReached = pushError(errors, 'E_NODE_ID_INVALID', `node id=${id} must be a positive integer`);
+        limitReached = pushError(errors, 'E_NODE_ID_INVALID', { node: id }, `node id=${id} must be a positive integer`);
         if (limitReached) return { errors, warnings };
       }
 
       if (!node || typeof node !== 'object') {
-        limitReached = pushError(errors, 'E_NODE_INVALID', `nodes[${id}] is not an object`);
+        limitReached = pushError(errors, 'E_NODE_INVALID', { node: id }, `nodes[${id}] is not an object`);
         if (limitReached) return { errors, warnings };
         continue;
       }
@@ -88,6 +135,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_NODE_COORD_INVALID',
+            { node: id, axis, value },
             `nodes[${id}].${axis}=${value} is not a valid number`,
           );
           if (limitReached) return { errors, warnings };
@@ -95,11 +143,22 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_NODE_COORD_INVALID',
+            { node: id, axis, value },
             `nodes[${id}].${axis}=${value} must be finite`,
           );
           if (limitReached) return { errors, warnings };
         }
       }
+
+      if (node.level !== undefined && (typeof node.level !== 'string' || node.level === '')) {
+        limitReached = pushError(
+          errors,
+          'E_NODE_LEVEL_INVALID',
+          { node: id, value: node.level },
+          `nodes[${id}].level=${JSON.stringify(node.level)} must be a non-empty string or number`,
+        );
+        if (limitReached) return { errors, warnings };
+      }
     }
   }
 
@@ -107,7 +166,12 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
   if (nodeIdCounts instanceof Map) {
     for (const [id, count] of nodeIdCounts) {
       if (count > 1) {
-        limitReached = pushError(errors, 'E_NODE_DUPLICATE', `node id=${id} is duplicated (${count} entries)`);
+        limitReached = pushError(
+          errors,
+          'E_NODE_DUPLICATE',
+          { node: id, count },
+          `node id=${id} is duplicated (${count} entries)`,
+        );
         if (limitReached) return { errors, warnings };
       }
     }
@@ -115,18 +179,72 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
     const seenNodeIds = new Set();
     for (const id of nodes.keys()) {
       if (seenNodeIds.has(id)) {
-        limitReached = pushError(errors, 'E_NODE_DUPLICATE', `node id=${id} is duplicated`);
+        limitReached = pushError(errors, 'E_NODE_DUPLICATE', { node: id }, `node id=${id} is duplicated`);
         if (limitReached) return { errors, warnings };
       }
       seenNodeIds.add(id);
     }
   }
 
+  // =========================================================================
+  // masses チェック（任意）
+  // =========================================================================
+  if (masses instanceof Map && masses.size > 0) {
+    let total = 0;
+    for (const [nodeId, mass] of masses) {
+      if (nodes instanceof Map && !nodes.has(nodeId)) {
+        limitReached = pushError(errors, 'E_MASS_NODE_UNDEF', { node: nodeId }, `masses[${nodeId}] refers to undefined node`);
+        if (limitReached) return { errors, warnings };
+      }
+      if (!Number.isFinite(mass) || mass < 0) {
+        limitReached = pushError(
+          errors,
+          'E_MASS_INVALID',
+          { node: nodeId, value: mass },
+          `masses[${nodeId}]=${mass} must be a finite non-negative number`,
+        );
+        if (limitReached) return { errors, warnings };
+      } else {
+        total += mass;
+      }
+    }
+    if (total === 0) {
+      pushWarning(warnings, 'W_MASS_ZERO_TOTAL', {}, 'total nodal mass is zero; modal mass cannot be computed');
+    }
+  }
+
+  // =========================================================================
+  // supports チェック（任意）
+  // =========================================================================
+  if (supports instanceof Map) {
+    for (const [nodeId, type] of supports) {
+      if (nodes instanceof Map && !nodes.has(nodeId)) {
+        limitReached = pushError(
+          errors,
+          'E_SUPPORT_NODE_UNDEF',
+          { node: nodeId },
+          `supports[${nodeId}] refers to undefined node`);
+        if (limitReached) return { errors, warnings };
+      }
+      if (!SUPPORT_TYPES.includes(type)) {
+        limitReached = pushError(
+          errors,
+          'E_SUPPORT_TYPE_INVALID',
+          { node: nodeId, value: type, allowed: SUPPORT_TYPES },
+          `supports[${nodeId}] type=${JSON.stringify(type)} must be one of ${SUPPORT_TYPES.join(', ')}`,
+        );
+        if (limitReached) return { errors, warnings };
+      }
+    }
+  }
+
   // =========================================================================
   // lines チェック
   // =========================================================================
-  if (!Array.isArray(lines) || lines.length === 0) {
-    limitReached = pushError(errors, 'E_LINES_EMPTY', 'lines is empty');
+  // シェル要素のみのモデルを許容するため、elements があれば lines は空でもよい
+  const hasElements = Array.isArray(elements) && elements.length > 0;
+  if ((!Array.isArray(lines) || lines.length === 0) && !hasElements) {
+    limitReached = pushError(errors, 'E_LINES_EMPTY', {}, 'lines is empty');
     if (limitReached) return { errors, warnings };
   }
 
@@ -137,7 +255,11 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
 
       // lines.id 重複
       if (seenLineIds.has(line.id)) {
-        limitReached = pushError(errors, 'E_LINE_DUPLICATE', `lines[${i}].id=${line.id} is duplicated`);
+        limitReached = pushError(
+          errors,
+          'E_LINE_DUPLICATE',
+          { index: i, line: line.id, nodes: [line.nodeI, line.nodeJ] },
+          `lines[${i}].id=${line.id} is duplicated`);
         if (limitReached) return { errors, warnings };
       }
       seenLineIds.add(line.id);
@@ -148,6 +270,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_LINE_NODE_UNDEF',
+            { index: i, line: line.id, end: 'nodeI', node: line.nodeI, nodes: [line.nodeI, line.nodeJ] },
             `lines[${i}].nodeI=${line.nodeI} is not defined in nodes`,
           );
           if (limitReached) return { errors, warnings };
@@ -156,6 +279,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_LINE_NODE_UNDEF',
+            { index: i, line: line.id, end: 'nodeJ', node: line.nodeJ, nodes: [line.nodeI, line.nodeJ] },
             `lines[${i}].nodeJ=${line.nodeJ} is not defined in nodes`,
           );
           if (limitReached) return { errors, warnings };
@@ -167,6 +291,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_LINE_SELF_LOOP',
+          { index: i, line: line.id, node: line.nodeI },
           `lines[${i}].id=${line.id} has self-loop (nodeI === nodeJ = ${line.nodeI})`,
         );
         if (limitReached) return { errors, warnings };
@@ -174,6 +299,75 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
     }
   }
 
+  // =========================================================================
+  // elements チェック（任意）
+  // =========================================================================
+  if (Array.isArray(elements)) {
+    const seenElementIds = new Set();
+    for (let i = 0; i < elements.length; i++) {
+      const el = elements[i];
+
+      // elements.id 重複
+      if (seenElementIds.has(el.id)) {
+        limitReached = pushError(
+          errors,
+          'E_ELEMENT_DUPLICATE',
+          { index: i, element: el.id, nodes: el.nodes },
+          `elements[${i}].id=${el.id} is duplicated`);
+        if (limitReached) return { errors, warnings };
+      }
+      seenElementIds.add(el.id);
+
+      // 節点数（三角形 3 / 四角形 4）
+      if (el.nodes.length !== 3 && el.nodes.length !== 4) {
+        limitReached = pushError(
+          errors,
+          'E_ELEMENT_NODE_COUNT',
+          { index: i, element: el.id, count: el.nodes.length, nodes: el.nodes },
+          `elements[${i}].id=${el.id} has ${el.nodes.length} nodes (must be 3 or 4)`,
+        );
+        if (limitReached) return { errors, warnings };
+        continue;
+      }
+
+      // 未定義節点参照
+      let allDefined = true;
+      if (nodes instanceof Map) {
+        for (const nodeId of el.nodes) {
+          if (!nodes.has(nodeId)) {
+            allDefined = false;
+            limitReached = pushError(
+              errors,
+              'E_ELEMENT_NODE_UNDEF',
+              { index: i, element: el.id, node: nodeId, nodes: el.nodes },
+              `elements[${i}].id=${el.id} node ${nodeId} is not defined in nodes`,
+            );
+            if (limitReached) return { errors, warnings };
+          }
+        }
+      }
+
+      // 退化要素（節点の重複・面積ゼロ）
+      if (new Set(el.nodes).size !== el.nodes.length) {
+        limitReached = pushError(
+          errors,
+          'E_ELEMENT_DEGENERATE',
+          { index: i, element: el.id, nodes: el.nodes },
+          `elements[${i}].id=${el.id} has repeated nodes (${el.nodes.join(', ')})`,
+        );
+        if (limitReached) return { errors, warnings };
+      } else if (allDefined && nodes instanceof Map && faceArea(el.nodes.map((id) => nodes.get(id))) <= EPS) {
+        limitReached = pushError(
+          errors,
+          'E_ELEMENT_DEGENERATE',
+          { index: i, element: el.id, nodes: el.nodes },
+          `elements[${i}].id=${el.id} has zero area`,
+        );
+        if (limitReached) return { errors, warnings };
+      }
+    }
+  }
+
   // =========================================================================
   // freqHz チェック
   // =========================================================================
@@ -183,6 +377,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_FREQ_NAN',
+          { mode: modeNum, value: freq },
           `freqHz[${modeNum}]=${freq} is NaN`,
         );
         if (limitReached) return { errors, warnings };
@@ -190,6 +385,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_FREQ_INFINITY',
+          { mode: modeNum, value: freq },
           `freqHz[${modeNum}]=${freq} is Infinity`,
         );
         if (limitReached) return { errors, warnings };
@@ -197,6 +393,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_FREQ_NON_POSITIVE',
+          { mode: modeNum, value: freq },
           `freqHz[${modeNum}]=${freq} must be > 0`,
         );
         if (limitReached) return { errors, warnings };
@@ -207,6 +404,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         pushWarning(
           warnings,
           'W_FREQ_HIGH',
+          { mode: modeNum, value: freq, limit: 30 },
           `freqHz[${modeNum}]=${freq} > 30 Hz may reduce visual clarity`,
         );
       }
@@ -222,6 +420,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_MODE_FREQ_MISMATCH',
+          { mode: modeNum, present: 'modes', missing: 'freqHz' },
           `modes has mode ${modeNum} but freqHz does not`,
         );
         if (limitReached) return { errors, warnings };
@@ -232,6 +431,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         limitReached = pushError(
           errors,
           'E_MODE_FREQ_MISMATCH',
+          { mode: modeNum, present: 'freqHz', missing: 'modes' },
           `freqHz has mode ${modeNum} but modes does not`,
         );
         if (limitReached) return { errors, warnings };
@@ -254,6 +454,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_MODE_NODE_UNDEF',
+            { mode: modeNum, node: nodeId },
             `modes[${modeNum}] references undefined node ${nodeId}`,
           );
           if (limitReached) return { errors, warnings };
@@ -264,6 +465,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_UZ_NAN',
+            { mode: modeNum, node: nodeId },
             `modes[${modeNum}][${nodeId}] uz is NaN`,
           );
           if (limitReached) return { errors, warnings };
@@ -272,6 +474,7 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
           limitReached = pushError(
             errors,
             'E_UZ_INFINITY',
+            { mode: modeNum, node: nodeId },
             `modes[${modeNum}][${nodeId}] uz is Infinity`,
           );
           if (limitReached) return { errors, warnings };
@@ -280,11 +483,62 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
         }
       }
 
-      // 警告: 全節点 uz ≈ 0
+      // 水平成分 ux, uy（任意）
+      const uxyMap = lateral instanceof Map ? lateral.get(modeNum) : undefined;
+      if (uxyMap instanceof Map) {
+        for (const [nodeId, uxy] of uxyMap) {
+          for (const comp of ['ux', 'uy']) {
+            const v = uxy[comp];
+            if (typeof v !== 'number' || Number.isNaN(v)) {
+              limitReached = pushError(
+                errors,
+                'E_UXY_NAN',
+                { mode: modeNum, node: nodeId, component: comp },
+                `modes[${modeNum}][${nodeId}] ${comp} is NaN`,
+              );
+              if (limitReached) return { errors, warnings };
+            } else if (!Number.isFinite(v)) {
+              limitReached = pushError(
+                errors,
+                'E_UXY_INFINITY',
+                { mode: modeNum, node: nodeId, component: comp },
+                `modes[${modeNum}][${nodeId}] ${comp} is Infinity`,
+              );
+              if (limitReached) return { errors, warnings };
+            } else if (Math.abs(v) > EPS) {
+              allZero = false;
+            }
+          }
+        }
+      }
+
+      // 複素モード形の虚部（任意）
+      const imagMap = modesImag instanceof Map ? modesImag.get(modeNum) : undefined;
+      if (imagMap instanceof Map) {
+        for (const [nodeId, im] of imagMap) {
+          for (const comp of ['ux', 'uy', 'uz']) {
+            const v = im[comp];
+            if (!Number.isFinite(v)) {
+              limitReached = pushError(
+                errors,
+                'E_MODE_IMAG_INVALID',
+                { mode: modeNum, node: nodeId, component: comp, value: v },
+                `modes[${modeNum}][${nodeId}] imaginary part of ${comp}=${v} is not a finite number`,
+              );
+              if (limitReached) return { errors, warnings };
+            } else if (Math.abs(v) > EPS) {
+              allZero = false;
+            }
+          }
+        }
+      }
+
+      // 警告: 全節点 uz ≈ 0（水平成分を含め全て 0 の場合）
       if (allZero && uzMap.size > 0) {
         pushWarning(
           warnings,
           'W_MODE_ALL_ZERO',
+          { mode: modeNum, eps: EPS },
           `modes[${modeNum}] all uz values are zero (|uz| <= ${EPS})`,
         );
       }
@@ -292,20 +546,145 @@ export function validateFloorData({ nodes, nodeIdCounts, lines, freqHz, modes }
   }
 
   // =========================================================================
-  // 警告: 節点 z が混在（全 z が同一でない場合）
+  // 警告: 鉛直変位を拘束する支点（固定・ピン）の uz が 0 でない（複素モードは |uz|）
   // =========================================================================
-  if (nodes instanceof Map && nodes.size > 0) {
-    const zValues = [...nodes.values()].map((n) => n.z);
-    const firstZ = zValues[0];
-    const mixed = zValues.some((z) => Math.abs(z - firstZ) > EPS);
-    if (mixed) {
+  if (supports instanceof Map && supports.size > 0 && modes instanceof Map) {
+    const absUz = (modeNum, nodeId, uz) => {
+      const imagMap = modesImag instanceof Map ? modesImag.get(modeNum) : undefined;
+      const im = imagMap instanceof Map ? imagMap.get(nodeId) : undefined;
+      return im ? Math.hypot(uz, im.uz) : Math.abs(uz);
+    };
+    const maxAbsUz = new Map();
+    for (const [modeNum, uzMap] of modes) {
+      if (!(uzMap instanceof Map)) continue;
+      let max = 0;
+      for (const [nodeId, uz] of uzMap) {
+        const v = absUz(modeNum, nodeId, uz);
+        if (Number.isFinite(v)) max = Math.max(max, v);
+      }
+      maxAbsUz.set(modeNum, max);
+    }
+
+    for (const [nodeId, type] of supports) {
+      if (!RESTRAINED_TYPES.includes(type)) continue;
+      const moving = [];
+      for (const [modeNum, uzMap] of modes) {
+        if (!(uzMap instanceof Map) || !uzMap.has(nodeId)) continue;
+        const v = absUz(modeNum, nodeId, uzMap.get(nodeId));
+        if (v > EPS && v > maxAbsUz.get(modeNum) * SUPPORT_UZ_RATIO) moving.push(modeNum);
+      }
+      if (moving.length > 0) {
+        pushWarning(
+          warnings,
+          'W_SUPPORT_UZ_NONZERO',
+          { node: nodeId, type, modes: moving },
+          `supports[${nodeId}] is ${type} but uz is non-zero in mode ${moving.join(', ')}`,
+        );
+      }
+    }
+  }
+
+  // =========================================================================
+  // damping チェック（任意）: 0 <= ζ < 1
+  // =========================================================================
+  if (damping instanceof Map) {
+    for (const [modeNum, zeta] of damping) {
+      if (!Number.isFinite(zeta) || zeta < 0 || zeta >= 1) {
+        limitReached = pushError(
+          errors,
+          'E_DAMPING_INVALID',
+          { mode: modeNum, value: zeta },
+          `damping[${modeNum}]=${zeta} must be a number in [0, 1)`,
+        );
+        if (limitReached) return { errors, warnings };
+      }
+      if (modes instanceof Map && !modes.has(modeNum)) {
+        pushWarning(
+          warnings,
+          'W_DAMPING_MODE_UNDEF',
+          { mode: modeNum },
+          `damping has mode ${modeNum} but modes does not`,
+        );
+      }
+    }
+  }
+
+  // =========================================================================
+  // 警告: 階の指定が一部の節点のみ / 節点 z が階に分けられない（傾いた床など）
+  // =========================================================================
+  if (nodes instanceof Map && nodes.size > 0 && [...nodes.values()].every((n) => n && Number.isFinite(n.z))) {
+    const withLevel = [...nodes.values()].filter((n) => n.level !== undefined).length;
+    if (withLevel > 0 && withLevel < nodes.size) {
+      pushWarning(
+        warnings,
+        'W_NODE_LEVEL_PARTIAL',
+        { count: withLevel, total: nodes.size },
+        `level is given for only ${withLevel} of ${nodes.size} nodes; levels are detected from z instead`,
+      );
+    }
+
+    if (!detectStoreys(nodes).planar) {
       pushWarning(
         warnings,
         'W_NODE_Z_MIXED',
-        'node z-coordinates are not uniform; floor may not be planar',
+        {},
+        'node z-coordinates do not form horizontal levels; floor may not be planar',
       );
     }
   }
 
   return { errors, warnings };
 }
+
+/**
+ * 検証エラーのあるデータから描画できる部分を取り出す。座標が有限の節点、両端が定義された
+ * 線要素、3〜4 個の異なる定義済み節点を持つシェル要素、種類の正しい支点だけを残し、モード・振動数・
+ * 質量は含めない。エラーの表示中にモデルの形を示し、問題の節点・線要素へ視点を寄せるために使う。
+ *
+ * @param {object} data  parseFloorData の戻り値
+ * @returns {object|null} parseFloorData と同じ形のデータ。描画できる節点がなければ null
+ */
+export function extractDrawableGeometry(data) {
+  const nodes = new Map();
+  if (data.nodes instanceof Map) {
+    for (const [id, node] of data.nodes) {
+      if (!Number.isFinite(id) || !node || typeof node !== 'object') continue;
+      if (!['x', 'y', 'z'].every((axis) => Number.isFinite(node[axis]))) continue;
+      const { x, y, z, level } = node;
+      nodes.set(id, typeof level === 'string' && level !== '' ? { id, x, y, z, level } : { id, x, y, z });
+    }
+  }
+  if (nodes.size === 0) return null;
+
+  const lines = Array.isArray(data.lines)
+    ? data.lines.filter((l) => nodes.has(l.nodeI) && nodes.has(l.nodeJ) && l.nodeI !== l.nodeJ)
+    : [];
+  const elements = Array.isArray(data.elements)
+    ? data.elements.filter((el) =>
+      (el.nodes.length === 3 || el.nodes.length === 4)
+      && el.nodes.every((id) => nodes.has(id))
+      && new Set(el.nodes).size === el.nodes.length)
+    : [];
+  const supports = new Map();
+  if (data.supports instanceof Map) {
+    for (const [id, type] of data.supports) {
+      if (nodes.has(id) && SUPPORT_TYPES.includes(type)) supports.set(id, type);
+    }
+  }
+
+  return {
+    meta: data.meta ?? {},
+    nodes,
+    nodeIdCounts: new Map(),
+    lines,
+    elements,
+    freqHz: new Map(),
+    modes: new Map(),
+    lateral: new Map(),
+    modesImag: new Map(),
+    damping: new Map(),
+    masses: new Map(),
+    supports,
+    invalidEntries: [],
+  };
+}
@@ -3,6 +3,14 @@
  *
  * LineSegments2 + LineMaterial で太線を描画
  * 未変形線: 0x888888 (グレー, 2px)、変形線: 0xff4444 (赤, 3px)
+ * コンター表示時は変形線を頂点カラーで塗り分け、凡例を 2D オーバーレイに描画する
+ * シェル要素 (elements) は変形に追従する半透明の陰影付きメッシュで描画
+ * クリックで節点・線要素をピックし、選択中の要素を強調表示する
+ * モード形の節線（uz = 0）を未変形位置に線分（シェル要素）と点（線要素）で描画する
+ * 透視投影 / 平行投影の切替、視点プリセット（平面・立面・アイソメ）への遷移と
+ * 右上のビューキューブ（面クリックでその方向から見る）を持つ
+ * 多層モデルは階ごとにグリッドを描き、階の表示切替と分解表示（階の間隔を広げる）ができる
+ * 支点（固定・ピン・ばね）を節点の下に記号で描画する（ばねは節点の変位に追従して伸縮）
  */
 
 import * as THREE from 'three';
@@ -11,6 +19,54 @@ import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
 import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
 import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { sampleColormap, drawLegend } from './colormap.js';
+import { detectStoreys } from './storeys.js';
+import { supportSymbolSegments } from './supports.js';
+
+/** 節点ピックの許容距離（画面上の半径 [px]） */
+const PICK_NODE_RADIUS = 8;
+
+/** 線要素ピックの許容距離（線幅に加える [px]） */
+const PICK_LINE_THRESHOLD = 6;
+
+/** クリックとみなすポインタ移動量の上限 [px]（超えたら回転・パン操作） */
+const PICK_CLICK_TOLERANCE = 4;
+
+/** 選択要素の強調色 */
+const HIGHLIGHT_COLOR = 0xffb000;
+
+/** 節線の色 */
+const NODAL_LINE_COLOR = 0x00a86b;
+
+/** 支点記号の色（ライト / ダーク） */
+const SUPPORT_COLOR = 0x1f5fbf;
+const SUPPORT_COLOR_DARK = 0x6fa8ff;
+
+/** 支点記号の寸法（L_floor に対する比） */
+const SUPPORT_SIZE_RATIO = 0.04;
+
+/** ビューキューブの表示サイズ [px] */
+const VIEW_CUBE_SIZE = 96;
+
+/** 視点プリセットへの遷移時間 [ms] */
+const VIEW_TRANSITION_MS = 500;
+
+/** focusItem で画面に収める範囲の最小半径（L_floor に対する比） */
+const FOCUS_RADIUS_RATIO = 0.1;
+
+/**
+ * 視点プリセット: 注視点からカメラへの方向（three.js 座標系 = データの (y, z, x)）
+ *   top   : 平面図（真上から。画面右が X、上が Y）
+ *   front : X-Z 立面（-Y 側から見る）
+ *   side  : Y-Z 立面（+X 側から見る）
+ *   iso   : アイソメ（+X, -Y, +Z 側から等角に見る）
+ */
+const VIEW_PRESETS = {
+  top:   new THREE.Vector3(0, 1, 0),
+  front: new THREE.Vector3(-1, 0, 0),
+  side:  new THREE.Vector3(0, 0, 1),
+  iso:   new THREE.Vector3(-1, 1, 1),
+};
 
 export class FloorViewer {
   /**
@@ -35,20 +91,47 @@ export class FloorViewer {
     this._css2dRenderer.domElement.style.pointerEvents = 'none';
     canvasContainer.appendChild(this._css2dRenderer.domElement);
 
+    // 凡例オーバーレイ（コンター表示時のみ描画。PNG・録画出力にも合成する）
+    this._legendCanvas = document.createElement('canvas');
+    this._legendCanvas.className = 'legend-overlay';
+    this._legendCanvas.style.position = 'absolute';
+    this._legendCanvas.style.top = '0';
+    this._legendCanvas.style.left = '0';
+    this._legendCanvas.style.pointerEvents = 'none';
+    canvasContainer.appendChild(this._legendCanvas);
+
     // シーン
     this._scene = new THREE.Scene();
 
-    // カメラ (PerspectiveCamera)
+    // カメラ（透視投影 / 平行投影を切替。_camera は使用中の方）
     const aspect = canvasContainer.clientWidth / canvasContainer.clientHeight || 1;
-    this._camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 10000);
+    this._perspCamera = new THREE.PerspectiveCamera(50, aspect, 0.1, 10000);
+    this._orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 10000);
+    this._orthoHeight = 10; // 平行投影で zoom = 1 のときの表示高さ
+    this._camera = this._perspCamera;
     this._camera.position.set(10, 10, 10);
     this._camera.lookAt(0, 0, 0);
 
+    // 視点プリセットの基準（モデルの中心・外接球半径）と遷移中の状態
+    this._viewCenter = new THREE.Vector3();
+    this._viewRadius = 1;
+    this._viewTransition = null;
+
     // OrbitControls
     this._controls = new OrbitControls(this._camera, this._renderer.domElement);
     this._controls.enableDamping = true;
     this._controls.dampingFactor = 0.1;
 
+    // カメラ連動（比較表示用）: 操作を開始した側を親とし、もう一方が追従する
+    this._linkedViewer = null;
+    this._cameraMaster = false;
+    this._controls.addEventListener('start', () => {
+      this._viewTransition = null; // マウス操作で遷移を打ち切る
+      if (!this._linkedViewer) return;
+      this._cameraMaster = true;
+      this._linkedViewer._cameraMaster = false;
+    });
+
     // グループ管理（表示ON/OFF用）
     this._undeformedGroup = new THREE.Group();
     this._undeformedGroup.name = 'undeformed';
@@ -60,24 +143,62 @@ export class FloorViewer {
     this._gridGroup.name = 'grid';
     this._labelsGroup = new THREE.Group();
     this._labelsGroup.name = 'labels';
+    this._surfaceGroup = new THREE.Group();
+    this._surfaceGroup.name = 'surface';
+    this._highlightGroup = new THREE.Group();
+    this._highlightGroup.name = 'highlight';
+    this._nodalGroup = new THREE.Group();
+    this._nodalGroup.name = 'nodalLines';
+    this._supportGroup = new THREE.Group();
+    this._supportGroup.name = 'supports';
 
     this._scene.add(this._undeformedGroup);
     this._scene.add(this._deformedGroup);
     this._scene.add(this._axesGroup);
     this._scene.add(this._gridGroup);
     this._scene.add(this._labelsGroup);
+    this._scene.add(this._surfaceGroup);
+    this._scene.add(this._highlightGroup);
+    this._scene.add(this._nodalGroup);
+    this._scene.add(this._supportGroup);
+
+    // シェル面の陰影用ライト（線は LineMaterial のため影響を受けない）
+    this._scene.add(new THREE.HemisphereLight(0xffffff, 0x666666, 2.0));
+    const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    dirLight.position.set(1, 2, 1.5);
+    this._scene.add(dirLight);
 
     // 変形線のジオメトリ参照 (updateDeformed で頂点を更新するため)
     this._deformedGeometry = null;
     this._floorData = null;
     this._lFloor = 1;
+    this._modelCenter = new THREE.Vector3(); // データ座標の外接箱の中心（three.js 座標系）
+    this._modelRange = { x: 0, y: 0, z: 0 }; // データ座標の外接箱の寸法
+
+    // 多層モデルの階（storeys.detectStoreys の戻り値）、非表示の階のインデックス、分解表示の間隔
+    this._storeys = { storeys: [], levelOf: new Map(), fromLevel: false, planar: true };
+    this._hiddenStoreys = new Set();
+    this._explode = 0;
 
     // nodeId → 変形ジオメトリ内のセグメントインデックスのマッピング
     this._deformedVertexMap = [];
 
+    // シェル面ジオメトリ（頂点 = 節点）と頂点インデックス順の節点 ID
+    this._surfaceGeometry = null;
+    this._surfaceMaterial = null;
+    this._surfaceNodeIds = [];
+    this._surfaceLifts = [];
+    this._surfaceOpacity = 0.6;
+
+    // 支点記号のジオメトリと、線分ごとの節点 ID・端点の静止位置・変位の重み（ばねの伸縮用）
+    this._supportGeometry = null;
+    this._supportMaterial = null;
+    this._supportSegments = [];
+
     // LineMaterial 参照（テーマ切替・リサイズ用）
     this._undeformedMaterial = null;
     this._deformedMaterial = null;
+    this._nodalLineMaterial = null;
 
     this._isDark = false;
 
@@ -88,6 +209,44 @@ export class FloorViewer {
       deformedColor: null,
       deformedWidth: null,
     };
+
+    // コンター表示設定（mode: 'off' | 'abs' | 'signed'）
+    this._contour = {
+      mode: 'off',
+      colormap: 'jet',
+      unit: '',
+      peak: 1,
+      min: 0,
+      max: 1,
+      title: '',
+    };
+    this._tmpColor = new THREE.Color();
+
+    // ピック・強調表示
+    this._raycaster = new THREE.Raycaster();
+    this._raycaster.params.Line2 = { threshold: PICK_LINE_THRESHOLD };
+    this._getDisplacedPosition = null; // updateDeformed に渡された最新の変位関数
+    this._pickHandler = null;
+    this._pointerDownAt = null;
+    this._highlight = null;            // null | { type: 'node'|'line', id }
+    this._highlightLineMaterial = null;
+    this._nodal = null;                // setNodalLines に渡された最新の節線（階の設定変更時に描き直す）
+
+    const canvas = this._renderer.domElement;
+    canvas.addEventListener('pointerdown', (e) => {
+      this._pointerDownAt = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointerup', (e) => {
+      const down = this._pointerDownAt;
+      this._pointerDownAt = null;
+      if (!this._pickHandler || !down || e.button !== 0) return;
+      if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > PICK_CLICK_TOLERANCE) return;
+      this._pickHandler(this.pick(e.clientX, e.clientY));
+    });
+
+    this._buildViewCube();
+    this._updateOrthoFrustum();
+    this._resizeLegendCanvas();
   }
 
   /**
@@ -96,7 +255,7 @@ export class FloorViewer {
    */
   loadFloorData(floorData) {
     this._floorData = floorData;
-    const { nodes, lines } = floorData;
+    const { nodes } = floorData;
 
     // L_floor 算出
     let minX = Infinity, maxX = -Infinity;
@@ -114,168 +273,488 @@ export class FloorViewer {
     const rangeY = maxY - minY;
     this._lFloor = Math.max(rangeX, rangeY);
     if (this._lFloor === 0) this._lFloor = 1; // ゼロ除算回避
+    this._modelRange = { x: rangeX, y: rangeY, z: maxZ - minZ };
 
     // 中心座標を計算
     const centerX = (minX + maxX) / 2;
     const centerY = (minY + maxY) / 2;
     const centerZ = (minZ + maxZ) / 2;
+    this._modelCenter.set(centerY, centerZ, centerX);
+
+    // 階を検出（全階表示・分解表示なしに戻す）
+    this._storeys = detectStoreys(nodes);
+    this._hiddenStoreys = new Set();
+    this._explode = 0;
+    this._updateViewBounds();
 
     // --- 既存のシーン内容をクリア ---
-    this._clearGroup(this._undeformedGroup);
-    this._clearGroup(this._deformedGroup);
     this._clearGroup(this._axesGroup);
-    this._clearGroup(this._gridGroup);
-    this._clearGroup(this._labelsGroup);
+    this._clearGroup(this._highlightGroup);
+    this._clearGroup(this._nodalGroup);
+    this._highlight = null;
+    this._highlightLineMaterial = null;
+    this._nodalLineMaterial = null;
+    this._nodal = null;
+    this._getDisplacedPosition = null;
 
     // テーマに合わせてクリアカラーを設定
     this._renderer.setClearColor(this._isDark ? 0x1a1a2e : 0xffffff, 1);
 
-    // 解像度（LineMaterial に必要）
-    const resolution = new THREE.Vector2(
-      this._container.clientWidth,
-      this._container.clientHeight
-    );
-
-    // --- 未変形線 (グレー 0x888888, 2px) ---
-    // 座標マッピング: data(x,y,z) → three.js(y, z, x)
-    //   data.y → three.x (X軸: Node1→4方向)
-    //   data.z → three.y (鉛直方向 = three.js の上方向)
-    //   data.x → three.z (Y軸: Node1→2方向)
-    const undeformedPositions = [];
-    for (const line of lines) {
-      const ni = nodes.get(line.nodeI);
-      const nj = nodes.get(line.nodeJ);
-      if (!ni || !nj) continue;
-      undeformedPositions.push(ni.y, ni.z, ni.x);
-      undeformedPositions.push(nj.y, nj.z, nj.x);
-    }
-
-    const undeformedGeo = new LineSegmentsGeometry();
-    undeformedGeo.setPositions(undeformedPositions);
-    this._undeformedMaterial = new LineMaterial({
-      color: this._isDark ? 0xaaaaaa : 0x888888,
-      linewidth: 2,
-      resolution: resolution,
-    });
-    const undeformedLines = new LineSegments2(undeformedGeo, this._undeformedMaterial);
-    undeformedLines.computeLineDistances();
-    this._undeformedGroup.add(undeformedLines);
-
-    // --- 変形線 (赤 0xff4444, 3px) ---
-    const deformedPositions = [];
-    this._deformedVertexMap = [];
-    let segmentIndex = 0;
-
-    for (const line of lines) {
-      const ni = nodes.get(line.nodeI);
-      const nj = nodes.get(line.nodeJ);
-      if (!ni || !nj) continue;
-
-      // 初期状態は未変形と同じ座標 (座標マッピング適用)
-      deformedPositions.push(ni.y, ni.z, ni.x);
-      deformedPositions.push(nj.y, nj.z, nj.x);
-
-      this._deformedVertexMap.push({
-        nodeI: line.nodeI,
-        nodeJ: line.nodeJ,
-        segmentIndex: segmentIndex,
-      });
-      segmentIndex++;
-    }
-
-    this._deformedGeometry = new LineSegmentsGeometry();
-    this._deformedGeometry.setPositions(deformedPositions);
-    this._deformedMaterial = new LineMaterial({
-      color: this._isDark ? 0xff6666 : 0xff4444,
-      linewidth: 3,
-      resolution: resolution,
-    });
-    const deformedLines = new LineSegments2(this._deformedGeometry, this._deformedMaterial);
-    deformedLines.computeLineDistances();
-    this._deformedGroup.add(deformedLines);
-
-    // ユーザー指定スタイルが残っていれば再適用
-    this._applyUserLineStyle();
+    // --- 線・シェル面・グリッド・節点ラベル ---
+    this._buildModel();
 
     // --- AxesHelper ---
     const axesSize = this._lFloor * 0.5;
     const axes = new THREE.AxesHelper(axesSize);
     this._axesGroup.add(axes);
 
-    // --- GridHelper ---
-    const gridSize = this._lFloor * 1.5;
-    const gridDivisions = 10;
-    const gridColor = this._isDark ? 0x444466 : 0xcccccc;
-    const grid = new THREE.GridHelper(gridSize, gridDivisions, gridColor, gridColor);
-    // GridHelper は XZ 平面に作成されるため、中心をフロアに合わせる
-    grid.position.set(centerY, centerZ, centerX);
-    this._gridGroup.add(grid);
-
     // --- カメラ位置調整 ---
     // 原点(軸)がビューポート左下に来るよう配置
     // 左寄り(大きな-X offset)・少し手前(-Z offset)のアングルで
     // 時計回り(1→4→3→2)の配置となる
     const dist = this._lFloor * 1.5;
+    this._viewTransition = null;
     this._camera.position.set(centerY - dist * 0.85, centerZ + dist * 0.7, centerX + dist * 0.4);
-    this._controls.target.set(centerY, centerZ, centerX);
+    this._controls.target.copy(this._viewCenter);
+    if (this.isOrthographic()) {
+      // 透視投影の初期視点と同じ見かけの大きさにする
+      this._orthoHeight = 2 * this._camera.position.distanceTo(this._viewCenter) * this._tanHalfFov();
+      this._orthoCamera.zoom = 1;
+      this._updateOrthoFrustum();
+    }
     this._controls.update();
+  }
 
-    // --- ノードIDラベル ---
-    for (const node of nodes.values()) {
-      const labelDiv = document.createElement('div');
-      labelDiv.className = 'node-label';
-      labelDiv.textContent = node.id;
-      const labelObj = new CSS2DObject(labelDiv);
-      labelObj.position.set(node.y, node.z, node.x);
-      this._labelsGroup.add(labelObj);
-    }
+  /**
+   * 検出した階の一覧と表示設定を返す
+   * @returns {{ storeys: Array<{label:string, z:number, nodeCount:number}>, fromLevel: boolean,
+   *   hidden: number[], explode: number }}
+   *   storeys は下の階から順。hidden は非表示の階のインデックス、explode は分解表示の間隔（L_floor に対する比）
+   */
+  getStoreys() {
+    return {
+      storeys: this._storeys.storeys.map((s) => ({ label: s.label, z: s.z, nodeCount: s.nodeIds.length })),
+      fromLevel: this._storeys.fromLevel,
+      hidden: [...this._hiddenStoreys].sort((a, b) => a - b),
+      explode: this._explode,
+    };
+  }
+
+  /**
+   * 階の表示切替・分解表示を設定する。
+   * 非表示の階の節点を含む線要素・シェル要素・節点ラベル・グリッドは描かない。
+   * 分解表示では下から k 番目（0 始まり）の階を k × explode × L_floor だけ持ち上げる。
+   * @param {object} settings
+   * @param {number[]} [settings.hidden] - 非表示にする階のインデックス（getStoreys の並び）
+   * @param {number} [settings.explode] - 分解表示の間隔（L_floor に対する比、0 = 分解しない）
+   */
+  setStoreys({ hidden, explode } = {}) {
+    if (!this._floorData) return;
+    const count = this._storeys.storeys.length;
+    const nextHidden = hidden === undefined
+      ? this._hiddenStoreys
+      : new Set(hidden.filter((idx) => Number.isInteger(idx) && idx >= 0 && idx < count));
+    const nextExplode = explode === undefined || !(explode >= 0) ? this._explode : explode;
+    const sameHidden = nextHidden.size === this._hiddenStoreys.size
+      && [...nextHidden].every((idx) => this._hiddenStoreys.has(idx));
+    if (sameHidden && nextExplode === this._explode) return;
+
+    this._hiddenStoreys = nextHidden;
+    this._explode = nextExplode;
+    this._updateViewBounds();
+    this._buildModel();
+    if (this._getDisplacedPosition) this.updateDeformed(this._getDisplacedPosition);
+    this.setNodalLines(this._nodal);
+    this._updateHighlight();
   }
 
   /**
    * 変形線の各頂点座標を更新
-   * @param {Function} getDisplacedZ - (nodeId) => number
+   * @param {Function} getDisplacedPosition - (nodeId) => {x, y, z}（データ座標系）
    */
-  updateDeformed(getDisplacedZ) {
+  updateDeformed(getDisplacedPosition) {
     if (!this._deformedGeometry || !this._floorData) return;
+    this._getDisplacedPosition = getDisplacedPosition;
 
     const startAttr = this._deformedGeometry.getAttribute('instanceStart');
     const endAttr = this._deformedGeometry.getAttribute('instanceEnd');
     if (!startAttr || !endAttr) return;
 
-    const nodes = this._floorData.nodes;
-
     for (const entry of this._deformedVertexMap) {
-      const ni = nodes.get(entry.nodeI);
-      const nj = nodes.get(entry.nodeJ);
-      if (!ni || !nj) continue;
-
-      const zI = getDisplacedZ(entry.nodeI);
-      const zJ = getDisplacedZ(entry.nodeJ);
+      const pI = getDisplacedPosition(entry.nodeI);
+      const pJ = getDisplacedPosition(entry.nodeJ);
 
-      // three.js 座標系: x=y, y=z(上), z=x
-      startAttr.setXYZ(entry.segmentIndex, ni.y, zI, ni.x);
-      endAttr.setXYZ(entry.segmentIndex, nj.y, zJ, nj.x);
+      // three.js 座標系: x=y, y=z(上), z=x（分解表示の持ち上げ量を加える）
+      startAttr.setXYZ(entry.segmentIndex, pI.y, pI.z + entry.liftI, pI.x);
+      endAttr.setXYZ(entry.segmentIndex, pJ.y, pJ.z + entry.liftJ, pJ.x);
     }
 
     // instanceStart と instanceEnd は同じ InstancedInterleavedBuffer を共有
     startAttr.data.needsUpdate = true;
     this._deformedGeometry.computeBoundingSphere();
+
+    // シェル面も同じ変位で更新
+    if (this._surfaceGeometry) {
+      const posAttr = this._surfaceGeometry.getAttribute('position');
+      this._surfaceNodeIds.forEach((nodeId, idx) => {
+        const p = getDisplacedPosition(nodeId);
+        posAttr.setXYZ(idx, p.y, p.z + this._surfaceLifts[idx], p.x);
+      });
+      posAttr.needsUpdate = true;
+      this._surfaceGeometry.computeVertexNormals();
+      this._surfaceGeometry.computeBoundingSphere();
+    }
+
+    // ばねの支点記号を伸縮させる
+    this._updateSupports(getDisplacedPosition);
+
+    // 強調表示も変形に追従
+    this._updateHighlight();
+  }
+
+  /**
+   * クリック時に呼ぶピックハンドラを設定する（null で解除）
+   * @param {((item: {type:'node'|'line', id:number}|null) => void)|null} handler
+   */
+  setPickHandler(handler) {
+    this._pickHandler = handler;
+  }
+
+  /**
+   * 画面座標の位置にある節点・線要素を返す。
+   * 節点（画面上で半径 8px 以内の最も近いもの）を優先し、なければ線要素をレイキャストで探す。
+   * 変形線の表示中は変形後の位置、非表示なら未変形の位置で判定する。非表示の階は対象外。
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{type:'node'|'line', id:number}|null}
+   */
+  pick(clientX, clientY) {
+    if (!this._floorData || !this._renderer) return null;
+
+    const rect = this._renderer.domElement.getBoundingClientRect();
+    const px = clientX - rect.left;
+    const py = clientY - rect.top;
+
+    // --- 節点: 画面へ投影して最も近いもの ---
+    const v = new THREE.Vector3();
+    let bestId = null;
+    let bestDist = PICK_NODE_RADIUS;
+    for (const id of this._floorData.nodes.keys()) {
+      if (!this._isNodeVisible(id)) continue;
+      const p = this._pickPosition(id);
+      v.set(p.y, p.z, p.x).project(this._camera);
+      if (v.z > 1) continue; // カメラの後方
+      const d = Math.hypot((v.x + 1) / 2 * rect.width - px, (1 - v.y) / 2 * rect.height - py);
+      if (d <= bestDist) {
+        bestDist = d;
+        bestId = id;
+      }
+    }
+    if (bestId !== null) {
+      return { type: 'node', id: bestId };
+    }
+
+    // --- 線要素: LineSegments2 のレイキャスト（faceIndex = セグメント番号） ---
+    const ndc = new THREE.Vector2(px / rect.width * 2 - 1, -(py / rect.height) * 2 + 1);
+    this._raycaster.setFromCamera(ndc, this._camera);
+    const group = this._deformedGroup.visible ? this._deformedGroup : this._undeformedGroup;
+    const hit = this._raycaster.intersectObjects(group.children, false)
+      .find((h) => h.faceIndex !== undefined && this._deformedVertexMap[h.faceIndex]);
+    return hit ? { type: 'line', id: this._deformedVertexMap[hit.faceIndex].lineId } : null;
+  }
+
+  /**
+   * 節点・線要素を強調表示する（null で解除）
+   * @param {{type:'node'|'line', id:number}|null} item
+   */
+  setHighlight(item) {
+    this._clearGroup(this._highlightGroup);
+    this._highlightLineMaterial = null;
+    this._highlight = item ? { type: item.type, id: item.id } : null;
+    if (!this._highlight || !this._floorData) return;
+
+    if (this._highlight.type === 'node') {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3));
+      const points = new THREE.Points(geo, new THREE.PointsMaterial({
+        color: HIGHLIGHT_COLOR,
+        size: 12,
+        sizeAttenuation: false,
+        depthTest: false,
+      }));
+      points.renderOrder = 10;
+      this._highlightGroup.add(points);
+    } else {
+      const geo = new LineSegmentsGeometry();
+      geo.setPositions([0, 0, 0, 0, 0, 0]);
+      this._highlightLineMaterial = new LineMaterial({
+        color: HIGHLIGHT_COLOR,
+        linewidth: 7,
+        depthTest: false,
+        resolution: new THREE.Vector2(this._container.clientWidth, this._container.clientHeight),
+      });
+      const segment = new LineSegments2(geo, this._highlightLineMaterial);
+      segment.renderOrder = 10;
+      this._highlightGroup.add(segment);
+    }
+    this._updateHighlight();
+  }
+
+  /**
+   * 節点・線要素へ視点を寄せる（視線方向は保ち、要素の周囲が画面に収まる距離まで遷移する）。
+   * 非表示の階の要素や存在しない要素は何もしない
+   * @param {{type:'node'|'line', id:number}} item
+   * @returns {boolean} 視点を寄せたら true
+   */
+  focusItem(item) {
+    if (!this._floorData || !item) return false;
+    let nodeIds = [];
+    if (item.type === 'node') {
+      nodeIds = [item.id];
+    } else {
+      const line = this._floorData.lines.find((l) => l.id === item.id);
+      if (line) nodeIds = [line.nodeI, line.nodeJ];
+    }
+    if (nodeIds.length === 0 || !nodeIds.every((id) => this._floorData.nodes.has(id) && this._isNodeVisible(id))) {
+      return false;
+    }
+
+    const points = nodeIds.map((id) => {
+      const p = this._pickPosition(id);
+      return new THREE.Vector3(p.y, p.z, p.x);
+    });
+    const center = points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+    const radius = Math.max(...points.map((p) => p.distanceTo(center)), this._lFloor * FOCUS_RADIUS_RATIO);
+    const direction = this._camera.position.clone().sub(this._controls.target);
+    this._startViewTransition(direction, center, radius);
+    return true;
+  }
+
+  /**
+   * 投影方法を切り替える。注視点・視線方向と画面上の見かけの大きさを保つ。
+   * @param {boolean} orthographic - true: 平行投影 / false: 透視投影
+   */
+  setOrthographic(orthographic) {
+    if (orthographic === this.isOrthographic()) return;
+    this._viewTransition = null;
+
+    const target = this._controls.target;
+    const offset = this._camera.position.clone().sub(target);
+    const dir = offset.clone().normalize();
+    if (orthographic) {
+      // 注視点の距離で透視投影が写す高さを平行投影の表示高さにする。
+      // カメラはモデルより手前に置く（平行投影では距離が見かけに影響しない）
+      this._orthoHeight = 2 * offset.length() * this._tanHalfFov();
+      this._orthoCamera.zoom = 1;
+      this._orthoCamera.position.copy(target).addScaledVector(dir, Math.max(offset.length(), this._fitDistance()));
+      this._camera = this._orthoCamera;
+    } else {
+      const dist = this._orthoHeight / this._orthoCamera.zoom / (2 * this._tanHalfFov());
+      this._perspCamera.position.copy(target).addScaledVector(dir, dist);
+      this._camera = this._perspCamera;
+    }
+    this._camera.lookAt(target);
+    this._updateOrthoFrustum();
+    this._controls.object = this._camera;
+    this._controls.update();
+  }
+
+  /**
+   * 平行投影か
+   * @returns {boolean}
+   */
+  isOrthographic() {
+    return this._camera === this._orthoCamera;
+  }
+
+  /**
+   * カメラの状態を返す（URL 共有・ブックマーク用）。位置・注視点はデータ座標系 (x, y, z)
+   * @returns {{position:number[], target:number[], orthographic:boolean, height:number}}
+   *   height は平行投影の表示高さ（zoom 反映済み）
+   */
+  getCameraState() {
+    const p = this._camera.position;
+    const t = this._controls.target;
+    return {
+      position: [p.z, p.x, p.y],
+      target: [t.z, t.x, t.y],
+      orthographic: this.isOrthographic(),
+      height: this._orthoHeight / this._orthoCamera.zoom,
+    };
+  }
+
+  /**
+   * getCameraState の状態を復元する
+   * @param {{position:number[], target:number[], orthographic?:boolean, height?:number}} state
+   */
+  setCameraState({ position, target, orthographic = false, height }) {
+    this._viewTransition = null;
+    this.setOrthographic(orthographic);
+    this._controls.target.set(target[1], target[2], target[0]);
+    this._camera.position.set(position[1], position[2], position[0]);
+    if (this.isOrthographic() && height > 0) {
+      this._orthoHeight = height;
+      this._orthoCamera.zoom = 1;
+      this._updateOrthoFrustum();
+    }
+    if (this._linkedViewer) {
+      this._cameraMaster = true;
+      this._linkedViewer._cameraMaster = false;
+    }
+    this._controls.update();
+  }
+
+  /**
+   * 視点プリセットへ移る（モデル全体が収まる距離まで 0.5 秒かけて遷移）
+   * @param {'top'|'front'|'side'|'iso'} name
+   */
+  setViewPreset(name) {
+    const direction = VIEW_PRESETS[name];
+    if (direction) this._startViewTransition(direction);
+  }
+
+  /**
+   * 節線を設定する（null で消去）。座標は未変形のデータ座標
+   * @param {{points: Array<{x:number,y:number,z:number}>,
+   *   segments: Array<[{x:number,y:number,z:number}, {x:number,y:number,z:number}]>}|null} nodal
+   *   nodallines.computeNodalLines の戻り値
+   */
+  setNodalLines(nodal) {
+    this._clearGroup(this._nodalGroup);
+    this._nodalLineMaterial = null;
+    this._nodal = nodal;
+    if (!nodal) return;
+
+    // 非表示の階の点・線分を除き、分解表示の持ち上げ量を加える
+    const placed = (p) => {
+      const { lift, visible } = this._liftAtZ(p.z);
+      return visible ? [p.y, p.z + lift, p.x] : null;
+    };
+    const positions = [];
+    for (const [p, q] of nodal.segments) {
+      const a = placed(p);
+      const b = placed(q);
+      if (a && b) positions.push(...a, ...b);
+    }
+    const points = nodal.points.map(placed).filter((p) => p !== null);
+
+    if (positions.length > 0) {
+      const geo = new LineSegmentsGeometry();
+      geo.setPositions(positions);
+      this._nodalLineMaterial = new LineMaterial({
+        color: NODAL_LINE_COLOR,
+        linewidth: 3,
+        resolution: new THREE.Vector2(this._container.clientWidth, this._container.clientHeight),
+      });
+      this._nodalGroup.add(new LineSegments2(geo, this._nodalLineMaterial));
+    }
+
+    if (points.length > 0) {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.Float32BufferAttribute(points.flat(), 3));
+      this._nodalGroup.add(new THREE.Points(geo, new THREE.PointsMaterial({
+        color: NODAL_LINE_COLOR,
+        size: 9,
+        sizeAttenuation: false,
+      })));
+    }
   }
 
   /**
    * 各要素の表示ON/OFF切替
-   * @param {Object} visibility - { undeformed, deformed, axes, grid }
+   * @param {Object} visibility - { undeformed, deformed, axes, grid, labels, surface, nodalLines, supports }
    */
-  setVisibility({ undeformed, deformed, axes, grid, labels }) {
+  setVisibility({ undeformed, deformed, axes, grid, labels, surface, nodalLines, supports }) {
     if (undeformed !== undefined) this._undeformedGroup.visible = !!undeformed;
+    if (surface !== undefined) this._surfaceGroup.visible = !!surface;
     if (deformed !== undefined) this._deformedGroup.visible = !!deformed;
     if (axes !== undefined) this._axesGroup.visible = !!axes;
     if (grid !== undefined) this._gridGroup.visible = !!grid;
     if (labels !== undefined) this._labelsGroup.visible = !!labels;
+    if (nodalLines !== undefined) this._nodalGroup.visible = !!nodalLines;
+    if (supports !== undefined) this._supportGroup.visible = !!supports;
+  }
+
+  /**
+   * シェル面の不透明度を設定 (0.1〜1.0)
+   * @param {number} opacity
+   */
+  setSurfaceOpacity(opacity) {
+    this._surfaceOpacity = Math.max(0.1, Math.min(1.0, opacity));
+    this._applySurfaceOpacity();
+  }
+
+  /**
+   * シェル要素があるか
+   * @returns {boolean}
+   */
+  hasSurface() {
+    return this._surfaceGeometry !== null;
+  }
+
+  /**
+   * 支点があるか
+   * @returns {boolean}
+   */
+  hasSupports() {
+    return !!(this._floorData && this._floorData.supports && this._floorData.supports.size > 0);
+  }
+
+  /**
+   * コンター表示（変形線の頂点カラー塗り分け）の設定
+   * @param {object} contour
+   * @param {'off'|'abs'|'signed'} [contour.mode] - 'abs': 変位の大きさ |u_i| / 'signed': 符号付き鉛直変位 uz_i
+   * @param {string} [contour.colormap] - カラーマップ名 (jet / viridis / bwr)
+   * @param {string} [contour.unit] - 凡例に表示する長さ単位
+   */
+  setContour({ mode, colormap, unit } = {}) {
+    if (mode !== undefined) this._contour.mode = mode;
+    if (colormap !== undefined) this._contour.colormap = colormap;
+    if (unit !== undefined) this._contour.unit = unit;
+    this._updateContourRange(this._contour.peak);
+    this._applyContourMaterial();
+    this._drawLegendOverlay();
   }
 
   /**
-   * canvas を PNG としてダウンロード
+   * コンター表示中の変形線の頂点カラーを更新
+   * @param {Function} getDisplacement - (nodeId) => {ux, uy, uz}
+   * @param {number} peak - 変位の最大振幅（凡例範囲: abs は [0, peak]、signed は [-peak, peak]）
+   */
+  updateContour(getDisplacement, peak) {
+    if (this._contour.mode === 'off' || !this._deformedGeometry) return;
+
+    if (peak !== this._contour.peak) {
+      this._updateContourRange(peak);
+      this._drawLegendOverlay();
+    }
+
+    const startAttr = this._deformedGeometry.getAttribute('instanceColorStart');
+    const endAttr = this._deformedGeometry.getAttribute('instanceColorEnd');
+    if (!startAttr || !endAttr) return;
+
+    const { min, max, colormap, mode } = this._contour;
+    const range = max - min || 1;
+    const colorOf = (nodeId) => {
+      const u = getDisplacement(nodeId);
+      const value = mode === 'abs' ? Math.hypot(u.ux, u.uy, u.uz) : u.uz;
+      const [r, g, b] = sampleColormap(colormap, (value - min) / range);
+      // 頂点カラーはリニア色空間で扱われるため sRGB から変換
+      return this._tmpColor.setRGB(r, g, b, THREE.SRGBColorSpace);
+    };
+
+    for (const entry of this._deformedVertexMap) {
+      const cI = colorOf(entry.nodeI);
+      startAttr.setXYZ(entry.segmentIndex, cI.r, cI.g, cI.b);
+      const cJ = colorOf(entry.nodeJ);
+      endAttr.setXYZ(entry.segmentIndex, cJ.r, cJ.g, cJ.b);
+    }
+
+    startAttr.data.needsUpdate = true;
+  }
+
+  /**
+   * canvas を PNG としてダウンロード（凡例オーバーレイを合成）
    * @param {string} filename
    * @returns {Promise<void>}
    */
@@ -284,7 +763,13 @@ export class FloorViewer {
       // 最新の描画を保証
       this._renderer.render(this._scene, this._camera);
 
-      const dataURL = this._renderer.domElement.toDataURL('image/png');
+      const src = this._renderer.domElement;
+      const out = document.createElement('canvas');
+      out.width = src.width;
+      out.height = src.height;
+      this.composeImage(out.getContext('2d'), out.width, out.height);
+
+      const dataURL = out.toDataURL('image/png');
       const link = document.createElement('a');
       link.href = dataURL;
       link.download = filename || 'floor_mode.png';
@@ -295,6 +780,27 @@ export class FloorViewer {
     });
   }
 
+  /**
+   * 描画先の canvas 要素 (録画用)
+   * @returns {HTMLCanvasElement}
+   */
+  getCanvas() {
+    return this._renderer.domElement;
+  }
+
+  /**
+   * 3D 描画結果と凡例オーバーレイを 2D コンテキストに合成する (PNG・録画用)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width  出力幅 [px]
+   * @param {number} height 出力高さ [px]
+   */
+  composeImage(ctx, width, height) {
+    ctx.drawImage(this._renderer.domElement, 0, 0, width, height);
+    if (this._contour.mode !== 'off') {
+      ctx.drawImage(this._legendCanvas, 0, 0, width, height);
+    }
+  }
+
   /**
    * ウインドウリサイズ対応
    */
@@ -303,10 +809,12 @@ export class FloorViewer {
     const height = this._container.clientHeight;
     if (width === 0 || height === 0) return;
 
-    this._camera.aspect = width / height;
-    this._camera.updateProjectionMatrix();
+    this._perspCamera.aspect = width / height;
+    this._perspCamera.updateProjectionMatrix();
+    this._updateOrthoFrustum();
     this._renderer.setSize(width, height);
     this._css2dRenderer.setSize(width, height);
+    this._resizeLegendCanvas();
 
     // LineMaterial の解像度を更新
     if (this._undeformedMaterial) {
@@ -315,6 +823,15 @@ export class FloorViewer {
     if (this._deformedMaterial) {
       this._deformedMaterial.resolution.set(width, height);
     }
+    if (this._highlightLineMaterial) {
+      this._highlightLineMaterial.resolution.set(width, height);
+    }
+    if (this._nodalLineMaterial) {
+      this._nodalLineMaterial.resolution.set(width, height);
+    }
+    if (this._supportMaterial) {
+      this._supportMaterial.resolution.set(width, height);
+    }
   }
 
   /**
@@ -327,6 +844,11 @@ export class FloorViewer {
     this._disposeGroup(this._axesGroup);
     this._disposeGroup(this._gridGroup);
     this._disposeGroup(this._labelsGroup);
+    this._disposeGroup(this._highlightGroup);
+    this._disposeGroup(this._nodalGroup);
+    this._pickHandler = null;
+
+    this.linkCamera(null);
 
     // コントロール破棄
     if (this._controls) {
@@ -343,6 +865,23 @@ export class FloorViewer {
       this._renderer = null;
     }
 
+    // 凡例オーバーレイ破棄
+    if (this._legendCanvas && this._legendCanvas.parentNode) {
+      this._legendCanvas.parentNode.removeChild(this._legendCanvas);
+    }
+
+    // ビューキューブ破棄
+    if (this._cubeRenderer) {
+      this._cubeMesh.material.forEach((m) => m.map.dispose());
+      this._clearGroup(this._cubeScene);
+      this._cubeRenderer.dispose();
+      this._cubeRenderer.domElement.remove();
+      this._cubeRenderer = null;
+    }
+
+    this._disposeGroup(this._surfaceGroup);
+    this._disposeGroup(this._supportGroup);
+
     // CSS2D レンダラー破棄
     if (this._css2dRenderer) {
       if (this._css2dRenderer.domElement && this._css2dRenderer.domElement.parentNode) {
@@ -352,8 +891,15 @@ export class FloorViewer {
     }
 
     this._deformedGeometry = null;
+    this._surfaceGeometry = null;
+    this._surfaceMaterial = null;
     this._undeformedMaterial = null;
     this._deformedMaterial = null;
+    this._highlightLineMaterial = null;
+    this._nodalLineMaterial = null;
+    this._supportGeometry = null;
+    this._supportMaterial = null;
+    this._getDisplacedPosition = null;
     this._floorData = null;
   }
 
@@ -369,7 +915,8 @@ export class FloorViewer {
     };
     return {
       undeformedColor: toHex(this._undeformedMaterial),
-      deformedColor:   toHex(this._deformedMaterial),
+      // コンター表示中はマテリアル色が白になるため本来の線色を返す
+      deformedColor:   '#' + this._deformedBaseColor().getHexString(),
     };
   }
 
@@ -398,13 +945,212 @@ export class FloorViewer {
         this._undeformedMaterial.linewidth = this._userLineStyle.undeformedWidth;
     }
     if (this._deformedMaterial) {
-      if (this._userLineStyle.deformedColor !== null)
+      if (this._userLineStyle.deformedColor !== null && this._contour.mode === 'off')
         this._deformedMaterial.color.set(this._userLineStyle.deformedColor);
       if (this._userLineStyle.deformedWidth !== null)
         this._deformedMaterial.linewidth = this._userLineStyle.deformedWidth;
     }
   }
 
+  /**
+   * シェル面メッシュを構築する（内部用）
+   * 頂点は節点ごとに 1 つ（隣接要素で共有）とし、四角形は 2 つの三角形に分割する。
+   * 非表示の階の節点を含む要素は除き、頂点に分解表示の持ち上げ量を加える
+   * @param {Array<{id:number,nodes:number[]}>} elements
+   * @param {Map<number,{x:number,y:number,z:number}>} nodes
+   */
+  _buildSurface(elements, nodes) {
+    this._surfaceGeometry = null;
+    this._surfaceMaterial = null;
+    this._surfaceNodeIds = [];
+    this._surfaceLifts = [];
+
+    const indexOf = new Map(); // nodeId → 頂点インデックス
+    const positions = [];
+    const indices = [];
+    const vertex = (nodeId) => {
+      if (!indexOf.has(nodeId)) {
+        const n = nodes.get(nodeId);
+        indexOf.set(nodeId, this._surfaceNodeIds.length);
+        this._surfaceNodeIds.push(nodeId);
+        this._surfaceLifts.push(this._nodeLift(nodeId));
+        positions.push(n.y, n.z + this._nodeLift(nodeId), n.x);
+      }
+      return indexOf.get(nodeId);
+    };
+
+    for (const el of elements) {
+      if (el.nodes.length < 3 || !el.nodes.every((id) => nodes.has(id) && this._isNodeVisible(id))) continue;
+      const v = el.nodes.map(vertex);
+      indices.push(v[0], v[1], v[2]);
+      if (v.length === 4) indices.push(v[0], v[2], v[3]);
+    }
+    if (indices.length === 0) return;
+
+    this._surfaceGeometry = new THREE.BufferGeometry();
+    this._surfaceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this._surfaceGeometry.setIndex(indices);
+    this._surfaceGeometry.computeVertexNormals();
+
+    this._surfaceMaterial = new THREE.MeshLambertMaterial({
+      color: this._isDark ? 0x4a6fa5 : 0x8fb8e8,
+      side: THREE.DoubleSide,
+      // 線が面に埋もれないよう面を奥側へずらす
+      polygonOffset: true,
+      polygonOffsetFactor: 1,
+      polygonOffsetUnits: 1,
+    });
+    this._applySurfaceOpacity();
+
+    this._surfaceGroup.add(new THREE.Mesh(this._surfaceGeometry, this._surfaceMaterial));
+  }
+
+  /**
+   * 不透明度をシェル面マテリアルに反映する（内部用）
+   */
+  _applySurfaceOpacity() {
+    if (!this._surfaceMaterial) return;
+    const transparent = this._surfaceOpacity < 1;
+    if (this._surfaceMaterial.transparent !== transparent) {
+      this._surfaceMaterial.transparent = transparent;
+      this._surfaceMaterial.needsUpdate = true;
+    }
+    this._surfaceMaterial.opacity = this._surfaceOpacity;
+    this._surfaceMaterial.depthWrite = !transparent;
+  }
+
+  /**
+   * 表示中の階の支点記号を構築する（内部用）
+   * @param {THREE.Vector2} resolution
+   */
+  _buildSupports(resolution) {
+    this._supportGeometry = null;
+    this._supportMaterial = null;
+    this._supportSegments = [];
+    const { nodes, supports } = this._floorData;
+    if (!supports || supports.size === 0) return;
+
+    const size = this._lFloor * SUPPORT_SIZE_RATIO;
+    const positions = [];
+    for (const [nodeId, type] of supports) {
+      const node = nodes.get(nodeId);
+      if (!node || !this._isNodeVisible(nodeId)) continue;
+      const symbol = supportSymbolSegments(type, size);
+      const base = [node.y, node.z + this._nodeLift(nodeId), node.x];
+      for (let k = 0; k < symbol.weights.length; k += 2) {
+        const rest = [];
+        for (let e = 0; e < 2; e++) {
+          for (let c = 0; c < 3; c++) rest.push(base[c] + symbol.positions[(k + e) * 3 + c]);
+        }
+        positions.push(...rest);
+        this._supportSegments.push({ nodeId, rest, weightI: symbol.weights[k], weightJ: symbol.weights[k + 1] });
+      }
+    }
+    if (positions.length === 0) return;
+
+    this._supportGeometry = new LineSegmentsGeometry();
+    this._supportGeometry.setPositions(positions);
+    this._supportMaterial = new LineMaterial({
+      color: this._isDark ? SUPPORT_COLOR_DARK : SUPPORT_COLOR,
+      linewidth: 2,
+      resolution,
+    });
+    this._supportGroup.add(new LineSegments2(this._supportGeometry, this._supportMaterial));
+  }
+
+  /**
+   * ばねの支点記号の端点を節点の変位に合わせて動かす（内部用）
+   * @param {Function} getDisplacedPosition - (nodeId) => {x, y, z}（データ座標系）
+   */
+  _updateSupports(getDisplacedPosition) {
+    if (!this._supportGeometry || !this._supportSegments.some((seg) => seg.weightI !== 0 || seg.weightJ !== 0)) return;
+
+    const startAttr = this._supportGeometry.getAttribute('instanceStart');
+    const endAttr = this._supportGeometry.getAttribute('instanceEnd');
+    const nodes = this._floorData.nodes;
+    this._supportSegments.forEach((seg, idx) => {
+      if (seg.weightI === 0 && seg.weightJ === 0) return;
+      const p = getDisplacedPosition(seg.nodeId);
+      const n = nodes.get(seg.nodeId);
+      // three.js 座標系の変位: x=uy, y=uz(上), z=ux
+      const d = [p.y - n.y, p.z - n.z, p.x - n.x];
+      const { rest, weightI, weightJ } = seg;
+      startAttr.setXYZ(idx, rest[0] + d[0] * weightI, rest[1] + d[1] * weightI, rest[2] + d[2] * weightI);
+      endAttr.setXYZ(idx, rest[3] + d[0] * weightJ, rest[4] + d[1] * weightJ, rest[5] + d[2] * weightJ);
+    });
+    startAttr.data.needsUpdate = true;
+    this._supportGeometry.computeBoundingSphere();
+  }
+
+
+  /**
+   * 変形線の本来の色（ユーザー指定 or テーマデフォルト）を返す（内部用）
+   * @returns {THREE.Color}
+   */
+  _deformedBaseColor() {
+    if (this._userLineStyle.deformedColor !== null) {
+      return new THREE.Color(this._userLineStyle.deformedColor);
+    }
+    return new THREE.Color(this._isDark ? 0xff6666 : 0xff4444);
+  }
+
+  /**
+   * コンター表示の ON/OFF を変形線マテリアルに反映する（内部用）
+   * ON: 頂点カラーをそのまま使うためマテリアル色を白に / OFF: 本来の線色に戻す
+   */
+  _applyContourMaterial() {
+    if (!this._deformedMaterial) return;
+    const on = this._contour.mode !== 'off';
+    if (this._deformedMaterial.vertexColors !== on) {
+      this._deformedMaterial.vertexColors = on;
+      this._deformedMaterial.needsUpdate = true;
+    }
+    if (on) {
+      this._deformedMaterial.color.setHex(0xffffff);
+    } else {
+      this._deformedMaterial.color.copy(this._deformedBaseColor());
+    }
+  }
+
+  /**
+   * コンターの値範囲・凡例タイトルを更新する（内部用）
+   * @param {number} peak - 変位の最大振幅
+   */
+  _updateContourRange(peak) {
+    const c = this._contour;
+    c.peak = peak > 0 ? peak : 1;
+    c.min = c.mode === 'signed' ? -c.peak : 0;
+    c.max = c.peak;
+    const unit = c.unit ? ` [${c.unit}]` : '';
+    c.title = (c.mode === 'signed' ? 'uz' : '|u|') + unit;
+  }
+
+  /**
+   * 凡例オーバーレイ canvas をコンテナサイズ × devicePixelRatio に合わせる（内部用）
+   */
+  _resizeLegendCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this._container.clientWidth;
+    const height = this._container.clientHeight;
+    this._legendCanvas.width = Math.max(1, Math.round(width * dpr));
+    this._legendCanvas.height = Math.max(1, Math.round(height * dpr));
+    this._legendCanvas.style.width = `${width}px`;
+    this._legendCanvas.style.height = `${height}px`;
+    this._drawLegendOverlay();
+  }
+
+  /**
+   * 凡例オーバーレイを再描画する（コンター OFF 時は消去のみ）（内部用）
+   */
+  _drawLegendOverlay() {
+    const ctx = this._legendCanvas.getContext('2d');
+    ctx.clearRect(0, 0, this._legendCanvas.width, this._legendCanvas.height);
+    if (this._contour.mode === 'off') return;
+
+    const dpr = window.devicePixelRatio || 1;
+    drawLegend(ctx, { ...this._contour, isDark: this._isDark }, 12 * dpr, 12 * dpr, dpr);
+  }
+
   /**
    * テーマに応じてレンダラー・マテリアルの色を切り替える
    * @param {boolean} isDark
@@ -422,11 +1168,24 @@ export class FloorViewer {
       this._undeformedMaterial.color.setHex(isDark ? 0xaaaaaa : 0x888888);
     }
 
-    // Deformed lines: ユーザー指定がない場合のみテーマデフォルトを適用
+    // Deformed lines: ユーザー指定がない場合のみテーマデフォルトを適用（コンター表示中は白のまま）
     if (this._deformedMaterial && this._userLineStyle.deformedColor === null) {
-      this._deformedMaterial.color.setHex(isDark ? 0xff6666 : 0xff4444);
+      this._applyContourMaterial();
+    }
+
+    // Surface
+    if (this._surfaceMaterial) {
+      this._surfaceMaterial.color.setHex(isDark ? 0x4a6fa5 : 0x8fb8e8);
+    }
+
+    // Supports
+    if (this._supportMaterial) {
+      this._supportMaterial.color.setHex(isDark ? SUPPORT_COLOR_DARK : SUPPORT_COLOR);
     }
 
+    // 凡例の配色もテーマに合わせる
+    this._drawLegendOverlay();
+
     // Grid: ダーク時は控えめに抑えて線を邪魔しない
     const gridColor = isDark ? 0x444466 : 0xcccccc;
     this._gridGroup.traverse((child) => {
@@ -441,18 +1200,437 @@ export class FloorViewer {
 
   }
 
+  /**
+   * 別の FloorViewer とカメラ（位置・注視点・投影方法）を連動させる（比較表示用）。
+   * null を渡すと連動を解除する。
+   * @param {FloorViewer|null} other
+   */
+  linkCamera(other) {
+    if (this._linkedViewer && this._linkedViewer !== other) {
+      this._linkedViewer._linkedViewer = null;
+    }
+    this._linkedViewer = other;
+    this._cameraMaster = other !== null;
+    if (other) {
+      other._linkedViewer = this;
+      other._cameraMaster = false;
+    }
+  }
+
+  /**
+   * 別の FloorViewer の表示設定を写す（比較表示用）
+   * 表示切替（節線・支点を含む）・線スタイル・テーマ・コンター（モード・カラーマップ）・シェル面不透明度・
+   * 階の表示切替（同じインデックスの階）・分解表示が対象
+   * @param {FloorViewer} other
+   */
+  copyViewSettingsFrom(other) {
+    this.setVisibility({
+      undeformed: other._undeformedGroup.visible,
+      deformed:   other._deformedGroup.visible,
+      axes:       other._axesGroup.visible,
+      grid:       other._gridGroup.visible,
+      labels:     other._labelsGroup.visible,
+      surface:    other._surfaceGroup.visible,
+      nodalLines: other._nodalGroup.visible,
+      supports:   other._supportGroup.visible,
+    });
+    this._userLineStyle = { ...other._userLineStyle };
+    this.setThemeColors(other._isDark);
+    this.setContour({ mode: other._contour.mode, colormap: other._contour.colormap });
+    this._applyUserLineStyle();
+    this.setSurfaceOpacity(other._surfaceOpacity);
+    this.setStoreys({ hidden: [...other._hiddenStoreys], explode: other._explode });
+  }
+
   /**
    * 1フレーム描画
    */
   render() {
     if (!this._renderer) return;
+    // カメラ連動中の追従側は親の視点を写してから更新する
+    const master = this._linkedViewer;
+    if (master && !this._cameraMaster && master._controls) {
+      if (master.isOrthographic() !== this.isOrthographic()) this.setOrthographic(master.isOrthographic());
+      this._camera.position.copy(master._camera.position);
+      this._controls.target.copy(master._controls.target);
+      if (this.isOrthographic()) {
+        this._orthoHeight = master._orthoHeight;
+        this._orthoCamera.zoom = master._orthoCamera.zoom;
+        this._updateOrthoFrustum();
+      }
+    } else if (this._viewTransition) {
+      this._stepViewTransition();
+    }
     this._controls.update();
     this._renderer.render(this._scene, this._camera);
     this._css2dRenderer.render(this._scene, this._camera);
+    this._renderViewCube();
   }
 
   // --- 内部ヘルパー ---
 
+  /**
+   * 表示中の階の未変形線・変形線・シェル面・グリッド・節点ラベルを作り直す（内部用）
+   */
+  _buildModel() {
+    const { nodes, lines } = this._floorData;
+
+    this._clearGroup(this._undeformedGroup);
+    this._clearGroup(this._deformedGroup);
+    this._clearGroup(this._gridGroup);
+    this._clearGroup(this._labelsGroup);
+    this._clearGroup(this._surfaceGroup);
+    this._clearGroup(this._supportGroup);
+
+    // 解像度（LineMaterial に必要）
+    const resolution = new THREE.Vector2(
+      this._container.clientWidth,
+      this._container.clientHeight
+    );
+
+    // 表示する線要素（両端の節点が表示中の階にあるもの）
+    const visibleLines = lines.filter((line) => nodes.has(line.nodeI) && nodes.has(line.nodeJ)
+      && this._isNodeVisible(line.nodeI) && this._isNodeVisible(line.nodeJ));
+
+    // --- 未変形線 (グレー 0x888888, 2px) ---
+    // 座標マッピング: data(x,y,z) → three.js(y, z, x)
+    //   data.y → three.x (X軸: Node1→4方向)
+    //   data.z → three.y (鉛直方向 = three.js の上方向)
+    //   data.x → three.z (Y軸: Node1→2方向)
+    // 分解表示では階ごとの持ち上げ量を鉛直方向に加える
+    const undeformedPositions = [];
+    for (const line of visibleLines) {
+      const ni = nodes.get(line.nodeI);
+      const nj = nodes.get(line.nodeJ);
+      undeformedPositions.push(ni.y, ni.z + this._nodeLift(ni.id), ni.x);
+      undeformedPositions.push(nj.y, nj.z + this._nodeLift(nj.id), nj.x);
+    }
+
+    const undeformedGeo = new LineSegmentsGeometry();
+    undeformedGeo.setPositions(undeformedPositions);
+    this._undeformedMaterial = new LineMaterial({
+      color: this._isDark ? 0xaaaaaa : 0x888888,
+      linewidth: 2,
+      resolution: resolution,
+    });
+    const undeformedLines = new LineSegments2(undeformedGeo, this._undeformedMaterial);
+    undeformedLines.computeLineDistances();
+    this._undeformedGroup.add(undeformedLines);
+
+    // --- 変形線 (赤 0xff4444, 3px) ---
+    // 初期状態は未変形と同じ座標
+    this._deformedVertexMap = visibleLines.map((line, segmentIndex) => ({
+      lineId: line.id,
+      nodeI: line.nodeI,
+      nodeJ: line.nodeJ,
+      liftI: this._nodeLift(line.nodeI),
+      liftJ: this._nodeLift(line.nodeJ),
+      segmentIndex,
+    }));
+
+    this._deformedGeometry = new LineSegmentsGeometry();
+    this._deformedGeometry.setPositions(undeformedPositions);
+    // コンター用の頂点カラー（初期値は白 = マテリアル色そのまま）
+    this._deformedGeometry.setColors(new Float32Array(undeformedPositions.length).fill(1));
+    this._deformedMaterial = new LineMaterial({
+      color: this._isDark ? 0xff6666 : 0xff4444,
+      linewidth: 3,
+      resolution: resolution,
+    });
+    const deformedLines = new LineSegments2(this._deformedGeometry, this._deformedMaterial);
+    deformedLines.computeLineDistances();
+    this._deformedGroup.add(deformedLines);
+
+    // ユーザー指定スタイルが残っていれば再適用
+    this._applyUserLineStyle();
+    this._applyContourMaterial();
+
+    // --- シェル面 (elements) ---
+    this._buildSurface(this._floorData.elements || [], nodes);
+
+    // --- 支点記号 ---
+    this._buildSupports(resolution);
+
+    // --- GridHelper（多層モデルは表示中の階ごと） ---
+    const gridSize = this._lFloor * 1.5;
+    const gridDivisions = 10;
+    const gridColor = this._isDark ? 0x444466 : 0xcccccc;
+    const center = this._modelCenter;
+    const gridHeights = this._storeys.storeys.length > 1
+      ? this._storeys.storeys
+        .map((storey, idx) => (this._hiddenStoreys.has(idx) ? null : storey.z + this._storeyLift(idx)))
+        .filter((h) => h !== null)
+      : [center.y];
+    for (const h of gridHeights) {
+      const grid = new THREE.GridHelper(gridSize, gridDivisions, gridColor, gridColor);
+      // GridHelper は XZ 平面に作成されるため、中心をフロアに合わせる
+      grid.position.set(center.x, h, center.z);
+      this._gridGroup.add(grid);
+    }
+
+    // --- ノードIDラベル ---
+    for (const node of nodes.values()) {
+      if (!this._isNodeVisible(node.id)) continue;
+      const labelDiv = document.createElement('div');
+      labelDiv.className = 'node-label';
+      labelDiv.textContent = node.id;
+      const labelObj = new CSS2DObject(labelDiv);
+      labelObj.position.set(node.y, node.z + this._nodeLift(node.id), node.x);
+      this._labelsGroup.add(labelObj);
+    }
+  }
+
+  /**
+   * 分解表示を含むモデルの中心・外接球半径（視点プリセットの基準）を更新する（内部用）
+   */
+  _updateViewBounds() {
+    const top = this._storeyLift(Math.max(this._storeys.storeys.length - 1, 0));
+    const { x, y, z } = this._modelRange;
+    this._viewCenter.copy(this._modelCenter);
+    this._viewCenter.y += top / 2;
+    this._viewRadius = Math.max(Math.hypot(x, y, z + top) / 2, this._lFloor / 2);
+  }
+
+  /**
+   * 節点が表示中の階にあるか（内部用）
+   * @param {number} nodeId
+   * @returns {boolean}
+   */
+  _isNodeVisible(nodeId) {
+    const idx = this._storeys.levelOf.get(nodeId);
+    return idx === undefined || !this._hiddenStoreys.has(idx);
+  }
+
+  /**
+   * 分解表示での階の持ち上げ量（データ座標の z 方向）（内部用）
+   * @param {number} idx - 階のインデックス（下から 0 始まり）
+   * @returns {number}
+   */
+  _storeyLift(idx) {
+    return idx * this._explode * this._lFloor;
+  }
+
+  /**
+   * 分解表示での節点の持ち上げ量（内部用）
+   * @param {number} nodeId
+   * @returns {number}
+   */
+  _nodeLift(nodeId) {
+    return this._storeyLift(this._storeys.levelOf.get(nodeId) ?? 0);
+  }
+
+  /**
+   * 高さ z の点の持ち上げ量と表示可否（節線用）（内部用）。
+   * 持ち上げ量は上下の階の間で線形補間し、表示可否は最も近い階で決める。
+   * @param {number} z - データ座標の z
+   * @returns {{ lift: number, visible: boolean }}
+   */
+  _liftAtZ(z) {
+    const storeys = this._storeys.storeys;
+    if (storeys.length <= 1) return { lift: 0, visible: !this._hiddenStoreys.has(0) };
+
+    let nearest = 0;
+    for (let k = 1; k < storeys.length; k++) {
+      if (Math.abs(storeys[k].z - z) < Math.abs(storeys[nearest].z - z)) nearest = k;
+    }
+    const visible = !this._hiddenStoreys.has(nearest);
+
+    if (z <= storeys[0].z) return { lift: 0, visible };
+    const last = storeys.length - 1;
+    if (z >= storeys[last].z) return { lift: this._storeyLift(last), visible };
+    let k = 0;
+    while (z > storeys[k + 1].z) k++;
+    const s = (z - storeys[k].z) / (storeys[k + 1].z - storeys[k].z);
+    return { lift: this._storeyLift(k + s), visible };
+  }
+
+  /**
+   * 透視投影の垂直画角の半分の tan（内部用）
+   * @returns {number}
+   */
+  _tanHalfFov() {
+    return Math.tan(THREE.MathUtils.degToRad(this._perspCamera.fov / 2));
+  }
+
+  /**
+   * 半径 radius の球（既定はモデルの外接球）が透視投影の画面に収まる注視点からの距離（内部用）
+   * @param {number} [radius]
+   * @returns {number}
+   */
+  _fitDistance(radius = this._viewRadius) {
+    const aspect = Math.min(this._perspCamera.aspect, 1);
+    return radius * 1.1 / (this._tanHalfFov() * aspect);
+  }
+
+  /**
+   * 平行投影カメラの視錐台を表示高さ・画面の縦横比に合わせる（内部用）
+   */
+  _updateOrthoFrustum() {
+    const halfH = this._orthoHeight / 2;
+    const halfW = halfH * this._perspCamera.aspect;
+    this._orthoCamera.left = -halfW;
+    this._orthoCamera.right = halfW;
+    this._orthoCamera.top = halfH;
+    this._orthoCamera.bottom = -halfH;
+    this._orthoCamera.updateProjectionMatrix();
+  }
+
+  /**
+   * 指定方向から見る視点への遷移を開始する（内部用）。
+   * 注視点は center（既定はモデル中心）、距離は半径 radius の球（既定はモデル全体）が収まる距離
+   * （平行投影は zoom = 1）にする。
+   * @param {THREE.Vector3} direction - 注視点からカメラへの方向（three.js 座標系）
+   * @param {THREE.Vector3} [center] - 遷移後の注視点（three.js 座標系）
+   * @param {number} [radius] - 画面に収める球の半径
+   */
+  _startViewTransition(direction, center = this._viewCenter, radius = this._viewRadius) {
+    const toDir = direction.clone().normalize();
+    // 真上・真下は OrbitControls の極で向きが定まらないため、わずかに傾けて画面上を +Y にそろえる
+    if (Math.abs(toDir.y) > 0.999) toDir.set(-1e-3, Math.sign(toDir.y), 0).normalize();
+
+    const target = this._controls.target;
+    const offset = this._camera.position.clone().sub(target);
+    const toDist = this._fitDistance(radius);
+
+    // 平行投影は表示高さを全体表示の値に置き換え、見かけの大きさが連続するよう zoom を換算する
+    let fromZoom = 1;
+    if (this.isOrthographic()) {
+      const fitHeight = 2 * toDist * this._tanHalfFov();
+      fromZoom = this._orthoCamera.zoom * fitHeight / this._orthoHeight;
+      this._orthoHeight = fitHeight;
+      this._orthoCamera.zoom = fromZoom;
+      this._updateOrthoFrustum();
+    }
+
+    // 比較表示ではこちらを親にして、もう一方を追従させる
+    if (this._linkedViewer) {
+      this._cameraMaster = true;
+      this._linkedViewer._cameraMaster = false;
+    }
+
+    this._viewTransition = {
+      start: performance.now(),
+      fromTarget: target.clone(),
+      toTarget: center.clone(),
+      fromDir: offset.clone().normalize(),
+      toDir,
+      fromDist: offset.length(),
+      toDist,
+      fromZoom,
+    };
+  }
+
+  /**
+   * 視点遷移を現在時刻まで進める（内部用）。方向は球面補間、距離・注視点・zoom は線形補間
+   */
+  _stepViewTransition() {
+    const tr = this._viewTransition;
+    const s = Math.min(1, (performance.now() - tr.start) / VIEW_TRANSITION_MS);
+    const k = s * s * (3 - 2 * s); // smoothstep
+
+    const rotation = new THREE.Quaternion().setFromUnitVectors(tr.fromDir, tr.toDir);
+    const dir = tr.fromDir.clone().applyQuaternion(new THREE.Quaternion().slerp(rotation, k));
+    this._controls.target.lerpVectors(tr.fromTarget, tr.toTarget, k);
+    this._camera.position.copy(this._controls.target)
+      .addScaledVector(dir, THREE.MathUtils.lerp(tr.fromDist, tr.toDist, k));
+    if (this.isOrthographic()) {
+      this._orthoCamera.zoom = THREE.MathUtils.lerp(tr.fromZoom, 1, k);
+      this._orthoCamera.updateProjectionMatrix();
+    }
+    if (s >= 1) this._viewTransition = null;
+  }
+
+  /**
+   * ビューキューブ（右上のオーバーレイ。面クリックでその方向から見る）を作る（内部用）。
+   * 専用の canvas に描くため PNG・録画には含まれない
+   */
+  _buildViewCube() {
+    this._cubeRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    this._cubeRenderer.setPixelRatio(window.devicePixelRatio);
+    this._cubeRenderer.setSize(VIEW_CUBE_SIZE, VIEW_CUBE_SIZE);
+    const canvas = this._cubeRenderer.domElement;
+    canvas.className = 'view-cube';
+    this._container.appendChild(canvas);
+
+    this._cubeScene = new THREE.Scene();
+    this._cubeCamera = new THREE.OrthographicCamera(-1.8, 1.8, 1.8, -1.8, 0.1, 10);
+
+    // BoxGeometry の面の順 (+x, -x, +y, -y, +z, -z) にデータ座標の軸名を貼る
+    const box = new THREE.BoxGeometry(2, 2, 2);
+    const faces = [['+Y', 0], ['-Y', 0], ['+Z', Math.PI / 2], ['-Z', 0], ['+X', 0], ['-X', 0]];
+    this._cubeMesh = new THREE.Mesh(box, faces.map(([label, rotation]) => (
+      new THREE.MeshBasicMaterial({ map: createCubeFaceTexture(label, rotation) })
+    )));
+    this._cubeScene.add(this._cubeMesh);
+    this._cubeScene.add(new THREE.LineSegments(
+      new THREE.EdgesGeometry(box),
+      new THREE.LineBasicMaterial({ color: 0x556070 }),
+    ));
+
+    canvas.addEventListener('click', (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const ndc = new THREE.Vector2(
+        (e.clientX - rect.left) / rect.width * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      );
+      this._raycaster.setFromCamera(ndc, this._cubeCamera);
+      const hit = this._raycaster.intersectObject(this._cubeMesh, false)[0];
+      if (hit && hit.face) this._startViewTransition(hit.face.normal);
+    });
+  }
+
+  /**
+   * ビューキューブをメインカメラと同じ向きで描画する（内部用）
+   */
+  _renderViewCube() {
+    if (!this._cubeRenderer) return;
+    this._cubeCamera.quaternion.copy(this._camera.quaternion);
+    this._cubeCamera.position.set(0, 0, 4).applyQuaternion(this._camera.quaternion);
+    this._cubeRenderer.render(this._cubeScene, this._cubeCamera);
+  }
+
+  /**
+   * ピック・強調表示に用いる節点位置（変形線の表示中は変形後、非表示なら未変形。分解表示の持ち上げ量を含む）（内部用）
+   * @param {number} nodeId
+   * @returns {{x:number, y:number, z:number}}
+   */
+  _pickPosition(nodeId) {
+    const p = this._deformedGroup.visible && this._getDisplacedPosition
+      ? this._getDisplacedPosition(nodeId)
+      : this._floorData.nodes.get(nodeId) || { x: 0, y: 0, z: 0 };
+    return { x: p.x, y: p.y, z: p.z + this._nodeLift(nodeId) };
+  }
+
+  /**
+   * 強調表示オブジェクトの位置を現在の変形に合わせる（内部用）
+   */
+  _updateHighlight() {
+    const obj = this._highlightGroup.children[0];
+    if (!obj || !this._highlight) return;
+
+    if (this._highlight.type === 'node') {
+      obj.visible = this._isNodeVisible(this._highlight.id);
+      const p = this._pickPosition(this._highlight.id);
+      const posAttr = obj.geometry.getAttribute('position');
+      posAttr.setXYZ(0, p.y, p.z, p.x);
+      posAttr.needsUpdate = true;
+      obj.geometry.computeBoundingSphere();
+      return;
+    }
+
+    // 非表示の階の線要素は変形線に含まれないため強調表示も隠す
+    const entry = this._deformedVertexMap.find((e) => e.lineId === this._highlight.id);
+    obj.visible = !!entry;
+    if (!entry) return;
+    const pI = this._pickPosition(entry.nodeI);
+    const pJ = this._pickPosition(entry.nodeJ);
+    const startAttr = obj.geometry.getAttribute('instanceStart');
+    startAttr.setXYZ(0, pI.y, pI.z, pI.x);
+    obj.geometry.getAttribute('instanceEnd').setXYZ(0, pJ.y, pJ.z, pJ.x);
+    startAttr.data.needsUpdate = true;
+    obj.geometry.computeBoundingSphere();
+  }
+
   /**
    * グループ内のオブジェクトをクリア (ジオメトリ・マテリアル解放)
    */
@@ -481,3 +1659,29 @@ export class FloorViewer {
     }
   }
 }
+
+/**
+ * ビューキューブの面のテクスチャ（軸名のラベル）を作る
+ * @param {string} label
+ * @param {number} rotation - 文字の回転 [rad]（上面は平面図で正立するよう回す）
+ * @returns {THREE.CanvasTexture}
+ */
+function createCubeFaceTexture(label, rotation) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#e3e8ef';
+  ctx.fillRect(0, 0, 128, 128);
+  ctx.translate(64, 64);
+  ctx.rotate(rotation);
+  ctx.fillStyle = '#2a3340';
+  ctx.font = 'bold 48px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, 0, 0);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
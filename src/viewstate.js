@@ -0,0 +1,560 @@
+/**
+ * viewstate.js -- 表示状態の URL 共有とビューのブックマーク
+ *
+ * モード（重ね合わせ）・正規化・符号反転・倍率・振幅（相対 / 実変位）・速度（1 周期の秒数）・変位成分・コンター・表示切替・階・線スタイル・カメラを
+ * URL ハッシュ（例: #mode=3&scale=2.0&cam=...）に書き出し、起動時に復元する。
+ * 名前付きのブックマークはデータごと（タイトルと節点座標のハッシュ）に localStorage へ保存する。
+ * 状態の反映はコントロールの値を設定してイベントを送り、setupUI のハンドラに任せる。
+ *
+ * @module viewstate
+ */
+
+import { t } from './i18n.js';
+
+/** URL ハッシュを更新する間隔 [ms] */
+const HASH_UPDATE_INTERVAL_MS = 500;
+
+/** ブックマークの localStorage キーの接頭辞（後ろにデータのハッシュを付ける） */
+const BOOKMARK_KEY_PREFIX = 'floor-mode-bookmarks:';
+
+/** 表示切替チェックボックス（URL の vis の桁の順） */
+const VISIBILITY_IDS = [
+  'chk-undeformed', 'chk-deformed', 'chk-axes', 'chk-grid', 'chk-node-ids', 'chk-surface', 'chk-nodal-lines',
+  'chk-supports',
+];
+
+/** @type {()=>{ viewer: import('./viewer.js').FloorViewer|null,
+ *   animController: import('./animation.js').AnimationController|null, floorData: object|null }} */
+let getMain = () => ({ viewer: null, animController: null, floorData: null });
+
+/** @type {string|null} 起動時の URL ハッシュ（最初のデータ読込後に 1 回だけ復元する） */
+let pendingHash = null;
+
+/** @type {string} 最後に URL に書き出した（または復元した）ハッシュ */
+let lastHash = '';
+
+/** @type {number} 最後に URL ハッシュを更新した時刻 [ms] */
+let lastHashUpdate = 0;
+
+/** @type {string|null} 読込中データのブックマーク保存キー（データ読込前は null） */
+let bookmarkKey = null;
+
+/**
+ * URL 共有・ブックマークを初期化する。initApp から 1 回だけ呼ぶ。
+ *
+ * @param {object} params
+ * @param {()=>{ viewer: import('./viewer.js').FloorViewer|null,
+ *   animController: import('./animation.js').AnimationController|null, floorData: object|null }} params.getMain
+ *   メイン側の viewer・animController・データを返す関数
+ */
+export function setupViewState({ getMain: getMainFn }) {
+  getMain = getMainFn;
+  pendingHash = location.hash.slice(1) || null;
+
+  // 同じタブでハッシュを書き換えた場合も反映する
+  window.addEventListener('hashchange', () => {
+    const hash = location.hash.slice(1);
+    if (hash === lastHash) return;
+    if (!bookmarkKey) {
+      pendingHash = hash || null; // データ読込前は読込後に復元する
+      return;
+    }
+    lastHash = hash;
+    applyViewState(decodeViewState(hash));
+  });
+
+  const btnCopy = document.getElementById('btn-copy-link');
+  btnCopy.addEventListener('click', () => copyLink(btnCopy));
+  document.getElementById('btn-bookmark-save').addEventListener('click', saveBookmark);
+  document.getElementById('btn-bookmark-delete').addEventListener('click', deleteBookmark);
+
+  const select = document.getElementById('bookmark-select');
+  select.addEventListener('change', () => {
+    const bookmark = loadBookmarks()[Number(select.value)];
+    if (bookmark) applyViewState(decodeViewState(bookmark.state));
+    updateBookmarkButtons();
+  });
+}
+
+/**
+ * データ読込後（setupUI の後）に呼ぶ。ブックマーク一覧をそのデータのものに切り替え、
+ * 起動後最初のデータなら URL ハッシュの表示状態を復元する。
+ */
+export function restoreViewState() {
+  const { floorData } = getMain();
+  bookmarkKey = floorData ? BOOKMARK_KEY_PREFIX + datasetHash(floorData) : null;
+  rebuildBookmarkSelect();
+
+  if (pendingHash) {
+    lastHash = pendingHash;
+    applyViewState(decodeViewState(pendingHash));
+    pendingHash = null;
+  }
+}
+
+/**
+ * 表示状態が変わっていれば URL ハッシュを書き換える（履歴は増やさない）。
+ * app.renderFrame から毎フレーム呼ばれ、500 ms に 1 回だけ実際に比較する。
+ */
+export function updateViewStateFrame() {
+  if (!bookmarkKey) return;
+  const now = performance.now();
+  if (now - lastHashUpdate < HASH_UPDATE_INTERVAL_MS) return;
+  lastHashUpdate = now;
+
+  const hash = encodeViewState(captureViewState());
+  if (hash === lastHash) return;
+  lastHash = hash;
+  history.replaceState(null, '', `${location.pathname}${location.search}#${hash}`);
+}
+
+// ─── 状態の取得・反映 ─────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} ViewState
+ * @property {number} [mode]  単一モード表示のモード番号
+ * @property {Array<{mode:number, weight:number, phaseDeg:number}>} [superpose]  重ね合わせ（ON のとき）
+ * @property {string} [normalization]  'maxabs' | 'unit' | 'mass' | 'asis'
+ * @property {number[]} [flipped]  符号を反転するモード番号
+ * @property {number} [scale]
+ * @property {{mode:string, peakMm:number, exaggeration:number}} [amplitude]  mode は 'relative' | 'data' | 'peak'
+ * @property {number} [speed]  実時間に対する再生速度倍率
+ * @property {number|null} [cyclePeriod]  1 周期の再生秒数（実時間 × 倍率では null）
+ * @property {string} [components]  'vertical' | 'full'
+ * @property {boolean} [decay]
+ * @property {string} [contour]  'off' | 'abs' | 'signed'
+ * @property {string} [colormap]
+ * @property {boolean[]} [visibility]  VISIBILITY_IDS の順
+ * @property {number} [surfaceOpacity]
+ * @property {{hidden:number[], explode:number}} [storeys]  hidden は非表示の階のインデックス（下から 0 始まり）
+ * @property {{color:string, width:number}} [undeformedLine]  color は '#rrggbb'
+ * @property {{color:string, width:number}} [deformedLine]
+ * @property {{position:number[], target:number[], orthographic:boolean, height:number}} [camera]
+ */
+
+/**
+ * 現在の表示状態をコントロールと viewer から集める
+ * @returns {ViewState}
+ */
+function captureViewState() {
+  const { viewer, animController } = getMain();
+  const value = (id) => document.getElementById(id).value;
+  const checked = (id) => document.getElementById(id).checked;
+
+  /** @type {ViewState} */
+  const state = {
+    normalization: value('norm-select'),
+    flipped: animController ? animController.getFlippedModes() : [],
+    scale: Number(value('scale-slider')),
+    amplitude: {
+      mode: value('amp-select'),
+      peakMm: Number(value('amp-peak')),
+      exaggeration: Number(value('amp-exaggeration')),
+    },
+    speed: Number(value('speed-input')),
+    cyclePeriod: value('playback-select') === 'period' ? Number(value('cycle-seconds')) : null,
+    components: value('component-select'),
+    decay: checked('chk-decay'),
+    contour: value('contour-select'),
+    colormap: value('colormap-select'),
+    visibility: VISIBILITY_IDS.map(checked),
+    surfaceOpacity: Number(value('surface-opacity')),
+    storeys: {
+      hidden: [...document.querySelectorAll('#storey-list .storey-row')]
+        .filter((row) => !row.querySelector('input[type="checkbox"]').checked)
+        .map((row) => Number(row.dataset.index))
+        .sort((a, b) => a - b),
+      explode: Number(value('storey-explode')),
+    },
+    undeformedLine: { color: value('color-undeformed'), width: Number(value('width-undeformed')) },
+    deformedLine: { color: value('color-deformed'), width: Number(value('width-deformed')) },
+  };
+  if (checked('chk-superpose')) {
+    state.superpose = [...document.querySelectorAll('#superpose-list .superpose-row')]
+      .filter((row) => row.querySelector('input[type="checkbox"]').checked)
+      .map((row) => ({
+        mode: Number(row.dataset.mode),
+        weight: Number(row.querySelector('input[type="range"]').value),
+        phaseDeg: Number(row.querySelector('input[type="number"]').value),
+      }));
+  } else {
+    state.mode = Number(value('mode-select'));
+  }
+  if (viewer) state.camera = viewer.getCameraState();
+  return state;
+}
+
+/**
+ * 表示状態をコントロールと viewer に反映する（指定のない項目はそのまま）
+ * @param {ViewState} state
+ */
+function applyViewState(state) {
+  const { viewer, animController } = getMain();
+  const byId = (id) => document.getElementById(id);
+
+  // 符号反転はモードごとの状態なので animController に直接設定し、モード反映後にチェックボックスを合わせる
+  if (state.flipped && animController) {
+    for (const mode of animController.getModeList()) {
+      animController.setModeFlipped(mode, state.flipped.includes(mode));
+    }
+  }
+  // 振幅（'data' では正規化を選べないため正規化より先に反映する）
+  if (state.amplitude) {
+    setControl(byId('amp-select'), state.amplitude.mode, 'change');
+    if (state.amplitude.mode !== 'relative') {
+      setControl(byId('amp-peak'), state.amplitude.peakMm, 'input');
+      setControl(byId('amp-exaggeration'), state.amplitude.exaggeration, 'input');
+    }
+  }
+  if (state.normalization !== undefined) setControl(byId('norm-select'), state.normalization, 'change');
+
+  if (state.superpose) {
+    for (const row of document.querySelectorAll('#superpose-list .superpose-row')) {
+      const term = state.superpose.find((s) => s.mode === Number(row.dataset.mode));
+      setControl(row.querySelector('input[type="checkbox"]'), !!term, 'change');
+      if (!term) continue;
+      setControl(row.querySelector('input[type="range"]'), term.weight, 'input');
+      setControl(row.querySelector('input[type="number"]'), term.phaseDeg, 'input');
+    }
+    setControl(document.getElementById('chk-superpose'), true, 'change');
+  } else if (state.mode !== undefined) {
+    setControl(document.getElementById('chk-superpose'), false, 'change');
+    setControl(document.getElementById('mode-select'), state.mode, 'change');
+  }
+  if (state.flipped && animController) {
+    const chkFlip = byId('chk-flip-sign');
+    chkFlip.checked = animController.isModeFlipped(Number(byId('mode-select').value));
+    chkFlip.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  if (state.scale !== undefined) setControl(byId('scale-slider'), state.scale, 'input');
+  if (state.speed !== undefined) setControl(byId('speed-input'), state.speed, 'input');
+  if (state.cyclePeriod !== undefined) {
+    if (state.cyclePeriod !== null) setControl(byId('cycle-seconds'), state.cyclePeriod, 'input');
+    setControl(byId('playback-select'), state.cyclePeriod !== null ? 'period' : 'speed', 'change');
+  }
+  if (state.components !== undefined) setControl(byId('component-select'), state.components, 'change');
+  if (state.decay !== undefined) setControl(byId('chk-decay'), state.decay, 'change');
+  if (state.contour !== undefined) setControl(byId('contour-select'), state.contour, 'change');
+  if (state.colormap !== undefined) setControl(byId('colormap-select'), state.colormap, 'change');
+  if (state.visibility) {
+    VISIBILITY_IDS.forEach((id, i) => {
+      if (state.visibility[i] !== undefined) setControl(byId(id), state.visibility[i], 'change');
+    });
+  }
+  if (state.surfaceOpacity !== undefined) setControl(byId('surface-opacity'), state.surfaceOpacity, 'input');
+  if (state.storeys) {
+    for (const row of document.querySelectorAll('#storey-list .storey-row')) {
+      const visible = !state.storeys.hidden.includes(Number(row.dataset.index));
+      setControl(row.querySelector('input[type="checkbox"]'), visible, 'change');
+    }
+    setControl(byId('storey-explode'), state.storeys.explode, 'input');
+  }
+  if (state.undeformedLine) {
+    setControl(byId('color-undeformed'), state.undeformedLine.color, 'input');
+    setControl(byId('width-undeformed'), state.undeformedLine.width, 'input');
+  }
+  if (state.deformedLine) {
+    setControl(byId('color-deformed'), state.deformedLine.color, 'input');
+    setControl(byId('width-deformed'), state.deformedLine.width, 'input');
+  }
+
+  if (state.camera && viewer) {
+    viewer.setCameraState(state.camera);
+    document.getElementById('chk-ortho').checked = viewer.isOrthographic();
+  }
+}
+
+/**
+ * コントロールに値を設定してイベントを送る。
+ * 無効なコントロール・選べない選択肢（データにないモード等）は変更しない。
+ * @param {HTMLInputElement|HTMLSelectElement} el
+ * @param {number|string|boolean} value
+ * @param {'change'|'input'} type
+ */
+function setControl(el, value, type) {
+  if (!el || el.disabled) return;
+  if (el.type === 'checkbox') {
+    if (el.checked === value) return;
+    el.checked = value;
+  } else {
+    const text = String(value);
+    if (el.tagName === 'SELECT') {
+      const option = [...el.options].find((o) => o.value === text);
+      if (!option || option.disabled) return;
+    }
+    if (el.value === text) return;
+    el.value = text;
+  }
+  el.dispatchEvent(new Event(type, { bubbles: true }));
+}
+
+// ─── URL ハッシュへの変換 ───────────────────────────────────────────────────
+
+/**
+ * 表示状態を URL ハッシュの文字列にする（値は英数字と , : . - のみで URL エンコード不要）
+ * @param {ViewState} state
+ * @returns {string}
+ */
+function encodeViewState(state) {
+  const parts = [];
+  const put = (key, value) => parts.push(`${key}=${value}`);
+
+  if (state.superpose) {
+    put('sup', state.superpose.map((s) => `${s.mode}:${num(s.weight)}:${num(s.phaseDeg)}`).join(','));
+  } else if (state.mode !== undefined) {
+    put('mode', state.mode);
+  }
+  put('norm', state.normalization);
+  if (state.flipped.length > 0) put('flip', state.flipped.join(','));
+  put('scale', num(state.scale));
+  if (state.amplitude.mode === 'data') {
+    put('amp', `data,${num(state.amplitude.exaggeration)}`);
+  } else if (state.amplitude.mode === 'peak') {
+    put('amp', `peak,${num(state.amplitude.exaggeration)},${num(state.amplitude.peakMm)}`);
+  }
+  put('speed', num(state.speed));
+  if (state.cyclePeriod !== null) put('cycle', num(state.cyclePeriod));
+  put('comp', state.components);
+  if (state.decay) put('decay', 1);
+  put('contour', state.contour);
+  put('cmap', state.colormap);
+  put('vis', state.visibility.map((v) => (v ? 1 : 0)).join(''));
+  put('opacity', num(state.surfaceOpacity));
+  if (state.storeys.hidden.length > 0) put('hide', state.storeys.hidden.map((idx) => idx + 1).join(','));
+  if (state.storeys.explode > 0) put('explode', num(state.storeys.explode));
+  put('lu', `${state.undeformedLine.color.slice(1)},${num(state.undeformedLine.width)}`);
+  put('ld', `${state.deformedLine.color.slice(1)},${num(state.deformedLine.width)}`);
+  if (state.camera) {
+    const { position, target, orthographic, height } = state.camera;
+    put('cam', [...position, ...target].map(num).join(','));
+    if (orthographic) put('ortho', num(height));
+  }
+  return parts.join('&');
+}
+
+/**
+ * URL ハッシュの文字列を表示状態に戻す。不正な値の項目は無視する
+ * @param {string} hash  先頭の # を除いた文字列
+ * @returns {ViewState}
+ */
+function decodeViewState(hash) {
+  const params = new URLSearchParams(hash);
+  /** @type {ViewState} */
+  const state = {};
+  const number = (key) => {
+    const v = params.has(key) ? Number(params.get(key)) : NaN;
+    return Number.isFinite(v) ? v : undefined;
+  };
+  const line = (key) => {
+    const [color, width] = (params.get(key) || '').split(',');
+    if (!/^[0-9a-f]{6}$/i.test(color) || !Number.isFinite(Number(width))) return undefined;
+    return { color: `#${color.toLowerCase()}`, width: Number(width) };
+  };
+
+  if (params.has('sup')) {
+    state.superpose = params.get('sup').split(',')
+      .map((term) => term.split(':').map(Number))
+      .filter((values) => values.length === 3 && values.every(Number.isFinite))
+      .map(([mode, weight, phaseDeg]) => ({ mode, weight, phaseDeg }));
+  } else {
+    state.mode = number('mode');
+  }
+  state.normalization = params.get('norm') ?? undefined;
+  state.flipped = (params.get('flip') || '').split(',').filter((v) => v !== '').map(Number).filter(Number.isFinite);
+  state.scale = number('scale');
+  const [ampMode, exaggeration, peakMm] = (params.get('amp') || '').split(',');
+  if (ampMode === 'data' || ampMode === 'peak') {
+    state.amplitude = { mode: ampMode, exaggeration: Number(exaggeration), peakMm: Number(peakMm) };
+    if (!(state.amplitude.exaggeration > 0)) state.amplitude.exaggeration = 1;
+    if (!(state.amplitude.peakMm >= 0)) state.amplitude.peakMm = 1;
+  } else {
+    state.amplitude = { mode: 'relative', exaggeration: 1, peakMm: 1 };
+  }
+  state.speed = number('speed');
+  state.cyclePeriod = number('cycle') > 0 ? number('cycle') : null;
+  state.components = params.get('comp') ?? undefined;
+  state.decay = params.has('decay');
+  state.contour = params.get('contour') ?? undefined;
+  state.colormap = params.get('cmap') ?? undefined;
+  if (/^[01]+$/.test(params.get('vis') || '')) {
+    state.visibility = [...params.get('vis')].map((c) => c === '1');
+  }
+  state.surfaceOpacity = number('opacity');
+  state.storeys = {
+    // 階は下から 1 始まりの番号で書く
+    hidden: (params.get('hide') || '').split(',').filter((v) => v !== '').map((v) => Number(v) - 1)
+      .filter((idx) => Number.isInteger(idx) && idx >= 0),
+    explode: number('explode') >= 0 ? number('explode') : 0,
+  };
+  state.undeformedLine = line('lu');
+  state.deformedLine = line('ld');
+
+  const cam = (params.get('cam') || '').split(',').map(Number);
+  if (cam.length === 6 && cam.every(Number.isFinite)) {
+    const height = number('ortho');
+    state.camera = {
+      position: cam.slice(0, 3),
+      target: cam.slice(3),
+      orthographic: height !== undefined,
+      height,
+    };
+  }
+
+  // 未指定（undefined）の項目は反映しない
+  for (const key of Object.keys(state)) {
+    if (state[key] === undefined) delete state[key];
+  }
+  return state;
+}
+
+/**
+ * 数値を有効数字 6 桁の短い文字列にする
+ * @param {number} v
+ * @returns {string}
+ */
+function num(v) {
+  return String(Number(v.toPrecision(6)));
+}
+
+// ─── リンクのコピー ───────────────────────────────────────────────────────
+
+/**
+ * 現在の表示状態の URL をクリップボードにコピーする（失敗時は入力欄に表示）
+ * @param {HTMLButtonElement} btn
+ */
+async function copyLink(btn) {
+  lastHashUpdate = 0;
+  updateViewStateFrame();
+  const url = location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    btn.textContent = t('copyLinkDone');
+    setTimeout(() => { btn.textContent = t('btnCopyLink'); }, 1500);
+  } catch {
+    prompt(t('copyLinkPrompt'), url);
+  }
+}
+
+// ─── ブックマーク ────────────────────────────────────────────────────────
+
+/**
+ * データの識別子（タイトルと節点 ID・座標の FNV-1a ハッシュ）。
+ * 同じ形状のデータ（解析結果の差し替え等）はブックマークを共有する
+ * @param {object} data
+ * @returns {string}  8 桁の 16 進数
+ */
+function datasetHash(data) {
+  let h = 0x811c9dc5;
+  const feed = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+  };
+  feed((data.meta && data.meta.title) || '');
+  for (const node of data.nodes.values()) feed(`|${node.id},${node.x},${node.y},${node.z}`);
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 読込中データのブックマーク一覧
+ * @returns {Array<{name:string, state:string}>}  state は URL ハッシュ形式
+ */
+function loadBookmarks() {
+  if (!bookmarkKey) return [];
+  try {
+    const list = JSON.parse(localStorage.getItem(bookmarkKey) || '[]');
+    return Array.isArray(list) ? list.filter((b) => b && typeof b.name === 'string' && typeof b.state === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * ブックマーク一覧を保存する（空なら削除）
+ * @param {Array<{name:string, state:string}>} list
+ */
+function storeBookmarks(list) {
+  if (!bookmarkKey) return;
+  try {
+    if (list.length > 0) {
+      localStorage.setItem(bookmarkKey, JSON.stringify(list));
+    } else {
+      localStorage.removeItem(bookmarkKey);
+    }
+  } catch { /* localStorage利用不可 */ }
+}
+
+/**
+ * 現在の表示状態を名前を付けて保存する（同名は上書き）
+ */
+function saveBookmark() {
+  if (!bookmarkKey) return;
+  const select = document.getElementById('bookmark-select');
+  const modeSelect = document.getElementById('mode-select');
+  const current = loadBookmarks()[Number(select.value)];
+  const defaultName = current ? current.name : t('bookmarkDefaultName', {
+    n: modeSelect.value,
+    s: Number(document.getElementById('scale-slider').value).toFixed(1),
+  });
+  const name = (prompt(t('bookmarkPrompt'), defaultName) || '').trim();
+  if (!name) return;
+
+  const list = loadBookmarks();
+  const entry = { name, state: encodeViewState(captureViewState()) };
+  const index = list.findIndex((b) => b.name === name);
+  if (index >= 0) {
+    list[index] = entry;
+  } else {
+    list.push(entry);
+  }
+  storeBookmarks(list);
+  rebuildBookmarkSelect(list.findIndex((b) => b.name === name));
+}
+
+/**
+ * 選択中のブックマークを削除する
+ */
+function deleteBookmark() {
+  const select = document.getElementById('bookmark-select');
+  const list = loadBookmarks();
+  const index = Number(select.value);
+  if (!list[index]) return;
+  list.splice(index, 1);
+  storeBookmarks(list);
+  rebuildBookmarkSelect();
+}
+
+/**
+ * ブックマークの選択肢を作り直す
+ * @param {number} [selected=-1]  選択状態にするブックマークの番号
+ */
+function rebuildBookmarkSelect(selected = -1) {
+  const select = document.getElementById('bookmark-select');
+  select.innerHTML = '';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.dataset.i18n = 'bookmarkNone';
+  placeholder.textContent = t('bookmarkNone');
+  select.appendChild(placeholder);
+
+  loadBookmarks().forEach((bookmark, i) => {
+    const opt = document.createElement('option');
+    opt.value = String(i);
+    opt.textContent = bookmark.name;
+    select.appendChild(opt);
+  });
+  select.value = selected >= 0 ? String(selected) : '';
+  select.disabled = !bookmarkKey;
+  document.getElementById('btn-bookmark-save').disabled = !bookmarkKey;
+  updateBookmarkButtons();
+}
+
+/**
+ * 削除ボタンはブックマーク選択中のみ有効にする
+ */
+function updateBookmarkButtons() {
+  document.getElementById('btn-bookmark-delete').disabled = document.getElementById('bookmark-select').value === '';
+}
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { AnimationController, SPEED_MIN, SPEED_MAX } from '../src/animation.js';
+import { computeModalMass } from '../src/modalmass.js';
+
+/**
+ * 2 節点・1 線要素の床構面データ（modes・masses などを上書きできる）
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function twoNodeData(extra = {}) {
+  return normalizeFloorData({
+    nodes: [{ id: 1, x: 0, y: 0, z: 0 }, { id: 2, x: 4, y: 0, z: 0 }],
+    lines: [{ id: 1, node_i: 1, node_j: 2 }],
+    freq_hz: { 1: 5 },
+    modes: { 1: { 1: 0.5, 2: 1 } },
+    ...extra,
+  });
+}
+
+test('mass normalization gives the generalized mass of 1 shown in the mass table', () => {
+  const data = twoNodeData({
+    modes: { 1: { 1: { re: 0.5, im: 1.2 }, 2: { uz: { re: 1, im: -0.8 }, ux: 0.3 } } },
+    masses: { 1: 2, 2: 2 },
+  });
+  const anim = new AnimationController(data);
+  anim.setNormalization('mass');
+
+  const [row] = computeModalMass(data).rows;
+  const factor = anim.getModeFactor(1);
+  assert.ok(Math.abs(row.modalMass * factor * factor - 1) < 1e-12);
+});
+
+test('maxabs, unit and asis normalizations scale each mode and keep their amplitude ratio', () => {
+  const data = twoNodeData({ freq_hz: { 1: 5, 2: 8 }, modes: { 1: { 1: 0.5, 2: 1 }, 2: { 1: 3, 2: -4 } } });
+  const anim = new AnimationController(data);
+  const factors = () => [anim.getModeFactor(1), anim.getModeFactor(2)];
+  const peaks = () => [1, 2].map((m) => {
+    anim.setMode(m);
+    return anim.getPeakAmplitude();
+  });
+
+  assert.equal(anim.getNormalization(), 'maxabs');
+  assert.deepEqual(factors(), [1, 0.25]);
+  // A_ref = 4 / 10、各モードの最大振幅を A_ref で表示
+  assert.deepEqual(peaks(), [0.4, 0.4]);
+
+  anim.setNormalization('unit');
+  assert.deepEqual(factors(), [1 / Math.sqrt(1.25), 0.2]);
+  const unitPeaks = peaks();
+  assert.ok(Math.abs(unitPeaks[0] / unitPeaks[1] - 1 / (0.8 * Math.sqrt(1.25))) < 1e-12);
+
+  anim.setNormalization('asis');
+  assert.deepEqual(factors(), [1, 1]);
+  assert.deepEqual(peaks(), [0.1, 0.4]);
+});
+
+test('mass normalization without nodal masses falls back to maxabs', () => {
+  const anim = new AnimationController(twoNodeData());
+  assert.equal(anim.hasMasses(), false);
+  anim.setNormalization('mass');
+  assert.equal(anim.getNormalization(), 'maxabs');
+  anim.setNormalization('bogus');
+  assert.equal(anim.getNormalization(), 'maxabs');
+});
+
+test('flipping a mode reverses the sign of its displacement', () => {
+  const anim = new AnimationController(twoNodeData());
+  anim.setTime(1 / 20); // 5 Hz の 1/4 周期（sin = 1）
+  assert.ok(Math.abs(anim.getDisplacement(2).uz - 0.4) < 1e-12);
+
+  anim.setModeFlipped(1, true);
+  assert.equal(anim.isModeFlipped(1), true);
+  assert.equal(anim.getModeFactor(1), -1);
+  assert.ok(Math.abs(anim.getDisplacement(2).uz + 0.4) < 1e-12);
+  assert.deepEqual(anim.getFlippedModes(), [1]);
+
+  anim.setModeFlipped(1, false);
+  assert.equal(anim.getModeFactor(1), 1);
+});
+
+test('absolute display needs a length unit, and a mode unit for data amplitudes', () => {
+  const canShow = (meta) => {
+    const anim = new AnimationController(twoNodeData({ meta }));
+    return [anim.canShowAbsolute('peak'), anim.canShowAbsolute('data')];
+  };
+  assert.deepEqual(canShow(undefined), [false, false]);
+  assert.deepEqual(canShow({ lengthUnit: 'furlong', modeUnit: 'mm' }), [false, false]);
+  assert.deepEqual(canShow({ lengthUnit: 'm' }), [true, false]);
+  assert.deepEqual(canShow({ lengthUnit: ' M ', modeUnit: 'MM' }), [true, true]);
+
+  const anim = new AnimationController(twoNodeData({ meta: { lengthUnit: 'm' } }));
+  anim.setAbsolute({ source: 'data' });
+  assert.equal(anim.getAbsolute(), null);
+});
+
+test('data amplitudes convert mode values from mode_unit and ignore the normalization', () => {
+  const anim = new AnimationController(twoNodeData({ meta: { lengthUnit: 'm', modeUnit: 'mm' } }));
+  anim.setAbsolute({ source: 'data' });
+  anim.setNormalization('unit');
+  anim.setTime(1 / 20);
+
+  assert.ok(Math.abs(anim.getDisplacement(2).uz - 1e-3) < 1e-15);
+  assert.ok(Math.abs(anim.getPeakAmplitude() - 1e-3) < 1e-15);
+  anim.setModeFlipped(1, true);
+  assert.ok(Math.abs(anim.getDisplacement(1).uz + 0.5e-3) < 1e-15);
+});
+
+test('peak amplitudes set the largest displacement and exaggeration only scales the drawing', () => {
+  const anim = new AnimationController(twoNodeData({
+    meta: { lengthUnit: 'm' },
+    freq_hz: { 1: 5, 2: 8 },
+    modes: { 1: { 1: 0.5, 2: 1 }, 2: { 1: 3, 2: -4 } },
+  }));
+  anim.setMode(2);
+  anim.setTime(1 / 32); // 8 Hz の 1/4 周期
+  anim.setAbsolute({ source: 'peak', peakMm: 5, exaggeration: 100 });
+
+  assert.deepEqual(anim.getAbsolute(), { source: 'peak', peakMm: 5, exaggeration: 100 });
+  assert.ok(Math.abs(anim.getPeakAmplitude() - 5e-3) < 1e-15);
+  assert.ok(Math.abs(anim.getDisplacement(2).uz + 5e-3) < 1e-15);
+  assert.ok(Math.abs(anim.getDisplacedPosition(2).z + 0.5) < 1e-12);
+  // A_ref = 0.4 m に対して 0.4 / 0.005 = 80 → 100 倍
+  assert.equal(anim.suggestExaggeration(), 100);
+
+  anim.setAbsolute({ source: 'peak', peakMm: -1, exaggeration: 0 });
+  assert.deepEqual(anim.getAbsolute(), { source: 'peak', peakMm: 1, exaggeration: 1 });
+  anim.setAbsolute(null);
+  assert.equal(anim.getExaggeration(), 1);
+  assert.ok(Math.abs(anim.getPeakAmplitude() - 0.4) < 1e-12);
+});
+
+test('playback speed is clamped to SPEED_MIN..SPEED_MAX and non-numbers are ignored', () => {
+  const anim = new AnimationController(twoNodeData());
+  anim.setSpeed(100);
+  assert.equal(anim.getSpeed(), SPEED_MAX);
+  anim.setSpeed(0);
+  assert.equal(anim.getSpeed(), SPEED_MIN);
+  anim.setSpeed(NaN);
+  assert.equal(anim.getSpeed(), SPEED_MIN);
+});
+
+test('a cycle period plays one period of the slowest shown mode in the given seconds', () => {
+  const anim = new AnimationController(twoNodeData({ freq_hz: { 1: 5, 2: 8 }, modes: { 1: { 2: 1 }, 2: { 2: 1 } } }));
+  anim.setSpeed(2);
+  anim.setCyclePeriod(2);
+  assert.equal(anim.getCyclePeriod(), 2);
+  assert.equal(anim.getEffectiveSpeed(), 0.1);
+
+  anim.play();
+  anim.update(2);
+  assert.ok(Math.abs(anim.getTime() * anim.getFreqHz() - 1) < 1e-12);
+
+  anim.setSuperposition([{ mode: 2 }, { mode: 1 }]);
+  assert.equal(anim.getCycleFreqHz(), 5);
+  anim.setMode(2);
+  anim.setSuperposition(null);
+  assert.equal(anim.getEffectiveSpeed(), 1 / 16);
+
+  anim.setCyclePeriod(0);
+  assert.equal(anim.getCyclePeriod(), null);
+  assert.equal(anim.getEffectiveSpeed(), 2);
+});
+
+test('loop frequency is the mode frequency, the common divisor of superposed modes or the decay restart', () => {
+  const anim = new AnimationController(twoNodeData({
+    freq_hz: { 1: 5, 2: 8, 3: 5.01 },
+    modes: { 1: { 2: 1 }, 2: { 2: 1 }, 3: { 2: 1 } },
+    damping: { 1: 0.02, 2: 0.05 },
+  }));
+  assert.equal(anim.getLoopFreqHz(), 5);
+
+  anim.setSuperposition([{ mode: 1 }, { mode: 2 }]);
+  assert.ok(Math.abs(anim.getLoopFreqHz() - 1) < 1e-12);
+  // 0.01 Hz 単位の最大公約数では 500 周期になるため最低振動数で代用する
+  anim.setSuperposition([{ mode: 1 }, { mode: 3 }]);
+  assert.equal(anim.getLoopFreqHz(), 5);
+
+  anim.setSuperposition([{ mode: 1 }, { mode: 2 }]);
+  anim.setDecay(true);
+  const rate = Math.min(0.02 * 2 * Math.PI * 5, 0.05 * 2 * Math.PI * 8);
+  assert.ok(Math.abs(anim.getLoopFreqHz() - rate / Math.log(100)) < 1e-12);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/floor-mode-anime.js', import.meta.url));
+const SAMPLE = fileURLToPath(new URL('../public/Sample/sample_case.json', import.meta.url));
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'floor-mode-anime-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * 一時ディレクトリにファイルを書き出してパスを返す
+ * @param {string} name
+ * @param {string} text
+ * @returns {string}
+ */
+function writeTemp(name, text) {
+  const filePath = path.join(dir, name);
+  writeFileSync(filePath, text);
+  return filePath;
+}
+
+/**
+ * CLI を実行する
+ * @param {...string} args
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+function run(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+/** 未定義節点を参照する線要素を 1 本含むデータ */
+const UNDEF_NODE_DATA = JSON.stringify({
+  nodes: [{ id: 1, x: 0, y: 0, z: 0 }, { id: 2, x: 1, y: 0, z: 0 }],
+  lines: [{ id: 1, node_i: 1, node_j: 3 }],
+  freq_hz: { 1: 2 },
+  modes: { 1: { 1: 0, 2: 1 } },
+});
+
+test('valid data exits with 0', () => {
+  const { status, stdout } = run('validate', SAMPLE);
+  assert.equal(status, 0);
+  assert.match(stdout, /result {3}: 0 error\(s\)/);
+});
+
+test('validation and parse errors exit with 1', () => {
+  const invalid = run('validate', writeTemp('undef.json', UNDEF_NODE_DATA));
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stdout, /error {4}.*nodeJ=3 is not defined/);
+
+  assert.equal(run('validate', writeTemp('broken.json', '{')).status, 1);
+  assert.equal(run('validate', SAMPLE, writeTemp('array.json', '[1]')).status, 1);
+});
+
+test('usage errors and unreadable files exit with 2', () => {
+  assert.equal(run().status, 2);
+  assert.equal(run('validate').status, 2);
+  assert.equal(run('check', SAMPLE).status, 2);
+  assert.equal(run('validate', '--strict', SAMPLE).status, 2);
+
+  const missing = run('validate', path.join(dir, 'missing.json'));
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /Cannot read/);
+});
+
+test('--json prints a report with error codes per file', () => {
+  const { status, stdout } = run('validate', '--json', SAMPLE, writeTemp('undef.json', UNDEF_NODE_DATA),
+    writeTemp('broken.json', '{'), writeTemp('array.json', '[1]'));
+  assert.equal(status, 1);
+
+  const report = JSON.parse(stdout);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.files.map((f) => f.ok), [true, false, false, false]);
+  assert.ok(report.files[0].summary.nodes > 0);
+  assert.deepEqual(report.files[1].errors.map((e) => e.code), ['E_LINE_NODE_UNDEF']);
+  assert.equal(report.files[1].errors[0].params.node, 3);
+  assert.equal(report.files[2].errors[0].code, 'E_JSON_PARSE');
+  assert.equal(report.files[3].errors[0].code, 'E_DATA_CONVERT');
+  assert.equal(report.files[3].summary, null);
+});
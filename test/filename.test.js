@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toFileTitle, toFileModeTag } from '../src/filename.js';
+
+test('titles become kebab-case with an untitled fallback', () => {
+  assert.equal(toFileTitle('  Floor A  Case 3 '), 'floor-a-case-3');
+  assert.equal(toFileTitle(undefined), 'untitled');
+  assert.equal(toFileTitle('床構面'), 'untitled');
+});
+
+test('mode tags join superposed modes with +', () => {
+  const anim = (terms, current) => ({
+    getSuperposition: () => terms,
+    getCurrentMode: () => current,
+    getModeList: () => [1, 2, 3],
+  });
+  assert.equal(toFileModeTag(anim(null, 2)), 'mode2');
+  assert.equal(toFileModeTag(anim([{ mode: 1 }, { mode: 3 }], 1)), 'mode1+3');
+  assert.equal(toFileModeTag(anim([], null)), 'mode1');
+});
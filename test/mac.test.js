@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { computeMacMatrix, macValue, macToCsv } from '../src/mac.js';
+
+/**
+ * 3 節点の床構面データ（modes を指定）
+ * @param {object} modes
+ * @param {number[]} [ids]
+ * @returns {object}
+ */
+function threeNodeData(modes, ids = [1, 2, 3]) {
+  return normalizeFloorData({
+    nodes: ids.map((id, k) => ({ id, x: k, y: 0, z: 0 })),
+    lines: [{ id: 1, node_i: ids[0], node_j: ids[1] }],
+    freq_hz: Object.fromEntries(Object.keys(modes).map((m) => [m, Number(m) * 2])),
+    modes,
+  });
+}
+
+test('self MAC has ones on the diagonal and zero for orthogonal modes', () => {
+  const data = threeNodeData({
+    1: { 1: 1, 2: 1, 3: 1 },
+    2: { 1: 1, 2: 0, 3: -1 },
+    3: { 1: 1, 2: 1, 3: 0 },
+  });
+  const { modesA, modesB, freqA, values } = computeMacMatrix(data);
+
+  assert.deepEqual(modesA, [1, 2, 3]);
+  assert.deepEqual(modesB, [1, 2, 3]);
+  assert.deepEqual(freqA, [2, 4, 6]);
+  values.forEach((row, i) => assert.ok(Math.abs(row[i] - 1) < 1e-12));
+  assert.ok(Math.abs(values[0][1]) < 1e-12);
+  assert.ok(Math.abs(values[0][2] - 4 / 6) < 1e-12);
+  assert.equal(values[0][2], values[2][0]);
+});
+
+test('only nodes present in both datasets enter the mode vectors', () => {
+  const a = threeNodeData({ 1: { 1: 1, 2: 1, 3: 5 } });
+  const b = threeNodeData({ 1: { 1: 2, 2: 2, 4: -3 } }, [1, 2, 4]);
+  const result = computeMacMatrix(a, b);
+
+  assert.deepEqual(result.nodeIds, [1, 2]);
+  assert.ok(Math.abs(result.values[0][0] - 1) < 1e-12);
+});
+
+test('lateral components and imaginary parts are included', () => {
+  const data = threeNodeData({
+    1: { 1: { uz: 1, ux: 1 }, 2: 0, 3: 0 },
+    2: { 1: { uz: 1, ux: -1 }, 2: 0, 3: 0 },
+    3: { 1: { re: 1, im: 1 }, 2: 0, 3: 0 },
+  });
+  const { values } = computeMacMatrix(data);
+
+  assert.ok(Math.abs(values[0][1]) < 1e-12);
+  assert.ok(Math.abs(values[2][2] - 1) < 1e-12);
+
+  // [1+i] と [1] は位相だけが異なるので MAC = 1、[1, i] と [1, -i] は直交
+  assert.ok(Math.abs(macValue([1], [1], [1], [0]) - 1) < 1e-12);
+  assert.ok(Math.abs(macValue([1, 0], [1, 0], [0, 1], [0, -1])) < 1e-12);
+  assert.equal(macValue([0, 0], [1, 0]), 0);
+});
+
+test('datasets without common node IDs are rejected', () => {
+  const a = threeNodeData({ 1: { 1: 1, 2: 1, 3: 1 } });
+  const b = threeNodeData({ 1: { 4: 1, 5: 1, 6: 1 } }, [4, 5, 6]);
+  assert.throws(() => computeMacMatrix(a, b), /no common node IDs/);
+});
+
+test('MAC CSV has mode headings with frequencies', () => {
+  const data = threeNodeData({ 1: { 1: 1, 2: 1, 3: 1 }, 2: { 1: 1, 2: 0, 3: -1 } });
+  const csv = macToCsv(computeMacMatrix(data), { a: '', b: '' });
+
+  assert.equal(csv, [
+    'MAC,Mode 1 (2.000 Hz),Mode 2 (4.000 Hz)',
+    'Mode 1 (2.000 Hz),1.0000,0.0000',
+    'Mode 2 (4.000 Hz),0.0000,1.0000',
+    '',
+  ].join('\r\n'));
+});
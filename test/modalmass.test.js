@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { computeModalMass } from '../src/modalmass.js';
+
+/**
+ * 3 節点の床構面データ（modes・masses を指定）
+ * @param {object} modes
+ * @param {object} [masses]
+ * @returns {object}
+ */
+function threeNodeData(modes, masses) {
+  return normalizeFloorData({
+    nodes: [{ id: 1, x: 0, y: 0, z: 0 }, { id: 2, x: 1, y: 0, z: 0 }, { id: 3, x: 2, y: 0, z: 0 }],
+    lines: [{ id: 1, node_i: 1, node_j: 2 }, { id: 2, node_i: 2, node_j: 3 }],
+    freq_hz: Object.fromEntries(Object.keys(modes).map((m) => [m, Number(m) * 2])),
+    modes,
+    ...(masses ? { masses } : {}),
+  });
+}
+
+/**
+ * 数値の近似比較
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} !== ${expected}`);
+}
+
+test('modal mass, participation, effective mass and cumulative ratio per mode', () => {
+  const result = computeModalMass(threeNodeData({
+    1: { 1: 1, 2: 1, 3: 1 },
+    2: { 1: 1, 2: 0, 3: -1 },
+    3: { 1: 1, 2: { uz: 1, ux: 1 }, 3: 1 },
+  }, { 1: 1, 2: 2, 3: 1 }));
+
+  assert.equal(result.totalMass, 4);
+  const [m1, m2, m3] = result.rows;
+  assert.deepEqual(result.rows.map((r) => [r.mode, r.freqHz]), [[1, 2], [2, 4], [3, 6]]);
+
+  assert.deepEqual([m1.modalMass, m1.participation, m1.effectiveMass, m1.ratio, m1.cumulative], [4, 1, 4, 1, 1]);
+  assert.deepEqual([m2.modalMass, m2.participation, m2.effectiveMass, m2.ratio, m2.cumulative], [2, 0, 0, 0, 1]);
+
+  // 水平成分は M にだけ入り、Σ m uz には入らない
+  assert.equal(m3.modalMass, 6);
+  assertClose(m3.participation, 2 / 3);
+  assertClose(m3.effectiveMass, 8 / 3);
+  assertClose(m3.ratio, 2 / 3);
+  assertClose(m3.cumulative, 5 / 3);
+});
+
+test('effective mass does not depend on the mode scaling, M and participation do', () => {
+  const masses = { 1: 1, 2: 3, 3: 2 };
+  const [a] = computeModalMass(threeNodeData({ 1: { 1: 0.2, 2: 1, 3: -0.4 } }, masses)).rows;
+  const [b] = computeModalMass(threeNodeData({ 1: { 1: 0.6, 2: 3, 3: -1.2 } }, masses)).rows;
+
+  assertClose(b.modalMass, a.modalMass * 9);
+  assertClose(b.participation, a.participation / 3);
+  assertClose(b.effectiveMass, a.effectiveMass);
+  assertClose(b.ratio, a.ratio);
+});
+
+test('complex modes use the real part and masses on undefined nodes are ignored', () => {
+  const [row] = computeModalMass(threeNodeData(
+    { 1: { 1: { re: 1, im: 5 }, 2: 1, 3: 1 } },
+    { 1: 1, 2: 1, 3: 1, 9: 100 },
+  )).rows;
+
+  assert.equal(row.modalMass, 3);
+  assert.equal(row.ratio, 1);
+});
+
+test('no masses or a zero total mass gives null', () => {
+  const modes = { 1: { 1: 1, 2: 1, 3: 1 } };
+  assert.equal(computeModalMass(threeNodeData(modes)), null);
+  assert.equal(computeModalMass(threeNodeData(modes, { 1: 0, 2: 0 })), null);
+});
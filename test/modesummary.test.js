@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { computeModeSummary } from '../src/modesummary.js';
+
+/**
+ * 四角形要素 2 つの板と、要素の辺と重なる線要素 1 本（節点 1〜3 が y = 0、4〜6 が y = 1）
+ * @param {object} freqHz
+ * @param {object} modes
+ * @returns {object}
+ */
+function plateData(freqHz, modes) {
+  return normalizeFloorData({
+    nodes: [[1, 0, 0], [2, 1, 0], [3, 2, 0], [4, 0, 1], [5, 1, 1], [6, 2, 1]].map(([id, x, y]) => ({ id, x, y, z: 0.5 })),
+    lines: [{ id: 1, node_i: 1, node_j: 2 }],
+    elements: [{ id: 1, nodes: [1, 2, 5, 4] }, { id: 2, nodes: [2, 3, 6, 5] }],
+    freq_hz: freqHz,
+    modes,
+  });
+}
+
+test('mode rows carry the period, the largest |uz| node, sign counts and crossings', () => {
+  const rows = computeModeSummary(plateData({ 1: 4, 2: 10 }, {
+    2: { 1: 0.5, 2: -0.2, 3: 0.1, 4: 1e-12, 5: -0.4, 6: 0.1 },
+    1: { 1: 1, 2: -1, 3: -1, 4: 1, 5: -1, 6: -1 },
+  }));
+
+  assert.deepEqual(rows.map((r) => r.mode), [1, 2]);
+  const [r1, r2] = rows;
+
+  assert.equal(r1.periodS, 0.25);
+  assert.equal(r1.maxNode, 1);
+  assert.deepEqual(r1.maxCoords, { x: 0, y: 0, z: 0.5 });
+  assert.deepEqual([r1.positive, r1.negative], [2, 4]);
+  // 線要素と要素 1 の共有辺 1-2 は 1 回だけ数える
+  assert.equal(r1.crossings, 2);
+
+  assert.equal(r2.freqHz, 10);
+  assert.equal(r2.maxNode, 1);
+  assert.equal(r2.maxUz, 0.5);
+  // 最大 |uz| に比べて十分小さい節点 4 は正負どちらにも数えない
+  assert.deepEqual([r2.positive, r2.negative], [3, 2]);
+  assert.equal(r2.crossings, 3);
+});
+
+test('the signed value of the largest |uz| is kept and a missing frequency gives NaN period', () => {
+  const [row] = computeModeSummary(plateData({}, { 1: { 3: -2, 6: 1 } }));
+
+  assert.equal(row.maxNode, 3);
+  assert.equal(row.maxUz, -2);
+  assert.deepEqual([row.positive, row.negative], [1, 1]);
+  assert.equal(row.crossings, 1);
+  assert.ok(Number.isNaN(row.periodS));
+});
+
+test('an all-zero mode has no largest node', () => {
+  const [row] = computeModeSummary(plateData({ 1: 2 }, { 1: { 1: 0 } }));
+  assert.equal(row.maxNode, null);
+  assert.equal(row.maxCoords, null);
+  assert.deepEqual([row.positive, row.negative, row.crossings], [0, 0, 0]);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { computeNodalLines, realModeShapeUz } from '../src/nodallines.js';
+
+/**
+ * 3 節点・2 本の線要素の梁（x = 0, 4, 8）
+ * @param {object} uz  節点 ID → uz
+ * @returns {object}
+ */
+function beamData(uz) {
+  return normalizeFloorData({
+    nodes: [{ id: 1, x: 0, y: 0, z: 0 }, { id: 2, x: 4, y: 0, z: 0 }, { id: 3, x: 8, y: 0, z: 0 }],
+    lines: [{ id: 1, node_i: 1, node_j: 2 }, { id: 2, node_i: 2, node_j: 3 }],
+    freq_hz: { 1: 1 },
+    modes: { 1: uz },
+  });
+}
+
+/**
+ * 四角形要素を x 方向に 2 つ並べた板（節点 1〜3 が y = 0、4〜6 が y = 1）
+ * @param {object} uz  節点 ID → uz
+ * @returns {object}
+ */
+function plateData(uz) {
+  return normalizeFloorData({
+    nodes: [[1, 0, 0], [2, 1, 0], [3, 2, 0], [4, 0, 1], [5, 1, 1], [6, 2, 1]].map(([id, x, y]) => ({ id, x, y, z: 0 })),
+    lines: [],
+    elements: [{ id: 1, nodes: [1, 2, 5, 4] }, { id: 2, nodes: [2, 3, 6, 5] }],
+    freq_hz: { 1: 1 },
+    modes: { 1: uz },
+  });
+}
+
+test('line elements get a point where uz changes sign', () => {
+  assert.deepEqual(computeNodalLines(beamData({ 1: 1, 2: -3, 3: -1 }), 1), {
+    points: [{ x: 1, y: 0, z: 0 }],
+    segments: [],
+  });
+});
+
+test('a zero node counts only between positive and negative neighbours', () => {
+  assert.deepEqual(computeNodalLines(beamData({ 1: 1, 2: 0, 3: -1 }), 1).points, [{ x: 4, y: 0, z: 0 }]);
+  assert.deepEqual(computeNodalLines(beamData({ 1: 0, 2: 1, 3: 1e-12 }), 1).points, []);
+  assert.deepEqual(computeNodalLines(beamData({ 1: 0, 2: 0, 3: 0 }), 1), { points: [], segments: [] });
+});
+
+test('shell elements get segments across the sign change', () => {
+  const { points, segments } = computeNodalLines(plateData({ 1: 1, 2: -1, 3: -1, 4: 1, 5: -1, 6: -1 }), 1);
+  assert.deepEqual(points, []);
+  assert.ok(segments.length > 0);
+  for (const [p, q] of segments) {
+    assert.equal(p.x, 0.5);
+    assert.equal(q.x, 0.5);
+  }
+  const ys = segments.flat().map((p) => p.y);
+  assert.equal(Math.min(...ys), 0);
+  assert.equal(Math.max(...ys), 1);
+});
+
+test('an element edge of zero nodes is kept inside the plate and dropped on its boundary', () => {
+  assert.deepEqual(computeNodalLines(plateData({ 1: 1, 2: 0, 3: -1, 4: 1, 5: 0, 6: -1 }), 1).segments, [
+    [{ x: 1, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }],
+  ]);
+  assert.deepEqual(computeNodalLines(plateData({ 1: 0, 2: 1, 3: 1, 4: 0, 5: 1, 6: 1 }), 1).segments, []);
+});
+
+test('complex modes are rotated to the phase with the largest real part', () => {
+  const data = beamData({ 1: { re: 1, im: 1 }, 2: { re: -0.5, im: -0.5 }, 3: { re: -2, im: -2 } });
+  const uz = realModeShapeUz(data, 1);
+  assert.ok(Math.abs(uz.get(1) - Math.SQRT2) < 1e-12);
+  assert.ok(Math.abs(uz.get(3) + 2 * Math.SQRT2) < 1e-12);
+
+  const [point] = computeNodalLines(data, 1).points;
+  assert.ok(Math.abs(point.x - 8 / 3) < 1e-12);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFloorData } from '../src/parser.js';
+import { validateFloorData } from '../src/validator.js';
+
+test('JSON syntax errors keep the SyntaxError as cause', () => {
+  assert.throws(() => parseFloorData('{'), (err) => err.cause instanceof SyntaxError);
+});
+
+test('a non-object top level is rejected without a SyntaxError', () => {
+  for (const text of ['[1]', 'null', '42']) {
+    assert.throws(() => parseFloorData(text), (err) => err instanceof TypeError && !(err.cause instanceof SyntaxError));
+  }
+});
+
+test('non-object node, line and element entries are reported as E_ENTRY_INVALID', () => {
+  const data = parseFloorData(JSON.stringify({
+    nodes: [null, { id: 1, x: 0, y: 0, z: 0 }, { id: 2, x: 1, y: 0, z: 0 }],
+    lines: [5, { id: 1, node_i: 1, node_j: 2 }],
+    faces: ['x'],
+    freq_hz: { 1: 1 },
+    modes: { 1: { 1: 0, 2: 1 } },
+  }));
+
+  assert.equal(data.nodes.size, 2);
+  assert.equal(data.lines.length, 1);
+  const { errors } = validateFloorData(data);
+  assert.deepEqual(
+    errors.filter((e) => e.code === 'E_ENTRY_INVALID').map((e) => e.params),
+    [{ key: 'nodes', index: 0 }, { key: 'lines', index: 0 }, { key: 'faces', index: 0 }],
+  );
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  computeRecordingFrames, gifFrameDelays, MAX_RECORDING_DURATION, MAX_RECORDING_FRAMES,
+} from '../src/recordframes.js';
+
+test('frame count and time step cover whole periods at the playback speed', () => {
+  const { frameCount, dt, duration } = computeRecordingFrames({ freqHz: 2, periods: 3, fps: 30, speed: 0.5 });
+  assert.equal(duration, 3);
+  assert.equal(frameCount, 90);
+  assert.ok(Math.abs(dt * frameCount - 1.5) < 1e-12);
+});
+
+test('at least two frames are recorded', () => {
+  assert.equal(computeRecordingFrames({ freqHz: 1000, periods: 1, fps: 15 }).frameCount, 2);
+});
+
+test('invalid frequency, periods and frame rate are rejected', () => {
+  assert.throws(() => computeRecordingFrames({ freqHz: 0, periods: 1, fps: 30 }), /invalid frequency/);
+  assert.throws(() => computeRecordingFrames({ freqHz: 1, periods: -1, fps: 30 }), /invalid period count/);
+  assert.throws(() => computeRecordingFrames({ freqHz: 1, periods: 1, fps: NaN }), /invalid frame rate/);
+});
+
+test('recordings over the duration or frame limit are refused with E_RECORD_LIMIT', () => {
+  assert.throws(
+    () => computeRecordingFrames({ freqHz: 0.01, periods: 1, fps: 15 }),
+    (err) => err.code === 'E_RECORD_LIMIT'
+      && err.params.duration === 100
+      && err.params.maxDuration === MAX_RECORDING_DURATION
+      && err.params.maxFrames === MAX_RECORDING_FRAMES,
+  );
+  // 長さは上限内でもフレーム数が上限を超える（60 s × 60 fps）
+  assert.throws(
+    () => computeRecordingFrames({ freqHz: 1, periods: MAX_RECORDING_DURATION, fps: 60 }),
+    (err) => err.code === 'E_RECORD_LIMIT' && err.params.frames === MAX_RECORDING_DURATION * 60,
+  );
+  assert.doesNotThrow(() => computeRecordingFrames({ freqHz: 1, periods: MAX_RECORDING_DURATION, fps: 30 }));
+});
+
+test('GIF frame delays are whole centiseconds that add up to the frame rate', () => {
+  for (const fps of [15, 24, 30, 60]) {
+    const delays = gifFrameDelays(fps * 4, fps);
+    assert.ok(delays.every((d) => d % 10 === 0 && d > 0));
+    assert.equal(delays.reduce((sum, d) => sum + d, 0), 4000);
+  }
+  assert.deepEqual(gifFrameDelays(3, 30), [30, 40, 30]);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeFloorData } from '../src/parser.js';
+import { detectStoreys } from '../src/storeys.js';
+
+/**
+ * 節点だけを指定した床構面データの nodes
+ * @param {Array<object>} nodes
+ * @returns {Map<number, object>}
+ */
+function nodesOf(nodes) {
+  return normalizeFloorData({
+    nodes,
+    lines: [{ id: 1, node_i: nodes[0].id, node_j: nodes[1].id }],
+    freq_hz: { 1: 1 },
+    modes: { 1: {} },
+  }).nodes;
+}
+
+/**
+ * 高さ z の 2 m 角の床の 4 節点（ID は id0 + 0〜3）
+ * @param {number} id0
+ * @param {number} z
+ * @param {object} [extra]
+ * @returns {Array<object>}
+ */
+function square(id0, z, extra = {}) {
+  return [[0, 0], [2, 0], [2, 2], [0, 2]].map(([x, y], k) => ({ id: id0 + k, x, y, z, ...extra }));
+}
+
+test('nodes are grouped into storeys by z from the bottom up', () => {
+  const { storeys, levelOf, fromLevel, planar } = detectStoreys(nodesOf([
+    ...square(5, 3.5),
+    ...square(1, 0).map((n) => (n.id === 2 ? { ...n, z: 1e-7 } : n)),
+  ]));
+
+  assert.equal(fromLevel, false);
+  assert.equal(planar, true);
+  assert.deepEqual(storeys.map((s) => [s.label, s.nodeIds.length]), [['', 4], ['', 4]]);
+  assert.ok(Math.abs(storeys[0].z - 0.25e-7) < 1e-15);
+  assert.equal(storeys[1].z, 3.5);
+  assert.equal(levelOf.get(2), 0);
+  assert.equal(levelOf.get(7), 1);
+});
+
+test('a sloped floor with storeys of fewer than three nodes is kept as one non-planar storey', () => {
+  const nodes = nodesOf([1, 2, 3, 4].map((id) => ({ id, x: id, y: 0, z: id * 0.1 })));
+  const { storeys, planar } = detectStoreys(nodes);
+
+  assert.equal(planar, false);
+  assert.equal(storeys.length, 1);
+  assert.deepEqual(storeys[0].nodeIds, [1, 2, 3, 4]);
+});
+
+test('level fields define the storeys and their labels', () => {
+  const { storeys, levelOf, fromLevel, planar } = detectStoreys(nodesOf([
+    ...square(1, 4, { level: 'RF' }),
+    ...square(11, 0, { level: 2 }),
+    { id: 21, x: 0, y: 0, z: 0, level: '1' },
+  ]));
+
+  assert.equal(fromLevel, true);
+  assert.equal(planar, true);
+  // 同じ高さの階はラベルの数値順
+  assert.deepEqual(storeys.map((s) => [s.label, s.z, s.nodeIds.length]), [['1', 0, 1], ['2', 0, 4], ['RF', 4, 4]]);
+  assert.equal(levelOf.get(21), 0);
+  assert.equal(levelOf.get(3), 2);
+});
+
+test('a level whose nodes are at different heights is not planar', () => {
+  const { fromLevel, planar } = detectStoreys(nodesOf([
+    ...square(1, 0, { level: 'B1' }).map((n) => (n.id === 4 ? { ...n, z: 0.5 } : n)),
+  ]));
+  assert.equal(fromLevel, true);
+  assert.equal(planar, false);
+});
+
+test('nodes without a level on some entries fall back to z grouping', () => {
+  const { fromLevel, storeys } = detectStoreys(nodesOf([
+    ...square(1, 0, { level: '1F' }),
+    ...square(5, 3),
+  ]));
+  assert.equal(fromLevel, false);
+  assert.equal(storeys.length, 2);
+});
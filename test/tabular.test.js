@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDelimitedText, guessTableKind, guessColumnMapping, buildRawFloorData } from '../src/tabular.js';
+import { normalizeFloorData } from '../src/parser.js';
+import { validateFloorData } from '../src/validator.js';
+
+/**
+ * 表データのテキストを importer と同じ手順（種類・列対応付けの推定）で生オブジェクトにする
+ * @param {string} text
+ * @returns {object}
+ */
+function importText(text) {
+  const tables = parseDelimitedText(text, 'sheet').map((table) => {
+    const kind = guessTableKind(table);
+    return { ...table, kind, mapping: guessColumnMapping(kind, table.headers) };
+  });
+  return buildRawFloorData(tables);
+}
+
+test('headerless wide mode table numbers modes by column position', () => {
+  const raw = importText([
+    '[nodes]',
+    '1,0,0',
+    '2,4,0',
+    '3,4,3',
+    '[lines]',
+    '1,2',
+    '2,3',
+    '[freq]',
+    '1,4.5',
+    '2,9.1',
+    '[modes]',
+    '1,0.1,0.3',
+    '2,0.5,-0.2',
+    '3,1.0,0.4',
+  ].join('\n'));
+
+  assert.deepEqual(Object.keys(raw.modes), ['1', '2']);
+  assert.deepEqual(raw.modes['1'], { 1: 0.1, 2: 0.5, 3: 1.0 });
+  assert.deepEqual(raw.modes['2'], { 1: 0.3, 2: -0.2, 3: 0.4 });
+
+  const { errors } = validateFloorData(normalizeFloorData(raw));
+  assert.deepEqual(errors, []);
+});
+
+test('wide mode table with headers reads mode numbers and frequencies from the headers', () => {
+  const raw = importText([
+    'node,M3 (8.70 Hz),mode 5',
+    '1,0.1,0.3',
+    '2,0.5,-0.2',
+  ].join('\n'));
+
+  assert.deepEqual(Object.keys(raw.modes), ['3', '5']);
+  assert.equal(raw.freq_hz['3'], 8.7);
+});
+
+test('line ids are numbered automatically and a non-numeric id is rejected', () => {
+  const numbered = importText('[lines]\nid,node_i,node_j\n,1,2\n5,2,3\n,3,1');
+  assert.deepEqual(numbered.lines.map((l) => l.id), [1, 5, 6]);
+
+  assert.throws(
+    () => importText('[lines]\nid,node_i,node_j\nA,1,2\n,2,3'),
+    /line id "A" in row 1 is not a number/,
+  );
+});
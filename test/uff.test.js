@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isUffText, parseUffText } from '../src/uff.js';
+import { normalizeFloorData } from '../src/parser.js';
+import { validateFloorData } from '../src/validator.js';
+
+/**
+ * データセットを区切り行 "-1" で囲んで UFF テキストにする
+ * @param {...string[]} datasets  各データセットの行（先頭行がデータセット番号）
+ * @returns {string}
+ */
+function uff(...datasets) {
+  return datasets.map((lines) => ['    -1', ...lines, '    -1'].join('\n')).join('\n');
+}
+
+/** データセット 55 の ID 行（Record 1-5） */
+const ID_LINES = ['NONE', 'NONE', 'NONE', 'NONE', 'NONE'];
+
+test('UFF text is detected by the leading delimiter line', () => {
+  assert.equal(isUffText('\n    -1\n    15\n'), true);
+  assert.equal(isUffText('{"nodes": []}'), false);
+});
+
+test('datasets 15, 2411, 82 and 55 become nodes, lines and a damped normal mode', () => {
+  const raw = parseUffText(uff(
+    ['    15', '1 0 0 0 0.0 0.0 0.0', '2 0 0 0 4.0 0.0 0.0'],
+    ['  2411', '3 1 1 11', '4.0D+00 3.0D+00 0.0D+00'],
+    ['    82', '1 5 0', 'TRACE', '1 2 0 2 3'],
+    ['    55', ...ID_LINES, '1 2 3 8 2 3', '2 4 1 2', '5.0D+00 1.0 2.0D-02 0.0',
+      '1', '0.0 0.0 1.0D-01', '2', '0.0 0.0 5.0D-01', '3', '0.2 0.0 1.0'],
+  ), 'case');
+
+  assert.deepEqual(raw.meta, { title: 'case', source: 'uff' });
+  assert.deepEqual(raw.nodes.map((n) => [n.id, n.x, n.y, n.z]), [[1, 0, 0, 0], [2, 4, 0, 0], [3, 4, 3, 0]]);
+  // 節点 0 はペンアップ（2-0-2 は線要素にしない）
+  assert.deepEqual(raw.lines.map((l) => [l.node_i, l.node_j]), [[1, 2], [2, 3]]);
+  assert.deepEqual(raw.freq_hz, { 2: 5 });
+  assert.deepEqual(raw.damping, { 2: 0.02 });
+  assert.equal(raw.modes['2']['1'], 0.1);
+  assert.deepEqual(raw.modes['2']['3'], { ux: 0.2, uy: 0, uz: 1 });
+
+  const { errors } = validateFloorData(normalizeFloorData(raw));
+  assert.deepEqual(errors, []);
+});
+
+test('complex eigenvalues give the natural frequency, damping ratio and complex values', () => {
+  const sigma = -0.5;
+  const omegaD = 10;
+  const raw = parseUffText(uff(
+    ['    15', '1 0 0 0 0.0 0.0 0.0', '2 0 0 0 1.0 0.0 0.0'],
+    ['    55', ...ID_LINES, '1 3 1 8 5 1', '2 6 1 0', `${sigma} ${omegaD} 1 0 0 0`, '1 0.5 0.2', '2 1.0 0.0'],
+  ));
+
+  const lambda = Math.hypot(sigma, omegaD);
+  // モード番号がなければ 1 から振る
+  assert.ok(Math.abs(raw.freq_hz['1'] - lambda / (2 * Math.PI)) < 1e-12);
+  assert.ok(Math.abs(raw.damping['1'] - 0.5 / lambda) < 1e-12);
+  assert.deepEqual(raw.modes['1']['1'], { re: 0.5, im: 0.2 });
+});
+
+test('files without nodes or mode shapes are rejected', () => {
+  assert.throws(() => parseUffText(uff(['    82', '1 2 0', 'TRACE', '1 2'])), /no node dataset/);
+  assert.throws(() => parseUffText(uff(['    15', '1 0 0 0 0.0 0.0 0.0'])), /no mode shape dataset/);
+});